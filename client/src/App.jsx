@@ -6,6 +6,7 @@ import AdminDashboard from './pages/AdminDashboard';
 import PaymentHistory from './pages/PaymentHistory';
 import HomePage from './pages/HomePage';
 import StudentList from './pages/StudentList';
+import VerifyPayment from './pages/VerifyPayment';
 
 function App() {
   return (
@@ -19,6 +20,8 @@ function App() {
             <Route path="/admin" element={<AdminDashboard />} />
             <Route path="/admin/students" element={<StudentList />} />
             <Route path="/history" element={<PaymentHistory />} />
+            <Route path="/verify" element={<VerifyPayment />} />
+            <Route path="/verify/:paymentId" element={<VerifyPayment />} />
           </Routes>
         </main>
         <Toaster position="top-right" />
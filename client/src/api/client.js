@@ -0,0 +1,775 @@
+// Generated by scripts/generate-api-client.js from the data server OpenAPI document
+// (scripts/openapi.js, served at /api/docs). Do not edit by hand: run `npm run generate:api-client`.
+
+// Base URL of the data server API, e.g. VITE_DATA_API_URL=https://portal.example.edu/api
+export const API_BASE_URL = (import.meta.env.VITE_DATA_API_URL || 'http://localhost:3001/api').replace(/\/$/, '');
+
+/**
+ * Failed response: status is the HTTP status (0 when the server could not be reached),
+ * code/data come from the { error, code } body.
+ */
+export class ApiError extends Error {
+  constructor(status, data, message) {
+    super((data && data.error) || message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = data ? data.code : undefined;
+    this.data = data;
+  }
+}
+
+/**
+ * Contract deployment the data belongs to, sent with every request
+ * @typedef {Object} ApiScope
+ * @property {number} chainId Chain ID
+ * @property {string} contract Contract address
+ */
+
+let apiScope = null;
+
+// Select the deployment for all following requests (null: the server's default)
+export function setApiScope(scope) {
+  apiScope = scope;
+}
+
+function scopeQuery() {
+  return apiScope ? { chainId: apiScope.chainId, contract: apiScope.contract } : {};
+}
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [token] Admin session token (Authorization: Bearer)
+ * @property {AbortSignal} [signal] Cancels the request
+ */
+
+/**
+ * @typedef {Object} Download
+ * @property {Blob} blob File content
+ * @property {string|null} filename File name from Content-Disposition
+ */
+
+export function apiUrl(path, query = {}) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') params.set(name, value);
+  }
+  const search = params.toString();
+  return `${API_BASE_URL}${path}${search ? `?${search}` : ''}`;
+}
+
+async function request(method, path, { query, body, contentType = 'application/json', download, token, signal } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (apiScope) {
+    headers['X-Chain-Id'] = String(apiScope.chainId);
+    headers['X-Contract-Address'] = apiScope.contract;
+  }
+  if (body !== undefined) headers['Content-Type'] = contentType;
+
+  let response;
+  try {
+    response = await fetch(apiUrl(path, query), {
+      method,
+      headers,
+      body: body === undefined || contentType !== 'application/json' ? body : JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ApiError(0, null, 'Data server is unreachable');
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new ApiError(response.status, data, response.statusText || 'Request failed');
+  }
+  if (download) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    return { blob: await response.blob(), filename: match ? match[1] : null };
+  }
+  return response.json();
+}
+
+// ============ Types ============
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} error Human readable message
+ * @property {string} code Machine readable error code, e.g. INVALID_ADDRESS
+ * @property {string} [field] Offending field for validation errors
+ * @property {number} [retryAfter] Seconds to wait after RATE_LIMITED or PENDING_LIMIT_REACHED
+ * @property {string} [retryAt] When a PENDING_LIMIT_REACHED request can be sent again (the oldest pending request expires)
+ * @property {Array<Object>} [details] Every validation problem
+ */
+
+/**
+ * Ethereum address (EIP-55 checksum or all lowercase)
+ *
+ * @typedef {string} Address
+ */
+
+/**
+ * Contract deployment with its own data store
+ *
+ * @typedef {Object} Deployment
+ * @property {number} [chainId] Chain ID
+ * @property {Address} [contract] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {boolean} [default] Used when a request sends no scope
+ */
+
+/**
+ * Registered student
+ *
+ * @typedef {Object} Student
+ * @property {Address} [wallet] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {string} [studentId] Student ID
+ * @property {string} [createdAt] ISO date
+ * @property {Array<Address>} [previousWallets] Wallets the student was moved away from, oldest first
+ * @property {number} [blockNumber] Block of the StudentRegistered or StudentWalletRotated event
+ * @property {string} [txHash] Transaction of the StudentRegistered or StudentWalletRotated event
+ */
+
+/**
+ * Off-chain student profile (never stored on chain)
+ *
+ * @typedef {Object} Profile
+ * @property {string} [studentId] Student ID
+ * @property {string} [fullName] Full name
+ * @property {string} [email] Contact email, also used for reminders
+ * @property {string} [faculty] Faculty
+ * @property {string} [program] Study program
+ * @property {string} [cohort] Cohort, e.g. K65
+ * @property {string} [createdAt] Created at
+ * @property {string} [updatedAt] Last edited at
+ * @property {Address} [updatedBy] Ethereum address (EIP-55 checksum or all lowercase)
+ */
+
+/**
+ * Scholarship of a student
+ *
+ * @typedef {Object} Scholarship
+ * @property {Address} [wallet] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {number} [percent] Discount percentage
+ * @property {Array<Object>} [history] On-chain percent changes, oldest first (kept across node resets)
+ */
+
+/**
+ * Tuition fee of a semester
+ *
+ * @typedef {Object} FeeSchedule
+ * @property {string} [semester] Semester, e.g. 2024-1
+ * @property {string} [amount] Base fee in wei
+ * @property {number} [deadline] Payment deadline
+ */
+
+/**
+ * Tuition payment
+ *
+ * @typedef {Object} Payment
+ * @property {Address} [wallet] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {string} [studentId] Student ID
+ * @property {string} [semester] Semester
+ * @property {string} [amount] Amount paid in wei
+ * @property {string} [amountAfterRefund] Amount kept after refunds in wei
+ * @property {boolean} [refunded] Fully refunded
+ * @property {number} [timestamp] Payment time
+ * @property {number} [paymentId] On-chain payment ID
+ * @property {string} [txHash] Payment transaction
+ */
+
+/**
+ * @typedef {Object} PaymentRow
+ * @property {Address} [wallet] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {string} [studentId] Student ID
+ * @property {string} [semester] Semester
+ * @property {string} [amount] Amount paid in wei
+ * @property {string} [amountAfterRefund] Amount kept after refunds in wei
+ * @property {boolean} [refunded] Fully refunded
+ * @property {number} [timestamp] Payment time
+ * @property {number} [paymentId] On-chain payment ID
+ * @property {string} [txHash] Payment transaction
+ * @property {string} [key] Row key `${wallet}:${semester}`
+ * @property {"paid"|"partially_refunded"|"refunded"} [status] Refund status
+ * @property {boolean} [confirmed] Deeper than the indexer confirmation depth
+ * @property {Array<Object>} [refunds]
+ */
+
+/**
+ * @typedef {Object} PaymentPage
+ * @property {Array<PaymentRow>} [items]
+ * @property {(string|null)} [nextCursor] Cursor of the next page, null on the last page
+ * @property {Object} [totals]
+ * @property {Object} [facets]
+ */
+
+/**
+ * Student registration request
+ *
+ * @typedef {Object} RegistrationRequest
+ * @property {Address} [wallet] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {string} [studentId] Requested student ID
+ * @property {"pending"|"approved"|"rejected"|"expired"} [status] Request status
+ * @property {string} [createdAt] Submitted at
+ * @property {string} [expiresAt] Expires at while pending
+ * @property {Address} [decidedBy] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {string} [reason] Rejection reason
+ * @property {Array<Object>} [history]
+ */
+
+/**
+ * Public view of a registration request (no student ID, reason or admin)
+ *
+ * @typedef {Object} RegistrationStatus
+ * @property {Address} [wallet] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {"pending"|"approved"|"rejected"|"expired"} [status] Request status
+ * @property {string} [createdAt] Submitted at
+ * @property {string} [expiresAt] Expires at while pending
+ * @property {Array<Object>} [history]
+ */
+
+/**
+ * Data store collections without personal data (profiles, emails, reminders)
+ *
+ * @typedef {Object} Data
+ * @property {Array<Student>} [students]
+ * @property {Array<FeeSchedule>} [feeSchedules]
+ * @property {Array<Scholarship>} [scholarships]
+ * @property {Array<Payment>} [payments]
+ * @property {Array<RegistrationStatus>} [registrationRequests]
+ * @property {(string|null)} [lastUpdated] Last change
+ */
+
+/**
+ * @typedef {Object} AdminSession
+ * @property {string} [token] Bearer token for admin routes
+ * @property {Address} [address] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {number} [expiresAt] Session expiry (milliseconds since epoch)
+ */
+
+/**
+ * @typedef {Object} ImportValidation
+ * @property {Object} [summary]
+ * @property {Array<Object>} [rows]
+ */
+
+/**
+ * @typedef {Object} ReconciliationReport
+ * @property {string} [checkedAt] Report time
+ * @property {Address} [contract] Ethereum address (EIP-55 checksum or all lowercase)
+ * @property {Object<string, number>} [chain]
+ * @property {Object} [summary]
+ * @property {Array<Object>} [issues]
+ */
+
+/**
+ * Indexed contract event
+ *
+ * @typedef {Object} ChainEvent
+ * @property {string} [id] `${txHash}:${logIndex}`
+ * @property {"StudentRegistered"|"StudentWalletRotated"|"PaymentReceived"|"ScholarshipApplied"|"ScholarshipRefund"|"RefundProcessed"|"FeeScheduleCreated"|"UniversityWithdrawal"} [name] Event name
+ * @property {number} [blockNumber] Block number
+ * @property {number} [blockTimestamp] Block time
+ * @property {string} [txHash] Transaction hash
+ * @property {number} [logIndex] Log index
+ * @property {Object} [args] Event arguments, uint256 as decimal strings
+ * @property {boolean} [confirmed] Deeper than the confirmation depth
+ */
+
+/**
+ * Audit log entry
+ *
+ * @typedef {Object} AuditEntry
+ * @property {number} [seq] Position in the log, from 1
+ * @property {string} [at] Time of the change
+ * @property {string} [actor] Who made the change, e.g. admin:0x..., indexer
+ * @property {string} [action] data-manager function
+ * @property {Array<Object>} [changes]
+ * @property {string} [prevHash] Hash of the previous entry
+ * @property {string} [hash] SHA-256 of this entry
+ */
+
+/**
+ * @typedef {Object} AuditVerification
+ * @property {boolean} [valid] Hash chain intact
+ * @property {number} [entries] Entries checked
+ * @property {string} [lastHash] Hash of the newest entry
+ * @property {number} [seq] First broken entry
+ * @property {number} [line] Line of the first broken entry
+ * @property {string} [error] What does not check out
+ */
+
+/**
+ * @typedef {Object} SnapshotSummary
+ * @property {string} [id] Snapshot ID (UTC timestamp)
+ * @property {string} [createdAt] Snapshot time
+ * @property {string} [reason] Change that triggered it, "manual" or "interval"
+ * @property {"json"|"sqlite"} [driver] Storage driver
+ * @property {Object<string, number>} [counts]
+ * @property {(string|null)} [lastUpdated] Store lastUpdated at snapshot time
+ * @property {number} [size] File size in bytes
+ */
+
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {string} [from] Snapshot ID
+ * @property {string} [to] Snapshot ID or "current"
+ * @property {Object} [summary]
+ * @property {Object<string, Object>} [collections]
+ */
+
+/**
+ * @typedef {Object} ReminderRun
+ * @property {number} [checked] Unpaid students checked
+ * @property {number} [sent] Emails sent
+ * @property {number} [alreadySent] Skipped, sent before
+ * @property {number} [noEmail] Skipped, no email on file
+ * @property {number} [failed] Emails that could not be sent
+ */
+
+// ============ Data ============
+
+/**
+ * Contract deployments served by this data server, the default one first
+ *
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Array<Deployment>>}
+ */
+export function listDeployments(options = {}) {
+  return request('GET', '/deployments', { ...options });
+}
+
+/**
+ * Public data store (students, fees, scholarships, payments, requests)
+ *
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Data>}
+ */
+export function getData(options = {}) {
+  return request('GET', '/data', { ...options });
+}
+
+// ============ Auth ============
+
+/**
+ * Single-use nonce for a Sign-In-With-Ethereum message or a WalletAccess signature
+ *
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export function getAuthNonce(options = {}) {
+  return request('GET', '/auth/nonce', { ...options });
+}
+
+/**
+ * Verify a signed SIWE message from the contract owner and open an admin session
+ *
+ * @param {Object} body
+ * @param {string} body.message Prepared SIWE message
+ * @param {string} body.signature personal_sign signature
+ * @param {RequestOptions} [options]
+ * @returns {Promise<AdminSession>}
+ */
+export function verifyAdminSignIn(body, options = {}) {
+  return request('POST', '/auth/verify', { body, ...options });
+}
+
+/**
+ * End the admin session of the bearer token
+ *
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export function logout(options = {}) {
+  return request('POST', '/auth/logout', { ...options });
+}
+
+// ============ Students ============
+
+/**
+ * Store a student registered on chain (admin)
+ *
+ * @param {Object} body
+ * @param {Address} body.wallet Ethereum address (EIP-55 checksum or all lowercase)
+ * @param {string} body.studentId Student ID
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function addStudent(body, options = {}) {
+  return request('POST', '/students', { body, ...options });
+}
+
+/**
+ * Check a student CSV (wallet,studentId[,scholarshipPercent]) before bulk registration (admin)
+ *
+ * @param {string} body text/csv content
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<ImportValidation>}
+ */
+export function validateStudentImport(body, options = {}) {
+  return request('POST', '/students/import/validate', { body, contentType: 'text/csv', ...options });
+}
+
+/**
+ * Store a scholarship applied on chain (admin)
+ *
+ * @param {Object} body
+ * @param {Address} body.wallet Ethereum address (EIP-55 checksum or all lowercase)
+ * @param {number} body.percent Percent
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function setScholarship(body, options = {}) {
+  return request('POST', '/scholarships', { body, ...options });
+}
+
+// ============ Profiles ============
+
+/**
+ * All student profiles (admin)
+ *
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Array<Profile>>}
+ */
+export function listProfiles(options = {}) {
+  return request('GET', '/profiles', { ...options });
+}
+
+/**
+ * Profile of the student wallet that signed a WalletAccess message (EIP-712)
+ *
+ * @param {Object} body
+ * @param {Address} body.wallet Ethereum address (EIP-55 checksum or all lowercase)
+ * @param {string} body.nonce Nonce from GET /auth/nonce
+ * @param {string} body.signature EIP-712 signature of { wallet, purpose: "Read my student profile", nonce }
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export function getMyProfile(body, options = {}) {
+  return request('POST', '/profiles/me', { body, ...options });
+}
+
+/**
+ * Profile of a student (admin)
+ *
+ * @param {string} studentId Student ID
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Profile>}
+ */
+export function getProfile(studentId, options = {}) {
+  return request('GET', `/profiles/${encodeURIComponent(studentId)}`, { ...options });
+}
+
+/**
+ * Replace the profile of a student; omitted fields are cleared (admin)
+ *
+ * @param {string} studentId Student ID
+ * @param {Object} body
+ * @param {string} [body.fullName] Full name
+ * @param {string} [body.email] Email address
+ * @param {string} [body.faculty] Faculty
+ * @param {string} [body.program] Study program
+ * @param {string} [body.cohort] Cohort
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function setProfile(studentId, body, options = {}) {
+  return request('PUT', `/profiles/${encodeURIComponent(studentId)}`, { body, ...options });
+}
+
+// ============ Fees ============
+
+/**
+ * Store a fee schedule created on chain (admin)
+ *
+ * @param {Object} body
+ * @param {string} body.semester Semester, e.g. 2024-1
+ * @param {string} body.amount Base fee in wei
+ * @param {number} body.deadline Payment deadline
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function addFeeSchedule(body, options = {}) {
+  return request('POST', '/fees', { body, ...options });
+}
+
+// ============ Registration ============
+
+/**
+ * Submit a registration request signed by the student wallet (EIP-712); rate limited per IP and wallet
+ *
+ * @param {Object} body
+ * @param {Address} body.wallet Ethereum address (EIP-55 checksum or all lowercase)
+ * @param {string} body.studentId Requested student ID
+ * @param {number} body.issuedAt Time the request was signed
+ * @param {string} body.signature EIP-712 signature of { wallet, studentId, issuedAt }
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export function submitRegistrationRequest(body, options = {}) {
+  return request('POST', '/register-request', { body, ...options });
+}
+
+/**
+ * Pending registration requests (admin)
+ *
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Array<RegistrationRequest>>}
+ */
+export function getPendingRequests(options = {}) {
+  return request('GET', '/register-requests', { ...options });
+}
+
+/**
+ * Registration request status and history of a wallet
+ *
+ * @param {Address} wallet Student wallet
+ * @param {RequestOptions} [options]
+ * @returns {Promise<RegistrationStatus>}
+ */
+export function getRegistrationRequest(wallet, options = {}) {
+  return request('GET', `/register-requests/${encodeURIComponent(wallet)}`, { ...options });
+}
+
+/**
+ * Full registration request of the wallet that signed a WalletAccess message (EIP-712)
+ *
+ * @param {Object} body
+ * @param {Address} body.wallet Ethereum address (EIP-55 checksum or all lowercase)
+ * @param {string} body.nonce Nonce from GET /auth/nonce
+ * @param {string} body.signature EIP-712 signature of { wallet, purpose: "Read my registration request", nonce }
+ * @param {RequestOptions} [options]
+ * @returns {Promise<RegistrationRequest>}
+ */
+export function getMyRegistrationRequest(body, options = {}) {
+  return request('POST', '/register-requests/me', { body, ...options });
+}
+
+/**
+ * Approve a pending request (after registerStudent on chain) (admin)
+ *
+ * @param {Object} body
+ * @param {Address} body.wallet Ethereum address (EIP-55 checksum or all lowercase)
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function approveRegistration(body, options = {}) {
+  return request('POST', '/register-approve', { body, ...options });
+}
+
+/**
+ * Reject a pending request with a reason the student can see (admin)
+ *
+ * @param {Object} body
+ * @param {Address} body.wallet Ethereum address (EIP-55 checksum or all lowercase)
+ * @param {string} body.reason Reason
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function rejectRegistration(body, options = {}) {
+  return request('POST', '/register-reject', { body, ...options });
+}
+
+// ============ Payments ============
+
+/**
+ * Search payments with filters, sorting and cursor pagination
+ *
+ * @param {Object} [query]
+ * @param {string} [query.studentId] Exact student ID
+ * @param {Address} [query.wallet] Student wallet
+ * @param {string} [query.semester] Exact semester
+ * @param {"paid"|"partially_refunded"|"refunded"} [query.status] Refund status
+ * @param {number} [query.from] Paid at or after (unix seconds)
+ * @param {number} [query.to] Paid at or before (unix seconds)
+ * @param {string} [query.minAmount] Minimum amount in wei
+ * @param {string} [query.maxAmount] Maximum amount in wei
+ * @param {"timestamp"|"-timestamp"|"amount"|"-amount"|"semester"|"-semester"|"studentId"|"-studentId"} [query.sort] Sort field, "-" prefix for descending
+ * @param {number} [query.limit] Page size
+ * @param {string} [query.cursor] nextCursor of the previous page
+ * @param {RequestOptions} [options]
+ * @returns {Promise<PaymentPage>}
+ */
+export function queryPayments(query = {}, options = {}) {
+  return request('GET', '/payments', { query, ...options });
+}
+
+/**
+ * Payments of one student
+ *
+ * @param {Address} wallet Student wallet
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Array<Payment>>}
+ */
+export function getStudentPayments(wallet, options = {}) {
+  return request('GET', `/payments/${encodeURIComponent(wallet)}`, { ...options });
+}
+
+/**
+ * PDF receipt of a payment with a QR code linking to its verification page
+ *
+ * @param {number} paymentId On-chain payment ID
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Download>}
+ */
+export function getPaymentReceipt(paymentId, options = {}) {
+  return request('GET', `/receipts/${encodeURIComponent(paymentId)}`, { download: true, ...options });
+}
+
+/**
+ * Accounting export of payments, refunds and withdrawals (admin)
+ *
+ * @param {Object} [query]
+ * @param {"csv"|"xlsx"} [query.format] File format
+ * @param {string} [query.semester] Only this semester (withdrawals are left out)
+ * @param {number} [query.from] From (unix seconds)
+ * @param {number} [query.to] To (unix seconds)
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Download>}
+ */
+export function exportLedger(query = {}, options = {}) {
+  return request('GET', '/export/ledger', { query, download: true, ...options });
+}
+
+// ============ Reminders ============
+
+/**
+ * Reminder scheduler status and sent-log (admin)
+ *
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function getReminders(options = {}) {
+  return request('GET', '/reminders', { ...options });
+}
+
+/**
+ * Send due reminders now (admin)
+ *
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<ReminderRun>}
+ */
+export function runReminders(options = {}) {
+  return request('POST', '/reminders/run', { ...options });
+}
+
+// ============ Operations ============
+
+/**
+ * Differences between the data store and the contract (admin)
+ *
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<ReconciliationReport>}
+ */
+export function getReconciliation(options = {}) {
+  return request('GET', '/reconcile', { ...options });
+}
+
+/**
+ * Write chain values into the store; prune also deletes records not on chain (admin)
+ *
+ * @param {Object} body
+ * @param {boolean} [body.prune] Delete extra records
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function repairReconciliation(body, options = {}) {
+  return request('POST', '/reconcile/repair', { body, ...options });
+}
+
+/**
+ * Indexed contract events
+ *
+ * @param {Object} [query]
+ * @param {"StudentRegistered"|"StudentWalletRotated"|"PaymentReceived"|"ScholarshipApplied"|"ScholarshipRefund"|"RefundProcessed"|"FeeScheduleCreated"|"UniversityWithdrawal"} [query.name] Only this event
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Array<ChainEvent>>}
+ */
+export function getChainEvents(query = {}, options = {}) {
+  return request('GET', '/events', { query, ...options });
+}
+
+/**
+ * Newest audit log entries and the result of verifying the hash chain (admin)
+ *
+ * @param {Object} [query]
+ * @param {number} [query.limit] Entries to return
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function getAuditLog(query = {}, options = {}) {
+  return request('GET', '/audit', { query, ...options });
+}
+
+/**
+ * Store snapshots, newest first (admin)
+ *
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function listSnapshots(options = {}) {
+  return request('GET', '/snapshots', { ...options });
+}
+
+/**
+ * Snapshot the store now (admin)
+ *
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<SnapshotSummary>}
+ */
+export function createSnapshot(options = {}) {
+  return request('POST', '/snapshots', { ...options });
+}
+
+/**
+ * Record level differences between two snapshots (admin)
+ *
+ * @param {Object} query
+ * @param {string} query.from Snapshot ID
+ * @param {string} [query.to] Snapshot ID, "current" for the live store
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<SnapshotDiff>}
+ */
+export function diffSnapshots(query, options = {}) {
+  return request('GET', '/snapshots/diff', { query, ...options });
+}
+
+/**
+ * Replace the store with a snapshot (the current state is snapshotted first) (admin)
+ *
+ * @param {string} id Snapshot ID
+ * @param {RequestOptions} [options] options.token is required
+ * @returns {Promise<Object>}
+ */
+export function restoreSnapshot(id, options = {}) {
+  return request('POST', `/snapshots/${encodeURIComponent(id)}/restore`, { ...options });
+}
+
+/**
+ * Event indexer progress
+ *
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export function getIndexerStatus(options = {}) {
+  return request('GET', '/indexer', { ...options });
+}
+
+/**
+ * Live contract activity (Server-Sent Events: activity, rollback, reset); EventSource sends the scope as chainId/contract query parameters
+ *
+ * @returns {EventSource}
+ */
+export function openActivityStream() {
+  return new EventSource(apiUrl('/stream', { ...scopeQuery() }));
+}
+
+/**
+ * This OpenAPI document
+ *
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export function getApiDocs(options = {}) {
+  return request('GET', '/docs', { ...options });
+}
@@ -0,0 +1,14 @@
+// Shows whether the page receives live updates from the data server
+export default function LiveBadge({ connected }) {
+  return (
+    <span
+      className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium ${
+        connected ? 'bg-emerald-100 text-emerald-700' : 'bg-gray-100 text-gray-500'
+      }`}
+      title={connected ? 'Updates appear automatically' : 'Live updates unavailable, use Refresh'}
+    >
+      <span className={`w-2 h-2 rounded-full ${connected ? 'bg-emerald-500 animate-pulse' : 'bg-gray-400'}`}></span>
+      {connected ? 'Live' : 'Offline'}
+    </span>
+  );
+}
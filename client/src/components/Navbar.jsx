@@ -53,6 +53,16 @@ export default function Navbar() {
               >
                 Transaction History
               </Link>
+              <Link 
+                to="/verify" 
+                className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
+                  location.pathname.startsWith('/verify') 
+                    ? 'bg-blue-100 text-blue-700' 
+                    : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'
+                }`}
+              >
+                Verify Payment
+              </Link>
             </div>
           </div>
 
@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { apiErrorMessage, ERROR_MESSAGES } from '../config/errors';
+import toast from 'react-hot-toast';
+import * as api from '../api/client';
+
+const BATCH_SIZE = 50;
+const REPORT_COLUMNS = ['line', 'studentId', 'wallet', 'percent', 'status', 'code', 'error', 'txHash'];
+
+const ROW_STATUS = {
+  valid: { label: 'Ready', className: 'bg-blue-100 text-blue-700' },
+  invalid: { label: 'Invalid', className: 'bg-red-100 text-red-700' },
+  registered: { label: 'Registered', className: 'bg-emerald-100 text-emerald-700' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700' },
+};
+
+// Bulk registration from a CSV file (studentId, wallet, scholarship percent).
+// The data server validates every row, valid rows are then registered in batches from the admin wallet.
+export default function StudentImport({ onImported, onClose }) {
+  const { contract, withAdminSession } = useWeb3();
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [validating, setValidating] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setRows([]);
+    setValidating(true);
+    try {
+      const text = await file.text();
+      const data = await withAdminSession(token => api.validateStudentImport(text, { token }));
+      setRows(data.rows);
+    } catch (err) {
+      toast.error(apiErrorMessage(err.data, err.message || 'Could not validate CSV file'));
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  // Submit one batch; on revert retry its rows one by one so only the bad rows fail
+  const submitBatch = async (batch) => {
+    try {
+      const tx = await contract.registerStudentsBatch(
+        batch.map(r => r.wallet),
+        batch.map(r => r.studentId),
+        batch.map(r => r.percent)
+      );
+      const receipt = await tx.wait();
+      return batch.map(r => ({ ...r, status: 'registered', txHash: receipt.hash }));
+    } catch (err) {
+      if (err.code === 'ACTION_REJECTED') throw err;
+      const results = [];
+      for (const row of batch) {
+        try {
+          const tx = await contract.registerStudentsBatch([row.wallet], [row.studentId], [row.percent]);
+          const receipt = await tx.wait();
+          results.push({ ...row, status: 'registered', txHash: receipt.hash });
+        } catch (rowErr) {
+          if (rowErr.code === 'ACTION_REJECTED') throw rowErr;
+          results.push({ ...row, status: 'failed', code: 'TX_FAILED', error: rowErr.reason || rowErr.shortMessage || 'Transaction failed' });
+        }
+      }
+      return results;
+    }
+  };
+
+  const handleImport = async () => {
+    const pending = rows.filter(r => r.status === 'valid');
+    if (!contract || pending.length === 0) return;
+
+    setImporting(true);
+    let current = rows;
+    try {
+      for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        setProgress({ batch: i / BATCH_SIZE + 1, total: Math.ceil(pending.length / BATCH_SIZE) });
+        const results = await submitBatch(pending.slice(i, i + BATCH_SIZE));
+        const byLine = new Map(results.map(r => [r.line, r]));
+        current = current.map(r => byLine.get(r.line) || r);
+        setRows(current);
+      }
+    } catch (err) {
+      toast.error('Import stopped: transaction was rejected in the wallet');
+    } finally {
+      setImporting(false);
+      setProgress(null);
+    }
+
+    const registered = current.filter(r => r.status === 'registered').length;
+    if (registered > 0) {
+      toast.success(`${registered} students registered`);
+      onImported();
+    }
+  };
+
+  const downloadReport = () => {
+    // Same cells as the server's report (scripts/csv.js): formulas are kept from running
+    const escape = value => {
+      let text = value === undefined || value === null ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = [
+      REPORT_COLUMNS.join(','),
+      ...rows.map(r => REPORT_COLUMNS.map(column => escape(r[column])).join(','))
+    ].join('\n') + '\n';
+
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `import-report-${fileName.replace(/\.csv$/i, '')}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const count = status => rows.filter(r => r.status === status).length;
+
+  return (
+    <div className="card p-6 mb-6 border-2 border-purple-200 bg-purple-50/50">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Import Students from CSV</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Columns: <code>studentId,wallet,scholarshipPercent</code> (header row optional, percent may be empty)
+          </p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label className={`btn-secondary cursor-pointer ${validating || importing ? 'opacity-50 pointer-events-none' : ''}`}>
+          {validating ? 'Validating...' : 'Choose CSV File'}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+        </label>
+        {fileName && <span className="text-sm text-gray-600">{fileName}</span>}
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div className="flex flex-wrap gap-4 mb-4 text-sm">
+            <span className="text-gray-600">{rows.length} rows</span>
+            <span className="text-blue-700">{count('valid')} ready</span>
+            <span className="text-red-700">{count('invalid') + count('failed')} with errors</span>
+            <span className="text-emerald-700">{count('registered')} registered</span>
+          </div>
+
+          <div className="overflow-x-auto max-h-80 overflow-y-auto mb-4 bg-white rounded-xl border border-gray-200">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Line</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Student ID</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Wallet</th>
+                  <th className="text-center py-2 px-3 font-semibold text-gray-700">Scholarship</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.line} className="border-b border-gray-100">
+                    <td className="py-2 px-3 text-gray-500">{row.line}</td>
+                    <td className="py-2 px-3 font-medium text-gray-800">{row.studentId}</td>
+                    <td className="py-2 px-3 font-mono text-xs text-gray-600">{row.wallet}</td>
+                    <td className="py-2 px-3 text-center">{row.percent ? `${row.percent}%` : '-'}</td>
+                    <td className="py-2 px-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ROW_STATUS[row.status].className}`}>
+                        {ROW_STATUS[row.status].label}
+                      </span>
+                      {row.error && (
+                        <span className="ml-2 text-xs text-red-600">{ERROR_MESSAGES[row.code] || row.error}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleImport}
+              disabled={importing || count('valid') === 0}
+              className="btn-primary"
+            >
+              {importing && progress
+                ? `Registering batch ${progress.batch}/${progress.total}...`
+                : `Register ${count('valid')} Students`}
+            </button>
+            <button onClick={downloadReport} className="btn-secondary">
+              Download Report
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,40 @@ export const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS || "0x5fbd
 // Network configuration
 export const SUPPORTED_CHAIN_ID = 31337; // Hardhat localhost (change to 11155111 for Sepolia)
 export const NETWORK_NAME = "Hardhat Localhost";
+// Read-only node used by the public /verify page (no wallet needed)
+export const PUBLIC_RPC_URL = import.meta.env.VITE_PUBLIC_RPC_URL || "http://127.0.0.1:8545";
+// The /verify page searches contract events from the deployment block on, in ranges of
+// LOG_QUERY_BATCH_SIZE blocks (public nodes cap the range of eth_getLogs)
+export const CONTRACT_DEPLOY_BLOCK = Number(import.meta.env.VITE_CONTRACT_DEPLOY_BLOCK) || 0;
+export const LOG_QUERY_BATCH_SIZE = Number(import.meta.env.VITE_LOG_QUERY_BATCH_SIZE) || 5000;
+
+// EIP-712 typed data for student registration requests (must match scripts/auth.js)
+export const REGISTRATION_DOMAIN = {
+  name: "Tuition Portal",
+  version: "1",
+  chainId: SUPPORTED_CHAIN_ID,
+  verifyingContract: CONTRACT_ADDRESS,
+};
+export const REGISTRATION_TYPES = {
+  RegistrationRequest: [
+    { name: "wallet", type: "address" },
+    { name: "studentId", type: "string" },
+    { name: "issuedAt", type: "uint256" },
+  ],
+};
+// Signed by a student to read their own off-chain data (same domain), with a nonce
+// from the data server so the signature is only accepted once
+export const WALLET_ACCESS_TYPES = {
+  WalletAccess: [
+    { name: "wallet", type: "address" },
+    { name: "purpose", type: "string" },
+    { name: "nonce", type: "string" },
+  ],
+};
+export const WALLET_ACCESS_PURPOSES = {
+  profile: "Read my student profile",
+  registration: "Read my registration request",
+};
 
 // Contract ABI - Key functions only
 export const CONTRACT_ABI = [
@@ -16,6 +50,7 @@ export const CONTRACT_ABI = [
   "function feeSchedules(string) view returns (string semester, uint256 baseAmount, uint256 deadline, bool isActive)",
   "function calculateFee(address _student, string _semester) view returns (uint256)",
   "function hasStudentPaid(address _student, string _semester) view returns (bool)",
+  "function studentSemesterPayment(address, string) view returns (uint256)",
   "function getPayment(uint256 _paymentId) view returns (tuple(address student, string studentId, string semester, uint256 amount, uint256 amountAfterRefund, uint256 timestamp, bool paid, bool refunded))",
   "function getStudent(address _student) view returns (tuple(string studentId, address walletAddress, uint256 scholarshipPercent, bool isRegistered))",
   "function getRegisteredStudentsCount() view returns (uint256)",
@@ -29,12 +64,14 @@ export const CONTRACT_ABI = [
   
   // Write functions
   "function registerStudent(address _walletAddress, string _studentId)",
+  "function registerStudentsBatch(address[] _walletAddresses, string[] _studentIds, uint256[] _scholarshipPercents)",
   "function applyScholarship(address _studentAddress, uint256 _percent)",
   "function setFeeSchedule(string _semester, uint256 _baseAmount, uint256 _deadline)",
   "function payTuition(string _semester) payable",
   "function processRefund(uint256 _paymentId, uint256 _refundAmount)",
   "function withdrawToUniversity(uint256 _amount)",
   "function setUniversityWallet(address _newWallet)",
+  "function rotateStudentWallet(address _oldWallet, address _newWallet)",
   
   // Events
   "event StudentRegistered(address indexed wallet, string studentId, uint256 timestamp)",
@@ -43,4 +80,5 @@ export const CONTRACT_ABI = [
   "event RefundProcessed(uint256 indexed paymentId, address indexed student, uint256 amount, uint256 timestamp)",
   "event ScholarshipRefund(address indexed student, uint256 indexed paymentId, uint256 refundAmount, uint256 timestamp)",
   "event UniversityWithdrawal(address indexed wallet, uint256 amount, uint256 timestamp)",
+  "event StudentWalletRotated(string studentId, address indexed oldWallet, address indexed newWallet, uint256 timestamp)",
 ];
@@ -0,0 +1,65 @@
+// User-facing messages for data server error codes (see scripts/validation.js)
+export const ERROR_MESSAGES = {
+  // Validation
+  MISSING_FIELD: "Please fill in all required fields.",
+  INVALID_ADDRESS: "That is not a valid wallet address.",
+  ADDRESS_NOT_CHECKSUMMED: "Wallet address checksum is invalid.",
+  INVALID_PERCENT: "Scholarship must be a whole number from 0 to 100.",
+  INVALID_INTEGER: "Please enter a whole number in the allowed range.",
+  INVALID_TIMESTAMP: "Invalid date or time.",
+  INVALID_AMOUNT: "Invalid amount.",
+  INVALID_SEMESTER: "Semester must look like 2024-1.",
+  INVALID_STUDENT_ID: "Student ID may only contain letters, digits, \"-\" and \"_\" (max 32).",
+  INVALID_SIGNATURE_FORMAT: "Malformed wallet signature.",
+  INVALID_TEXT: "Text is too long.",
+  INVALID_OPTION: "Unsupported option.",
+  INVALID_BOOLEAN: "Expected true or false.",
+  INVALID_EMAIL: "Please enter a valid email address.",
+  INVALID_JSON: "Malformed request.",
+  INVALID_CURSOR: "The list changed, please refresh.",
+  INVALID_SCOPE: "Chain ID and contract address must be sent together.",
+  UNKNOWN_DEPLOYMENT: "The data server does not serve this contract deployment. Check VITE_CONTRACT_ADDRESS and the network.",
+
+  // Authentication
+  ADMIN_SESSION_REQUIRED: "Please sign in as administrator again.",
+  INVALID_SIWE_MESSAGE: "Invalid sign-in message.",
+  NONCE_EXPIRED: "Sign-in request expired, please try again.",
+  DOMAIN_NOT_ALLOWED: "Sign-in from this site is not allowed.",
+  WRONG_CHAIN: "Please switch to the supported network.",
+  INVALID_SIGNATURE: "Wallet signature could not be verified.",
+  SIGNATURE_EXPIRED: "Signature expired, please sign again.",
+  SIGNATURE_MISMATCH: "Signature does not belong to this wallet.",
+  NOT_OWNER: "Only the contract owner can sign in as administrator.",
+  NODE_UNAVAILABLE: "Blockchain node is unavailable, please try again later.",
+
+  // Registration
+  REQUEST_EXISTS: "A registration request for this wallet already exists.",
+  ALREADY_REGISTERED: "This wallet is already registered.",
+  REQUEST_NOT_FOUND: "Registration request not found.",
+  STUDENT_NOT_FOUND: "Student not found.",
+  PAYMENT_NOT_FOUND: "Payment not found on the contract.",
+  PENDING_LIMIT_REACHED: "Too many registration requests are waiting for review. Please try again later.",
+
+  // Student profiles
+  PROFILE_NOT_FOUND: "No profile has been saved for this student yet.",
+
+  // Spam protection
+  NONCE_LIMIT_REACHED: "Too many sign-in attempts in progress. Please try again in a moment.",
+  RATE_LIMITED: "Too many attempts. Please wait a moment and try again.",
+  PAYLOAD_TOO_LARGE: "Request is too large.",
+
+  // Student import
+  EMPTY_CSV: "The CSV file has no student rows.",
+  DUPLICATE_STUDENT_ID: "Student ID appears more than once in the file.",
+  DUPLICATE_WALLET: "Wallet appears more than once in the file.",
+  STUDENT_ID_TAKEN: "Student ID is already registered.",
+  WALLET_REGISTERED: "Wallet is already registered.",
+};
+
+// Message for a failed data server response body ({ error, code })
+export function apiErrorMessage(data, fallback) {
+  if (data && ERROR_MESSAGES[data.code]) {
+    return ERROR_MESSAGES[data.code];
+  }
+  return (data && data.error) || fallback;
+}
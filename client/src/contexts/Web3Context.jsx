@@ -1,9 +1,41 @@
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, Fragment } from 'react';
 import { ethers } from 'ethers';
+import { SiweMessage } from 'siwe';
 import { CONTRACT_ADDRESS, CONTRACT_ABI, SUPPORTED_CHAIN_ID, NETWORK_NAME } from '../config/contracts';
+import { apiErrorMessage } from '../config/errors';
+import * as api from '../api/client';
 
 const Web3Context = createContext();
 
+// Deployment the app works with: the contract on the chain the wallet is connected to
+// (SUPPORTED_CHAIN_ID until the wallet reports its chain, or without a wallet). The data
+// server keeps separate data per deployment, so every API request carries it.
+const scopeFor = (chainId) => ({ chainId, contract: CONTRACT_ADDRESS });
+const scopeKey = (scope) => `${scope.chainId}:${scope.contract.toLowerCase()}`;
+
+let currentScope = scopeFor(SUPPORTED_CHAIN_ID);
+api.setApiScope(currentScope);
+
+// Admin sessions are only valid for the deployment they were opened for
+const ADMIN_SESSION_PREFIX = 'adminSession:';
+const adminSessionKey = () => `${ADMIN_SESSION_PREFIX}${scopeKey(currentScope)}`;
+
+function loadAdminSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(adminSessionKey()));
+    return session && session.expiresAt > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+// Sessions of every deployment, e.g. when the wallet switches chains
+function dropAdminSessions() {
+  for (const key of Object.keys(sessionStorage)) {
+    if (key.startsWith(ADMIN_SESSION_PREFIX)) sessionStorage.removeItem(key);
+  }
+}
+
 export function Web3Provider({ children }) {
   const [account, setAccount] = useState(null);
   const [provider, setProvider] = useState(null);
@@ -13,9 +45,20 @@ export function Web3Provider({ children }) {
   const [error, setError] = useState(null);
   const [chainId, setChainId] = useState(null);
   const [isOwner, setIsOwner] = useState(false);
+  const [adminSession, setAdminSession] = useState(loadAdminSession);
+  const [scope, setScope] = useState(currentScope);
 
   const isCorrectNetwork = chainId === SUPPORTED_CHAIN_ID;
 
+  // Send the connected chain's deployment with API requests from now on
+  const selectChain = (id) => {
+    currentScope = scopeFor(id);
+    api.setApiScope(currentScope);
+    setChainId(id);
+    setScope(currentScope);
+    setAdminSession(loadAdminSession());
+  };
+
   // Initialize provider
   useEffect(() => {
     if (typeof window.ethereum !== 'undefined') {
@@ -33,15 +76,17 @@ export function Web3Provider({ children }) {
         }
       });
 
-      // Listen for chain changes
+      // Listen for chain changes: sessions were opened for the old deployment, and the
+      // reload starts over with providers and data for the new chain
       window.ethereum.on('chainChanged', (chainId) => {
-        setChainId(parseInt(chainId, 16));
+        dropAdminSessions();
+        selectChain(parseInt(chainId, 16));
         window.location.reload();
       });
 
       // Get current chain
       window.ethereum.request({ method: 'eth_chainId' }).then((chainId) => {
-        setChainId(parseInt(chainId, 16));
+        selectChain(parseInt(chainId, 16));
       });
     }
   }, []);
@@ -110,12 +155,80 @@ export function Web3Provider({ children }) {
     }
   }, []);
 
+  const clearAdminSession = useCallback(() => {
+    sessionStorage.removeItem(adminSessionKey());
+    setAdminSession(null);
+  }, []);
+
+  // Drop admin session when it belongs to another account
+  useEffect(() => {
+    if (adminSession && account && adminSession.address.toLowerCase() !== account.toLowerCase()) {
+      clearAdminSession();
+    }
+  }, [account, adminSession, clearAdminSession]);
+
+  // Sign-In-With-Ethereum: opens a new admin session and returns its bearer token
+  const signIn = useCallback(async () => {
+    if (!signer || !account) {
+      throw new Error('Wallet not connected');
+    }
+
+    const { nonce } = await api.getAuthNonce();
+
+    const message = new SiweMessage({
+      domain: window.location.host,
+      address: ethers.getAddress(account),
+      statement: 'Sign in to Tuition Portal as administrator.',
+      uri: window.location.origin,
+      version: '1',
+      chainId,
+      nonce,
+      issuedAt: new Date().toISOString(),
+    }).prepareMessage();
+    const signature = await signer.signMessage(message);
+
+    let data;
+    try {
+      data = await api.verifyAdminSignIn({ message, signature });
+    } catch (err) {
+      throw new Error(apiErrorMessage(err.data, 'Admin sign-in failed'));
+    }
+
+    const session = { token: data.token, address: data.address, expiresAt: data.expiresAt };
+    sessionStorage.setItem(adminSessionKey(), JSON.stringify(session));
+    setAdminSession(session);
+    return session.token;
+  }, [signer, account, chainId]);
+
+  // Bearer token for admin data-server routes, signing in when there is no session yet.
+  // The session is read back from sessionStorage so a sign-in earlier in the same handler is reused.
+  const getAdminToken = useCallback(async () => {
+    const session = loadAdminSession();
+    return session ? session.token : signIn();
+  }, [signIn]);
+
+  // Run an admin API call with a session token. The data server keeps sessions in memory,
+  // so after a restart it answers 401 ADMIN_SESSION_REQUIRED: sign in again and retry once.
+  const withAdminSession = useCallback(async (call) => {
+    try {
+      return await call(await getAdminToken());
+    } catch (err) {
+      if (err.status !== 401 || err.code !== 'ADMIN_SESSION_REQUIRED') throw err;
+      clearAdminSession();
+      return call(await signIn());
+    }
+  }, [getAdminToken, signIn, clearAdminSession]);
+
   // Disconnect
   const disconnect = useCallback(() => {
+    if (adminSession) {
+      api.logout({ token: adminSession.token }).catch(() => {});
+    }
+    clearAdminSession();
     setAccount(null);
     setSigner(null);
     setContract(null);
-  }, []);
+  }, [adminSession, clearAdminSession]);
 
   const value = {
     account,
@@ -127,12 +240,21 @@ export function Web3Provider({ children }) {
     chainId,
     isCorrectNetwork,
     isOwner,
+    isAdminSignedIn: !!adminSession,
+    scope,
+    getAdminToken,
+    withAdminSession,
     connect,
     disconnect,
     switchNetwork,
   };
 
-  return <Web3Context.Provider value={value}>{children}</Web3Context.Provider>;
+  // Pages mount again for another deployment, so they load its data
+  return (
+    <Web3Context.Provider value={value}>
+      <Fragment key={scopeKey(scope)}>{children}</Fragment>
+    </Web3Context.Provider>
+  );
 }
 
 export function useWeb3() {
@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react';
+import { openActivityStream } from '../api/client';
+
+// Subscribe to contract activity pushed by the data server (GET /api/stream).
+// onActivity(events) receives the newly indexed events whose name is in `names`;
+// reorgs and node resets call onActivity([]) so the page reloads its data.
+// Returns true while the stream is connected.
+export function useLiveActivity(names, onActivity, enabled = true) {
+  const callback = useRef(onActivity);
+  callback.current = onActivity;
+  const [connected, setConnected] = useState(false);
+  const key = names.join(',');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const source = openActivityStream();
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false); // EventSource reconnects by itself
+
+    source.addEventListener('activity', (message) => {
+      const events = JSON.parse(message.data).filter(e => names.includes(e.name));
+      if (events.length > 0) callback.current(events);
+    });
+    const reload = () => callback.current([]);
+    source.addEventListener('rollback', reload);
+    source.addEventListener('reset', reload);
+
+    return () => {
+      source.close();
+      setConnected(false);
+    };
+  }, [key, enabled]);
+
+  return connected;
+}
@@ -3,24 +3,13 @@ import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
-
-const DATA_API = 'http://localhost:3001/api';
-
-// Helper to save data to server
-async function saveToServer(endpoint, data) {
-  try {
-    await fetch(`${DATA_API}${endpoint}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data)
-    });
-  } catch (err) {
-    console.warn('Failed to save to data server:', err);
-  }
-}
+import { useLiveActivity } from '../hooks/useLiveActivity';
+import LiveBadge from '../components/LiveBadge';
+import { apiErrorMessage } from '../config/errors';
+import * as api from '../api/client';
 
 export default function AdminDashboard() {
-  const { account, contract, isCorrectNetwork } = useWeb3();
+  const { account, contract, isCorrectNetwork, isAdminSignedIn, getAdminToken, withAdminSession } = useWeb3();
   const navigate = useNavigate();
   const [isOwner, setIsOwner] = useState(false);
   const [isChecking, setIsChecking] = useState(true);
@@ -38,17 +27,15 @@ export default function AdminDashboard() {
   const [withdrawAmount, setWithdrawAmount] = useState('');
   const [semesters, setSemesters] = useState([]);
   const [pendingRequests, setPendingRequests] = useState([]);
+  const [rejectTarget, setRejectTarget] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
   
   const [isProcessing, setIsProcessing] = useState(false);
 
-  // Fetch pending registration requests
+  // Fetch pending registration requests (admin only, signs in when needed)
   const fetchPendingRequests = async () => {
     try {
-      const response = await fetch(`${DATA_API}/register-requests`);
-      if (response.ok) {
-        const requests = await response.json();
-        setPendingRequests(requests);
-      }
+      setPendingRequests(await withAdminSession(token => api.getPendingRequests({ token })));
     } catch (err) {
       console.warn('Failed to fetch pending requests:', err);
     }
@@ -76,6 +63,19 @@ export default function AdminDashboard() {
     }
   };
 
+  // Keep the summary current when anyone transacts with the contract
+  const live = useLiveActivity(
+    ['PaymentReceived', 'RefundProcessed', 'ScholarshipRefund', 'ScholarshipApplied', 'StudentRegistered', 'StudentWalletRotated', 'UniversityWithdrawal', 'FeeScheduleCreated'],
+    (events) => {
+      for (const event of events.filter(e => e.name === 'PaymentReceived')) {
+        toast.success(`Payment received: ${event.args.studentId} (${event.args.semester})`);
+      }
+      refreshStats();
+      if (isAdminSignedIn) fetchPendingRequests();
+    },
+    isOwner
+  );
+
   // Check if current account is owner
   useEffect(() => {
     async function checkOwner() {
@@ -95,7 +95,6 @@ export default function AdminDashboard() {
         }
         
         await refreshStats();
-        await fetchPendingRequests();
       } catch (err) {
         console.error('Error checking owner:', err);
       } finally {
@@ -105,23 +104,37 @@ export default function AdminDashboard() {
     checkOwner();
   }, [contract, account, navigate]);
 
+  // Load requests right away when already signed in, otherwise on request
+  useEffect(() => {
+    if (isOwner && isAdminSignedIn) {
+      fetchPendingRequests();
+    }
+  }, [isOwner, isAdminSignedIn]);
+
   // Approve registration request
   const handleApproveRequest = async (wallet, studentId) => {
     setIsProcessing(true);
     try {
+      // Sign in first so the data server accepts the approval afterwards
+      await getAdminToken();
+
       // First register on blockchain
       const tx = await contract.registerStudent(wallet, studentId);
       toast.loading('Registering student...', { id: 'approve' });
       await tx.wait();
       
-      // Then update API
-      await fetch(`${DATA_API}/register-approve`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ wallet })
-      });
+      // Then update API. The student is on chain and gets indexed anyway, but the
+      // request stays pending until the approval is recorded, so say so.
+      try {
+        await withAdminSession(token => api.approveRegistration({ wallet: ethers.getAddress(wallet) }, { token }));
+        toast.success('Registration approved!', { id: 'approve' });
+      } catch (err) {
+        toast.error(
+          `Student registered on chain, but the request could not be marked approved: ${apiErrorMessage(err.data, err.message)}`,
+          { id: 'approve' }
+        );
+      }
       
-      toast.success('Registration approved!', { id: 'approve' });
       await refreshStats();
       await fetchPendingRequests();
     } catch (err) {
@@ -133,16 +146,18 @@ export default function AdminDashboard() {
 
   // Reject registration request
   const handleRejectRequest = async (wallet) => {
+    if (!rejectReason.trim()) {
+      toast.error('Please enter a rejection reason');
+      return;
+    }
     try {
-      await fetch(`${DATA_API}/register-reject`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ wallet })
-      });
+      await withAdminSession(token => api.rejectRegistration({ wallet: ethers.getAddress(wallet), reason: rejectReason.trim() }, { token }));
       toast.success('Registration request rejected');
+      setRejectTarget(null);
+      setRejectReason('');
       await fetchPendingRequests();
     } catch (err) {
-      toast.error('Rejection failed!');
+      toast.error(apiErrorMessage(err.data, err.message || 'Rejection failed!'));
     }
   };
 
@@ -163,11 +178,9 @@ export default function AdminDashboard() {
 
       const tx = await contract.applyScholarship(walletAddress, newScholarship.percent);
       toast.loading('Applying scholarship...', { id: 'scholarship' });
+      // The data server indexes ScholarshipApplied itself
       const receipt = await tx.wait();
       
-      // Save to JSON file
-      await saveToServer('/scholarships', { studentId: newScholarship.studentId, wallet: walletAddress, percent: Number(newScholarship.percent) });
-      
       // Check if there was a scholarship refund
       const scholarshipRefundEvent = receipt.logs.find(log => {
         try {
@@ -203,15 +216,9 @@ export default function AdminDashboard() {
       
       const tx = await contract.setFeeSchedule(newFee.semester, amountWei, deadlineTimestamp);
       toast.loading('Setting up tuition fee...', { id: 'fee' });
+      // The data server indexes FeeScheduleCreated itself
       await tx.wait();
       
-      // Save to JSON file
-      await saveToServer('/fees', { 
-        semester: newFee.semester, 
-        amount: amountWei.toString(), 
-        deadline: deadlineTimestamp 
-      });
-      
       toast.success('Tuition fee set successfully!', { id: 'fee' });
       setNewFee({ semester: '', amount: '', deadline: '' });
       await refreshStats();
@@ -311,13 +318,25 @@ export default function AdminDashboard() {
   return (
     <div className="max-w-5xl mx-auto animate-slide-up">
       <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-800 mb-2">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2 flex items-center gap-3">
           Admin Dashboard
+          <LiveBadge connected={live} />
         </h1>
         <p className="text-gray-500">Manage tuition fees and withdrawals</p>
       </div>
 
       {/* Pending Registration Requests */}
+      {!isAdminSignedIn && (
+        <div className="mb-8">
+          <button
+            type="button"
+            onClick={fetchPendingRequests}
+            className="text-sm text-blue-600 hover:text-blue-700"
+          >
+            Sign in to show pending registration requests
+          </button>
+        </div>
+      )}
       {pendingRequests.length > 0 && (
         <div className="card mb-8 border-2 border-amber-200">
           <div className="card-header bg-amber-50">
@@ -331,30 +350,64 @@ export default function AdminDashboard() {
           <div className="card-body">
             <div className="space-y-3">
               {pendingRequests.map((req, idx) => (
-                <div key={idx} className="flex items-center justify-between p-4 bg-gray-50 rounded-xl">
-                  <div>
-                    <p className="font-semibold text-gray-800">{req.studentId}</p>
-                    <p className="text-sm text-gray-500 font-mono">{req.wallet}</p>
-                    <p className="text-xs text-gray-400">
-                      {new Date(req.createdAt).toLocaleString('vi-VN')}
-                    </p>
-                  </div>
-                  <div className="flex space-x-2">
-                    <button
-                      onClick={() => handleApproveRequest(req.wallet, req.studentId)}
-                      disabled={isProcessing}
-                      className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50 transition-colors"
-                    >
-                      Approve
-                    </button>
-                    <button
-                      onClick={() => handleRejectRequest(req.wallet)}
-                      disabled={isProcessing}
-                      className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 disabled:opacity-50 transition-colors"
-                    >
-                      Reject
-                    </button>
+                <div key={idx} className="p-4 bg-gray-50 rounded-xl">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-semibold text-gray-800">
+                        {req.studentId}
+                        {req.history && req.history.some(h => h.status === 'rejected' || h.status === 'expired') && (
+                          <span className="ml-2 px-2 py-0.5 bg-amber-100 text-amber-700 rounded-full text-xs font-medium">
+                            Resubmitted
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-500 font-mono">{req.wallet}</p>
+                      <p className="text-xs text-gray-400">
+                        {new Date(req.createdAt).toLocaleString('vi-VN')}
+                        {req.expiresAt && ` · expires ${new Date(req.expiresAt).toLocaleString('vi-VN')}`}
+                      </p>
+                    </div>
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleApproveRequest(req.wallet, req.studentId)}
+                        disabled={isProcessing}
+                        className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50 transition-colors"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => { setRejectTarget(req.wallet); setRejectReason(''); }}
+                        disabled={isProcessing}
+                        className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 disabled:opacity-50 transition-colors"
+                      >
+                        Reject
+                      </button>
+                    </div>
                   </div>
+                  {rejectTarget === req.wallet && (
+                    <div className="flex space-x-2 mt-3">
+                      <input
+                        type="text"
+                        placeholder="Reason shown to the student"
+                        value={rejectReason}
+                        onChange={(e) => setRejectReason(e.target.value)}
+                        maxLength={500}
+                        className="input-field flex-1"
+                      />
+                      <button
+                        onClick={() => handleRejectRequest(req.wallet)}
+                        className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+                      >
+                        Confirm
+                      </button>
+                      <button
+                        onClick={() => setRejectTarget(null)}
+                        className="px-4 py-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -1,10 +1,31 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
+import { REGISTRATION_DOMAIN, REGISTRATION_TYPES, WALLET_ACCESS_TYPES, WALLET_ACCESS_PURPOSES } from '../config/contracts';
+import { apiErrorMessage } from '../config/errors';
 import toast from 'react-hot-toast';
+import * as api from '../api/client';
+
+const REQUEST_STATUS = {
+  pending: { label: 'Pending review', className: 'bg-amber-100 text-amber-700' },
+  approved: { label: 'Approved', className: 'bg-emerald-100 text-emerald-700' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-700' },
+  expired: { label: 'Expired', className: 'bg-gray-200 text-gray-600' },
+};
+
+// "45 seconds" / "3 minutes" for Retry-After values
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 120) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  if (hours < 48) return `${hours} hours`;
+  return `${Math.ceil(hours / 24)} days`;
+}
 
 export default function HomePage() {
-  const { account, contract, isCorrectNetwork } = useWeb3();
+  const { account, signer, contract, isCorrectNetwork } = useWeb3();
   const navigate = useNavigate();
   const [isLoading, setIsLoading] = useState(true);
   const [isOwner, setIsOwner] = useState(false);
@@ -12,6 +33,58 @@ export default function HomePage() {
   const [showRegister, setShowRegister] = useState(false);
   const [studentIdInput, setStudentIdInput] = useState('');
   const [isRegistering, setIsRegistering] = useState(false);
+  const [registration, setRegistration] = useState(null);
+  const [isLoadingDetails, setIsLoadingDetails] = useState(false);
+  // Set after a 429: submitting is disabled until then (ms timestamp)
+  const [retryAt, setRetryAt] = useState(null);
+
+  // Latest registration request of this wallet with its status history (null if none)
+  const fetchRegistration = async () => {
+    try {
+      setRegistration(await api.getRegistrationRequest(ethers.getAddress(account)));
+    } catch (err) {
+      if (err.status === 404) {
+        setRegistration(null);
+      } else {
+        console.warn('Failed to fetch registration status:', err);
+      }
+    }
+  };
+
+  // Student ID, rejection reason and reviewer are only returned to the wallet itself,
+  // which proves ownership by signing a WalletAccess message
+  const fetchRegistrationDetails = async () => {
+    if (!signer) return;
+
+    setIsLoadingDetails(true);
+    try {
+      const { nonce } = await api.getAuthNonce();
+      const request = { wallet: ethers.getAddress(account), nonce };
+      const signature = await signer.signTypedData(REGISTRATION_DOMAIN, WALLET_ACCESS_TYPES, {
+        ...request,
+        purpose: WALLET_ACCESS_PURPOSES.registration,
+      });
+      setRegistration(await api.getMyRegistrationRequest({ ...request, signature }));
+    } catch (err) {
+      toast.error(err.reason || apiErrorMessage(err.data, err.message || 'Could not load request details'));
+    } finally {
+      setIsLoadingDetails(false);
+    }
+  };
+
+  // Re-enable submitting once the rate limit window has passed or the review queue has room
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    // setTimeout fires at once for delays beyond ~24.8 days
+    const timer = setTimeout(() => setRetryAt(null), Math.min(Math.max(0, retryAt - Date.now()), 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [retryAt]);
+
+  useEffect(() => {
+    if (showRegister && account) {
+      fetchRegistration();
+    }
+  }, [showRegister, account]);
 
   useEffect(() => {
     async function checkAccountType() {
@@ -58,27 +131,41 @@ export default function HomePage() {
     if (!contract || !studentIdInput.trim()) return;
 
     setIsRegistering(true);
+    let request;
+    let signature;
     try {
-      // Try to register through admin API
-      const response = await fetch('http://localhost:3001/api/register-request', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          wallet: account,
-          studentId: studentIdInput.trim()
-        })
-      });
+      // Prove wallet ownership with an EIP-712 signature
+      request = {
+        wallet: ethers.getAddress(account),
+        studentId: studentIdInput.trim(),
+        issuedAt: Math.floor(Date.now() / 1000)
+      };
+      signature = await signer.signTypedData(REGISTRATION_DOMAIN, REGISTRATION_TYPES, request);
+    } catch (err) {
+      toast.error(err.reason || 'Signature request was rejected');
+      setIsRegistering(false);
+      return;
+    }
 
-      if (response.ok) {
-        toast.success('Registration request sent! Please wait for admin approval.');
-        setStudentIdInput('');
+    try {
+      // Try to register through admin API
+      await api.submitRegistrationRequest({ ...request, signature });
+      toast.success('Registration request sent! Please wait for admin approval.');
+      setStudentIdInput('');
+      await fetchRegistration();
+    } catch (err) {
+      if (err.status === 0) {
+        // If API not available, show message
+        toast.error('Please contact admin to register in the system.');
+      } else if (err.code === 'RATE_LIMITED' || err.code === 'PENDING_LIMIT_REACHED') {
+        // A full review queue says when its oldest request expires (retryAt)
+        const until = Date.parse(err.data.retryAt) || Date.now() + (err.data.retryAfter || 60) * 1000;
+        const seconds = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+        setRetryAt(until);
+        toast.error(`${apiErrorMessage(err.data, 'Too many attempts.')} You can try again in ${formatWait(seconds)}.`);
       } else {
-        const data = await response.json();
-        toast.error(data.error || 'Request submission failed!');
+        toast.error(apiErrorMessage(err.data, 'Request submission failed!'));
       }
-    } catch (err) {
-      // If API not available, show message
-      toast.error('Please contact admin to register in the system.');
     } finally {
       setIsRegistering(false);
     }
@@ -140,6 +227,10 @@ export default function HomePage() {
 
   // Show registration form for unregistered accounts
   if (showRegister) {
+    // A new request is allowed unless one is waiting for review
+    const canSubmit = !registration || registration.status === 'rejected' || registration.status === 'expired';
+    const status = registration && REQUEST_STATUS[registration.status];
+
     return (
       <div className="min-h-[60vh] flex items-center justify-center">
         <div className="max-w-md w-full animate-slide-up">
@@ -165,28 +256,81 @@ export default function HomePage() {
                 </p>
               </div>
 
-              <form onSubmit={handleSelfRegister} className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Student ID
-                  </label>
-                  <input
-                    type="text"
-                    placeholder="e.g., SV001"
-                    value={studentIdInput}
-                    onChange={(e) => setStudentIdInput(e.target.value)}
-                    className="input-field"
-                    required
-                  />
+              {registration && (
+                <div className="mb-6">
+                  <div className="flex items-center justify-between mb-3">
+                    <span className="text-sm font-medium text-gray-700">Request Status</span>
+                    <span className={`px-3 py-1 rounded-full text-xs font-medium ${status.className}`}>
+                      {status.label}
+                    </span>
+                  </div>
+                  {registration.status === 'pending' && registration.expiresAt && (
+                    <p className="text-xs text-gray-500 mb-3">
+                      Expires on {new Date(registration.expiresAt).toLocaleString('vi-VN')} if not reviewed
+                    </p>
+                  )}
+                  {registration.status === 'rejected' && registration.reason && (
+                    <div className="p-3 mb-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">
+                      <strong>Reason:</strong> {registration.reason}
+                    </div>
+                  )}
+                  {!registration.studentId && (
+                    <button
+                      type="button"
+                      onClick={fetchRegistrationDetails}
+                      disabled={isLoadingDetails}
+                      className="text-sm text-blue-600 hover:text-blue-700 mb-3 disabled:opacity-50"
+                    >
+                      {isLoadingDetails ? 'Loading details...' : 'Sign to show student ID and rejection reason'}
+                    </button>
+                  )}
+
+                  {/* Status history, newest first */}
+                  <ul className="space-y-2">
+                    {[...registration.history].reverse().map((entry, idx) => (
+                      <li key={idx} className="text-xs text-gray-500 flex justify-between gap-2">
+                        <span>
+                          <span className="font-medium text-gray-700">{REQUEST_STATUS[entry.status].label}</span>
+                          {entry.studentId && ` · ${entry.studentId}`}
+                          {entry.by && ` · by ${entry.by.slice(0, 6)}...${entry.by.slice(-4)}`}
+                          {entry.reason && ` · ${entry.reason}`}
+                        </span>
+                        <span className="whitespace-nowrap">{new Date(entry.at).toLocaleString('vi-VN')}</span>
+                      </li>
+                    ))}
+                  </ul>
                 </div>
-                <button
-                  type="submit"
-                  disabled={isRegistering}
-                  className="w-full btn-primary"
-                >
-                  {isRegistering ? 'Sending...' : 'Submit Registration Request'}
-                </button>
-              </form>
+              )}
+
+              {canSubmit && (
+                <form onSubmit={handleSelfRegister} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Student ID
+                    </label>
+                    <input
+                      type="text"
+                      placeholder="e.g., SV001"
+                      value={studentIdInput}
+                      onChange={(e) => setStudentIdInput(e.target.value)}
+                      className="input-field"
+                      required
+                    />
+                  </div>
+                  {retryAt && (
+                    <p className="text-sm text-amber-700 bg-amber-50 rounded-lg p-3">
+                      New registration requests are not accepted right now. Please try again after {new Date(retryAt).toLocaleString()}.
+                    </p>
+                  )}
+                  <button
+                    type="submit"
+                    disabled={isRegistering || Boolean(retryAt)}
+                    className="w-full btn-primary"
+                  >
+                    {isRegistering ? 'Sending...' : registration ? 'Resubmit Registration Request' : 'Submit Registration Request'}
+                  </button>
+                </form>
+              )}
 
               <div className="mt-6 pt-6 border-t border-gray-100">
                 <p className="text-sm text-gray-500 text-center">
@@ -1,13 +1,30 @@
 import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
+import { apiErrorMessage } from '../config/errors';
+import toast from 'react-hot-toast';
+import { useLiveActivity } from '../hooks/useLiveActivity';
+import LiveBadge from '../components/LiveBadge';
+import * as api from '../api/client';
+
+const PAGE_SIZE = 20;
+
+// ETH amount typed in a filter box as a wei string, '' when empty or invalid
+function toWei(eth) {
+  try {
+    return eth ? ethers.parseEther(eth).toString() : '';
+  } catch {
+    return '';
+  }
+}
 
 export default function PaymentHistory() {
-  const { contract, isCorrectNetwork, isOwner } = useWeb3();
+  const { isCorrectNetwork, isOwner, withAdminSession } = useWeb3();
   const [payments, setPayments] = useState([]);
-  const [filteredPayments, setFilteredPayments] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [totalPayments, setTotalPayments] = useState(0);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   
   // Filters
   const [students, setStudents] = useState([]);
@@ -15,167 +32,128 @@ export default function PaymentHistory() {
   const [selectedStudent, setSelectedStudent] = useState('');
   const [selectedStatus, setSelectedStatus] = useState('');
   const [selectedSemester, setSelectedSemester] = useState('');
+  const [minAmount, setMinAmount] = useState('');
+  const [maxAmount, setMaxAmount] = useState('');
+  const [sortBy, setSortBy] = useState('-timestamp');
   
   // Time range slider
   const [timeRange, setTimeRange] = useState({ min: 0, max: 0 });
   const [selectedTimeRange, setSelectedTimeRange] = useState({ from: 0, to: 0 });
   const [showFilters, setShowFilters] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [exporting, setExporting] = useState(null);
 
   const refreshData = () => {
     setRefreshKey(prev => prev + 1);
   };
 
+  // New payments and refunds reload the current filters
+  const live = useLiveActivity(['PaymentReceived', 'RefundProcessed', 'ScholarshipRefund'], refreshData);
+
+  const isTimeRangeNarrowed = timeRange.min > 0 &&
+    (selectedTimeRange.from !== timeRange.min || selectedTimeRange.to !== timeRange.max);
+
+  // Filtering, sorting and paging happen on the data server (empty filters are left out)
+  const buildQuery = (cursor) => ({
+    sort: sortBy,
+    limit: PAGE_SIZE,
+    studentId: selectedStudent,
+    semester: selectedSemester,
+    status: selectedStatus,
+    minAmount: toWei(minAmount),
+    maxAmount: toWei(maxAmount),
+    from: isTimeRangeNarrowed ? selectedTimeRange.from : undefined,
+    to: isTimeRangeNarrowed ? selectedTimeRange.to : undefined,
+    cursor,
+  });
+
+  const fetchPage = async (cursor) => {
+    try {
+      return await api.queryPayments(buildQuery(cursor));
+    } catch (err) {
+      throw new Error(apiErrorMessage(err.data, 'Failed to load payments'));
+    }
+  };
+
+  // Load the first page whenever filters change (debounced for the slider)
   useEffect(() => {
-    async function fetchPayments() {
-      if (!contract) return;
-      
+    let cancelled = false;
+    const timer = setTimeout(async () => {
       setIsLoading(true);
       try {
-        const count = await contract.paymentCounter();
-        setTotalPayments(Number(count));
-        
-        let allTransactions = [];
-        
-        if (count > 0) {
-          const history = await contract.getPaymentHistory(1, Math.min(Number(count), 50));
-          
-          // Convert payments to transaction format
-          const paymentTransactions = history.map((p, idx) => ({
-            type: 'payment',
-            id: idx + 1,
-            student: p.student,
-            studentId: p.studentId,
-            semester: p.semester,
-            amount: p.amount,
-            amountAfterRefund: p.amountAfterRefund,
-            timestamp: p.timestamp,
-            paid: p.paid,
-            refunded: p.refunded
-          }));
-          
-          allTransactions = [...paymentTransactions];
-          
-          // Fetch RefundProcessed events
-          try {
-            const refundFilter = contract.filters.RefundProcessed();
-            const refundEvents = await contract.queryFilter(refundFilter);
-            
-            const refundTransactions = await Promise.all(refundEvents.map(async (event) => {
-              const payment = await contract.getPayment(event.args.paymentId);
-              return {
-                type: 'refund',
-                id: `refund-${Number(event.args.paymentId)}`,
-                student: event.args.student,
-                studentId: payment.studentId,
-                semester: payment.semester,
-                amount: event.args.amount,
-                timestamp: event.args.timestamp,
-                paymentId: Number(event.args.paymentId)
-              };
-            }));
-            
-            allTransactions = [...allTransactions, ...refundTransactions];
-          } catch (err) {
-            console.warn('Could not fetch refund events:', err);
-          }
-          
-          // Fetch ScholarshipRefund events
-          try {
-            const scholarshipRefundFilter = contract.filters.ScholarshipRefund();
-            const scholarshipRefundEvents = await contract.queryFilter(scholarshipRefundFilter);
-            
-            const scholarshipRefundTransactions = await Promise.all(scholarshipRefundEvents.map(async (event) => {
-              const payment = await contract.getPayment(event.args.paymentId);
-              const student = await contract.getStudent(event.args.student);
-              return {
-                type: 'scholarship_refund',
-                id: `scholarship-${Number(event.args.paymentId)}-${Number(event.args.timestamp)}`,
-                student: event.args.student,
-                studentId: student.studentId,
-                semester: payment.semester,
-                amount: event.args.refundAmount,
-                timestamp: event.args.timestamp,
-                paymentId: Number(event.args.paymentId)
-              };
-            }));
-            
-            allTransactions = [...allTransactions, ...scholarshipRefundTransactions];
-          } catch (err) {
-            console.warn('Could not fetch scholarship refund events:', err);
-          }
-          
-          // Sort by timestamp descending
-          allTransactions.sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
-          
-          setPayments(allTransactions);
-          setFilteredPayments(allTransactions);
-          
-          // Extract unique students for filter dropdown
-          const uniqueStudents = [...new Set(allTransactions.map(p => p.studentId))].sort();
-          setStudents(uniqueStudents);
-          
-          // Extract unique semesters for filter dropdown
-          const uniqueSemesters = [...new Set(allTransactions.map(p => p.semester))].sort();
-          setSemesters(uniqueSemesters);
-          
-          // Set time range from payment timestamps
-          if (allTransactions.length > 0) {
-            const timestamps = allTransactions.map(p => Number(p.timestamp));
-            const minTime = Math.min(...timestamps);
-            const maxTime = Math.max(...timestamps);
-            setTimeRange({ min: minTime, max: maxTime });
-            setSelectedTimeRange({ from: minTime, to: maxTime });
-          }
+        const result = await fetchPage(null);
+        if (cancelled) return;
+
+        setPayments(result.items);
+        setTotals(result.totals);
+        setNextCursor(result.nextCursor);
+        setStudents(result.facets.studentIds);
+        setSemesters(result.facets.semesters);
+
+        // Reset the slider only when the overall time range changes
+        const range = result.facets.timeRange;
+        if (range && (range.min !== timeRange.min || range.max !== timeRange.max)) {
+          setTimeRange(range);
+          setSelectedTimeRange({ from: range.min, to: range.max });
         }
       } catch (err) {
         console.error('Error fetching payments:', err);
       } finally {
-        setIsLoading(false);
+        if (!cancelled) setIsLoading(false);
       }
-    }
-    
-    fetchPayments();
-  }, [contract, refreshKey]);
+    }, 300);
 
-  // Apply filters
-  useEffect(() => {
-    let result = [...payments];
-    
-    // Filter by student
-    if (selectedStudent) {
-      result = result.filter(p => p.studentId === selectedStudent);
-    }
-    
-    // Filter by status/type
-    if (selectedStatus === 'paid') {
-      result = result.filter(p => p.type === 'payment' && p.paid && !p.refunded);
-    } else if (selectedStatus === 'refunded') {
-      result = result.filter(p => p.type === 'payment' && p.refunded);
-    } else if (selectedStatus === 'refund_tx') {
-      result = result.filter(p => p.type === 'refund' || p.type === 'scholarship_refund');
-    }
-    
-    // Filter by semester
-    if (selectedSemester) {
-      result = result.filter(p => p.semester === selectedSemester);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedStudent, selectedStatus, selectedSemester, minAmount, maxAmount, sortBy, selectedTimeRange, refreshKey]);
+
+  // Accounting export for the selected semester and time range (other filters do not apply);
+  // admin only, it names the student behind every wallet
+  const downloadLedger = async (format) => {
+    setExporting(format);
+    try {
+      const { blob, filename } = await withAdminSession(token => api.exportLedger({
+        format,
+        semester: selectedSemester,
+        from: isTimeRangeNarrowed ? selectedTimeRange.from : undefined,
+        to: isTimeRangeNarrowed ? selectedTimeRange.to : undefined,
+      }, { token }));
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `ledger.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(apiErrorMessage(err.data, err.message || 'Export failed'));
+    } finally {
+      setExporting(null);
     }
-    
-    // Filter by time range
-    if (timeRange.min > 0) {
-      result = result.filter(p => {
-        const ts = Number(p.timestamp);
-        return ts >= selectedTimeRange.from && ts <= selectedTimeRange.to;
-      });
+  };
+
+  const loadMore = async () => {
+    if (!nextCursor) return;
+    setIsLoadingMore(true);
+    try {
+      const result = await fetchPage(nextCursor);
+      setPayments(prev => [...prev, ...result.items]);
+      setNextCursor(result.nextCursor);
+    } catch (err) {
+      console.error('Error fetching payments:', err);
+    } finally {
+      setIsLoadingMore(false);
     }
-    
-    setFilteredPayments(result);
-  }, [payments, selectedStudent, selectedStatus, selectedSemester, selectedTimeRange, timeRange]);
+  };
 
   const clearFilters = () => {
     setSelectedStudent('');
     setSelectedStatus('');
     setSelectedSemester('');
+    setMinAmount('');
+    setMaxAmount('');
     setSelectedTimeRange({ from: timeRange.min, to: timeRange.max });
   };
   
@@ -190,8 +168,8 @@ export default function PaymentHistory() {
     });
   };
   
-  const hasActiveFilters = selectedStudent || selectedStatus || selectedSemester || 
-    (timeRange.min > 0 && (selectedTimeRange.from !== timeRange.min || selectedTimeRange.to !== timeRange.max));
+  const hasActiveFilters = selectedStudent || selectedStatus || selectedSemester ||
+    minAmount || maxAmount || isTimeRangeNarrowed;
 
   const formatDate = (timestamp) => {
     return new Date(Number(timestamp) * 1000).toLocaleString('vi-VN');
@@ -224,8 +202,9 @@ export default function PaymentHistory() {
       {/* Header */}
       <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-6">
         <div>
-          <h1 className="text-3xl font-bold text-gray-800 mb-2">
+          <h1 className="text-3xl font-bold text-gray-800 mb-2 flex items-center gap-3">
             Payment History
+            <LiveBadge connected={live} />
           </h1>
           <p className="text-gray-500">
             Track all transactions on blockchain
@@ -246,12 +225,25 @@ export default function PaymentHistory() {
             Filter
             {hasActiveFilters && (
               <span className="ml-1 px-2 py-0.5 text-xs bg-blue-600 text-white rounded-full">
-                {[selectedStudent, selectedSemester, selectedStatus, 
-                  (timeRange.min > 0 && (selectedTimeRange.from !== timeRange.min || selectedTimeRange.to !== timeRange.max))]
+                {[selectedStudent, selectedSemester, selectedStatus, minAmount || maxAmount, isTimeRangeNarrowed]
                   .filter(Boolean).length}
               </span>
             )}
           </button>
+          {isOwner && ['csv', 'xlsx'].map(format => (
+            <button
+              key={format}
+              onClick={() => downloadLedger(format)}
+              disabled={exporting !== null}
+              className="flex items-center gap-2 px-4 py-2 rounded-xl font-medium transition-all bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-50"
+              title={`Export payments, refunds and withdrawals${selectedSemester ? ` for ${selectedSemester}` : ''} as ${format.toUpperCase()}`}
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              {exporting === format ? 'Exporting...' : format.toUpperCase()}
+            </button>
+          ))}
           <button
             onClick={refreshData}
             disabled={isLoading}
@@ -296,16 +288,58 @@ export default function PaymentHistory() {
             </select>
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Type</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Status</label>
             <select
               value={selectedStatus}
               onChange={(e) => setSelectedStatus(e.target.value)}
               className="input-field"
             >
-              <option value="">All Types</option>
-              <option value="paid">Payment (Success)</option>
-              <option value="refunded">Payment (Refunded)</option>
-              <option value="refund_tx">Refund Transfer</option>
+              <option value="">All Statuses</option>
+              <option value="paid">Paid</option>
+              <option value="partially_refunded">Partially Refunded</option>
+              <option value="refunded">Refunded</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="grid md:grid-cols-3 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Min Amount (ETH)</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={minAmount}
+              onChange={(e) => setMinAmount(e.target.value)}
+              placeholder="0"
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Max Amount (ETH)</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={maxAmount}
+              onChange={(e) => setMaxAmount(e.target.value)}
+              placeholder="Any"
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Sort by</label>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="input-field"
+            >
+              <option value="-timestamp">Newest first</option>
+              <option value="timestamp">Oldest first</option>
+              <option value="-amount">Amount (high to low)</option>
+              <option value="amount">Amount (low to high)</option>
+              <option value="studentId">Student ID</option>
+              <option value="semester">Semester</option>
             </select>
           </div>
         </div>
@@ -383,7 +417,7 @@ export default function PaymentHistory() {
           {hasActiveFilters && (
             <>
               <div className="text-sm text-gray-500">
-                Showing {filteredPayments.length} of {payments.length} transactions
+                Showing {payments.length} of {totals ? totals.count : 0} payments
               </div>
               <button
                 onClick={clearFilters}
@@ -397,24 +431,42 @@ export default function PaymentHistory() {
       </div>
       )}
 
-      {isLoading ? (
+      {/* Totals for the current filters */}
+      {totals && totals.count > 0 && (
+        <div className="grid md:grid-cols-3 gap-4 mb-6">
+          <div className="card p-4">
+            <div className="text-sm text-gray-500">Total Paid ({totals.count} payments)</div>
+            <div className="text-xl font-bold text-gray-800">{ethers.formatEther(totals.amount)} ETH</div>
+          </div>
+          <div className="card p-4">
+            <div className="text-sm text-gray-500">Refunded</div>
+            <div className="text-xl font-bold text-amber-600">{ethers.formatEther(totals.refunded)} ETH</div>
+          </div>
+          <div className="card p-4">
+            <div className="text-sm text-gray-500">Net Collected</div>
+            <div className="text-xl font-bold text-emerald-600">{ethers.formatEther(totals.amountAfterRefund)} ETH</div>
+          </div>
+        </div>
+      )}
+
+      {isLoading && payments.length === 0 ? (
         <div className="text-center py-20">
           <div className="spinner mx-auto mb-4"></div>
           <p className="text-gray-500">Loading transaction history...</p>
         </div>
-      ) : filteredPayments.length === 0 ? (
+      ) : payments.length === 0 ? (
         <div className="card">
           <div className="card-body text-center py-16">
             <svg className="w-20 h-20 mx-auto mb-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
             </svg>
             <h3 className="text-xl font-semibold text-gray-700 mb-2">
-              {payments.length === 0 ? 'No transactions yet' : 'No matching transactions'}
+              {hasActiveFilters ? 'No matching transactions' : 'No transactions yet'}
             </h3>
             <p className="text-gray-500">
-              {payments.length === 0 
-                ? 'Transactions will be displayed here when payments are made'
-                : 'Try adjusting your filters'}
+              {hasActiveFilters
+                ? 'Try adjusting your filters'
+                : 'Transactions will be displayed here when payments are made'}
             </p>
           </div>
         </div>
@@ -435,44 +487,31 @@ export default function PaymentHistory() {
                 </tr>
               </thead>
               <tbody>
-                {filteredPayments.map((payment, index) => (
-                  <tr key={payment.id || index} className={payment.type !== 'payment' ? 'bg-amber-50/50' : ''}>
+                {payments.map((payment, index) => [
+                  <tr key={payment.key}>
                     <td className="font-medium text-gray-900">
                       {index + 1}
                     </td>
                     <td>
-                      {payment.type === 'payment' ? (
-                        <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium">
-                          Payment
-                        </span>
-                      ) : payment.type === 'refund' ? (
-                        <span className="px-2 py-1 bg-amber-100 text-amber-700 rounded-full text-xs font-medium">
-                          Refund
-                        </span>
-                      ) : (
-                        <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded-full text-xs font-medium">
-                          Scholarship
-                        </span>
-                      )}
+                      <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium">
+                        Payment
+                      </span>
                     </td>
                     <td>
                       <span className="font-semibold text-gray-900">{payment.studentId}</span>
                     </td>
                     <td>
                       <code className="px-2 py-1 bg-gray-100 rounded text-sm font-mono text-gray-600">
-                        {formatAddress(payment.student)}
+                        {formatAddress(payment.wallet)}
                       </code>
                     </td>
                     <td className="text-gray-700">
                       {payment.semester}
                     </td>
                     <td>
-                      <div className={payment.type !== 'payment' ? 'text-amber-600' : ''}>
-                        {payment.type !== 'payment' && <span className="mr-1">-</span>}
-                        <span className="font-semibold">{ethers.formatEther(payment.amount)}</span>
-                        <span className="text-gray-500 ml-1">ETH</span>
-                      </div>
-                      {payment.type === 'payment' && payment.amountAfterRefund && payment.amount !== payment.amountAfterRefund && (
+                      <span className="font-semibold">{ethers.formatEther(payment.amount)}</span>
+                      <span className="text-gray-500 ml-1">ETH</span>
+                      {payment.amount !== payment.amountAfterRefund && (
                         <div className="text-xs text-gray-400">
                           After refund: {ethers.formatEther(payment.amountAfterRefund)} ETH
                         </div>
@@ -482,33 +521,79 @@ export default function PaymentHistory() {
                       {formatDate(payment.timestamp)}
                     </td>
                     <td>
-                      {payment.type === 'refund' ? (
-                        <span className="badge badge-warning">
-                          ↩ Transferred
-                        </span>
-                      ) : payment.type === 'scholarship_refund' ? (
+                      {payment.status === 'refunded' ? (
                         <span className="badge badge-warning">
-                          ↩ Auto-refund
+                          Refunded
                         </span>
-                      ) : payment.refunded ? (
+                      ) : payment.status === 'partially_refunded' ? (
                         <span className="badge badge-warning">
-                          Refunded
+                          Partially Refunded
                         </span>
-                      ) : payment.paid ? (
+                      ) : (
                         <span className="badge badge-success">
                           Success
                         </span>
-                      ) : (
-                        <span className="badge badge-danger">
-                          Failed
-                        </span>
                       )}
                     </td>
-                  </tr>
-                ))}
+                  </tr>,
+                  // Refund transfers belonging to this payment
+                  ...payment.refunds.map(refund => (
+                    <tr key={refund.id} className="bg-amber-50/50">
+                      <td></td>
+                      <td>
+                        {refund.type === 'refund' ? (
+                          <span className="px-2 py-1 bg-amber-100 text-amber-700 rounded-full text-xs font-medium">
+                            Refund
+                          </span>
+                        ) : (
+                          <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded-full text-xs font-medium">
+                            Scholarship
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <span className="font-semibold text-gray-900">{payment.studentId}</span>
+                      </td>
+                      <td>
+                        <code className="px-2 py-1 bg-gray-100 rounded text-sm font-mono text-gray-600">
+                          {formatAddress(payment.wallet)}
+                        </code>
+                      </td>
+                      <td className="text-gray-700">
+                        {payment.semester}
+                      </td>
+                      <td>
+                        <div className="text-amber-600">
+                          <span className="mr-1">-</span>
+                          <span className="font-semibold">{ethers.formatEther(refund.amount)}</span>
+                          <span className="text-gray-500 ml-1">ETH</span>
+                        </div>
+                      </td>
+                      <td className="text-gray-500 text-sm">
+                        {formatDate(refund.timestamp)}
+                      </td>
+                      <td>
+                        <span className="badge badge-warning">
+                          {refund.type === 'refund' ? '↩ Transferred' : '↩ Auto-refund'}
+                        </span>
+                      </td>
+                    </tr>
+                  ))
+                ])}
               </tbody>
             </table>
           </div>
+          {nextCursor && (
+            <div className="p-4 text-center border-t border-gray-100">
+              <button
+                onClick={loadMore}
+                disabled={isLoadingMore}
+                className="px-4 py-2 rounded-xl font-medium transition-all bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-50"
+              >
+                {isLoadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
         </div>
       )}
 
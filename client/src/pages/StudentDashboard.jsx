@@ -3,17 +3,33 @@ import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
+import { REGISTRATION_DOMAIN, WALLET_ACCESS_TYPES, WALLET_ACCESS_PURPOSES } from '../config/contracts';
+import { apiErrorMessage } from '../config/errors';
+import * as api from '../api/client';
+
+const PROFILE_LABELS = [
+  ['fullName', 'Full Name'],
+  ['email', 'Email'],
+  ['faculty', 'Faculty'],
+  ['program', 'Program'],
+  ['cohort', 'Cohort'],
+];
 
 export default function StudentDashboard() {
-  const { account, contract, isCorrectNetwork } = useWeb3();
+  const { account, signer, contract, isCorrectNetwork } = useWeb3();
   const navigate = useNavigate();
   const [studentInfo, setStudentInfo] = useState(null);
   const [semesters, setSemesters] = useState([]);
   const [selectedSemester, setSelectedSemester] = useState('');
   const [feeAmount, setFeeAmount] = useState(null);
   const [hasPaid, setHasPaid] = useState(false);
+  const [paymentId, setPaymentId] = useState(null);
+  const [isDownloading, setIsDownloading] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [isPaying, setIsPaying] = useState(false);
+  // undefined: not requested yet, null: nothing on file
+  const [profile, setProfile] = useState(undefined);
+  const [isLoadingProfile, setIsLoadingProfile] = useState(false);
 
   // Fetch semesters first
   useEffect(() => {
@@ -85,16 +101,53 @@ export default function StudentDashboard() {
         // Check if already paid
         const paid = await contract.hasStudentPaid(account, selectedSemester);
         setHasPaid(paid);
+        setPaymentId(paid ? Number(await contract.studentSemesterPayment(account, selectedSemester)) : null);
       } catch (err) {
         console.error('Error fetching fee info:', err);
         setFeeAmount(null);
         setHasPaid(false);
+        setPaymentId(null);
       }
     }
     
     fetchFeeInfo();
   }, [contract, account, selectedSemester, studentInfo]);
 
+  // Off-chain profile: the wallet signs a WalletAccess message to prove it is the student
+  const handleViewProfile = async () => {
+    if (!signer) return;
+
+    setIsLoadingProfile(true);
+    let request, signature;
+    try {
+      const { nonce } = await api.getAuthNonce();
+      request = { wallet: ethers.getAddress(account), nonce };
+      signature = await signer.signTypedData(REGISTRATION_DOMAIN, WALLET_ACCESS_TYPES, {
+        ...request,
+        purpose: WALLET_ACCESS_PURPOSES.profile,
+      });
+    } catch (err) {
+      toast.error(err.reason || apiErrorMessage(err.data, 'Signature request was rejected'));
+      setIsLoadingProfile(false);
+      return;
+    }
+
+    try {
+      const data = await api.getMyProfile({ ...request, signature });
+      setProfile(data.profile);
+    } catch (err) {
+      console.error('Profile error:', err);
+      toast.error(apiErrorMessage(err.data, err.message || 'Could not load your profile'));
+    } finally {
+      setIsLoadingProfile(false);
+    }
+  };
+
+  // Reset when the wallet changes
+  useEffect(() => {
+    setProfile(undefined);
+  }, [account]);
+
   // Pay tuition
   const handlePayTuition = async () => {
     if (!contract || !feeAmount) return;
@@ -104,26 +157,12 @@ export default function StudentDashboard() {
       const tx = await contract.payTuition(selectedSemester, { value: feeAmount });
       toast.loading('Processing transaction...', { id: 'payment' });
       
-      const receipt = await tx.wait();
-      
-      // Save payment to data server for persistence
-      try {
-        await fetch('http://localhost:3001/api/payments', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            wallet: account,
-            semester: selectedSemester,
-            amount: feeAmount.toString(),
-            timestamp: Math.floor(Date.now() / 1000)
-          })
-        });
-      } catch (apiErr) {
-        console.warn('Could not save payment to server:', apiErr);
-      }
+      // The data server picks up PaymentReceived from the chain
+      await tx.wait();
       
       toast.success('Payment successful!', { id: 'payment' });
       setHasPaid(true);
+      setPaymentId(Number(await contract.studentSemesterPayment(account, selectedSemester)));
     } catch (err) {
       console.error('Payment error:', err);
       toast.error(err.reason || 'Payment failed!', { id: 'payment' });
@@ -132,6 +171,25 @@ export default function StudentDashboard() {
     }
   };
 
+  // PDF receipt generated by the data server from the on-chain payment
+  const handleDownloadReceipt = async () => {
+    setIsDownloading(true);
+    try {
+      const { blob, filename } = await api.getPaymentReceipt(paymentId);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `receipt_${paymentId}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Receipt error:', err);
+      toast.error(apiErrorMessage(err.data, err.message || 'Could not download the receipt'));
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
   if (!account) {
     return (
       <div className="min-h-[60vh] flex items-center justify-center">
@@ -222,6 +280,44 @@ export default function StudentDashboard() {
         </div>
       </div>
 
+      {/* Profile Card */}
+      <div className="card mb-6">
+        <div className="card-header flex justify-between items-center">
+          <h2 className="text-lg font-bold text-gray-800">
+            My Profile
+          </h2>
+          {profile === undefined && (
+            <button
+              onClick={handleViewProfile}
+              disabled={isLoadingProfile}
+              className="btn-secondary text-sm"
+            >
+              {isLoadingProfile ? 'Loading...' : 'View my profile'}
+            </button>
+          )}
+        </div>
+        <div className="card-body">
+          {profile === undefined ? (
+            <p className="text-sm text-gray-500">
+              Your personal details are kept off-chain. Sign a message with your wallet to view them.
+            </p>
+          ) : profile === null ? (
+            <p className="text-sm text-gray-500">
+              The university has not filled in your profile yet.
+            </p>
+          ) : (
+            <dl className="grid grid-cols-2 gap-4">
+              {PROFILE_LABELS.map(([field, label]) => (
+                <div key={field} className={field === 'email' ? 'col-span-2' : ''}>
+                  <dt className="text-sm text-gray-500">{label}</dt>
+                  <dd className="font-medium text-gray-800 break-words">{profile[field] || '-'}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </div>
+      </div>
+
       {/* Payment Card */}
       <div className="card">
         <div className="card-header">
@@ -272,6 +368,17 @@ export default function StudentDashboard() {
               <span className="text-emerald-700 font-bold text-lg">
                 This semester has been paid
               </span>
+              {paymentId && (
+                <div className="mt-4">
+                  <button
+                    onClick={handleDownloadReceipt}
+                    disabled={isDownloading}
+                    className="btn-secondary text-sm"
+                  >
+                    {isDownloading ? 'Preparing receipt...' : 'Download Receipt (PDF)'}
+                  </button>
+                </div>
+              )}
             </div>
           ) : (
             <button
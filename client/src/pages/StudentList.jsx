@@ -2,9 +2,16 @@ import { useState, useEffect } from 'react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
+import StudentImport from '../components/StudentImport';
+import LiveBadge from '../components/LiveBadge';
+import { useLiveActivity } from '../hooks/useLiveActivity';
+import { apiErrorMessage } from '../config/errors';
+import * as api from '../api/client';
+
+const EMPTY_PROFILE = { fullName: '', email: '', faculty: '', program: '', cohort: '' };
 
 export default function StudentList() {
-  const { contract, account, isOwner } = useWeb3();
+  const { contract, account, isOwner, isAdminSignedIn, withAdminSession } = useWeb3();
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -17,12 +24,25 @@ export default function StudentList() {
   const [newStudentWallet, setNewStudentWallet] = useState('');
   const [newStudentId, setNewStudentId] = useState('');
   const [registering, setRegistering] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   
   // Refund Modal
   const [showRefundModal, setShowRefundModal] = useState(false);
   const [refundPayment, setRefundPayment] = useState(null);
   const [refundAmount, setRefundAmount] = useState('');
 
+  // Wallet Rotation Modal (student lost access to their wallet)
+  const [rotateStudent, setRotateStudent] = useState(null);
+  const [newWallet, setNewWallet] = useState('');
+  const [rotating, setRotating] = useState(false);
+
+  // Off-chain profiles by studentId (admin session required)
+  const [profiles, setProfiles] = useState(null);
+  const [loadingProfiles, setLoadingProfiles] = useState(false);
+  const [profileStudent, setProfileStudent] = useState(null);
+  const [profileForm, setProfileForm] = useState(EMPTY_PROFILE);
+  const [savingProfile, setSavingProfile] = useState(false);
+
   useEffect(() => {
     if (contract && isOwner) {
       loadStudents();
@@ -30,6 +50,26 @@ export default function StudentList() {
     }
   }, [contract, isOwner]);
 
+  // Load profiles right away when already signed in, otherwise on request
+  useEffect(() => {
+    if (isOwner && isAdminSignedIn && !profiles) {
+      loadProfiles();
+    }
+  }, [isOwner, isAdminSignedIn]);
+
+  const loadProfiles = async () => {
+    try {
+      setLoadingProfiles(true);
+      const list = await withAdminSession(token => api.listProfiles({ token }));
+      setProfiles(Object.fromEntries(list.map(p => [p.studentId, p])));
+    } catch (err) {
+      console.error('Error loading profiles:', err);
+      toast.error(apiErrorMessage(err.data, err.message || 'Failed to load student profiles'));
+    } finally {
+      setLoadingProfiles(false);
+    }
+  };
+
   const loadSemesters = async () => {
     try {
       const activeSemesters = await contract.getActiveSemesters();
@@ -42,9 +82,10 @@ export default function StudentList() {
     }
   };
 
-  const loadStudents = async () => {
+  // silent: reload in place (live updates) without the loading spinner
+  const loadStudents = async (silent = false) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const studentAddresses = await contract.getAllStudents();
       
       const studentsData = await Promise.all(
@@ -87,6 +128,17 @@ export default function StudentList() {
     }
   };
 
+  const live = useLiveActivity(
+    ['StudentRegistered', 'StudentWalletRotated', 'PaymentReceived', 'RefundProcessed', 'ScholarshipRefund', 'ScholarshipApplied', 'FeeScheduleCreated'],
+    (events) => {
+      loadStudents(true);
+      if (events.length === 0 || events.some(e => e.name === 'FeeScheduleCreated')) {
+        loadSemesters();
+      }
+    },
+    Boolean(contract && isOwner)
+  );
+
   const handleRegisterStudent = async (e) => {
     e.preventDefault();
     if (!contract) return;
@@ -154,6 +206,67 @@ export default function StudentList() {
     }
   };
 
+  const closeRotateModal = () => {
+    setRotateStudent(null);
+    setNewWallet('');
+  };
+
+  const handleRotateWallet = async (e) => {
+    e.preventDefault();
+    if (!contract || !rotateStudent) return;
+
+    if (!ethers.isAddress(newWallet)) {
+      toast.error('Invalid wallet address');
+      return;
+    }
+    if (newWallet.toLowerCase() === rotateStudent.address.toLowerCase()) {
+      toast.error('New wallet must differ from the current one');
+      return;
+    }
+
+    try {
+      setRotating(true);
+      const tx = await contract.rotateStudentWallet(rotateStudent.address, ethers.getAddress(newWallet));
+      toast.loading('Moving student to the new wallet...', { id: 'rotate' });
+      await tx.wait();
+      toast.success(`${rotateStudent.studentId} now uses ${newWallet.slice(0, 8)}...`, { id: 'rotate' });
+      closeRotateModal();
+      loadStudents();
+    } catch (error) {
+      console.error('Wallet rotation error:', error);
+      toast.error(error.reason || 'Failed to change wallet', { id: 'rotate' });
+    } finally {
+      setRotating(false);
+    }
+  };
+
+  const openProfileModal = (student) => {
+    const profile = (profiles && profiles[student.studentId]) || {};
+    setProfileStudent(student);
+    setProfileForm(Object.fromEntries(Object.keys(EMPTY_PROFILE).map(field => [field, profile[field] || ''])));
+  };
+
+  const closeProfileModal = () => {
+    setProfileStudent(null);
+    setProfileForm(EMPTY_PROFILE);
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingProfile(true);
+      const { profile } = await withAdminSession(token => api.setProfile(profileStudent.studentId, profileForm, { token }));
+      setProfiles(current => ({ ...current, [profile.studentId]: profile }));
+      toast.success('Profile saved');
+      closeProfileModal();
+    } catch (err) {
+      console.error('Profile error:', err);
+      toast.error(apiErrorMessage(err.data, err.message || 'Failed to save profile'));
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
   const getPaymentStatus = (student, semester) => {
     const payment = student.payments.find(p => p.semester === semester);
     if (!payment) return { status: 'unpaid', payment: null };
@@ -162,10 +275,14 @@ export default function StudentList() {
     return { status: 'unpaid', payment: null };
   };
 
-  const filteredStudents = students.filter(student => 
-    student.studentId.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    student.address.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const profileOf = (student) => (profiles && profiles[student.studentId]) || {};
+
+  const filteredStudents = students.filter(student => {
+    const term = searchTerm.toLowerCase();
+    const { fullName, email, faculty, program, cohort } = profileOf(student);
+    return [student.studentId, student.address, fullName, email, faculty, program, cohort]
+      .some(value => value && value.toLowerCase().includes(term));
+  });
 
   if (!isOwner) {
     return (
@@ -182,15 +299,31 @@ export default function StudentList() {
   return (
     <div className="max-w-6xl mx-auto animate-slide-up">
       <div className="flex justify-between items-center mb-6">
-        <h1 className="text-2xl font-bold text-gray-800">Student List</h1>
-        <button
-          onClick={() => setShowRegisterForm(!showRegisterForm)}
-          className="btn-primary flex items-center gap-2"
-        >
-          {showRegisterForm ? '✕ Close' : '+ Register Student'}
-        </button>
+        <h1 className="text-2xl font-bold text-gray-800 flex items-center gap-3">
+          Student List
+          <LiveBadge connected={live} />
+        </h1>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowImport(!showImport)}
+            className="btn-secondary"
+          >
+            {showImport ? '✕ Close Import' : 'Import CSV'}
+          </button>
+          <button
+            onClick={() => setShowRegisterForm(!showRegisterForm)}
+            className="btn-primary flex items-center gap-2"
+          >
+            {showRegisterForm ? '✕ Close' : '+ Register Student'}
+          </button>
+        </div>
       </div>
 
+      {/* Bulk import */}
+      {showImport && (
+        <StudentImport onImported={loadStudents} onClose={() => setShowImport(false)} />
+      )}
+
       {/* Register Student Form */}
       {showRegisterForm && (
         <div className="card p-6 mb-6 border-2 border-blue-200 bg-blue-50/50">
@@ -255,9 +388,19 @@ export default function StudentList() {
               type="text"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
-              placeholder="Student ID or wallet address..."
+              placeholder="Student ID, wallet, name, email, faculty..."
               className="input-field"
             />
+            {!profiles && (
+              <button
+                type="button"
+                onClick={loadProfiles}
+                disabled={loadingProfiles}
+                className="text-sm text-blue-600 hover:text-blue-700 mt-1 disabled:opacity-50"
+              >
+                {loadingProfiles ? 'Loading profiles...' : 'Sign in to show and search student profiles'}
+              </button>
+            )}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -295,14 +438,19 @@ export default function StudentList() {
               <thead>
                 <tr className="border-b border-gray-200">
                   <th className="text-left py-3 px-4 font-semibold text-gray-700">Student ID</th>
+                  {profiles && (
+                    <>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Name</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Faculty / Program</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Email</th>
+                    </>
+                  )}
                   <th className="text-left py-3 px-4 font-semibold text-gray-700">Wallet Address</th>
                   <th className="text-center py-3 px-4 font-semibold text-gray-700">Scholarship</th>
                   {selectedSemester && (
-                    <>
-                      <th className="text-center py-3 px-4 font-semibold text-gray-700">Payment Status</th>
-                      <th className="text-center py-3 px-4 font-semibold text-gray-700">Actions</th>
-                    </>
+                    <th className="text-center py-3 px-4 font-semibold text-gray-700">Payment Status</th>
                   )}
+                  <th className="text-center py-3 px-4 font-semibold text-gray-700">Actions</th>
                 </tr>
               </thead>
               <tbody>
@@ -310,10 +458,33 @@ export default function StudentList() {
                   const { status, payment } = selectedSemester 
                     ? getPaymentStatus(student, selectedSemester)
                     : { status: null, payment: null };
+                  const profile = profileOf(student);
                   
                   return (
                     <tr key={student.address} className="border-b border-gray-100 hover:bg-gray-50">
                       <td className="py-3 px-4 font-medium text-gray-800">{student.studentId}</td>
+                      {profiles && (
+                        <>
+                          <td className="py-3 px-4 text-gray-800">
+                            {profile.fullName || <span className="text-gray-400">-</span>}
+                          </td>
+                          <td className="py-3 px-4 text-sm text-gray-600">
+                            {profile.faculty || profile.program ? (
+                              <>
+                                <div>{profile.faculty || '-'}</div>
+                                <div className="text-xs text-gray-400">
+                                  {[profile.program, profile.cohort].filter(Boolean).join(' · ')}
+                                </div>
+                              </>
+                            ) : (
+                              <span className="text-gray-400">-</span>
+                            )}
+                          </td>
+                          <td className="py-3 px-4 text-sm text-gray-600">
+                            {profile.email || <span className="text-gray-400">-</span>}
+                          </td>
+                        </>
+                      )}
                       <td className="py-3 px-4 font-mono text-sm text-gray-600">
                         {student.address.slice(0, 8)}...{student.address.slice(-6)}
                       </td>
@@ -327,37 +498,50 @@ export default function StudentList() {
                         )}
                       </td>
                       {selectedSemester && (
-                        <>
-                          <td className="py-3 px-4 text-center">
-                            {status === 'paid' && (
-                              <span className="px-2 py-1 bg-green-100 text-green-700 rounded-full text-sm font-medium">
-                                ✓ Paid
-                              </span>
-                            )}
-                            {status === 'refunded' && (
-                              <span className="px-2 py-1 bg-amber-100 text-amber-700 rounded-full text-sm font-medium">
-                                ↩ Refunded
-                              </span>
-                            )}
-                            {status === 'unpaid' && (
-                              <span className="px-2 py-1 bg-red-100 text-red-700 rounded-full text-sm font-medium">
-                                ✗ Unpaid
-                              </span>
-                            )}
-                          </td>
-                          <td className="py-3 px-4 text-center">
-                            {payment && payment.paid && !payment.refunded && payment.amountAfterRefund > 0 && (
-                              <button
-                                onClick={() => openRefundModal(payment, student.studentId)}
-                                disabled={processingRefund === payment.id}
-                                className="px-3 py-1 bg-amber-500 hover:bg-amber-600 text-white rounded-lg text-sm font-medium transition-all disabled:opacity-50"
-                              >
-                                {processingRefund === payment.id ? 'Processing...' : 'Refund'}
-                              </button>
-                            )}
-                          </td>
-                        </>
+                        <td className="py-3 px-4 text-center">
+                          {status === 'paid' && (
+                            <span className="px-2 py-1 bg-green-100 text-green-700 rounded-full text-sm font-medium">
+                              ✓ Paid
+                            </span>
+                          )}
+                          {status === 'refunded' && (
+                            <span className="px-2 py-1 bg-amber-100 text-amber-700 rounded-full text-sm font-medium">
+                              ↩ Refunded
+                            </span>
+                          )}
+                          {status === 'unpaid' && (
+                            <span className="px-2 py-1 bg-red-100 text-red-700 rounded-full text-sm font-medium">
+                              ✗ Unpaid
+                            </span>
+                          )}
+                        </td>
                       )}
+                      <td className="py-3 px-4 text-center whitespace-nowrap">
+                        <button
+                          onClick={() => openProfileModal(student)}
+                          disabled={!profiles}
+                          title={profiles ? 'Edit off-chain profile' : 'Sign in to load profiles first'}
+                          className="px-3 py-1 bg-blue-50 hover:bg-blue-100 text-blue-700 rounded-lg text-sm font-medium transition-all disabled:opacity-50"
+                        >
+                          Profile
+                        </button>
+                        <button
+                          onClick={() => setRotateStudent(student)}
+                          title="Move this student and their payment history to a new wallet"
+                          className="ml-2 px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-medium transition-all"
+                        >
+                          Change Wallet
+                        </button>
+                        {payment && payment.paid && !payment.refunded && payment.amountAfterRefund > 0 && (
+                          <button
+                            onClick={() => openRefundModal(payment, student.studentId)}
+                            disabled={processingRefund === payment.id}
+                            className="ml-2 px-3 py-1 bg-amber-500 hover:bg-amber-600 text-white rounded-lg text-sm font-medium transition-all disabled:opacity-50"
+                          >
+                            {processingRefund === payment.id ? 'Processing...' : 'Refund'}
+                          </button>
+                        )}
+                      </td>
                     </tr>
                   );
                 })}
@@ -371,6 +555,118 @@ export default function StudentList() {
         </div>
       </div>
 
+      {/* Profile Modal */}
+      {profileStudent && (
+        <div className="fixed inset-0 flex items-center justify-center z-50">
+          <div className="bg-white rounded-2xl p-6 w-full max-w-md shadow-xl animate-slide-up">
+            <h3 className="text-xl font-bold text-gray-800 mb-1">Student Profile</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {profileStudent.studentId} · stored off-chain on the data server only
+            </p>
+
+            <form onSubmit={handleSaveProfile} className="space-y-3">
+              {[
+                ['fullName', 'Full Name', 'text', 'e.g., Nguyen Van A'],
+                ['email', 'Email', 'email', 'student@university.edu'],
+                ['faculty', 'Faculty', 'text', 'e.g., Information Technology'],
+                ['program', 'Program', 'text', 'e.g., Computer Science'],
+                ['cohort', 'Cohort', 'text', 'e.g., K65'],
+              ].map(([field, label, type, placeholder]) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type={type}
+                    value={profileForm[field]}
+                    onChange={(e) => setProfileForm({ ...profileForm, [field]: e.target.value })}
+                    placeholder={placeholder}
+                    maxLength={field === 'cohort' ? 20 : 120}
+                    className="input-field"
+                  />
+                </div>
+              ))}
+
+              <div className="flex gap-3 pt-3">
+                <button
+                  type="button"
+                  onClick={closeProfileModal}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 transition-all"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={savingProfile}
+                  className="flex-1 btn-primary"
+                >
+                  {savingProfile ? 'Saving...' : 'Save Profile'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Wallet Rotation Modal */}
+      {rotateStudent && (
+        <div className="fixed inset-0 flex items-center justify-center z-50">
+          <div className="bg-white rounded-2xl p-6 w-full max-w-md shadow-xl animate-slide-up">
+            <h3 className="text-xl font-bold text-gray-800 mb-1">Change Student Wallet</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Moves {rotateStudent.studentId}, their scholarship and all payments to a new wallet.
+              The current wallet can no longer pay or receive refunds afterwards.
+            </p>
+
+            <form onSubmit={handleRotateWallet} className="space-y-4">
+              <div className="bg-gray-50 rounded-xl p-4 text-sm">
+                <div className="flex justify-between mb-2">
+                  <span className="text-gray-500">Student ID:</span>
+                  <span className="font-bold text-blue-600">{rotateStudent.studentId}</span>
+                </div>
+                <div className="flex justify-between mb-2">
+                  <span className="text-gray-500">Current Wallet:</span>
+                  <span className="font-mono">{rotateStudent.address.slice(0, 8)}...{rotateStudent.address.slice(-6)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Payments:</span>
+                  <span className="font-medium">{rotateStudent.payments.length}</span>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  New Wallet Address
+                </label>
+                <input
+                  type="text"
+                  value={newWallet}
+                  onChange={(e) => setNewWallet(e.target.value)}
+                  placeholder="0x..."
+                  className="input-field font-mono text-sm"
+                  required
+                />
+              </div>
+
+              <div className="flex gap-3 pt-2">
+                <button
+                  type="button"
+                  onClick={closeRotateModal}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 transition-all"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={rotating || !newWallet}
+                  className="flex-1 btn-primary"
+                >
+                  {rotating ? 'Processing...' : 'Change Wallet'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Refund Modal */}
       {showRefundModal && refundPayment && (
         <div className="fixed inset-0 flex items-center justify-center z-50">
@@ -0,0 +1,305 @@
+import { useState, useEffect } from 'react';
+import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
+import { ethers } from 'ethers';
+import {
+  CONTRACT_ADDRESS, CONTRACT_ABI, SUPPORTED_CHAIN_ID, NETWORK_NAME, PUBLIC_RPC_URL,
+  CONTRACT_DEPLOY_BLOCK, LOG_QUERY_BATCH_SIZE,
+} from '../config/contracts';
+
+// Read-only access through a public RPC node: verifying needs no wallet and no data server
+const publicProvider = new ethers.JsonRpcProvider(PUBLIC_RPC_URL, SUPPORTED_CHAIN_ID, { staticNetwork: true });
+const publicContract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, publicProvider);
+
+const formatEth = (wei) => `${ethers.formatEther(wei)} ETH`;
+const formatTime = (seconds) => new Date(Number(seconds) * 1000).toLocaleString();
+
+// Logs of an event filter from the deployment block to `head`, in bounded block ranges
+async function queryLogs(filter, head) {
+  const logs = [];
+  for (let from = CONTRACT_DEPLOY_BLOCK; from <= head; from += LOG_QUERY_BATCH_SIZE) {
+    logs.push(...await publicContract.queryFilter(filter, from, Math.min(from + LOG_QUERY_BATCH_SIZE - 1, head)));
+  }
+  return logs;
+}
+
+// Check a payment against the contract and its events.
+// receipt: { chainId, contract } from the receipt's QR code link, if present
+async function verifyPayment(paymentId, receipt) {
+  const checks = [];
+
+  // A receipt can only be trusted against the university's own contract; anyone can
+  // deploy a look-alike contract that emits whatever events they want
+  if (receipt.chainId || receipt.contract) {
+    const sameChain = Number(receipt.chainId) === SUPPORTED_CHAIN_ID;
+    const sameContract = (receipt.contract || '').toLowerCase() === CONTRACT_ADDRESS.toLowerCase();
+    checks.push({
+      level: sameChain && sameContract ? 'ok' : 'fail',
+      label: 'Receipt issued for the university contract',
+      detail: sameChain && sameContract
+        ? `${NETWORK_NAME}, ${CONTRACT_ADDRESS}`
+        : `Receipt names contract ${receipt.contract || '?'} on chain ${receipt.chainId || '?'}, expected ${CONTRACT_ADDRESS} on chain ${SUPPORTED_CHAIN_ID}`,
+    });
+    if (!(sameChain && sameContract)) return { status: 'not_verified', checks };
+  }
+
+  const payment = await publicContract.getPayment(paymentId);
+  checks.push({
+    level: payment.paid ? 'ok' : 'fail',
+    label: 'Payment recorded by the contract',
+    detail: payment.paid ? `Payment #${paymentId}` : `The contract has no payment #${paymentId}`,
+  });
+  if (!payment.paid) return { status: 'not_verified', checks };
+
+  const head = await publicProvider.getBlockNumber();
+  const [received, refundLogs, scholarshipLogs] = await Promise.all([
+    queryLogs(publicContract.filters.PaymentReceived(paymentId), head),
+    queryLogs(publicContract.filters.RefundProcessed(paymentId), head),
+    queryLogs(publicContract.filters.ScholarshipRefund(null, paymentId), head),
+  ]);
+
+  const event = received[0];
+  const eventMatches = Boolean(event) &&
+    event.args.studentId === payment.studentId &&
+    event.args.semester === payment.semester &&
+    event.args.amount === payment.amount;
+  checks.push({
+    level: eventMatches ? 'ok' : 'fail',
+    label: 'PaymentReceived event matches the record',
+    detail: event
+      ? `Block ${event.blockNumber}, transaction ${event.transactionHash}`
+      : 'No PaymentReceived event was found for this payment',
+  });
+
+  const refunds = [
+    ...refundLogs.map(log => ({ type: 'Refund', amount: log.args.amount, log })),
+    ...scholarshipLogs.map(log => ({ type: 'Scholarship refund', amount: log.args.refundAmount, log })),
+  ].sort((a, b) => a.log.blockNumber - b.log.blockNumber);
+  const refundedOnRecord = payment.amount - payment.amountAfterRefund;
+  const refundedByEvents = refunds.reduce((sum, r) => sum + r.amount, 0n);
+  // Payments restored after a node reset from a store without refund history lack the refund events
+  checks.push({
+    level: refundedByEvents === refundedOnRecord ? 'ok' : 'warn',
+    label: 'Refund events add up to the refunded amount',
+    detail: refundedByEvents === refundedOnRecord
+      ? `${refunds.length} refund event(s), ${formatEth(refundedByEvents)}`
+      : `Events show ${formatEth(refundedByEvents)}, the record shows ${formatEth(refundedOnRecord)}`,
+  });
+
+  const verified = checks.every(check => check.level !== 'fail');
+  return {
+    status: !verified ? 'not_verified' : payment.refunded ? 'refunded' : 'verified',
+    checks,
+    payment,
+    event,
+    refunds,
+    refundedOnRecord,
+    confirmations: event ? head - event.blockNumber + 1 : null,
+  };
+}
+
+const VERDICTS = {
+  verified: {
+    title: 'Payment verified',
+    text: 'This tuition payment is recorded on the blockchain.',
+    className: 'from-emerald-50 to-green-50 border-emerald-200 text-emerald-700',
+    icon: '✓',
+  },
+  refunded: {
+    title: 'Payment verified, but fully refunded',
+    text: 'The payment was made on the blockchain and has since been refunded in full.',
+    className: 'from-amber-50 to-orange-50 border-amber-200 text-amber-700',
+    icon: '↩',
+  },
+  not_verified: {
+    title: 'Not verified',
+    text: 'This payment could not be confirmed on the blockchain.',
+    className: 'from-red-50 to-rose-50 border-red-200 text-red-700',
+    icon: '✗',
+  },
+};
+
+const CHECK_ICONS = { ok: '✓', warn: '!', fail: '✗' };
+const CHECK_COLORS = { ok: 'text-emerald-600', warn: 'text-amber-600', fail: 'text-red-600' };
+
+export default function VerifyPayment() {
+  const { paymentId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [lookupId, setLookupId] = useState(paymentId || '');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const isValidId = /^[1-9][0-9]*$/.test(paymentId || '');
+
+  useEffect(() => {
+    setLookupId(paymentId || '');
+    setResult(null);
+    setError(null);
+    if (!isValidId) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    verifyPayment(BigInt(paymentId), {
+      chainId: searchParams.get('chainId'),
+      contract: searchParams.get('contract'),
+    })
+      .then(verification => {
+        if (!cancelled) setResult(verification);
+      })
+      .catch(err => {
+        console.error('Verification error:', err);
+        if (!cancelled) setError(err.shortMessage || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [paymentId, searchParams]);
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    navigate(`/verify/${lookupId.trim()}`);
+  };
+
+  const verdict = result && VERDICTS[result.status];
+  const { payment, event } = result || {};
+
+  return (
+    <div className="max-w-3xl mx-auto animate-slide-up">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2">Verify a Tuition Payment</h1>
+        <p className="text-gray-500">
+          Checks a payment directly on the blockchain ({NETWORK_NAME}). No wallet is needed.
+        </p>
+      </div>
+
+      <form onSubmit={handleLookup} className="card p-6 mb-6 flex gap-3">
+        <input
+          type="text"
+          inputMode="numeric"
+          value={lookupId}
+          onChange={(e) => setLookupId(e.target.value)}
+          placeholder="Payment ID from the receipt, e.g. 12"
+          className="input-field"
+        />
+        <button type="submit" disabled={!/^[1-9][0-9]*$/.test(lookupId.trim())} className="btn-primary whitespace-nowrap">
+          Verify
+        </button>
+      </form>
+
+      {paymentId && !isValidId && (
+        <div className="card p-6 text-red-600">"{paymentId}" is not a valid payment ID.</div>
+      )}
+
+      {isLoading && (
+        <div className="card p-12 text-center">
+          <div className="w-12 h-12 mx-auto mb-4 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin"></div>
+          <p className="text-gray-500">Reading payment #{paymentId} from the blockchain...</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="card p-6 border-2 border-gray-200">
+          <h2 className="text-lg font-bold text-gray-800 mb-1">Could not reach the blockchain</h2>
+          <p className="text-sm text-gray-500">
+            Nothing could be verified because the node at {PUBLIC_RPC_URL} did not answer. Please try again later.
+          </p>
+          <p className="text-xs text-gray-400 mt-2 break-all">{error}</p>
+        </div>
+      )}
+
+      {verdict && (
+        <>
+          <div className={`p-6 mb-6 rounded-2xl border-2 bg-gradient-to-r ${verdict.className}`}>
+            <div className="flex items-center gap-4">
+              <div className="text-4xl font-bold">{verdict.icon}</div>
+              <div>
+                <h2 className="text-2xl font-bold">{verdict.title}</h2>
+                <p className="text-sm opacity-80">{verdict.text}</p>
+              </div>
+            </div>
+          </div>
+
+          <div className="card mb-6">
+            <div className="card-header">
+              <h2 className="text-lg font-bold text-gray-800">Checks</h2>
+            </div>
+            <ul className="card-body space-y-3">
+              {result.checks.map(check => (
+                <li key={check.label} className="flex gap-3">
+                  <span className={`font-bold ${CHECK_COLORS[check.level]}`}>{CHECK_ICONS[check.level]}</span>
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-800">{check.label}</p>
+                    <p className="text-sm text-gray-500 break-all">{check.detail}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {payment && payment.paid && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="text-lg font-bold text-gray-800">On-chain Evidence</h2>
+              </div>
+              <div className="card-body">
+                <dl className="grid md:grid-cols-2 gap-4 text-sm">
+                  {[
+                    ['Payment ID', `#${paymentId}`],
+                    ['Student ID', payment.studentId],
+                    ['Semester', payment.semester],
+                    ['Paid at (block time)', formatTime(payment.timestamp)],
+                    ['Amount paid', formatEth(payment.amount)],
+                    ['Refunded', formatEth(result.refundedOnRecord)],
+                    ['Net amount', formatEth(payment.amountAfterRefund)],
+                    ['Confirmations', result.confirmations ?? '-'],
+                    ['Student wallet', payment.student],
+                    ['Block', event ? event.blockNumber : '-'],
+                    ['Transaction', event ? event.transactionHash : '-'],
+                    ['Contract', `${CONTRACT_ADDRESS} (chain ${SUPPORTED_CHAIN_ID})`],
+                  ].map(([label, value]) => (
+                    <div key={label} className={String(value).length > 42 ? 'md:col-span-2' : ''}>
+                      <dt className="text-gray-500">{label}</dt>
+                      <dd className="font-medium text-gray-800 break-all">{value}</dd>
+                    </div>
+                  ))}
+                </dl>
+
+                {result.refunds.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="font-semibold text-gray-700 mb-2">Refund Events</h3>
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-200 text-left text-gray-500">
+                          <th className="py-2">Type</th>
+                          <th className="py-2">Amount</th>
+                          <th className="py-2">Block</th>
+                          <th className="py-2">Transaction</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.refunds.map(refund => (
+                          <tr key={`${refund.log.transactionHash}:${refund.log.index}`} className="border-b border-gray-100">
+                            <td className="py-2">{refund.type}</td>
+                            <td className="py-2">{formatEth(refund.amount)}</td>
+                            <td className="py-2">{refund.log.blockNumber}</td>
+                            <td className="py-2 font-mono text-xs">
+                              {refund.log.transactionHash.slice(0, 10)}...{refund.log.transactionHash.slice(-8)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
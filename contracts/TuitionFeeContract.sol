@@ -64,6 +64,7 @@ contract TuitionFeeContract is Ownable, ReentrancyGuard {
     // Arrays for enumeration
     string[] public activeSemesters;
     address[] public registeredStudents;
+    mapping(address => uint256) private registeredStudentIndex; // wallet -> position in registeredStudents + 1
     
     // ============ Events ============
     
@@ -92,6 +93,12 @@ contract TuitionFeeContract is Ownable, ReentrancyGuard {
     event FeeScheduleCreated(string semester, uint256 baseAmount, uint256 deadline);
     event UniversityWalletUpdated(address oldWallet, address newWallet);
     event UniversityWithdrawal(address indexed wallet, uint256 amount, uint256 timestamp);
+    event StudentWalletRotated(
+        string studentId,
+        address indexed oldWallet,
+        address indexed newWallet,
+        uint256 timestamp
+    );
     
     // ============ Modifiers ============
     
@@ -130,21 +137,38 @@ contract TuitionFeeContract is Ownable, ReentrancyGuard {
         address _walletAddress,
         string memory _studentId
     ) external onlyOwner {
-        require(_walletAddress != address(0), "Invalid wallet address");
-        require(!students[_walletAddress].isRegistered, "Student already registered");
-        require(studentIdToAddress[_studentId] == address(0), "StudentId already exists");
-        
-        students[_walletAddress] = Student({
-            studentId: _studentId,
-            walletAddress: _walletAddress,
-            scholarshipPercent: 0,
-            isRegistered: true
-        });
-        
-        studentIdToAddress[_studentId] = _walletAddress;
-        registeredStudents.push(_walletAddress);
+        _registerStudent(_walletAddress, _studentId);
+    }
+    
+    /**
+     * @dev Register many students in one transaction (bulk import)
+     * @notice Reverts as a whole if any row is invalid, validate rows off-chain first
+     * @param _walletAddresses Student wallet addresses
+     * @param _studentIds University student IDs (same order)
+     * @param _scholarshipPercents Scholarship percentages 0-100 (same order, 0 = none)
+     */
+    function registerStudentsBatch(
+        address[] calldata _walletAddresses,
+        string[] calldata _studentIds,
+        uint256[] calldata _scholarshipPercents
+    ) external onlyOwner {
+        require(_walletAddresses.length > 0, "Empty batch");
+        require(
+            _walletAddresses.length == _studentIds.length &&
+            _walletAddresses.length == _scholarshipPercents.length,
+            "Array length mismatch"
+        );
         
-        emit StudentRegistered(_walletAddress, _studentId, block.timestamp);
+        for (uint256 i = 0; i < _walletAddresses.length; i++) {
+            _registerStudent(_walletAddresses[i], _studentIds[i]);
+            
+            // New students have no payments yet, so no refund is due
+            if (_scholarshipPercents[i] > 0) {
+                require(_scholarshipPercents[i] <= 100, "Invalid percentage");
+                students[_walletAddresses[i]].scholarshipPercent = _scholarshipPercents[i];
+                emit ScholarshipApplied(_walletAddresses[i], _scholarshipPercents[i], 0);
+            }
+        }
     }
     
     /**
@@ -252,6 +276,42 @@ contract TuitionFeeContract is Ownable, ReentrancyGuard {
         emit UniversityWalletUpdated(oldWallet, _newWallet);
     }
     
+    /**
+     * @dev Move a student to a new wallet (e.g. after losing the private key)
+     * @notice Re-binds the studentId, scholarship and payment history; later refunds go to the new wallet
+     * @param _oldWallet Currently registered wallet address
+     * @param _newWallet Replacement wallet address (must not be registered)
+     */
+    function rotateStudentWallet(address _oldWallet, address _newWallet) external onlyOwner {
+        require(students[_oldWallet].isRegistered, "Student not registered");
+        require(_newWallet != address(0), "Invalid wallet address");
+        require(!students[_newWallet].isRegistered, "Student already registered");
+        
+        Student memory student = students[_oldWallet];
+        student.walletAddress = _newWallet;
+        students[_newWallet] = student;
+        delete students[_oldWallet];
+        studentIdToAddress[student.studentId] = _newWallet;
+        
+        uint256[] memory paymentIds = studentPaymentIds[_oldWallet];
+        for (uint256 i = 0; i < paymentIds.length; i++) {
+            Payment storage payment = payments[paymentIds[i]];
+            payment.student = _newWallet;
+            studentSemesterPayment[_newWallet][payment.semester] = paymentIds[i];
+            delete studentSemesterPayment[_oldWallet][payment.semester];
+        }
+        studentPaymentIds[_newWallet] = paymentIds;
+        delete studentPaymentIds[_oldWallet];
+        
+        // Same slot in the enumeration, so the order of getAllStudents() is kept
+        uint256 index = registeredStudentIndex[_oldWallet];
+        registeredStudents[index - 1] = _newWallet;
+        registeredStudentIndex[_newWallet] = index;
+        delete registeredStudentIndex[_oldWallet];
+        
+        emit StudentWalletRotated(student.studentId, _oldWallet, _newWallet, block.timestamp);
+    }
+    
     /**
      * @dev University withdraws collected tuition fees
      * @param _amount Amount to withdraw (0 = withdraw all available)
@@ -300,17 +360,21 @@ contract TuitionFeeContract is Ownable, ReentrancyGuard {
 
     /**
      * @dev Restore payment record from backup (for dev/test after Hardhat restart)
-     * @notice This creates a payment record without requiring ETH transfer
+     * @notice This creates a payment record without requiring ETH transfer.
+     *         Refunds of the payment are restored afterwards with restoreRefund; backups
+     *         without refund history cap the payment at the fee after scholarship instead
      * @param _studentAddress Student's wallet address
      * @param _semester Semester identifier
      * @param _amount Original payment amount
      * @param _timestamp Original payment timestamp
+     * @param _capAtScholarshipFee True when the backup has no refund history for the payment
      */
     function restorePayment(
         address _studentAddress,
         string memory _semester,
         uint256 _amount,
-        uint256 _timestamp
+        uint256 _timestamp,
+        bool _capAtScholarshipFee
     ) external onlyOwner {
         require(students[_studentAddress].isRegistered, "Student not registered");
         require(studentSemesterPayment[_studentAddress][_semester] == 0, "Payment already exists");
@@ -318,10 +382,13 @@ contract TuitionFeeContract is Ownable, ReentrancyGuard {
         paymentCounter++;
         
         // Calculate amount after scholarship
-        uint256 scholarshipPercent = students[_studentAddress].scholarshipPercent;
-        uint256 baseFee = feeSchedules[_semester].baseAmount;
-        uint256 shouldPay = baseFee - (baseFee * scholarshipPercent / 100);
-        uint256 amountAfterRefund = _amount > shouldPay ? shouldPay : _amount;
+        uint256 amountAfterRefund = _amount;
+        if (_capAtScholarshipFee) {
+            uint256 scholarshipPercent = students[_studentAddress].scholarshipPercent;
+            uint256 baseFee = feeSchedules[_semester].baseAmount;
+            uint256 shouldPay = baseFee - (baseFee * scholarshipPercent / 100);
+            amountAfterRefund = _amount > shouldPay ? shouldPay : _amount;
+        }
         
         payments[paymentCounter] = Payment({
             student: _studentAddress,
@@ -348,6 +415,46 @@ contract TuitionFeeContract is Ownable, ReentrancyGuard {
         );
     }
 
+    /**
+     * @dev Restore a refund of a restored payment from backup (for dev/test after Hardhat restart)
+     * @notice Updates the payment and totalRefunded like processRefund / applyScholarship did,
+     *         without transferring ETH (the contract balance is restored separately)
+     * @param _studentAddress Student's wallet address
+     * @param _semester Semester of the payment
+     * @param _amount Refunded amount
+     * @param _scholarship True for a scholarship refund, false for a processRefund refund
+     * @param _timestamp Original refund timestamp
+     */
+    function restoreRefund(
+        address _studentAddress,
+        string memory _semester,
+        uint256 _amount,
+        bool _scholarship,
+        uint256 _timestamp
+    ) external onlyOwner {
+        uint256 paymentId = studentSemesterPayment[_studentAddress][_semester];
+        require(paymentId != 0, "Payment not found");
+        Payment storage payment = payments[paymentId];
+        require(!payment.refunded, "Already refunded");
+        require(_amount > 0, "Refund amount must be greater than 0");
+        require(_amount <= payment.amountAfterRefund, "Refund amount exceeds available balance");
+        
+        payment.amountAfterRefund -= _amount;
+        
+        // Scholarship refunds never mark a payment as refunded (see applyScholarship)
+        if (!_scholarship && payment.amountAfterRefund == 0) {
+            payment.refunded = true;
+        }
+        
+        totalRefunded += _amount;
+        
+        if (_scholarship) {
+            emit ScholarshipRefund(_studentAddress, paymentId, _amount, _timestamp);
+        } else {
+            emit RefundProcessed(paymentId, _studentAddress, _amount, _timestamp);
+        }
+    }
+
     /**
      * @dev Get contract balance (available for withdrawal/refunds)
      */
@@ -410,6 +517,27 @@ contract TuitionFeeContract is Ownable, ReentrancyGuard {
         );
     }
     
+    // ============ Internal Functions ============
+    
+    function _registerStudent(address _walletAddress, string memory _studentId) internal {
+        require(_walletAddress != address(0), "Invalid wallet address");
+        require(!students[_walletAddress].isRegistered, "Student already registered");
+        require(studentIdToAddress[_studentId] == address(0), "StudentId already exists");
+        
+        students[_walletAddress] = Student({
+            studentId: _studentId,
+            walletAddress: _walletAddress,
+            scholarshipPercent: 0,
+            isRegistered: true
+        });
+        
+        studentIdToAddress[_studentId] = _walletAddress;
+        registeredStudents.push(_walletAddress);
+        registeredStudentIndex[_walletAddress] = registeredStudents.length;
+        
+        emit StudentRegistered(_walletAddress, _studentId, block.timestamp);
+    }
+    
     // ============ View Functions ============
     
     /**
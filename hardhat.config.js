@@ -1,5 +1,13 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { subtask } = require("hardhat/config");
+const { TASK_TEST_SETUP_TEST_ENVIRONMENT } = require("hardhat/builtin-tasks/task-names");
+
+// Point the data server modules at a temp dir before the test files load them
+subtask(TASK_TEST_SETUP_TEST_ENVIRONMENT, async (args, hre, runSuper) => {
+  require("./test/support/env");
+  return runSuper(args);
+});
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -0,0 +1,107 @@
+const ExcelJS = require('exceljs');
+const { ethers } = require('ethers');
+const { csvCell } = require('./csv');
+
+// Accounting export of ledger entries (see getLedgerEntries in data-manager.js) as CSV or XLSX.
+// Amounts are exported in wei (exact) and ETH (formatted).
+
+const COLUMNS = [
+  { header: 'Date (UTC)', key: 'date', width: 22 },
+  { header: 'Block Timestamp', key: 'timestamp', width: 16 },
+  { header: 'Type', key: 'type', width: 20 },
+  { header: 'Event', key: 'event', width: 22 },
+  { header: 'Direction', key: 'direction', width: 10 },
+  { header: 'Student ID', key: 'studentId', width: 14 },
+  { header: 'Wallet', key: 'wallet', width: 44 },
+  { header: 'Semester', key: 'semester', width: 10 },
+  { header: 'Payment ID', key: 'paymentId', width: 11 },
+  { header: 'Amount (wei)', key: 'amountWei', width: 24 },
+  { header: 'Amount (ETH)', key: 'amountEth', width: 16 },
+  { header: 'Block', key: 'blockNumber', width: 10 },
+  { header: 'Tx Hash', key: 'txHash', width: 68 }
+];
+
+const toRow = entry => ({
+  date: new Date(entry.timestamp * 1000).toISOString().replace('T', ' ').slice(0, 19),
+  timestamp: entry.timestamp,
+  type: entry.type,
+  event: entry.event,
+  direction: entry.direction,
+  studentId: entry.studentId,
+  wallet: entry.wallet,
+  semester: entry.semester,
+  paymentId: entry.paymentId,
+  amountWei: entry.amount,
+  amountEth: ethers.formatEther(entry.amount),
+  blockNumber: entry.blockNumber,
+  txHash: entry.txHash
+});
+
+// Count and total per entry type, plus net balance (in - out)
+function summarize(entries) {
+  const byType = new Map();
+  let net = 0n;
+  for (const entry of entries) {
+    const total = byType.get(entry.type) || { type: entry.type, event: entry.event, count: 0, amount: 0n };
+    total.count++;
+    total.amount += BigInt(entry.amount);
+    byType.set(entry.type, total);
+    net += entry.direction === 'in' ? BigInt(entry.amount) : -BigInt(entry.amount);
+  }
+  return { byType: [...byType.values()], net };
+}
+
+function ledgerCsv(entries) {
+  return [
+    COLUMNS.map(c => c.header).join(','),
+    ...entries.map(toRow).map(row => COLUMNS.map(c => csvCell(row[c.key])).join(','))
+  ].join('\n') + '\n';
+}
+
+// Workbook with a Ledger sheet and a Summary sheet; resolves to a Buffer
+async function ledgerXlsx(entries, title) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Tuition Portal';
+  workbook.created = new Date();
+
+  const ledger = workbook.addWorksheet('Ledger', { views: [{ state: 'frozen', ySplit: 1 }] });
+  ledger.columns = COLUMNS;
+  for (const row of entries.map(toRow)) {
+    // ETH as a number so the sheet can sum it; the wei column stays exact text
+    ledger.addRow({ ...row, amountEth: Number(row.amountEth) });
+  }
+  ledger.getRow(1).font = { bold: true };
+  ledger.getColumn('amountEth').numFmt = '0.000000##########';
+  ledger.autoFilter = { from: 'A1', to: { row: 1, column: COLUMNS.length } };
+
+  const { byType, net } = summarize(entries);
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [
+    { header: 'Type', key: 'type', width: 20 },
+    { header: 'Event', key: 'event', width: 22 },
+    { header: 'Count', key: 'count', width: 8 },
+    { header: 'Total (wei)', key: 'amountWei', width: 26 },
+    { header: 'Total (ETH)', key: 'amountEth', width: 16 }
+  ];
+  for (const total of byType) {
+    summary.addRow({
+      type: total.type,
+      event: total.event,
+      count: total.count,
+      amountWei: total.amount.toString(),
+      amountEth: Number(ethers.formatEther(total.amount))
+    });
+  }
+  summary.addRow({ type: 'net (in - out)', amountWei: net.toString(), amountEth: Number(ethers.formatEther(net)) });
+  summary.getRow(1).font = { bold: true };
+  summary.getColumn('amountEth').numFmt = '0.000000##########';
+  summary.addRow([]);
+  summary.addRow([title]);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  ledgerCsv,
+  ledgerXlsx
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { AUDIT_LOG_FILE } = require('./config');
+const { currentScope, scopeKey } = require('./scope');
+
+// Append-only, hash-chained log of data-manager mutations (one JSON entry per line).
+// Entry: { seq, at, actor, scope, action, changes: [{ collection, key, before, after }], prevHash, hash }
+// where scope is the deployment whose store changed (see scope.js), hash = sha256 of the
+// entry without `hash` (keys sorted) and prevHash links to the previous entry, so editing,
+// removing or reordering lines breaks the chain. One log covers all deployments.
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Indexed logs are a cache of the chain itself; derived records are still audited
+const UNAUDITED_COLLECTIONS = ['events'];
+
+const context = new AsyncLocalStorage();
+
+// Run fn with an actor for the mutations it triggers (a string or a function resolved
+// when the mutation happens, e.g. after authentication)
+function runWithActor(actor, fn) {
+  return context.run({ actor }, fn);
+}
+
+function currentActor() {
+  const store = context.getStore();
+  const actor = store && (typeof store.actor === 'function' ? store.actor() : store.actor);
+  return actor || `system:${path.basename(process.argv[1] || 'node')}`;
+}
+
+// JSON with object keys sorted, so the hash does not depend on key order
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+const hashEntry = ({ hash, ...entry }) => crypto.createHash('sha256').update(canonical(entry)).digest('hex');
+
+// Last line of the log, read backwards so large logs are not loaded. Re-read before
+// every append: CLI scripts and the data server may write to the same log.
+function readLastEntry(file) {
+  if (!fs.existsSync(file)) return null;
+  const fd = fs.openSync(file, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    let tail = '';
+    while (position > 0) {
+      const size = Math.min(65536, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      fs.readSync(fd, chunk, 0, size, position);
+      tail = chunk.toString('utf8') + tail;
+      const lines = tail.trimEnd().split('\n');
+      if (lines.length > 1 || position === 0) {
+        const last = lines[lines.length - 1];
+        return last ? JSON.parse(last) : null;
+      }
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Record one mutation; changes without an effective difference are dropped
+function appendAuditEntry(action, changes, file = AUDIT_LOG_FILE) {
+  const effective = changes.filter(c =>
+    !UNAUDITED_COLLECTIONS.includes(c.collection) && canonical(c.before) !== canonical(c.after)
+  );
+  if (effective.length === 0) return null;
+
+  const last = readLastEntry(file);
+  const entry = {
+    seq: last ? last.seq + 1 : 1,
+    at: new Date().toISOString(),
+    actor: currentActor(),
+    scope: scopeKey(currentScope()),
+    action,
+    changes: effective,
+    prevHash: last ? last.hash : GENESIS_HASH
+  };
+  entry.hash = hashEntry(entry);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  return entry;
+}
+
+function readAuditLog(file = AUDIT_LOG_FILE) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// Walk the whole chain. Returns { valid, entries } or { valid: false, entries, seq, line, error }
+// for the first entry that does not check out.
+function verifyAuditLog(file = AUDIT_LOG_FILE) {
+  if (!fs.existsSync(file)) return { valid: true, entries: 0 };
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < lines.length; i++) {
+    const fail = (error, seq = null) => ({ valid: false, entries: lines.length, seq, line: i + 1, error });
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (err) {
+      return fail('Line is not valid JSON');
+    }
+    if (entry.seq !== i + 1) return fail(`Expected sequence ${i + 1}, found ${entry.seq}`, entry.seq);
+    if (entry.prevHash !== prevHash) return fail('Previous hash does not match, an entry was removed or reordered', entry.seq);
+    if (hashEntry(entry) !== entry.hash) return fail('Entry hash does not match its content, the entry was modified', entry.seq);
+    prevHash = entry.hash;
+  }
+  return { valid: true, entries: lines.length, lastHash: prevHash };
+}
+
+module.exports = {
+  runWithActor,
+  canonical,
+  appendAuditEntry,
+  readAuditLog,
+  verifyAuditLog
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { SiweMessage, generateNonce } = require('siwe');
+const { getContract } = require('./chain');
+const { currentScope, scopeKey } = require('./scope');
+const {
+  SIWE_DOMAINS,
+  NONCE_TTL_MS,
+  MAX_OUTSTANDING_NONCES,
+  SESSION_TTL_MS,
+  REGISTRATION_SIGNATURE_TTL_MS
+} = require('./config');
+
+// EIP-712 typed data for student registration requests (must match client/src/config/contracts.js).
+// The domain is bound to the deployment, so a signature is only valid for one contract.
+const registrationDomain = (scope = currentScope()) => ({
+  name: 'Tuition Portal',
+  version: '1',
+  chainId: scope.chainId,
+  verifyingContract: scope.contract
+});
+const REGISTRATION_TYPES = {
+  RegistrationRequest: [
+    { name: 'wallet', type: 'address' },
+    { name: 'studentId', type: 'string' },
+    { name: 'issuedAt', type: 'uint256' }
+  ]
+};
+// A student proving wallet ownership to read their own off-chain data. The nonce comes
+// from GET /api/auth/nonce like a SIWE nonce, so a signature is only accepted once, and
+// the purpose keeps a signature for one read from being used for another.
+const WALLET_ACCESS_TYPES = {
+  WalletAccess: [
+    { name: 'wallet', type: 'address' },
+    { name: 'purpose', type: 'string' },
+    { name: 'nonce', type: 'string' }
+  ]
+};
+// Purposes a WalletAccess message can be signed for (must match client/src/config/contracts.js)
+const WALLET_ACCESS_PURPOSES = {
+  profile: 'Read my student profile',
+  registration: 'Read my registration request'
+};
+
+// In-memory stores: sessions are short-lived, a restart simply requires signing in again
+const nonces = new Map();   // nonce -> expiresAt
+const sessions = new Map(); // token -> { address, scope, expiresAt }
+
+function pruneExpired(store, now) {
+  for (const [key, value] of store) {
+    const expiresAt = typeof value === 'number' ? value : value.expiresAt;
+    if (expiresAt <= now) store.delete(key);
+  }
+}
+
+// Issue a one-time nonce for an EIP-4361 message or a WalletAccess signature;
+// null while MAX_OUTSTANDING_NONCES unexpired nonces are waiting to be used
+function issueNonce() {
+  const now = Date.now();
+  pruneExpired(nonces, now);
+  if (nonces.size >= MAX_OUTSTANDING_NONCES) return null;
+  const nonce = generateNonce();
+  nonces.set(nonce, now + NONCE_TTL_MS);
+  return nonce;
+}
+
+// Consume an issued nonce; false when it is unknown, already used or expired
+function consumeNonce(nonce) {
+  const expiresAt = nonces.get(nonce);
+  nonces.delete(nonce);
+  return Boolean(expiresAt) && expiresAt > Date.now();
+}
+
+// Verify a signed SIWE message and open an admin session for the contract owner
+async function verifySignIn(message, signature) {
+  let siwe;
+  try {
+    siwe = new SiweMessage(message);
+  } catch (err) {
+    return { status: 400, error: 'Invalid sign-in message', code: 'INVALID_SIWE_MESSAGE' };
+  }
+
+  // Nonce must have been issued by us and is consumed on first use
+  if (!consumeNonce(siwe.nonce)) {
+    return { status: 401, error: 'Nonce expired or unknown', code: 'NONCE_EXPIRED' };
+  }
+  if (!SIWE_DOMAINS.includes(siwe.domain)) {
+    return { status: 401, error: 'Domain not allowed', code: 'DOMAIN_NOT_ALLOWED' };
+  }
+  if (Number(siwe.chainId) !== currentScope().chainId) {
+    return { status: 401, error: 'Wrong chain ID', code: 'WRONG_CHAIN' };
+  }
+
+  const result = await siwe.verify({ signature, nonce: siwe.nonce }, { suppressExceptions: true });
+  if (!result.success) {
+    return { status: 401, error: 'Invalid signature', code: 'INVALID_SIGNATURE' };
+  }
+
+  let owner;
+  try {
+    owner = await getContract().owner();
+  } catch (err) {
+    console.error('[AUTH] Could not read contract owner:', err.message);
+    return { status: 503, error: 'Blockchain node unavailable', code: 'NODE_UNAVAILABLE' };
+  }
+  if (owner.toLowerCase() !== siwe.address.toLowerCase()) {
+    return { status: 403, error: 'Only the contract owner can sign in as admin', code: 'NOT_OWNER' };
+  }
+
+  const now = Date.now();
+  pruneExpired(sessions, now);
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = now + SESSION_TTL_MS;
+  sessions.set(token, { address: siwe.address, scope: scopeKey(currentScope()), expiresAt });
+  return { token, address: siwe.address, expiresAt };
+}
+
+function getSession(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  // Sessions only count for the deployment whose owner signed in
+  const session = sessions.get(token);
+  if (!session || session.scope !== scopeKey(currentScope())) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return { token, ...session };
+}
+
+// Express middleware: reject requests without a valid admin session
+function requireAdmin(req, res, next) {
+  const session = getSession(req);
+  if (!session) {
+    return res.status(401).json({ error: 'Admin session required', code: 'ADMIN_SESSION_REQUIRED' });
+  }
+  req.admin = session;
+  next();
+}
+
+// End the session bound to the request's bearer token
+function revokeSession(req) {
+  const session = getSession(req);
+  if (session) sessions.delete(session.token);
+}
+
+// Check that typed data was signed by the wallet it names
+function verifySigner(types, value, signature, label) {
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(registrationDomain(), types, value, signature);
+  } catch (err) {
+    return { error: `Invalid ${label.toLowerCase()} signature`, code: 'INVALID_SIGNATURE' };
+  }
+  if (signer.toLowerCase() !== value.wallet.toLowerCase()) {
+    return { error: 'Signature does not match wallet', code: 'SIGNATURE_MISMATCH' };
+  }
+  return { success: true };
+}
+
+// Check that a registration request was signed recently by the wallet it is filed for
+function verifyRegistrationSignature({ wallet, studentId, issuedAt }, signature) {
+  const issuedAtMs = Number(issuedAt) * 1000;
+  if (!Number.isFinite(issuedAtMs) || Math.abs(Date.now() - issuedAtMs) > REGISTRATION_SIGNATURE_TTL_MS) {
+    return { error: 'Registration signature expired', code: 'SIGNATURE_EXPIRED' };
+  }
+  return verifySigner(REGISTRATION_TYPES, { wallet, studentId, issuedAt }, signature, 'Registration');
+}
+
+// Check that a read of the wallet's own data was signed by that wallet for this purpose
+// (a key of WALLET_ACCESS_PURPOSES) with a nonce we issued
+function verifyWalletAccessSignature(purpose, { wallet, nonce }, signature) {
+  if (!consumeNonce(nonce)) {
+    return { error: 'Nonce expired or unknown', code: 'NONCE_EXPIRED' };
+  }
+  const value = { wallet, purpose: WALLET_ACCESS_PURPOSES[purpose], nonce };
+  return verifySigner(WALLET_ACCESS_TYPES, value, signature, 'Wallet access');
+}
+
+module.exports = {
+  issueNonce,
+  verifySignIn,
+  requireAdmin,
+  revokeSession,
+  verifyRegistrationSignature,
+  verifyWalletAccessSignature
+};
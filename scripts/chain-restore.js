@@ -0,0 +1,222 @@
+const { ethers } = require('ethers');
+
+// Replaying the data store onto a contract, e.g. after a Hardhat node restart.
+// planRestore diffs the store with the contract and lists one step per record:
+//   planned  - a transaction will be sent
+//   skipped  - already on chain as stored
+//   conflict - on chain differently (or depends on a conflicting record), left alone
+// Running the plan again after a partial restore only sends what is still missing.
+
+const step = (type, key, fields) => ({ type, key, ...fields });
+const planned = (type, key, method, args) => step(type, key, { status: 'planned', method, args });
+const skipped = (type, key, reason) => step(type, key, { status: 'skipped', reason });
+const conflict = (type, key, reason) => step(type, key, { status: 'conflict', reason });
+
+const paymentKey = record => `${record.wallet.toLowerCase()}:${record.semester}`;
+const sum = records => records.reduce((total, r) => total + BigInt(r.amount), 0n);
+
+// Stored refunds grouped by payment key (wallet:semester), oldest first. Refunds keep
+// the wallet they were made with, so they are matched to payments by student ID first.
+function refundsByPayment(data) {
+  const payments = data.payments || [];
+  const byStudent = new Map(payments.map(p => [`${p.studentId}:${p.semester}`, p]));
+  const byWallet = new Map(payments.map(p => [paymentKey(p), p]));
+  const grouped = new Map();
+  const orphaned = [];
+
+  const refunds = [...(data.refunds || [])].sort((a, b) => a.timestamp - b.timestamp);
+  for (const refund of refunds) {
+    const payment = byStudent.get(`${refund.studentId}:${refund.semester}`) || byWallet.get(paymentKey(refund));
+    if (!payment) {
+      orphaned.push(refund);
+      continue;
+    }
+    const key = paymentKey(payment);
+    if (!grouped.has(key)) grouped.set(key, { payment, refunds: [] });
+    grouped.get(key).refunds.push(refund);
+  }
+  return { grouped, orphaned };
+}
+
+// Payments stored before refunds were indexed have no amountAfterRefund: their refunds
+// are unknown, so restorePayment caps them at the fee after scholarship (as the contract
+// did when they were paid). Returns that net amount, or null when the fee is not stored.
+function scholarshipFeeCap(data, payment) {
+  const fee = (data.feeSchedules || []).find(f => f.semester === payment.semester);
+  if (!fee) return null;
+  const scholarship = (data.scholarships || []).find(s => s.wallet.toLowerCase() === payment.wallet.toLowerCase());
+  const baseFee = BigInt(fee.amount);
+  const shouldPay = baseFee - baseFee * BigInt(scholarship ? scholarship.percent : 0) / 100n;
+  const amount = BigInt(payment.amount);
+  return amount > shouldPay ? shouldPay : amount;
+}
+
+// Steps in the order the transactions have to be sent: fee schedules and students
+// first, scholarships before payments (applyScholarship refunds existing payments),
+// then refunds and finally the ETH the contract held before the reset
+function planRestore(data, chainState, now = Math.floor(Date.now() / 1000)) {
+  const steps = [];
+  const onChain = {
+    fees: new Map(chainState.feeSchedules.map(f => [f.semester, f])),
+    byWallet: new Map(chainState.students.map(s => [s.wallet.toLowerCase(), s])),
+    byId: new Map(chainState.students.map(s => [s.studentId, s.wallet.toLowerCase()])),
+    scholarships: new Map(chainState.scholarships.map(s => [s.wallet.toLowerCase(), s.percent])),
+    payments: new Map(chainState.payments.map(p => [paymentKey(p), p]))
+  };
+  const paidOnChain = new Set(chainState.payments.map(p => p.wallet.toLowerCase()));
+  // Wallets that are (or will be) registered with their stored student ID
+  const usable = new Set();
+  // Payment keys that are (or will be) on chain
+  const restored = new Set();
+
+  for (const fee of data.feeSchedules || []) {
+    const existing = onChain.fees.get(fee.semester);
+    if (existing && existing.amount === String(fee.amount)) {
+      steps.push(skipped('feeSchedule', fee.semester, 'already on chain'));
+      continue;
+    }
+    // The contract only accepts future deadlines: expired ones are moved a year ahead
+    const deadline = fee.deadline > now ? fee.deadline : now + 365 * 24 * 60 * 60;
+    steps.push(planned('feeSchedule', fee.semester, 'setFeeSchedule', [fee.semester, String(fee.amount), deadline]));
+  }
+
+  for (const student of data.students || []) {
+    const wallet = ethers.getAddress(student.wallet);
+    const key = wallet.toLowerCase();
+    const existing = onChain.byWallet.get(key);
+    const owner = onChain.byId.get(student.studentId);
+    if (existing && existing.studentId === student.studentId) {
+      usable.add(key);
+      steps.push(skipped('student', student.studentId, 'already on chain'));
+    } else if (existing) {
+      steps.push(conflict('student', student.studentId, `wallet ${wallet} is registered as ${existing.studentId}`));
+    } else if (owner) {
+      steps.push(conflict('student', student.studentId, `student ID is registered to ${owner}`));
+    } else {
+      usable.add(key);
+      steps.push(planned('student', student.studentId, 'registerStudent', [wallet, student.studentId]));
+    }
+  }
+
+  // Only the current percent goes on chain; the refunds earlier changes caused are replayed below
+  for (const scholarship of data.scholarships || []) {
+    const wallet = ethers.getAddress(scholarship.wallet);
+    const key = wallet.toLowerCase();
+    const current = onChain.scholarships.get(key) || 0;
+    if (!usable.has(key)) {
+      steps.push(conflict('scholarship', wallet, 'student is not restored'));
+    } else if (current === scholarship.percent) {
+      steps.push(skipped('scholarship', wallet, 'already on chain'));
+    } else if (scholarship.percent > current && paidOnChain.has(key)) {
+      steps.push(conflict('scholarship', wallet, `raising ${current}% to ${scholarship.percent}% would refund payments already on chain`));
+    } else {
+      steps.push(planned('scholarship', wallet, 'applyScholarship', [wallet, scholarship.percent]));
+    }
+  }
+
+  const { grouped, orphaned } = refundsByPayment(data);
+  // What each stored payment leaves in the contract before its replayed refunds
+  let paymentsNet = 0n;
+
+  for (const payment of data.payments || []) {
+    const wallet = ethers.getAddress(payment.wallet);
+    const key = paymentKey(payment);
+    const legacy = payment.amountAfterRefund === undefined;
+    const cap = legacy ? scholarshipFeeCap(data, payment) : null;
+    // Refunded according to the payment record but without stored refunds to replay
+    const unreplayable = !legacy && !grouped.has(key) && BigInt(payment.amountAfterRefund) < BigInt(payment.amount);
+    paymentsNet += legacy && cap !== null ? cap : unreplayable ? BigInt(payment.amountAfterRefund) : BigInt(payment.amount);
+
+    if (onChain.payments.has(key)) {
+      restored.add(key);
+      steps.push(skipped('payment', key, 'already on chain'));
+    } else if (!usable.has(wallet.toLowerCase())) {
+      steps.push(conflict('payment', key, 'student is not restored'));
+    } else if (legacy && cap === null) {
+      steps.push(conflict('payment', key, `stored without refund history and the ${payment.semester} fee schedule is not stored, so the amount after scholarship is unknown`));
+    } else if (unreplayable) {
+      steps.push(conflict('payment', key, `payment shows ${BigInt(payment.amount) - BigInt(payment.amountAfterRefund)} wei refunded but no refunds are stored`));
+    } else {
+      restored.add(key);
+      steps.push(planned('payment', key, 'restorePayment', [wallet, payment.semester, String(payment.amount), payment.timestamp, legacy]));
+    }
+  }
+
+  // A payment on chain already carries its oldest refunds, as many as add up to
+  // amount - amountAfterRefund; the later ones are replayed
+  for (const refund of orphaned) {
+    steps.push(conflict('refund', `${paymentKey(refund)}:${refund.timestamp}`, 'payment is not stored'));
+  }
+  for (const [key, { payment, refunds }] of grouped) {
+    const chainPayment = onChain.payments.get(key);
+    const refundedOnChain = chainPayment ? BigInt(chainPayment.amount) - BigInt(chainPayment.amountAfterRefund) : 0n;
+    let total = 0n;
+    for (const refund of refunds) {
+      const refundKey = `${key}:${refund.timestamp}`;
+      const before = total;
+      total += BigInt(refund.amount);
+      if (!restored.has(key)) {
+        steps.push(conflict('refund', refundKey, 'payment is not restored'));
+      } else if (total <= refundedOnChain) {
+        steps.push(skipped('refund', refundKey, 'already on chain'));
+      } else if (before < refundedOnChain) {
+        steps.push(conflict('refund', refundKey, `payment shows ${refundedOnChain} wei refunded, which is not a total of stored refunds`));
+      } else {
+        steps.push(planned('refund', refundKey, 'restoreRefund', [
+          ethers.getAddress(payment.wallet),
+          payment.semester,
+          String(refund.amount),
+          refund.type === 'scholarship_refund',
+          refund.timestamp
+        ]));
+      }
+    }
+  }
+
+  // Replayed refunds move no ETH and withdrawals leave no state on chain besides the
+  // balance, so the balance is topped up once. ETH sent to the contract directly
+  // leaves no event and is not accounted for.
+  const target = paymentsNet - sum(data.refunds || []) - sum(data.withdrawals || []);
+  const balance = BigInt(chainState.balance);
+  if (target < 0n) {
+    steps.push(conflict('balance', 'balance', `stored refunds and withdrawals exceed payments by ${-target} wei`));
+  } else if (balance === target) {
+    steps.push(skipped('balance', 'balance', 'already on chain'));
+  } else if (balance > target) {
+    steps.push(conflict('balance', 'balance', `contract holds ${balance - target} wei more than the stored history`));
+  } else {
+    steps.push(planned('balance', 'balance', 'transfer', [String(target - balance)]));
+  }
+  return steps;
+}
+
+// Send the planned steps one by one; a failed step is recorded and the rest still run
+async function executeRestore(steps, contract, { onStep = () => {} } = {}) {
+  for (const s of steps.filter(s => s.status === 'planned')) {
+    try {
+      // The balance is plain ETH sent to the contract's receive()
+      const tx = s.method === 'transfer'
+        ? await contract.runner.sendTransaction({ to: await contract.getAddress(), value: s.args[0] })
+        : await contract[s.method](...s.args);
+      const receipt = await tx.wait();
+      Object.assign(s, { status: 'done', txHash: receipt.hash });
+    } catch (err) {
+      Object.assign(s, { status: 'failed', error: err.reason || err.shortMessage || err.message });
+    }
+    onStep(s);
+  }
+  return steps;
+}
+
+// Step count per status
+function summarizeRestore(steps) {
+  const summary = { planned: 0, done: 0, skipped: 0, conflict: 0, failed: 0 };
+  for (const s of steps) summary[s.status]++;
+  return summary;
+}
+
+module.exports = {
+  planRestore,
+  executeRestore,
+  summarizeRestore
+};
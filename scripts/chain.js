@@ -0,0 +1,76 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN_PRIVATE_KEY, INDEXER_START_BLOCK, INDEXER_BATCH_SIZE } = require('./config');
+const { currentScope, scopeKey } = require('./scope');
+
+const ARTIFACT_FILE = path.join(
+  __dirname, '..', 'artifacts', 'contracts', 'TuitionFeeContract.sol', 'TuitionFeeContract.json'
+);
+
+// Publicly known key of Hardhat account #0, only ever used against a local Hardhat node
+const HARDHAT_CHAIN_ID = 31337;
+const HARDHAT_ACCOUNT_0_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// Per deployment (see scope.js), keyed by scopeKey
+const providers = new Map();
+const contracts = new Map();
+
+// Shared JSON-RPC provider for the node of the current deployment
+function getProvider(scope = currentScope()) {
+  const key = scopeKey(scope);
+  if (!providers.has(key)) {
+    // Static network: no chain ID probing (and no retry spam) while the node is down
+    providers.set(key, new ethers.JsonRpcProvider(scope.rpcUrl, scope.chainId, { staticNetwork: true }));
+  }
+  return providers.get(key);
+}
+
+// Read ABI from compiled artifact (run `npm run compile` first)
+function loadAbi() {
+  const artifact = JSON.parse(fs.readFileSync(ARTIFACT_FILE, 'utf8'));
+  return artifact.abi;
+}
+
+// Read-only contract instance, created lazily so the server can start before deploy
+function getContract(scope = currentScope()) {
+  const key = scopeKey(scope);
+  if (!contracts.has(key)) {
+    // Scope addresses are checksummed, so ethers does not try ENS resolution
+    contracts.set(key, new ethers.Contract(scope.contract, loadAbi(), getProvider(scope)));
+  }
+  return contracts.get(key);
+}
+
+// Contract instance that signs with the admin key (CLI scripts only). Any chain other
+// than a local Hardhat node needs an explicit ADMIN_PRIVATE_KEY.
+function getAdminContract(scope = currentScope()) {
+  const key = ADMIN_PRIVATE_KEY || (scope.chainId === HARDHAT_CHAIN_ID ? HARDHAT_ACCOUNT_0_KEY : null);
+  if (!key) {
+    throw new Error(`ADMIN_PRIVATE_KEY must be set to send transactions on chain ${scope.chainId}`);
+  }
+  // NonceManager: consecutive transactions would otherwise reuse a cached nonce
+  const signer = new ethers.NonceManager(new ethers.Wallet(key, getProvider(scope)));
+  return new ethers.Contract(scope.contract, loadAbi(), signer);
+}
+
+// Logs of an event filter from the deployment block (INDEXER_START_BLOCK) to the head,
+// queried in ranges of batchSize blocks since nodes cap the range of eth_getLogs.
+// With first set the scan stops at the first range that has a match.
+async function queryLogs(contract, filter, { fromBlock = INDEXER_START_BLOCK, batchSize = INDEXER_BATCH_SIZE, first = false } = {}) {
+  const head = await (contract.runner.provider || contract.runner).getBlockNumber();
+  const logs = [];
+  for (let from = fromBlock; from <= head; from += batchSize) {
+    logs.push(...await contract.queryFilter(filter, from, Math.min(from + batchSize - 1, head)));
+    if (first && logs.length > 0) break;
+  }
+  return logs;
+}
+
+module.exports = {
+  getProvider,
+  getContract,
+  getAdminContract,
+  loadAbi,
+  queryLogs
+};
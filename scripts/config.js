@@ -0,0 +1,113 @@
+require('dotenv').config();
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Hop count ("1"), true/false, or addresses/subnets ("loopback, 10.0.0.0/8") as Express expects
+function trustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// "<chainId>:<contract>@<rpcUrl>" entries, comma separated
+function deployments(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(\d+):(0x[0-9a-fA-F]{40})@(\S+)$/);
+      if (!match) throw new Error(`Invalid DEPLOYMENTS entry: ${entry} (expected <chainId>:<contract>@<rpcUrl>)`);
+      return { chainId: Number(match[1]), contract: match[2], rpcUrl: match[3] };
+    });
+}
+
+// Shared configuration for data server and helper scripts
+module.exports = {
+  DATA_PORT: Number(process.env.DATA_PORT) || 3001,
+
+  // Storage backend for data-manager: "json" (data/state.json) or "sqlite" (data/state.db)
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'json',
+  DATA_DIR,
+  // Hash-chained log of every data-manager mutation (see audit-log.js)
+  AUDIT_LOG_FILE: process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.log'),
+  // Rotating point-in-time copies of the store (see snapshots.js); 0 minutes = after every change
+  SNAPSHOT_DIR: process.env.SNAPSHOT_DIR || path.join(DATA_DIR, 'snapshots'),
+  SNAPSHOT_KEEP: Number(process.env.SNAPSHOT_KEEP) || 50,
+  SNAPSHOT_INTERVAL_MS: (Number(process.env.SNAPSHOT_INTERVAL_MINUTES) || 0) * 60 * 1000,
+
+  RPC_URL: process.env.RPC_URL || 'http://127.0.0.1:8545',
+  CHAIN_ID: Number(process.env.CHAIN_ID) || 31337,
+  // Default is the first Hardhat deploy address, same as the client fallback
+  CONTRACT_ADDRESS: process.env.CONTRACT_ADDRESS
+    || process.env.TUITION_CONTRACT_ADDRESS
+    || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  // Further contract deployments served by the same data server, each with its own store
+  // (see scope.js); CHAIN_ID/CONTRACT_ADDRESS/RPC_URL above is the default deployment
+  DEPLOYMENTS: deployments(process.env.DEPLOYMENTS),
+
+  // Owner key used by CLI scripts that send transactions. Only optional on a local
+  // Hardhat node (chain 31337), where Hardhat account #0 signs (see chain.js)
+  ADMIN_PRIVATE_KEY: process.env.ADMIN_PRIVATE_KEY || null,
+
+  // Contract event indexer (runs inside the data server)
+  INDEXER_ENABLED: process.env.INDEXER_ENABLED !== 'false',
+  INDEXER_POLL_MS: Number(process.env.INDEXER_POLL_MS) || 2000,
+  INDEXER_START_BLOCK: Number(process.env.INDEXER_START_BLOCK) || 0,
+  INDEXER_BATCH_SIZE: Number(process.env.INDEXER_BATCH_SIZE) || 1000,
+  // Blocks on top of a log before it is final; younger logs can be rolled back on a reorg
+  INDEXER_CONFIRMATIONS: Number(process.env.INDEXER_CONFIRMATIONS ?? 12),
+
+  // Health checks: how long /readyz and /metrics wait for the node, and how many blocks
+  // the indexer may trail the chain head before /readyz reports not ready
+  HEALTH_RPC_TIMEOUT_MS: Number(process.env.HEALTH_RPC_TIMEOUT_MS) || 2000,
+  READY_MAX_INDEXER_LAG: Number(process.env.READY_MAX_INDEXER_LAG) || 50,
+
+  // Sign-In-With-Ethereum: domains allowed to request admin sessions
+  SIWE_DOMAINS: (process.env.SIWE_DOMAINS || 'localhost:3000,127.0.0.1:3000')
+    .split(',')
+    .map(d => d.trim())
+    .filter(Boolean),
+  NONCE_TTL_MS: 5 * 60 * 1000,
+  // GET /api/auth/nonce is public: nonces per client IP and minute, and how many may be
+  // waiting to be signed at once (the store is in memory)
+  NONCE_RATE_LIMIT_IP: Number(process.env.NONCE_RATE_LIMIT_IP) || 20,
+  MAX_OUTSTANDING_NONCES: Number(process.env.MAX_OUTSTANDING_NONCES) || 10000,
+  SESSION_TTL_MS: (Number(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000,
+
+  // EIP-712 registration requests must be submitted shortly after signing
+  REGISTRATION_SIGNATURE_TTL_MS: 10 * 60 * 1000,
+  // Pending registration requests expire if nobody decides on them in time
+  REGISTRATION_REQUEST_TTL_MS: (Number(process.env.REGISTRATION_REQUEST_TTL_DAYS) || 14) * 24 * 60 * 60 * 1000,
+  // Spam protection for the public registration route: attempts per client IP and per
+  // wallet within the window, and a cap on requests waiting for review
+  REGISTRATION_RATE_WINDOW_MS: (Number(process.env.REGISTRATION_RATE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  REGISTRATION_RATE_LIMIT_IP: Number(process.env.REGISTRATION_RATE_LIMIT_IP) || 10,
+  REGISTRATION_RATE_LIMIT_WALLET: Number(process.env.REGISTRATION_RATE_LIMIT_WALLET) || 3,
+  MAX_PENDING_REGISTRATION_REQUESTS: Number(process.env.MAX_PENDING_REGISTRATION_REQUESTS) || 500,
+  // Largest accepted JSON body (CSV imports have their own limit)
+  JSON_BODY_LIMIT: process.env.JSON_BODY_LIMIT || '16kb',
+  // Express "trust proxy" setting, needed for per-IP limits behind a reverse proxy (e.g. 1 or "loopback")
+  TRUST_PROXY: trustProxy(process.env.TRUST_PROXY),
+
+  // Tuition deadline reminders (scheduler inside the data server)
+  REMINDERS_ENABLED: process.env.REMINDERS_ENABLED === 'true',
+  REMINDER_INTERVAL_MS: (Number(process.env.REMINDER_INTERVAL_MINUTES) || 15) * 60 * 1000,
+  // Days before the deadline at which a reminder goes out
+  REMINDER_OFFSETS_DAYS: (process.env.REMINDER_OFFSETS_DAYS || '14,3,1')
+    .split(',')
+    .map(Number)
+    .filter(n => Number.isFinite(n) && n > 0)
+    .sort((a, b) => b - a),
+  // Frontend address linked from reminder emails and receipt QR codes
+  PORTAL_URL: process.env.PORTAL_URL || 'http://localhost:3000',
+
+  // Outgoing mail; the defaults match a local catcher such as Mailpit or MailHog
+  SMTP_HOST: process.env.SMTP_HOST || '127.0.0.1',
+  SMTP_PORT: Number(process.env.SMTP_PORT) || 1025,
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USER: process.env.SMTP_USER || '',
+  SMTP_PASS: process.env.SMTP_PASS || '',
+  MAIL_FROM: process.env.MAIL_FROM || 'Tuition Portal <no-reply@tuition.local>'
+};
@@ -0,0 +1,17 @@
+// CSV cells for files opened in spreadsheets (accounting export, import reports).
+
+// Spreadsheets run a cell starting with = + - @ (or tab/CR) as a formula. Student IDs and
+// other values come from the chain or uploaded files, so such text gets a leading ' to stay
+// text; plain numbers are left alone.
+const neutralizeFormula = text => (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text) ? `'${text}` : text);
+
+// One CSV cell: formulas neutralized, quoted when it holds a comma, quote or line break
+function csvCell(value) {
+  const text = neutralizeFormula(value === undefined || value === null ? '' : String(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  neutralizeFormula,
+  csvCell
+};
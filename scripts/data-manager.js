@@ -1,209 +1,886 @@
-const fs = require('fs');
-const path = require('path');
+const { getStorage } = require('./storage');
+const { COLLECTION_NAMES, keyOf } = require('./storage/collections');
+const { REGISTRATION_REQUEST_TTL_MS, MAX_PENDING_REGISTRATION_REQUESTS } = require('./config');
+const { appendAuditEntry } = require('./audit-log');
+const { snapshotAfterChange, createSnapshot, META_NAMES } = require('./snapshots');
+const { storageWrites } = require('./metrics');
 
-const DATA_FILE = path.join(__dirname, '..', 'data', 'state.json');
-
-// Ensure data directory exists
-function ensureDataDir() {
-  const dataDir = path.dirname(DATA_FILE);
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
+// Load all data as a plain object (same shape as data/state.json)
+function loadData() {
+  return getStorage().dump();
 }
 
-// Load data from JSON
-function loadData() {
-  ensureDataDir();
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      const raw = fs.readFileSync(DATA_FILE, 'utf8');
-      return JSON.parse(raw);
-    }
-  } catch (err) {
-    console.error('Error loading data:', err.message);
-  }
+// loadData() without personal data, for the public /api/data endpoint:
+// profiles, reminder recipients, contact emails and request signatures stay private
+function loadPublicData() {
+  const { profiles, reminders, ...data } = loadData();
   return {
-    students: [],
-    feeSchedules: [],
-    scholarships: [],
-    payments: [],
-    registrationRequests: [],
-    lastUpdated: null
+    ...data,
+    students: data.students.map(({ email, ...student }) => student),
+    registrationRequests: data.registrationRequests.map(publicRegistrationRequest)
+  };
+}
+
+// Storage view that calls remember(collection, key) before each record it writes
+function recordingView(storage, remember) {
+  const view = Object.create(storage);
+  view.put = (collection, record) => {
+    remember(collection, keyOf(collection, record));
+    return storage.put(collection, record);
   };
+  view.remove = (collection, key) => {
+    remember(collection, key);
+    return storage.remove(collection, key);
+  };
+  view.clear = collection => {
+    for (const record of storage.list(collection)) remember(collection, keyOf(collection, record));
+    return storage.clear(collection);
+  };
+  return view;
 }
 
-// Save data to JSON
-function saveData(data) {
-  ensureDataDir();
-  data.lastUpdated = new Date().toISOString();
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-  console.log('[DATA] Saved to', DATA_FILE);
+// Run a mutation in one storage transaction, stamp lastUpdated, append the
+// before/after of every touched record to the audit log under the given action name
+// and take a rotating snapshot of the store. The audit entry is written last inside
+// the transaction, so a change that cannot be audited is rolled back and the error thrown.
+function mutate(fn, action) {
+  const storage = getStorage();
+  const touched = new Map();
+  const writeDone = storageWrites.startTimer({ driver: storage.driver, action });
+  const result = storage.transaction(() => {
+    const value = fn(recordingView(storage, (collection, key) => {
+      const id = `${collection}:${key}`;
+      if (!touched.has(id)) touched.set(id, { collection, key, before: storage.get(collection, key) });
+    }));
+    storage.setMeta('lastUpdated', new Date().toISOString());
+    appendAuditEntry(action, [...touched.values()].map(change => ({
+      ...change,
+      after: storage.get(change.collection, change.key)
+    })));
+    return value;
+  });
+  writeDone();
+  console.log('[DATA] Saved to', storage.location);
+
+  try {
+    snapshotAfterChange(action);
+  } catch (err) {
+    console.error(`[SNAPSHOT] Could not snapshot after ${action}:`, err.message);
+  }
+  return result;
 }
 
 // Add student
 function addStudent(wallet, studentId) {
-  const data = loadData();
-  const existing = data.students.find(s => s.wallet.toLowerCase() === wallet.toLowerCase());
-  if (!existing) {
-    data.students.push({ wallet, studentId, createdAt: new Date().toISOString() });
-    saveData(data);
+  const storage = getStorage();
+  if (!storage.get('students', wallet.toLowerCase())) {
+    mutate(s => s.put('students', { wallet, studentId, createdAt: new Date().toISOString() }), 'addStudent');
   }
-  return data;
+  return loadData();
+}
+
+// Contact email for notifications such as deadline reminders, kept in the student's profile
+function setStudentEmail(wallet, email) {
+  const student = getStorage().get('students', wallet.toLowerCase());
+  if (!student) {
+    return { error: 'Student not found', code: 'STUDENT_NOT_FOUND' };
+  }
+  mutate(storage => {
+    const existing = storage.get('profiles', student.studentId);
+    storage.put('profiles', existing
+      ? { ...existing, email, updatedAt: new Date().toISOString() }
+      : { studentId: student.studentId, email, createdAt: new Date().toISOString() });
+  }, 'setStudentEmail');
+  return { success: true };
 }
 
 // Add scholarship
 function setScholarship(wallet, percent) {
-  const data = loadData();
-  const existing = data.scholarships.find(s => s.wallet.toLowerCase() === wallet.toLowerCase());
-  if (existing) {
-    existing.percent = percent;
-    existing.updatedAt = new Date().toISOString();
-  } else {
-    data.scholarships.push({ wallet, percent, createdAt: new Date().toISOString() });
-  }
-  saveData(data);
-  return data;
+  mutate(storage => {
+    const existing = storage.get('scholarships', wallet.toLowerCase());
+    if (existing) {
+      storage.put('scholarships', { ...existing, percent, updatedAt: new Date().toISOString() });
+    } else {
+      storage.put('scholarships', { wallet, percent, createdAt: new Date().toISOString() });
+    }
+  }, 'setScholarship');
+  return loadData();
 }
 
 // Add fee schedule
 function addFeeSchedule(semester, amount, deadline) {
-  const data = loadData();
-  const existing = data.feeSchedules.find(f => f.semester === semester);
-  if (existing) {
-    existing.amount = amount;
-    existing.deadline = deadline;
-    existing.updatedAt = new Date().toISOString();
-  } else {
-    data.feeSchedules.push({ semester, amount, deadline, createdAt: new Date().toISOString() });
+  mutate(storage => {
+    const existing = storage.get('feeSchedules', semester);
+    if (existing) {
+      storage.put('feeSchedules', { ...existing, amount, deadline, updatedAt: new Date().toISOString() });
+    } else {
+      storage.put('feeSchedules', { semester, amount, deadline, createdAt: new Date().toISOString() });
+    }
+  }, 'addFeeSchedule');
+  return loadData();
+}
+
+// ============ Student profiles ============
+// Off-chain personal data keyed by studentId. Never written on chain and never
+// part of the public /api/data response.
+
+const PROFILE_FIELDS = ['fullName', 'email', 'faculty', 'program', 'cohort'];
+
+function getProfile(studentId) {
+  return getStorage().get('profiles', studentId);
+}
+
+function listProfiles() {
+  return getStorage().list('profiles');
+}
+
+// Replace a student's profile: fields left out are cleared
+function setProfile(studentId, fields, updatedBy) {
+  const existing = getStorage().get('profiles', studentId);
+  const profile = { studentId };
+  for (const field of PROFILE_FIELDS) {
+    if (fields[field] !== undefined) profile[field] = fields[field];
   }
-  saveData(data);
-  return data;
+  profile.createdAt = existing ? existing.createdAt : new Date().toISOString();
+  if (existing) profile.updatedAt = new Date().toISOString();
+  profile.updatedBy = updatedBy;
+
+  mutate(storage => storage.put('profiles', profile), 'setProfile');
+  return { profile };
 }
 
-// Add registration request
-function addRegistrationRequest(wallet, studentId) {
-  const data = loadData();
-  if (!data.registrationRequests) data.registrationRequests = [];
-  
-  // Check if already requested
-  const existing = data.registrationRequests.find(
-    r => r.wallet.toLowerCase() === wallet.toLowerCase()
+// Profile of the student registered with this wallet
+function getProfileByWallet(wallet) {
+  const student = getStorage().get('students', wallet.toLowerCase());
+  if (!student) {
+    return { error: 'Student not found', code: 'STUDENT_NOT_FOUND' };
+  }
+  return { studentId: student.studentId, profile: getProfile(student.studentId) };
+}
+
+// ============ Registration requests ============
+// Lifecycle: pending -> approved | rejected | expired; rejected and expired
+// requests can be resubmitted. Every transition is appended to request.history.
+
+function historyEntry(status, fields = {}) {
+  return { status, at: new Date().toISOString(), ...fields };
+}
+
+// Mark pending requests past their deadline as expired
+function expireRegistrationRequests() {
+  const now = new Date().toISOString();
+  const expired = getStorage().list('registrationRequests').filter(
+    r => r.status === 'pending' && r.expiresAt && r.expiresAt <= now
   );
-  if (existing) {
-    return { error: 'Yêu cầu đăng ký đã tồn tại', data };
+  if (expired.length === 0) return;
+
+  mutate(storage => {
+    for (const request of expired) {
+      storage.put('registrationRequests', {
+        ...request,
+        status: 'expired',
+        history: [...(request.history || []), historyEntry('expired')]
+      });
+    }
+  }, 'expireRegistrationRequests');
+}
+
+// Add registration request (signature is the wallet's EIP-712 proof of ownership)
+function addRegistrationRequest(wallet, studentId, signature) {
+  expireRegistrationRequests();
+  const storage = getStorage();
+  const key = wallet.toLowerCase();
+  const existing = storage.get('registrationRequests', key);
+
+  // Check if already requested
+  if (existing && existing.status === 'pending') {
+    return { error: 'Registration request already exists', code: 'REQUEST_EXISTS', data: loadData() };
   }
-  
+
   // Check if already a student
-  const isStudent = data.students.find(
-    s => s.wallet.toLowerCase() === wallet.toLowerCase()
-  );
-  if (isStudent) {
-    return { error: 'Tài khoản đã được đăng ký', data };
+  if (storage.get('students', key) || (existing && existing.status === 'approved')) {
+    return { error: 'Wallet is already registered', code: 'ALREADY_REGISTERED', data: loadData() };
   }
-  
-  data.registrationRequests.push({
+
+  // Bound the review queue (and the store) against spam from many fresh wallets. A slot
+  // frees up at the latest when the oldest pending request expires (retryAt).
+  const pending = storage.list('registrationRequests').filter(r => r.status === 'pending');
+  if (pending.length >= MAX_PENDING_REGISTRATION_REQUESTS) {
+    const retryAt = pending.map(r => r.expiresAt).filter(Boolean).sort()[0]
+      || new Date(Date.now() + REGISTRATION_REQUEST_TTL_MS).toISOString();
+    return {
+      error: 'Too many registration requests are waiting for review, please try again later',
+      code: 'PENDING_LIMIT_REACHED',
+      retryAt
+    };
+  }
+
+  // New request, or a resubmission after rejection/expiry
+  const now = Date.now();
+  mutate(s => s.put('registrationRequests', {
     wallet,
     studentId,
+    signature,
     status: 'pending',
-    createdAt: new Date().toISOString()
-  });
-  saveData(data);
-  return { success: true, data };
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REGISTRATION_REQUEST_TTL_MS).toISOString(),
+    history: [
+      ...(existing ? existing.history || [] : []),
+      historyEntry('pending', { studentId })
+    ]
+  }), 'addRegistrationRequest');
+  return { success: true, data: loadData() };
 }
 
-// Approve registration request
-function approveRegistration(wallet) {
-  const data = loadData();
-  if (!data.registrationRequests) return { error: 'No requests found' };
-  
-  const request = data.registrationRequests.find(
-    r => r.wallet.toLowerCase() === wallet.toLowerCase() && r.status === 'pending'
-  );
+function getOpenRequest(wallet) {
+  expireRegistrationRequests();
+  const request = getStorage().get('registrationRequests', wallet.toLowerCase());
+  return request && request.status === 'pending' ? request : null;
+}
+
+// Approve registration request (approver is the admin's wallet address)
+function approveRegistration(wallet, approver) {
+  const request = getOpenRequest(wallet);
   if (!request) {
-    return { error: 'Không tìm thấy yêu cầu đăng ký' };
+    return { error: 'Registration request not found', code: 'REQUEST_NOT_FOUND' };
   }
-  
-  request.status = 'approved';
-  request.approvedAt = new Date().toISOString();
-  
-  // Add to students
-  data.students.push({
-    wallet: request.wallet,
-    studentId: request.studentId,
-    createdAt: new Date().toISOString()
-  });
-  
-  saveData(data);
-  return { success: true, student: request, data };
-}
-
-// Reject registration request
-function rejectRegistration(wallet) {
-  const data = loadData();
-  if (!data.registrationRequests) return { error: 'No requests found' };
-  
-  const request = data.registrationRequests.find(
-    r => r.wallet.toLowerCase() === wallet.toLowerCase() && r.status === 'pending'
-  );
+
+  const approvedAt = new Date().toISOString();
+  const updated = {
+    ...request,
+    status: 'approved',
+    approvedAt,
+    decidedBy: approver,
+    history: [...(request.history || []), historyEntry('approved', { by: approver })]
+  };
+
+  mutate(s => {
+    s.put('registrationRequests', updated);
+    // Add to students
+    s.put('students', {
+      wallet: request.wallet,
+      studentId: request.studentId,
+      createdAt: approvedAt
+    });
+  }, 'approveRegistration');
+  return { success: true, student: updated, data: loadData() };
+}
+
+// Reject registration request with a reason shown to the student
+function rejectRegistration(wallet, approver, reason) {
+  const request = getOpenRequest(wallet);
   if (!request) {
-    return { error: 'Không tìm thấy yêu cầu đăng ký' };
+    return { error: 'Registration request not found', code: 'REQUEST_NOT_FOUND' };
   }
-  
-  request.status = 'rejected';
-  request.rejectedAt = new Date().toISOString();
-  saveData(data);
-  return { success: true, data };
+
+  mutate(s => s.put('registrationRequests', {
+    ...request,
+    status: 'rejected',
+    rejectedAt: new Date().toISOString(),
+    decidedBy: approver,
+    reason,
+    history: [...(request.history || []), historyEntry('rejected', { by: approver, reason })]
+  }), 'rejectRegistration');
+  return { success: true, data: loadData() };
 }
 
-// Get pending registration requests
+// Get pending registration requests (signatures left out)
 function getPendingRequests() {
-  const data = loadData();
-  if (!data.registrationRequests) return [];
-  return data.registrationRequests.filter(r => r.status === 'pending');
-}
-
-// Add payment record
-function addPayment(wallet, semester, amount, timestamp) {
-  const data = loadData();
-  if (!data.payments) data.payments = [];
-  
-  // Check if already exists
-  const existing = data.payments.find(
-    p => p.wallet.toLowerCase() === wallet.toLowerCase() && p.semester === semester
-  );
-  if (existing) {
-    return data; // Already recorded
+  expireRegistrationRequests();
+  return getStorage().list('registrationRequests')
+    .filter(r => r.status === 'pending')
+    .map(({ signature, ...request }) => request);
+}
+
+// What anyone may see of a wallet's request: its status and when it changed. The
+// requested student ID, rejection reason and deciding admin are left out.
+function publicRegistrationRequest({ wallet, status, createdAt, expiresAt, history = [] }) {
+  return { wallet, status, createdAt, expiresAt, history: history.map(({ status, at }) => ({ status, at })) };
+}
+
+// Current request and its status history for one wallet. Only the public view unless
+// full is set (the wallet proved ownership); the signature is always left out.
+function getRegistrationRequest(wallet, { full = false } = {}) {
+  expireRegistrationRequests();
+  const request = getStorage().get('registrationRequests', wallet.toLowerCase());
+  if (!request) {
+    return { error: 'Registration request not found', code: 'REQUEST_NOT_FOUND' };
   }
-  
-  data.payments.push({
-    wallet,
-    semester,
-    amount: amount.toString(), // Store as string to handle big numbers
-    timestamp,
-    createdAt: new Date().toISOString()
-  });
-  saveData(data);
-  return data;
+  if (!full) return { request: publicRegistrationRequest(request) };
+  const { signature, ...rest } = request;
+  return { request: { ...rest, history: rest.history || [] } };
 }
 
 // Get payments for a student
 function getStudentPayments(wallet) {
-  const data = loadData();
-  if (!data.payments) return [];
-  return data.payments.filter(p => p.wallet.toLowerCase() === wallet.toLowerCase());
+  return getStorage().list('payments').filter(p => p.wallet.toLowerCase() === wallet.toLowerCase());
+}
+
+// ============ Payments query ============
+
+const PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const PAYMENT_SORT_FIELDS = ['timestamp', 'amount', 'semester', 'studentId'];
+
+// paid: nothing returned yet, partially_refunded: part of it returned, refunded: all of it
+function paymentStatus(payment) {
+  const remaining = BigInt(payment.amountAfterRefund ?? payment.amount);
+  if (payment.refunded || remaining === 0n) return 'refunded';
+  if (remaining < BigInt(payment.amount)) return 'partially_refunded';
+  return 'paid';
+}
+
+function sortValue(payment, field) {
+  if (field === 'amount') return BigInt(payment.amount);
+  if (field === 'timestamp') return Number(payment.timestamp);
+  return payment[field] || '';
+}
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Opaque cursor: sort value and key of the last row on the previous page
+function encodeCursor(payment, field) {
+  const value = String(sortValue(payment, field));
+  return Buffer.from(JSON.stringify({ v: value, k: payment.key })).toString('base64url');
+}
+
+function decodeCursor(cursor, field) {
+  try {
+    const { v, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const value = field === 'amount' ? BigInt(v) : field === 'timestamp' ? Number(v) : v;
+    return { value, key: k };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Payments joined with student IDs, refund transfers and derived status
+function paymentRows(storage) {
+  const finalized = (storage.getMeta('indexer.checkpoint') || {}).finalizedBlock;
+  const students = new Map(storage.list('students').map(s => [s.wallet.toLowerCase(), s]));
+  const refunds = storage.list('refunds');
+
+  return storage.list('payments').map(payment => {
+    const wallet = payment.wallet.toLowerCase();
+    const student = students.get(wallet);
+    const amountAfterRefund = payment.amountAfterRefund ?? payment.amount;
+    return {
+      ...payment,
+      key: `${wallet}:${payment.semester}`,
+      studentId: payment.studentId || (student ? student.studentId : null),
+      amountAfterRefund,
+      status: paymentStatus(payment),
+      confirmed: payment.blockNumber !== undefined && finalized !== undefined && payment.blockNumber <= finalized,
+      refunds: refunds
+        .filter(r => r.wallet.toLowerCase() === wallet && r.semester === payment.semester)
+        .map(({ id, type, amount, timestamp, txHash }) => ({ id, type, amount, timestamp, txHash }))
+        .sort((a, b) => a.timestamp - b.timestamp)
+    };
+  });
+}
+
+// Filter, sort and page through payments.
+// filters: { studentId, wallet, semester, status, from, to, minAmount, maxAmount,
+//            sort: { field, order }, cursor, limit } - all optional except sort/limit
+function queryPayments(filters) {
+  const rows = paymentRows(getStorage());
+  const { field, order } = filters.sort;
+
+  const matches = rows.filter(p =>
+    (!filters.studentId || p.studentId === filters.studentId) &&
+    (!filters.wallet || p.wallet.toLowerCase() === filters.wallet.toLowerCase()) &&
+    (!filters.semester || p.semester === filters.semester) &&
+    (!filters.status || p.status === filters.status) &&
+    (filters.from === undefined || p.timestamp >= filters.from) &&
+    (filters.to === undefined || p.timestamp <= filters.to) &&
+    (filters.minAmount === undefined || BigInt(p.amount) >= filters.minAmount) &&
+    (filters.maxAmount === undefined || BigInt(p.amount) <= filters.maxAmount)
+  );
+
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => direction * (
+    compareValues(a.value, b.value) || compareValues(a.key, b.key)
+  );
+  const keyed = matches
+    .map(p => ({ payment: p, value: sortValue(p, field), key: p.key }))
+    .sort(compare);
+
+  let start = 0;
+  if (filters.cursor) {
+    const after = decodeCursor(filters.cursor, field);
+    if (!after) return { error: 'Invalid cursor', code: 'INVALID_CURSOR' };
+    start = keyed.findIndex(row => compare(row, after) > 0);
+    if (start === -1) start = keyed.length;
+  }
+
+  const page = keyed.slice(start, start + filters.limit).map(row => row.payment);
+  const hasMore = start + filters.limit < keyed.length;
+
+  const sum = (list, fn) => list.reduce((total, p) => total + BigInt(fn(p)), 0n).toString();
+  const timestamps = rows.map(p => p.timestamp);
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null,
+    totals: {
+      count: matches.length,
+      amount: sum(matches, p => p.amount),
+      amountAfterRefund: sum(matches, p => p.amountAfterRefund),
+      refunded: sum(matches, p => BigInt(p.amount) - BigInt(p.amountAfterRefund)),
+      byStatus: Object.fromEntries(
+        PAYMENT_STATUSES.map(status => [status, matches.filter(p => p.status === status).length])
+      )
+    },
+    // Filter options across all payments, for dropdowns and the time slider
+    facets: {
+      studentIds: [...new Set(rows.map(p => p.studentId).filter(Boolean))].sort(),
+      semesters: [...new Set(rows.map(p => p.semester))].sort(),
+      timeRange: rows.length > 0
+        ? { min: Math.min(...timestamps), max: Math.max(...timestamps) }
+        : null
+    }
+  };
+}
+
+// ============ Reconciliation ============
+
+// Make the off-chain side match the chain for issues found by reconcile() (reconciliation.js).
+// Extra records are only removed with prune: after a node restart they are the restore source.
+function repairOffChainRecords(issues, { prune = false } = {}) {
+  const now = new Date().toISOString();
+  const repaired = { written: 0, removed: 0, reopened: 0, skipped: 0 };
+  if (issues.length === 0) return repaired;
+
+  mutate(storage => {
+    for (const issue of issues) {
+      if (issue.collection === 'registrationRequests') {
+        // Approval without an on-chain student goes back to review
+        const request = storage.get('registrationRequests', issue.key);
+        const reason = 'Student is not registered on chain';
+        storage.put('registrationRequests', {
+          ...request,
+          status: 'pending',
+          expiresAt: new Date(Date.now() + REGISTRATION_REQUEST_TTL_MS).toISOString(),
+          history: [...(request.history || []), historyEntry('pending', { reason })]
+        });
+        repaired.reopened++;
+      } else if (issue.type === 'extra') {
+        if (!prune) {
+          repaired.skipped++;
+          continue;
+        }
+        storage.remove(issue.collection, issue.key);
+        repaired.removed++;
+      } else {
+        const existing = storage.get(issue.collection, issue.key);
+        storage.put(issue.collection, existing
+          ? { ...existing, ...issue.chain, updatedAt: now }
+          : { ...issue.chain, createdAt: now });
+        repaired.written++;
+      }
+    }
+  }, 'repairOffChainRecords');
+  return repaired;
+}
+
+// ============ Deadline reminders ============
+
+function getReminderLog() {
+  return getStorage().list('reminders').sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+}
+
+function hasReminderBeenSent(wallet, semester, offsetDays) {
+  return Boolean(getStorage().get('reminders', `${wallet.toLowerCase()}:${semester}:${offsetDays}`));
+}
+
+function recordReminder(reminder) {
+  mutate(s => s.put('reminders', { ...reminder, sentAt: new Date().toISOString() }), 'recordReminder');
+}
+
+// ============ Accounting ledger ============
+
+const LEDGER_EVENTS = {
+  payment: 'PaymentReceived',
+  refund: 'RefundProcessed',
+  scholarship_refund: 'ScholarshipRefund',
+  withdrawal: 'UniversityWithdrawal'
+};
+
+// Money movements in chronological order: payments in, refunds and withdrawals out.
+// filters: { semester, from, to } (unix seconds). Withdrawals have no semester and are
+// left out when filtering by semester.
+function getLedgerEntries(filters = {}) {
+  const storage = getStorage();
+  const students = new Map(storage.list('students').map(s => [s.wallet.toLowerCase(), s.studentId]));
+  const studentIdOf = record => record.studentId || students.get(record.wallet.toLowerCase()) || null;
+
+  const entries = [
+    ...storage.list('payments').map(p => ({
+      type: 'payment',
+      direction: 'in',
+      paymentId: p.paymentId ?? null,
+      studentId: studentIdOf(p),
+      wallet: p.wallet,
+      semester: p.semester,
+      amount: p.amount,
+      timestamp: p.timestamp,
+      blockNumber: p.blockNumber ?? null,
+      txHash: p.txHash || null
+    })),
+    ...storage.list('refunds').map(r => ({
+      type: r.type,
+      direction: 'out',
+      paymentId: r.paymentId,
+      studentId: studentIdOf(r),
+      wallet: r.wallet,
+      semester: r.semester,
+      amount: r.amount,
+      timestamp: r.timestamp,
+      blockNumber: r.blockNumber ?? null,
+      txHash: r.txHash || null
+    })),
+    ...storage.list('withdrawals').map(w => ({
+      type: 'withdrawal',
+      direction: 'out',
+      paymentId: null,
+      studentId: null,
+      wallet: w.wallet,
+      semester: null,
+      amount: w.amount,
+      timestamp: w.timestamp,
+      blockNumber: w.blockNumber ?? null,
+      txHash: w.txHash || null
+    }))
+  ];
+
+  return entries
+    .filter(e =>
+      (!filters.semester || e.semester === filters.semester) &&
+      (filters.from === undefined || e.timestamp >= filters.from) &&
+      (filters.to === undefined || e.timestamp <= filters.to)
+    )
+    .map(e => ({ ...e, event: LEDGER_EVENTS[e.type] }))
+    .sort((a, b) => a.timestamp - b.timestamp || (a.blockNumber ?? 0) - (b.blockNumber ?? 0));
+}
+
+// ============ Chain indexer ============
+
+// Fields that point into a specific chain and become stale when the node is reset
+const CHAIN_REFS = ['paymentId', 'blockNumber', 'txHash'];
+const CHAIN_LINKED = ['students', 'feeSchedules', 'scholarships', 'payments', 'refunds', 'withdrawals'];
+
+const toIso = seconds => new Date(Number(seconds) * 1000).toISOString();
+
+function findPaymentById(storage, paymentId, wallet) {
+  return storage.list('payments').find(
+    p => p.paymentId === paymentId && p.wallet.toLowerCase() === wallet.toLowerCase()
+  ) || null;
+}
+
+// Update off-chain records from one indexed contract event
+function applyEvent(storage, event) {
+  const { args } = event;
+  const source = { blockNumber: event.blockNumber, txHash: event.txHash };
+
+  switch (event.name) {
+    case 'StudentRegistered': {
+      const existing = storage.get('students', args.wallet.toLowerCase());
+      storage.put('students', {
+        createdAt: toIso(args.timestamp),
+        ...existing,
+        wallet: args.wallet,
+        studentId: args.studentId,
+        ...source
+      });
+      break;
+    }
+
+    case 'StudentWalletRotated': {
+      // Records keyed by the old wallet move to the new one; refunds and
+      // registration requests keep the wallet they were made with (reconcile
+      // recognises the old wallet through previousWallets)
+      const oldKey = args.oldWallet.toLowerCase();
+      const student = storage.get('students', oldKey);
+      storage.remove('students', oldKey);
+      storage.put('students', {
+        createdAt: toIso(args.timestamp),
+        ...student,
+        wallet: args.newWallet,
+        studentId: args.studentId,
+        previousWallets: [...(student?.previousWallets || []), args.oldWallet],
+        ...source
+      });
+
+      const scholarship = storage.get('scholarships', oldKey);
+      if (scholarship) {
+        storage.remove('scholarships', oldKey);
+        storage.put('scholarships', { ...scholarship, wallet: args.newWallet });
+      }
+      for (const collection of ['payments', 'reminders']) {
+        for (const record of storage.list(collection).filter(r => r.wallet.toLowerCase() === oldKey)) {
+          storage.remove(collection, keyOf(collection, record));
+          storage.put(collection, { ...record, wallet: args.newWallet });
+        }
+      }
+      break;
+    }
+
+    case 'FeeScheduleCreated': {
+      const existing = storage.get('feeSchedules', args.semester);
+      storage.put('feeSchedules', {
+        createdAt: toIso(event.blockTimestamp),
+        ...existing,
+        semester: args.semester,
+        amount: args.baseAmount,
+        deadline: Number(args.deadline),
+        ...source
+      });
+      break;
+    }
+
+    case 'ScholarshipApplied': {
+      const existing = storage.get('scholarships', args.student.toLowerCase());
+      const percent = Number(args.percent);
+      // Every change of the percent, kept across node resets. Re-applying the current
+      // percent (as restore-data.js does) refunds nothing and adds no entry.
+      const history = existing?.history || [];
+      const last = history[history.length - 1];
+      storage.put('scholarships', {
+        createdAt: toIso(event.blockTimestamp),
+        ...existing,
+        wallet: args.student,
+        percent,
+        history: last && last.percent === percent ? history : [
+          ...history,
+          { percent, refunded: args.totalRefunded, timestamp: event.blockTimestamp }
+        ],
+        ...source
+      });
+      break;
+    }
+
+    case 'PaymentReceived': {
+      const existing = storage.get('payments', `${args.student.toLowerCase()}:${args.semester}`);
+      storage.put('payments', {
+        createdAt: toIso(args.timestamp),
+        ...existing,
+        wallet: args.student,
+        studentId: args.studentId,
+        semester: args.semester,
+        amount: args.amount,
+        timestamp: Number(args.timestamp),
+        paymentId: Number(args.paymentId),
+        amountAfterRefund: event.payment ? event.payment.amountAfterRefund : args.amount,
+        refunded: event.payment ? event.payment.refunded : false,
+        ...source
+      });
+      break;
+    }
+
+    case 'RefundProcessed':
+    case 'ScholarshipRefund': {
+      const type = event.name === 'RefundProcessed' ? 'refund' : 'scholarship_refund';
+      const amount = type === 'refund' ? args.amount : args.refundAmount;
+      const paymentId = Number(args.paymentId);
+      const payment = findPaymentById(storage, paymentId, args.student);
+
+      if (payment) {
+        // Prefer the on-chain state read at this block, fall back to arithmetic
+        const amountAfterRefund = event.payment
+          ? event.payment.amountAfterRefund
+          : (BigInt(payment.amountAfterRefund ?? payment.amount) - BigInt(amount)).toString();
+        const refunded = event.payment
+          ? event.payment.refunded
+          : type === 'refund' && amountAfterRefund === '0';
+        storage.put('payments', { ...payment, amountAfterRefund, refunded });
+      }
+
+      const semester = payment ? payment.semester : `#${paymentId}`;
+      const id = `${type}:${args.student.toLowerCase()}:${semester}:${args.timestamp}:${amount}`;
+      // restore-data.js replays refunds with their original timestamp, so after a node
+      // reset the same id comes back; only a wallet rotated since then changes the id
+      if (payment) {
+        const replayed = storage.list('refunds').find(r =>
+          r.id !== id && r.type === type && r.studentId === payment.studentId && r.semester === payment.semester &&
+          r.timestamp === Number(args.timestamp) && r.amount === amount
+        );
+        if (replayed) storage.remove('refunds', replayed.id);
+      }
+      storage.put('refunds', {
+        id,
+        type,
+        paymentId,
+        wallet: args.student,
+        studentId: payment ? payment.studentId : null,
+        semester: payment ? payment.semester : null,
+        amount,
+        timestamp: Number(args.timestamp),
+        ...source
+      });
+      break;
+    }
+
+    case 'UniversityWithdrawal':
+      // Keyed by the log itself: two withdrawals of the same amount can share a block.
+      // Records indexed before were keyed `${timestamp}:${amount}` and are replaced.
+      storage.remove('withdrawals', `${args.timestamp}:${args.amount}`);
+      storage.put('withdrawals', {
+        id: event.id,
+        wallet: args.wallet,
+        amount: args.amount,
+        timestamp: Number(args.timestamp),
+        ...source
+      });
+      break;
+  }
+}
+
+// Storage view that records the previous version of every record it writes,
+// so an event that is later reorged out can be undone exactly
+function undoRecorder(storage, undo) {
+  const seen = new Set();
+  return recordingView(storage, (collection, key) => {
+    if (seen.has(`${collection}:${key}`)) return;
+    seen.add(`${collection}:${key}`);
+    undo.push({ collection, key, before: storage.get(collection, key) });
+  });
+}
+
+// Store indexed events, update derived records and advance the checkpoint atomically.
+// checkpoint: { blockNumber, blockHash, finalizedBlock, blocks: [{ number, hash }] }
+function applyChainEvents(events, checkpoint) {
+  const storage = getStorage();
+  const pending = storage.list('events').filter(
+    e => !e.confirmed && e.blockNumber <= checkpoint.finalizedBlock
+  );
+
+  if (events.length === 0 && pending.length === 0) {
+    // Nothing changed off-chain, only remember how far we have scanned
+    storage.setMeta('indexer.checkpoint', checkpoint);
+    return 0;
+  }
+  return mutate(s => {
+    // Logs that are now deep enough can no longer be rolled back
+    for (const event of pending) {
+      delete event.undo;
+      s.put('events', { ...event, confirmed: true });
+    }
+
+    let applied = 0;
+    for (const event of events) {
+      if (s.get('events', event.id)) continue; // Already ingested
+      if (event.blockNumber <= checkpoint.finalizedBlock) {
+        applyEvent(s, event);
+        s.put('events', { ...event, confirmed: true });
+      } else {
+        const undo = [];
+        applyEvent(undoRecorder(s, undo), event);
+        s.put('events', { ...event, confirmed: false, undo });
+      }
+      applied++;
+    }
+    s.setMeta('indexer.checkpoint', checkpoint);
+    return applied;
+  }, 'applyChainEvents');
+}
+
+// Undo unconfirmed events from fromBlock upwards (newest first) after a reorg
+// and rewind the checkpoint so the indexer re-reads the canonical blocks
+function rollbackChainEvents(fromBlock, checkpoint) {
+  return mutate(storage => {
+    const orphaned = storage.list('events')
+      .filter(e => e.blockNumber >= fromBlock)
+      .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+
+    for (const event of orphaned) {
+      if (!event.undo) {
+        throw new Error(`Cannot roll back confirmed event ${event.id}`);
+      }
+      for (const { collection, key, before } of [...event.undo].reverse()) {
+        if (before) {
+          storage.put(collection, before);
+        } else {
+          storage.remove(collection, key);
+        }
+      }
+      storage.remove('events', event.id);
+    }
+    storage.setMeta('indexer.checkpoint', checkpoint);
+    return orphaned.length;
+  }, 'rollbackChainEvents');
+}
+
+// Last indexed block and recent block hashes (see applyChainEvents) or null
+function getIndexerCheckpoint() {
+  return getStorage().getMeta('indexer.checkpoint');
+}
+
+// Forget the indexed chain after a node reset; off-chain records stay as the restore source
+function resetChainIndex() {
+  mutate(storage => {
+    storage.clear('events');
+    for (const collection of CHAIN_LINKED) {
+      for (const record of storage.list(collection)) {
+        for (const field of CHAIN_REFS) delete record[field];
+        storage.put(collection, record);
+      }
+    }
+    storage.setMeta('indexer.checkpoint', null);
+  }, 'resetChainIndex');
+}
+
+// Indexed events, optionally filtered by event name (undo data stays internal)
+function getChainEvents(name) {
+  const events = getStorage().list('events').map(({ undo, ...event }) => event);
+  return name ? events.filter(e => e.name === name) : events;
+}
+
+// ============ Snapshots ============
+
+// Replace the whole store with a snapshot (see snapshots.js). The current state is
+// snapshotted first, so a restore can itself be undone. Returns record counts.
+function restoreSnapshot(snapshot) {
+  const backup = createSnapshot('before-restore');
+  mutate(storage => {
+    for (const collection of COLLECTION_NAMES) {
+      storage.clear(collection);
+      for (const record of snapshot.collections[collection] || []) storage.put(collection, record);
+    }
+    for (const name of META_NAMES.filter(n => n !== 'lastUpdated')) {
+      storage.setMeta(name, snapshot.meta[name] ?? null);
+    }
+  }, 'restoreSnapshot');
+  return { restored: snapshot.id, backup: backup.id, counts: snapshot.counts };
 }
 
 module.exports = {
   loadData,
-  saveData,
+  loadPublicData,
   addStudent,
+  setStudentEmail,
+  PROFILE_FIELDS,
+  getProfile,
+  listProfiles,
+  setProfile,
+  getProfileByWallet,
   setScholarship,
   addFeeSchedule,
   addRegistrationRequest,
   approveRegistration,
   rejectRegistration,
   getPendingRequests,
-  addPayment,
+  getRegistrationRequest,
   getStudentPayments,
-  DATA_FILE
+  queryPayments,
+  PAYMENT_STATUSES,
+  PAYMENT_SORT_FIELDS,
+  getLedgerEntries,
+  repairOffChainRecords,
+  getReminderLog,
+  hasReminderBeenSent,
+  recordReminder,
+  applyChainEvents,
+  rollbackChainEvents,
+  getIndexerCheckpoint,
+  resetChainIndex,
+  getChainEvents,
+  restoreSnapshot
 };
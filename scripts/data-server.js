@@ -1,124 +1,703 @@
 const express = require('express');
 const cors = require('cors');
 const { 
-  loadData, 
+  loadPublicData, 
   addStudent, 
+  listProfiles,
+  getProfile,
+  setProfile,
+  getProfileByWallet,
   setScholarship, 
   addFeeSchedule,
   addRegistrationRequest,
   approveRegistration,
   rejectRegistration,
   getPendingRequests,
-  addPayment,
-  getStudentPayments
+  getRegistrationRequest,
+  getStudentPayments,
+  queryPayments,
+  PAYMENT_STATUSES,
+  PAYMENT_SORT_FIELDS,
+  getLedgerEntries,
+  repairOffChainRecords,
+  getReminderLog,
+  getChainEvents,
+  getIndexerCheckpoint,
+  restoreSnapshot
 } = require('./data-manager');
+const {
+  issueNonce,
+  verifySignIn,
+  requireAdmin,
+  revokeSession,
+  verifyRegistrationSignature,
+  verifyWalletAccessSignature
+} = require('./auth');
+const { createIndexer, INDEXED_EVENTS } = require('./indexer');
+const { getContract, getProvider } = require('./chain');
+const { getStorage } = require('./storage');
+const { gauge, addCollector, renderMetrics, httpMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { parseStudentCsv, validateImportRows, summarizeImport } = require('./student-import');
+const { ledgerCsv, ledgerXlsx } = require('./accounting-export');
+const { buildReceipt, receiptPdf } = require('./receipts');
+const { reconcile } = require('./reconciliation');
+const { createLiveStream } = require('./live-updates');
+const { createReminderScheduler } = require('./reminders');
+const { runWithActor, readAuditLog, verifyAuditLog } = require('./audit-log');
+const { openApiDocument, undocumentedRoutes } = require('./openapi');
+const { createRateLimiter } = require('./rate-limit');
+const {
+  DEFAULT_SCOPE,
+  SCOPES,
+  scopeKey,
+  runInScope,
+  currentScope,
+  findScope,
+  describeScope
+} = require('./scope');
+const {
+  createSnapshot,
+  readSnapshot,
+  listSnapshots,
+  diffSnapshots,
+  startSnapshotTimer
+} = require('./snapshots');
+const {
+  validate,
+  optional,
+  address,
+  percent,
+  integer,
+  timestamp,
+  wei,
+  semester,
+  studentId,
+  email,
+  signature,
+  text,
+  boolean,
+  oneOf
+} = require('./validation');
+const {
+  DATA_PORT,
+  INDEXER_ENABLED,
+  REMINDERS_ENABLED,
+  SNAPSHOT_KEEP,
+  SNAPSHOT_INTERVAL_MS,
+  REGISTRATION_RATE_WINDOW_MS,
+  REGISTRATION_RATE_LIMIT_IP,
+  REGISTRATION_RATE_LIMIT_WALLET,
+  NONCE_RATE_LIMIT_IP,
+  JSON_BODY_LIMIT,
+  TRUST_PROXY,
+  HEALTH_RPC_TIMEOUT_MS,
+  READY_MAX_INDEXER_LAG
+} = require('./config');
 
 const app = express();
-const PORT = 3001;
+const PORT = DATA_PORT;
+const live = createLiveStream();
 
-app.use(cors());
-app.use(express.json());
+// One indexer and reminder scheduler per served deployment (see scope.js)
+const indexers = new Map(SCOPES.map(scope => [scopeKey(scope), createIndexer({ scope, onChange: live.publish })]));
+const reminderSchedulers = new Map(SCOPES.map(scope => [scopeKey(scope), createReminderScheduler({ scope })]));
+const indexer = () => indexers.get(scopeKey(currentScope()));
+const reminders = () => reminderSchedulers.get(scopeKey(currentScope()));
 
-// Get all data
+// Registration spam protection: attempts per client IP, and per wallet once the
+// signature proved the caller owns it (so nobody can use up someone else's quota)
+const registrationLimits = {
+  ip: createRateLimiter({
+    windowMs: REGISTRATION_RATE_WINDOW_MS,
+    max: REGISTRATION_RATE_LIMIT_IP,
+    key: req => req.ip,
+    message: 'Too many registration attempts from this network, please try again later'
+  }),
+  wallet: createRateLimiter({
+    windowMs: REGISTRATION_RATE_WINDOW_MS,
+    max: REGISTRATION_RATE_LIMIT_WALLET,
+    key: req => req.valid.wallet.toLowerCase(),
+    message: 'Too many registration attempts for this wallet, please try again later'
+  })
+};
+
+// Nonces are handed out without a session, each one is held in memory until it expires
+const nonceLimit = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: NONCE_RATE_LIMIT_IP,
+  key: req => req.ip,
+  message: 'Too many sign-in attempts from this network, please try again later'
+});
+
+app.set('trust proxy', TRUST_PROXY);
+
+app.use(httpMetrics);
+
+// Content-Disposition carries the file name of exports, Retry-After the wait after a 429
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'Retry-After'] }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+// ============ Health and metrics (outside /api, independent of the deployment scope) ============
+
+// Chain head of a deployment's node, or an error when it does not answer in time
+async function probeRpc(scope) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${HEALTH_RPC_TIMEOUT_MS} ms`)), HEALTH_RPC_TIMEOUT_MS);
+  });
+  try {
+    return { up: true, head: await Promise.race([getProvider(scope).getBlockNumber(), timeout]) };
+  } catch (err) {
+    return { up: false, error: err.shortMessage || err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Store, node and indexer state of one deployment
+async function deploymentHealth(scope) {
+  const rpc = await probeRpc(scope);
+  return runInScope(scope, () => {
+    let storage;
+    try {
+      getStorage().getMeta('lastUpdated');
+      storage = { ok: true };
+    } catch (err) {
+      storage = { ok: false, error: err.message };
+    }
+    const checkpoint = getIndexerCheckpoint();
+    const indexedBlock = checkpoint ? checkpoint.blockNumber : null;
+    const lag = rpc.up && indexedBlock !== null ? Math.max(rpc.head - indexedBlock, 0) : null;
+    return {
+      ...describeScope(scope),
+      storage,
+      rpc,
+      indexer: { enabled: INDEXER_ENABLED, indexedBlock, lag },
+      pendingRegistrations: storage.ok ? getPendingRequests().length : null
+    };
+  });
+}
+
+const ready = health => health.storage.ok && health.rpc.up &&
+  (!INDEXER_ENABLED || (health.indexer.lag !== null && health.indexer.lag <= READY_MAX_INDEXER_LAG));
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: every deployment's store is readable, its node answers and the indexer
+// is at most READY_MAX_INDEXER_LAG blocks behind the chain head
+app.get('/readyz', async (req, res) => {
+  const deployments = await Promise.all(SCOPES.map(deploymentHealth));
+  const isReady = deployments.every(ready);
+  res.status(isReady ? 200 : 503).json({ status: isReady ? 'ready' : 'not_ready', deployments });
+});
+
+const deploymentGauges = {
+  rpcUp: gauge('tuition_rpc_up', 'Whether the deployment\'s JSON-RPC node answered (1) or not (0)'),
+  chainHead: gauge('tuition_chain_head_block', 'Latest block number reported by the node'),
+  indexedBlock: gauge('tuition_indexer_block', 'Last block processed by the event indexer'),
+  indexerLag: gauge('tuition_indexer_lag_blocks', 'Blocks between the chain head and the last indexed block'),
+  pendingRegistrations: gauge('tuition_registration_requests_pending', 'Registration requests waiting for review'),
+  ready: gauge('tuition_ready', 'Whether the deployment passes the /readyz checks (1) or not (0)')
+};
+const streamClients = gauge('tuition_live_stream_clients', 'Connected live update (SSE) clients');
+
+addCollector(async () => {
+  const deployments = await Promise.all(SCOPES.map(deploymentHealth));
+  for (const metric of Object.values(deploymentGauges)) metric.reset();
+  for (const health of deployments) {
+    const labels = { chain_id: health.chainId, contract: health.contract.toLowerCase() };
+    deploymentGauges.rpcUp.set(labels, health.rpc.up ? 1 : 0);
+    deploymentGauges.ready.set(labels, ready(health) ? 1 : 0);
+    if (health.rpc.up) deploymentGauges.chainHead.set(labels, health.rpc.head);
+    if (health.indexer.indexedBlock !== null) deploymentGauges.indexedBlock.set(labels, health.indexer.indexedBlock);
+    if (health.indexer.lag !== null) deploymentGauges.indexerLag.set(labels, health.indexer.lag);
+    if (health.pendingRegistrations !== null) {
+      deploymentGauges.pendingRegistrations.set(labels, health.pendingRegistrations);
+    }
+  }
+  streamClients.set({}, live.clientCount());
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(await renderMetrics());
+});
+
+// Deployment the request is about: X-Chain-Id and X-Contract-Address headers, or
+// chainId and contract query parameters (EventSource cannot send headers).
+// Requests without them use the default deployment.
+app.use((req, res, next) => {
+  const chainId = req.get('x-chain-id') ?? req.query.chainId;
+  const contract = req.get('x-contract-address') ?? req.query.contract;
+  if (chainId === undefined && contract === undefined) {
+    return runInScope(DEFAULT_SCOPE, next);
+  }
+  if (!/^\d{1,12}$/.test(chainId) || !/^0x[0-9a-fA-F]{40}$/.test(contract)) {
+    return res.status(400).json({ error: 'Chain ID and contract address must be sent together', code: 'INVALID_SCOPE' });
+  }
+  const scope = findScope(chainId, contract);
+  if (!scope) {
+    return res.status(404).json({ error: `No deployment ${contract} on chain ${chainId} is served here`, code: 'UNKNOWN_DEPLOYMENT' });
+  }
+  runInScope(scope, next);
+});
+
+// Audit log actor for mutations made while handling a request: the signed-in admin,
+// otherwise the wallet that signed the request, otherwise the client IP.
+// Resolved lazily because authentication and validation run later.
+app.use((req, res, next) => runWithActor(() => {
+  if (req.admin) return `admin:${req.admin.address}`;
+  if (req.valid && req.valid.wallet && req.valid.signature) return `wallet:${req.valid.wallet}`;
+  return `anonymous:${req.ip}`;
+}, next));
+
+// Deployments served by this data server; clients pick one with the scope headers
+app.get('/api/deployments', (req, res) => {
+  res.json(SCOPES.map(describeScope));
+});
+
+// Get all data (personal data such as profiles and emails is left out)
 app.get('/api/data', (req, res) => {
-  const data = loadData();
+  const data = loadPublicData();
   res.json(data);
 });
 
-// Add student
-app.post('/api/students', (req, res) => {
-  const { wallet, studentId } = req.body;
-  if (!wallet || !studentId) {
-    return res.status(400).json({ error: 'Missing wallet or studentId' });
+// Get a nonce for Sign-In-With-Ethereum or a WalletAccess signature
+app.get('/api/auth/nonce', nonceLimit, (req, res) => {
+  const nonce = issueNonce();
+  if (!nonce) {
+    return res.status(429).json({ error: 'Too many sign-in attempts in progress, please try again shortly', code: 'NONCE_LIMIT_REACHED' });
   }
+  res.json({ nonce });
+});
+
+// Verify signed SIWE message and open an admin session
+app.post('/api/auth/verify', validate({
+  body: { message: text(4096), signature }
+}), async (req, res) => {
+  const { message, signature } = req.valid;
+  const result = await verifySignIn(message, signature);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, code: result.code });
+  }
+  res.json({ token: result.token, address: result.address, expiresAt: result.expiresAt });
+});
+
+// End admin session
+app.post('/api/auth/logout', (req, res) => {
+  revokeSession(req);
+  res.json({ success: true });
+});
+
+// Add student
+app.post('/api/students', requireAdmin, validate({
+  body: { wallet: address, studentId }
+}), (req, res) => {
+  const { wallet, studentId } = req.valid;
   const data = addStudent(wallet, studentId);
   res.json({ success: true, data });
 });
 
-// Set scholarship
-app.post('/api/scholarships', (req, res) => {
-  const { wallet, percent } = req.body;
-  if (!wallet || percent === undefined) {
-    return res.status(400).json({ error: 'Missing wallet or percent' });
+// Off-chain student profiles; PUT replaces the whole profile
+const profileFields = {
+  fullName: optional(text(120)),
+  email: optional(email),
+  faculty: optional(text(120)),
+  program: optional(text(120)),
+  cohort: optional(text(20))
+};
+
+app.get('/api/profiles', requireAdmin, (req, res) => {
+  res.json(listProfiles());
+});
+
+app.get('/api/profiles/:studentId', requireAdmin, validate({
+  params: { studentId }
+}), (req, res) => {
+  const profile = getProfile(req.valid.studentId);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found', code: 'PROFILE_NOT_FOUND' });
   }
+  res.json(profile);
+});
+
+app.put('/api/profiles/:studentId', requireAdmin, validate({
+  params: { studentId },
+  body: profileFields
+}), (req, res) => {
+  const { studentId, ...fields } = req.valid;
+  for (const field of Object.keys(fields)) fields[field] = fields[field].trim();
+  const result = setProfile(studentId, fields, req.admin.address);
+  res.json({ success: true, profile: result.profile });
+});
+
+// A student reads their own profile by signing a WalletAccess message (EIP-712)
+app.post('/api/profiles/me', validate({
+  body: { wallet: address, nonce: text(64), signature }
+}), (req, res) => {
+  const { wallet, nonce } = req.valid;
+  const verification = verifyWalletAccessSignature('profile', { wallet, nonce }, req.valid.signature);
+  if (verification.error) {
+    return res.status(401).json({ error: verification.error, code: verification.code });
+  }
+  const result = getProfileByWallet(wallet);
+  if (result.error) {
+    return res.status(404).json({ error: result.error, code: result.code });
+  }
+  res.json({ studentId: result.studentId, profile: result.profile || null });
+});
+
+// Validate a student CSV before bulk registration (rows are submitted on chain by the admin wallet)
+app.post('/api/students/import/validate', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  const rows = typeof req.body === 'string' ? parseStudentCsv(req.body) : [];
+  if (rows.length === 0) {
+    return res.status(400).json({ error: 'CSV file has no student rows', code: 'EMPTY_CSV' });
+  }
+  try {
+    const results = await validateImportRows(rows, getContract());
+    res.json({ summary: summarizeImport(results), rows: results });
+  } catch (err) {
+    console.error('[DATA API] Import validation failed:', err.message);
+    res.status(503).json({ error: 'Blockchain node unavailable', code: 'NODE_UNAVAILABLE' });
+  }
+});
+
+// Set scholarship
+app.post('/api/scholarships', requireAdmin, validate({
+  body: { wallet: address, percent }
+}), (req, res) => {
+  const { wallet, percent } = req.valid;
   const data = setScholarship(wallet, percent);
   res.json({ success: true, data });
 });
 
 // Add fee schedule
-app.post('/api/fees', (req, res) => {
-  const { semester, amount, deadline } = req.body;
-  if (!semester || !amount || !deadline) {
-    return res.status(400).json({ error: 'Missing semester, amount or deadline' });
-  }
+app.post('/api/fees', requireAdmin, validate({
+  body: { semester, amount: wei, deadline: timestamp }
+}), (req, res) => {
+  const { semester, amount, deadline } = req.valid;
   const data = addFeeSchedule(semester, amount, deadline);
   res.json({ success: true, data });
 });
 
-// Registration request from student
-app.post('/api/register-request', (req, res) => {
-  const { wallet, studentId } = req.body;
-  if (!wallet || !studentId) {
-    return res.status(400).json({ error: 'Missing wallet or studentId' });
+// Registration request from student (EIP-712 signed by the wallet itself)
+app.post('/api/register-request', registrationLimits.ip, validate({
+  body: { wallet: address, studentId, issuedAt: timestamp, signature }
+}), (req, res, next) => {
+  const { wallet, studentId, issuedAt } = req.valid;
+  const verification = verifyRegistrationSignature({ wallet, studentId, issuedAt }, req.valid.signature);
+  if (verification.error) {
+    return res.status(401).json({ error: verification.error, code: verification.code });
+  }
+  next();
+}, registrationLimits.wallet, (req, res) => {
+  const { wallet, studentId, signature } = req.valid;
+  const result = addRegistrationRequest(wallet, studentId, signature);
+  if (result.code === 'PENDING_LIMIT_REACHED') {
+    const retryAfter = Math.max(1, Math.ceil((Date.parse(result.retryAt) - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: result.error, code: result.code, retryAt: result.retryAt, retryAfter });
   }
-  const result = addRegistrationRequest(wallet, studentId);
   if (result.error) {
-    return res.status(400).json({ error: result.error });
+    return res.status(400).json({ error: result.error, code: result.code });
   }
-  res.json({ success: true, message: 'Yêu cầu đăng ký đã được gửi' });
+  res.json({ success: true, message: 'Registration request submitted' });
 });
 
-// Get pending registration requests
-app.get('/api/register-requests', (req, res) => {
+// Get pending registration requests (admin only: they name the student behind each wallet)
+app.get('/api/register-requests', requireAdmin, (req, res) => {
   const requests = getPendingRequests();
   res.json(requests);
 });
 
-// Approve registration
-app.post('/api/register-approve', (req, res) => {
-  const { wallet } = req.body;
-  if (!wallet) {
-    return res.status(400).json({ error: 'Missing wallet' });
+// Registration request status and history for one wallet (public view, see publicRegistrationRequest)
+app.get('/api/register-requests/:wallet', validate({
+  params: { wallet: address }
+}), (req, res) => {
+  const result = getRegistrationRequest(req.valid.wallet);
+  if (result.error) {
+    return res.status(404).json({ error: result.error, code: result.code });
+  }
+  res.json(result.request);
+});
+
+// A student reads their own request with student ID and rejection reason by signing a
+// WalletAccess message (EIP-712)
+app.post('/api/register-requests/me', validate({
+  body: { wallet: address, nonce: text(64), signature }
+}), (req, res) => {
+  const { wallet, nonce } = req.valid;
+  const verification = verifyWalletAccessSignature('registration', { wallet, nonce }, req.valid.signature);
+  if (verification.error) {
+    return res.status(401).json({ error: verification.error, code: verification.code });
   }
-  const result = approveRegistration(wallet);
+  const result = getRegistrationRequest(wallet, { full: true });
   if (result.error) {
-    return res.status(400).json({ error: result.error });
+    return res.status(404).json({ error: result.error, code: result.code });
   }
-  res.json({ success: true, student: result.student });
+  res.json(result.request);
 });
 
-// Reject registration
-app.post('/api/register-reject', (req, res) => {
-  const { wallet } = req.body;
-  if (!wallet) {
-    return res.status(400).json({ error: 'Missing wallet' });
+// Approve registration (recorded with the signed-in admin's address)
+app.post('/api/register-approve', requireAdmin, validate({
+  body: { wallet: address }
+}), (req, res) => {
+  const result = approveRegistration(req.valid.wallet, req.admin.address);
+  if (result.error) {
+    return res.status(400).json({ error: result.error, code: result.code });
   }
-  const result = rejectRegistration(wallet);
+  res.json({ success: true, student: result.student });
+});
+
+// Reject registration with a reason the student can see
+app.post('/api/register-reject', requireAdmin, validate({
+  body: { wallet: address, reason: text(500) }
+}), (req, res) => {
+  const { wallet, reason } = req.valid;
+  const result = rejectRegistration(wallet, req.admin.address, reason.trim());
   if (result.error) {
-    return res.status(400).json({ error: result.error });
+    return res.status(400).json({ error: result.error, code: result.code });
   }
   res.json({ success: true });
 });
 
-// Add payment record
-app.post('/api/payments', (req, res) => {
-  const { wallet, semester, amount, timestamp } = req.body;
-  if (!wallet || !semester || !amount) {
-    return res.status(400).json({ error: 'Missing wallet, semester or amount' });
+// sort=timestamp (ascending) or sort=-timestamp (descending)
+const PAYMENT_SORTS = PAYMENT_SORT_FIELDS.flatMap(field => [field, `-${field}`]);
+
+// Search payments with filters, sorting and cursor pagination
+app.get('/api/payments', validate({
+  query: {
+    // Free text: semesters and IDs on chain are not guaranteed to match the write formats
+    studentId: optional(text(64)),
+    wallet: optional(address),
+    semester: optional(text(64)),
+    status: optional(oneOf(PAYMENT_STATUSES)),
+    from: optional(timestamp),
+    to: optional(timestamp),
+    minAmount: optional(wei),
+    maxAmount: optional(wei),
+    sort: optional(oneOf(PAYMENT_SORTS)),
+    limit: optional(integer(1, 100)),
+    cursor: optional(text(512))
+  }
+}), (req, res) => {
+  const { minAmount, maxAmount, sort = '-timestamp', limit = 20, ...filters } = req.valid;
+  const result = queryPayments({
+    ...filters,
+    minAmount: minAmount === undefined ? undefined : BigInt(minAmount),
+    maxAmount: maxAmount === undefined ? undefined : BigInt(maxAmount),
+    sort: { field: sort.replace(/^-/, ''), order: sort.startsWith('-') ? 'desc' : 'asc' },
+    limit
+  });
+  if (result.error) {
+    return res.status(400).json({ error: result.error, code: result.code });
+  }
+  res.json(result);
+});
+
+// Accounting export: payments, refunds and withdrawals as CSV or XLSX
+app.get('/api/export/ledger', requireAdmin, validate({
+  query: {
+    format: optional(oneOf(['csv', 'xlsx'])),
+    semester: optional(text(64)),
+    from: optional(timestamp),
+    to: optional(timestamp)
+  }
+}), async (req, res) => {
+  const { format = 'csv', ...filters } = req.valid;
+  const entries = getLedgerEntries(filters);
+
+  const day = seconds => new Date(seconds * 1000).toISOString().slice(0, 10);
+  const scope = [
+    filters.semester,
+    filters.from !== undefined && `from-${day(filters.from)}`,
+    filters.to !== undefined && `to-${day(filters.to)}`
+  ].filter(Boolean).join('_') || 'all';
+  const filename = `ledger_${scope.replace(/[^A-Za-z0-9_-]/g, '')}.${format}`;
+
+  res.attachment(filename);
+  if (format === 'xlsx') {
+    res.type('xlsx').send(await ledgerXlsx(entries, `Tuition ledger (${scope}), exported ${new Date().toISOString()}`));
+  } else {
+    res.type('csv').send(ledgerCsv(entries));
+  }
+});
+
+// Off-chain vs on-chain reconciliation report
+app.get('/api/reconcile', requireAdmin, async (req, res) => {
+  try {
+    res.json(await reconcile(getContract()));
+  } catch (err) {
+    console.error('[DATA API] Reconciliation failed:', err.message);
+    res.status(503).json({ error: 'Blockchain node unavailable', code: 'NODE_UNAVAILABLE' });
+  }
+});
+
+// Repair the off-chain side from the chain, then report what is left
+app.post('/api/reconcile/repair', requireAdmin, validate({
+  body: { prune: optional(boolean) }
+}), async (req, res) => {
+  try {
+    const before = await reconcile(getContract());
+    const repaired = repairOffChainRecords(before.issues, { prune: req.valid.prune === true });
+    res.json({ repaired, report: await reconcile(getContract()) });
+  } catch (err) {
+    console.error('[DATA API] Reconciliation failed:', err.message);
+    res.status(503).json({ error: 'Blockchain node unavailable', code: 'NODE_UNAVAILABLE' });
   }
-  const ts = timestamp || Math.floor(Date.now() / 1000);
-  const data = addPayment(wallet, semester, amount, ts);
-  res.json({ success: true, data });
 });
 
 // Get student payments
-app.get('/api/payments/:wallet', (req, res) => {
-  const payments = getStudentPayments(req.params.wallet);
+app.get('/api/payments/:wallet', validate({
+  params: { wallet: address }
+}), (req, res) => {
+  const payments = getStudentPayments(req.valid.wallet);
   res.json(payments);
 });
 
-app.listen(PORT, () => {
-  console.log(`[DATA API] Running on http://localhost:${PORT}`);
+// PDF receipt of one payment, read from the contract (public like the payments themselves)
+app.get('/api/receipts/:paymentId', validate({
+  params: { paymentId: integer(1, Number.MAX_SAFE_INTEGER) }
+}), async (req, res) => {
+  const { paymentId } = req.valid;
+  let receipt;
+  try {
+    receipt = await buildReceipt(getContract(), currentScope(), paymentId);
+  } catch (err) {
+    console.error('[DATA API] Receipt lookup failed:', err.shortMessage || err.message);
+    return res.status(503).json({ error: 'Blockchain node unavailable', code: 'NODE_UNAVAILABLE' });
+  }
+  if (!receipt) {
+    return res.status(404).json({ error: `Payment ${paymentId} not found`, code: 'PAYMENT_NOT_FOUND' });
+  }
+  res.attachment(`receipt_${paymentId}_${receipt.studentId}_${receipt.semester}.pdf`.replace(/[^A-Za-z0-9_.-]/g, ''));
+  res.type('pdf').send(await receiptPdf(receipt));
+});
+
+// Indexed contract events (optionally ?name=PaymentReceived)
+app.get('/api/events', validate({
+  query: { name: optional(oneOf(INDEXED_EVENTS)) }
+}), (req, res) => {
+  res.json(getChainEvents(req.valid.name));
+});
+
+// Latest audit log entries of the deployment (newest first) and the result of verifying
+// the whole hash chain. Entries written before scoping belong to the default deployment.
+app.get('/api/audit', requireAdmin, validate({
+  query: { limit: optional(integer(1, 500)) }
+}), (req, res) => {
+  const key = scopeKey(currentScope());
+  const entries = readAuditLog().filter(entry => (entry.scope || scopeKey(DEFAULT_SCOPE)) === key);
+  res.json({
+    verification: verifyAuditLog(),
+    entries: entries.slice(-(req.valid.limit || 50)).reverse()
+  });
+});
+
+// Store snapshots, newest first
+app.get('/api/snapshots', requireAdmin, (req, res) => {
+  res.json({
+    mode: SNAPSHOT_INTERVAL_MS > 0 ? 'interval' : 'every-change',
+    intervalMs: SNAPSHOT_INTERVAL_MS,
+    keep: SNAPSHOT_KEEP,
+    snapshots: listSnapshots()
+  });
+});
+
+app.post('/api/snapshots', requireAdmin, (req, res) => {
+  res.status(201).json(createSnapshot('manual'));
+});
+
+// Record level differences between two snapshots; "current" is the live store
+app.get('/api/snapshots/diff', requireAdmin, validate({
+  query: { from: text(64), to: optional(text(64)) }
+}), (req, res) => {
+  const from = readSnapshot(req.valid.from);
+  const to = readSnapshot(req.valid.to || 'current');
+  if (!from || !to) {
+    return res.status(404).json({ error: 'Snapshot not found', code: 'SNAPSHOT_NOT_FOUND' });
+  }
+  res.json(diffSnapshots(from, to));
+});
+
+// Roll the store back to a snapshot; the state before the restore is snapshotted first
+app.post('/api/snapshots/:id/restore', requireAdmin, validate({
+  params: { id: text(64) }
+}), (req, res) => {
+  const snapshot = req.valid.id === 'current' ? null : readSnapshot(req.valid.id);
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Snapshot not found', code: 'SNAPSHOT_NOT_FOUND' });
+  }
+  res.json(restoreSnapshot(snapshot));
+});
+
+// Deadline reminder scheduler status and sent-log
+app.get('/api/reminders', requireAdmin, (req, res) => {
+  res.json({ enabled: REMINDERS_ENABLED, ...reminders().getStatus(), sent: getReminderLog() });
 });
 
+// Send due reminders now instead of waiting for the next scheduled run
+app.post('/api/reminders/run', requireAdmin, async (req, res) => {
+  try {
+    res.json(await reminders().run());
+  } catch (err) {
+    res.status(503).json({ error: 'Blockchain node unavailable', code: 'NODE_UNAVAILABLE' });
+  }
+});
+
+// Indexer progress
+app.get('/api/indexer', (req, res) => {
+  res.json({ enabled: INDEXER_ENABLED, ...indexer().getStatus(), streamClients: live.clientCount() });
+});
+
+// Live contract activity (Server-Sent Events, see live-updates.js)
+app.get('/api/stream', live.handler);
+
+// OpenAPI description of this API (the browser client is generated from it)
+app.get('/api/docs', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Malformed or oversized bodies get the same error shape as validation failures
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body is larger than ${err.limit} bytes`, code: 'PAYLOAD_TOO_LARGE' });
+  }
+  // A CLI script wrote to the JSON store meanwhile; the store has been reloaded
+  if (err.code === 'STORE_CHANGED_ELSEWHERE') {
+    return res.status(409).json({ error: 'Data was changed by another process, please try again', code: err.code });
+  }
+  next(err);
+});
+
+// Tests import the app and listen on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`[DATA API] Running on http://localhost:${PORT}`);
+    const undocumented = undocumentedRoutes(app);
+    if (undocumented.length > 0) {
+      console.warn(`[DATA API] Routes missing from the OpenAPI document: ${undocumented.join(', ')}`);
+    }
+    for (const scope of SCOPES) {
+      if (INDEXER_ENABLED) {
+        indexers.get(scopeKey(scope)).start();
+      }
+      if (REMINDERS_ENABLED) {
+        reminderSchedulers.get(scopeKey(scope)).start();
+      }
+      // The interval keeps the scope it was started in
+      runInScope(scope, () => startSnapshotTimer());
+    }
+    if (SCOPES.length > 1) {
+      console.log(`[DATA API] Serving ${SCOPES.length} deployments: ${SCOPES.map(scopeKey).join(', ')}`);
+    }
+  });
+}
+
 module.exports = app;
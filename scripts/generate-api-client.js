@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const { openApiDocument } = require('./openapi');
+
+// Usage: node scripts/generate-api-client.js [--check]
+// Writes client/src/api/client.js from the OpenAPI document in openapi.js.
+//   --check  exit with code 1 if the generated file is out of date instead of writing it
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'client', 'src', 'api', 'client.js');
+
+const { schemas } = openApiDocument.components;
+const refName = ref => ref.split('/').pop();
+const resolve = s => (s && s.$ref ? schemas[refName(s.$ref)] : s);
+
+// JSDoc type of a schema
+function typeOf(s) {
+  if (!s) return '*';
+  if (s.$ref) return refName(s.$ref);
+  if (s.allOf) return s.allOf.map(typeOf).join(' & ');
+  let type;
+  if (s.enum) {
+    type = s.enum.map(value => JSON.stringify(value)).join('|');
+  } else if (s.type === 'array') {
+    type = `Array<${typeOf(s.items)}>`;
+  } else if (s.type === 'integer' || s.type === 'number') {
+    type = 'number';
+  } else if (s.type === 'object') {
+    type = s.additionalProperties && s.additionalProperties !== true
+      ? `Object<string, ${typeOf(s.additionalProperties)}>`
+      : 'Object';
+  } else {
+    type = s.type || '*';
+  }
+  return s.nullable ? `(${type}|null)` : type;
+}
+
+const comment = lines => ['/**', ...lines.map(line => ` * ${line}`.trimEnd()), ' */'];
+
+// Object schemas (allOf parts merged) become typedefs with @property lines
+function typedef(name, s) {
+  const parts = s.allOf ? s.allOf.map(resolve) : [s];
+  const isObject = parts.every(part => part.type === 'object');
+  const lines = [`@typedef {${isObject ? 'Object' : typeOf(s)}} ${name}`];
+  if (s.description) lines.unshift(s.description, '');
+  for (const part of isObject ? parts : []) {
+    for (const [prop, propSchema] of Object.entries(part.properties || {})) {
+      const required = (part.required || []).includes(prop);
+      const description = resolve(propSchema).description || '';
+      lines.push(`@property {${typeOf(propSchema)}} ${required ? prop : `[${prop}]`} ${description}`);
+    }
+  }
+  return comment(lines);
+}
+
+// One exported function per operation: (pathParams..., body?, query?, options?)
+function operationFunction(route, method, op) {
+  const parameters = op.parameters || [];
+  const pathParams = parameters.filter(p => p.in === 'path');
+  const queryParams = parameters.filter(p => p.in === 'query');
+  const requestContent = op.requestBody ? Object.keys(op.requestBody.content)[0] : null;
+  const success = Object.entries(op.responses).find(([status]) => status.startsWith('2'))[1];
+  const responseContent = Object.keys(success.content || {});
+  const isAdmin = (op.security || []).some(s => s.adminSession) && !(op.security || []).some(s => Object.keys(s).length === 0);
+
+  const doc = [op.summary + (isAdmin ? ' (admin)' : ''), ''];
+  const args = [];
+  for (const p of pathParams) {
+    doc.push(`@param {${typeOf(p.schema)}} ${p.name} ${p.description || ''}`);
+    args.push(p.name);
+  }
+  if (requestContent) {
+    const bodySchema = op.requestBody.content[requestContent].schema;
+    if (requestContent === 'application/json') {
+      doc.push(`@param {Object} body`);
+      for (const [prop, propSchema] of Object.entries(bodySchema.properties || {})) {
+        const required = (bodySchema.required || []).includes(prop);
+        doc.push(`@param {${typeOf(propSchema)}} ${required ? `body.${prop}` : `[body.${prop}]`} ${resolve(propSchema).description || ''}`);
+      }
+    } else {
+      doc.push(`@param {string} body ${requestContent} content`);
+    }
+    args.push('body');
+  }
+  if (queryParams.length > 0) {
+    const optionalQuery = queryParams.every(p => !p.required);
+    doc.push(`@param {Object} ${optionalQuery ? '[query]' : 'query'}`);
+    for (const p of queryParams) {
+      doc.push(`@param {${typeOf(p.schema)}} ${p.required ? `query.${p.name}` : `[query.${p.name}]`} ${p.description || ''}`);
+    }
+    args.push(optionalQuery ? 'query = {}' : 'query');
+  }
+
+  const url = pathParams.length > 0
+    ? `\`${route.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`)}\``
+    : `'${route}'`;
+  const lines = [];
+
+  if (responseContent.includes('text/event-stream')) {
+    doc.push('@returns {EventSource}');
+    lines.push(...comment(doc));
+    lines.push(`export function ${op.operationId}(${args.join(', ')}) {`);
+    lines.push(`  return new EventSource(apiUrl(${url}, { ${queryParams.length > 0 ? '...query, ' : ''}...scopeQuery() }));`);
+    lines.push('}');
+    return lines;
+  }
+
+  doc.push(`@param {RequestOptions} [options]${isAdmin ? ' options.token is required' : ''}`);
+  const download = responseContent.length > 0 && !responseContent.includes('application/json');
+  doc.push(`@returns {Promise<${download ? 'Download' : typeOf((success.content['application/json'] || {}).schema)}>}`);
+  args.push('options = {}');
+
+  const requestOptions = [];
+  if (queryParams.length > 0) requestOptions.push('query');
+  if (requestContent) requestOptions.push('body');
+  if (requestContent && requestContent !== 'application/json') requestOptions.push(`contentType: '${requestContent}'`);
+  if (download) requestOptions.push('download: true');
+  requestOptions.push('...options');
+
+  lines.push(...comment(doc));
+  lines.push(`export function ${op.operationId}(${args.join(', ')}) {`);
+  lines.push(`  return request('${method.toUpperCase()}', ${url}, { ${requestOptions.join(', ')} });`);
+  lines.push('}');
+  return lines;
+}
+
+const RUNTIME = `// Base URL of the data server API, e.g. VITE_DATA_API_URL=https://portal.example.edu/api
+export const API_BASE_URL = (import.meta.env.VITE_DATA_API_URL || 'http://localhost:3001/api').replace(/\\/$/, '');
+
+/**
+ * Failed response: status is the HTTP status (0 when the server could not be reached),
+ * code/data come from the { error, code } body.
+ */
+export class ApiError extends Error {
+  constructor(status, data, message) {
+    super((data && data.error) || message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = data ? data.code : undefined;
+    this.data = data;
+  }
+}
+
+/**
+ * Contract deployment the data belongs to, sent with every request
+ * @typedef {Object} ApiScope
+ * @property {number} chainId Chain ID
+ * @property {string} contract Contract address
+ */
+
+let apiScope = null;
+
+// Select the deployment for all following requests (null: the server's default)
+export function setApiScope(scope) {
+  apiScope = scope;
+}
+
+function scopeQuery() {
+  return apiScope ? { chainId: apiScope.chainId, contract: apiScope.contract } : {};
+}
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [token] Admin session token (Authorization: Bearer)
+ * @property {AbortSignal} [signal] Cancels the request
+ */
+
+/**
+ * @typedef {Object} Download
+ * @property {Blob} blob File content
+ * @property {string|null} filename File name from Content-Disposition
+ */
+
+export function apiUrl(path, query = {}) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') params.set(name, value);
+  }
+  const search = params.toString();
+  return \`\${API_BASE_URL}\${path}\${search ? \`?\${search}\` : ''}\`;
+}
+
+async function request(method, path, { query, body, contentType = 'application/json', download, token, signal } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = \`Bearer \${token}\`;
+  if (apiScope) {
+    headers['X-Chain-Id'] = String(apiScope.chainId);
+    headers['X-Contract-Address'] = apiScope.contract;
+  }
+  if (body !== undefined) headers['Content-Type'] = contentType;
+
+  let response;
+  try {
+    response = await fetch(apiUrl(path, query), {
+      method,
+      headers,
+      body: body === undefined || contentType !== 'application/json' ? body : JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ApiError(0, null, 'Data server is unreachable');
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new ApiError(response.status, data, response.statusText || 'Request failed');
+  }
+  if (download) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    return { blob: await response.blob(), filename: match ? match[1] : null };
+  }
+  return response.json();
+}`;
+
+function generate() {
+  const out = [
+    '// Generated by scripts/generate-api-client.js from the data server OpenAPI document',
+    '// (scripts/openapi.js, served at /api/docs). Do not edit by hand: run `npm run generate:api-client`.',
+    '',
+    RUNTIME,
+    '',
+    '// ============ Types ============',
+    ''
+  ];
+  for (const [name, s] of Object.entries(schemas)) {
+    out.push(...typedef(name, s), '');
+  }
+
+  for (const tag of openApiDocument.tags.map(t => t.name)) {
+    out.push(`// ============ ${tag} ============`, '');
+    for (const [route, methods] of Object.entries(openApiDocument.paths)) {
+      for (const [method, op] of Object.entries(methods)) {
+        if (op.tags[0] !== tag) continue;
+        out.push(...operationFunction(route, method, op), '');
+      }
+    }
+  }
+  return out.join('\n').replace(/\n+$/, '\n');
+}
+
+const source = generate();
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+  if (current !== source) {
+    console.error(`[API CLIENT] ${path.relative(process.cwd(), OUTPUT_FILE)} is out of date, run npm run generate:api-client`);
+    process.exitCode = 1;
+  } else {
+    console.log('[API CLIENT] Up to date');
+  }
+} else {
+  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+  fs.writeFileSync(OUTPUT_FILE, source);
+  console.log(`[API CLIENT] Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
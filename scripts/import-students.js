@@ -0,0 +1,67 @@
+const fs = require('fs');
+const { getContract, getAdminContract } = require('./chain');
+const {
+  parseStudentCsv,
+  validateImportRows,
+  registerImportRows,
+  summarizeImport,
+  importReportCsv
+} = require('./student-import');
+const { warnStopDataServer } = require('./storage');
+
+// Usage: node scripts/import-students.js <students.csv> [--batch-size 50] [--dry-run] [--report report.csv|report.json]
+function parseArgs(argv) {
+  const args = { batchSize: 50, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--batch-size') args.batchSize = Number(argv[++i]);
+    else if (argv[i] === '--report') args.report = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file || !Number.isInteger(args.batchSize) || args.batchSize < 1) {
+    console.error('Usage: node scripts/import-students.js <students.csv> [--batch-size N] [--dry-run] [--report FILE]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const rows = parseStudentCsv(fs.readFileSync(args.file, 'utf8'));
+  console.log(`[IMPORT] ${rows.length} rows in ${args.file}`);
+
+  const results = await validateImportRows(rows, getContract());
+  for (const r of results.filter(r => r.status === 'invalid')) {
+    console.log(`  ✗ Line ${r.line} (${r.studentId || '-'}): ${r.code} ${r.error}`);
+  }
+
+  if (!args.dryRun) {
+    warnStopDataServer('IMPORT');
+    await registerImportRows(results, getAdminContract(), {
+      batchSize: args.batchSize,
+      onBatch: (batch, n, total) => console.log(`[IMPORT] Batch ${n}/${total}: ${batch.filter(r => r.status === 'registered').length}/${batch.length} registered`)
+    });
+    for (const r of results.filter(r => r.status === 'failed')) {
+      console.log(`  ✗ Line ${r.line} (${r.studentId}): ${r.error}`);
+    }
+  }
+
+  const summary = summarizeImport(results);
+  console.log(`[IMPORT] ${JSON.stringify(summary)}`);
+
+  if (args.report) {
+    const report = args.report.endsWith('.json')
+      ? JSON.stringify({ summary, rows: results }, null, 2)
+      : importReportCsv(results);
+    fs.writeFileSync(args.report, report);
+    console.log(`[IMPORT] Report written to ${args.report}`);
+  }
+  if (summary.invalid > 0 || summary.failed > 0) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('[IMPORT] Failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,224 @@
+const { getProvider, getContract } = require('./chain');
+const {
+  applyChainEvents,
+  rollbackChainEvents,
+  getIndexerCheckpoint,
+  resetChainIndex
+} = require('./data-manager');
+const { runWithActor } = require('./audit-log');
+const { currentScope, runInScope } = require('./scope');
+const {
+  INDEXER_POLL_MS,
+  INDEXER_START_BLOCK,
+  INDEXER_BATCH_SIZE,
+  INDEXER_CONFIRMATIONS
+} = require('./config');
+
+// Contract events persisted by the indexer
+const INDEXED_EVENTS = [
+  'StudentRegistered',
+  'StudentWalletRotated',
+  'PaymentReceived',
+  'ScholarshipApplied',
+  'ScholarshipRefund',
+  'RefundProcessed',
+  'FeeScheduleCreated',
+  'UniversityWithdrawal'
+];
+
+// Events whose payment state is snapshotted at the emitting block
+const PAYMENT_EVENTS = ['PaymentReceived', 'RefundProcessed', 'ScholarshipRefund'];
+
+// Event args as a plain object with uint256 values as decimal strings
+function serializeArgs(log) {
+  const args = {};
+  log.fragment.inputs.forEach((input, i) => {
+    const value = log.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+}
+
+// Poll the contract for new logs and persist them through data-manager.
+// One indexer per deployment: options.scope (default: the current scope) selects the
+// contract and the store it writes to.
+// Options allow tests to inject a provider/contract (e.g. Hardhat's in-process network);
+// options.onChange is called after the store changed with
+// { type: 'events', events } | { type: 'rollback', fromBlock, removed } | { type: 'reset' }.
+function createIndexer(options = {}) {
+  const scope = options.scope || currentScope();
+  const provider = options.provider || getProvider(scope);
+  const onChange = options.onChange || (() => {});
+  const startBlock = options.startBlock ?? INDEXER_START_BLOCK;
+  const batchSize = options.batchSize || INDEXER_BATCH_SIZE;
+  const pollInterval = options.pollInterval || INDEXER_POLL_MS;
+  const confirmations = options.confirmations ?? INDEXER_CONFIRMATIONS;
+
+  const status = { connected: false, head: null, lastBlock: null, finalizedBlock: null, lastError: null };
+  let running = false;
+  let timer = null;
+
+  // Resolved lazily: artifacts may not exist until the first deploy
+  function contract() {
+    return options.contract || getContract(scope);
+  }
+
+  // On-chain payment state as of the given block (undefined if the node has pruned it)
+  async function readPaymentState(paymentId, blockNumber) {
+    try {
+      const payment = await contract().getPayment(paymentId, { blockTag: blockNumber });
+      return { amountAfterRefund: payment.amountAfterRefund.toString(), refunded: payment.refunded };
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  async function toEvent(log, blocks) {
+    const event = {
+      id: `${log.transactionHash}:${log.index}`,
+      name: log.eventName,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      blockTimestamp: blocks.get(log.blockNumber).timestamp,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      args: serializeArgs(log)
+    };
+    if (PAYMENT_EVENTS.includes(event.name)) {
+      event.payment = await readPaymentState(event.args.paymentId, log.blockNumber);
+    }
+    return event;
+  }
+
+  // Compare remembered block hashes with the chain. Returns the checkpoint to resume
+  // from: unchanged, rewound below a reorg (after rolling back its events), or null
+  // when even the oldest remembered block is gone (node reset or reorg deeper than
+  // the confirmation depth) and everything has to be re-indexed.
+  async function checkChain(checkpoint, head) {
+    if (!checkpoint) return null;
+    const blocks = checkpoint.blocks || [{ number: checkpoint.blockNumber, hash: checkpoint.blockHash }];
+
+    let fork = null;
+    for (const { number, hash } of blocks) {
+      const block = number <= head ? await provider.getBlock(number) : null;
+      if (!block || block.hash !== hash) {
+        fork = number;
+        break;
+      }
+    }
+    if (fork === null) return checkpoint;
+
+    if (fork === blocks[0].number) {
+      console.log(`[INDEXER] Chain reset detected, re-indexing from block ${startBlock}`);
+      resetChainIndex();
+      onChange({ type: 'reset' });
+      return null;
+    }
+
+    const kept = blocks.filter(b => b.number < fork);
+    const tip = kept[kept.length - 1];
+    const rewound = { ...checkpoint, blockNumber: tip.number, blockHash: tip.hash, blocks: kept };
+    const removed = rollbackChainEvents(fork, rewound);
+    console.log(`[INDEXER] Reorg detected at block ${fork}, rolled back ${removed} event(s)`);
+    onChange({ type: 'rollback', fromBlock: fork, removed });
+    return rewound;
+  }
+
+  async function pollChain() {
+    const head = await provider.getBlockNumber();
+    const finalizedBlock = head - confirmations;
+    status.head = head;
+    status.finalizedBlock = finalizedBlock;
+
+    const checkpoint = await checkChain(getIndexerCheckpoint(), head);
+    let recent = checkpoint && checkpoint.blocks ? checkpoint.blocks : [];
+
+    let from = checkpoint ? checkpoint.blockNumber + 1 : startBlock;
+    while (from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = (await contract().queryFilter('*', from, to))
+        .filter(log => log.fragment && INDEXED_EVENTS.includes(log.eventName));
+
+      // Hashes of every block that may still be reorged, plus blocks with logs
+      const numbers = new Set([...logs.map(log => log.blockNumber), to]);
+      for (let n = Math.max(from, finalizedBlock); n <= to; n++) numbers.add(n);
+
+      const blocks = new Map();
+      for (const blockNumber of numbers) {
+        blocks.set(blockNumber, await provider.getBlock(blockNumber));
+      }
+
+      const events = [];
+      for (const log of logs) {
+        events.push(await toEvent(log, blocks));
+      }
+
+      // Keep the tip and everything above the finalized block, oldest first
+      recent = [...recent, ...[...numbers].sort((a, b) => a - b).map(n => ({ number: n, hash: blocks.get(n).hash }))]
+        .filter(b => b.number >= Math.min(finalizedBlock, to));
+
+      const applied = applyChainEvents(events, {
+        blockNumber: to,
+        blockHash: blocks.get(to).hash,
+        finalizedBlock,
+        blocks: recent
+      });
+      if (applied > 0) {
+        console.log(`[INDEXER] Indexed ${applied} event(s) up to block ${to}`);
+        onChange({ type: 'events', events });
+      }
+      from = to + 1;
+    }
+    status.lastBlock = from - 1;
+  }
+
+  // Store writes and onChange calls happen in the indexer's scope
+  function poll() {
+    return runInScope(scope, pollChain);
+  }
+
+  async function tick() {
+    try {
+      await runWithActor('indexer', poll);
+      if (!status.connected) {
+        console.log(`[INDEXER] Connected, chain head at block ${status.head}`);
+      }
+      status.connected = true;
+      status.lastError = null;
+    } catch (err) {
+      // Log only when the error changes, the node is often down during startup
+      if (status.connected || status.lastError !== err.message) {
+        console.warn('[INDEXER] Polling failed:', err.shortMessage || err.message);
+      }
+      status.connected = false;
+      status.lastError = err.message;
+    }
+    if (running) {
+      timer = setTimeout(tick, pollInterval);
+    }
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      tick();
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(timer);
+    },
+
+    poll,
+
+    getStatus() {
+      return { ...status };
+    }
+  };
+}
+
+module.exports = {
+  createIndexer,
+  INDEXED_EVENTS
+};
@@ -0,0 +1,66 @@
+// Server-Sent Events stream of indexed contract activity.
+// Messages:
+//   event: activity  data: [{ id, name, blockNumber, blockTimestamp, txHash, args }]
+//   event: rollback  data: { fromBlock, removed }   (reorg, listed activity was undone)
+//   event: reset     data: {}                       (node reset, everything is re-indexed)
+// Clients only receive changes of the deployment they connected for (see scope.js).
+
+const { currentScope, scopeKey } = require('./scope');
+
+const HEARTBEAT_MS = 25000;
+
+function createLiveStream() {
+  const clients = new Map(); // res -> scope key
+
+  function send(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function broadcast(scope, type, data) {
+    for (const [res, key] of clients) {
+      if (key === scopeKey(scope)) send(res, type, data);
+    }
+  }
+
+  // Express handler for GET /api/stream
+  function handler(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    // Reconnect quickly if the data server restarts
+    res.write('retry: 3000\n\n');
+    clients.set(res, scopeKey(currentScope()));
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  // Indexer onChange callback (see createIndexer in indexer.js), called in the indexer's scope
+  function publish(change, scope = currentScope()) {
+    if (change.type === 'events') {
+      broadcast(scope, 'activity', change.events.map(({ id, name, blockNumber, blockTimestamp, txHash, args }) => (
+        { id, name, blockNumber, blockTimestamp, txHash, args }
+      )));
+    } else if (change.type === 'rollback') {
+      broadcast(scope, 'rollback', { fromBlock: change.fromBlock, removed: change.removed });
+    } else if (change.type === 'reset') {
+      broadcast(scope, 'reset', {});
+    }
+  }
+
+  return {
+    handler,
+    publish,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createLiveStream
+};
@@ -0,0 +1,144 @@
+// Process-wide Prometheus metrics, served by the data server at /metrics in the text
+// exposition format. Counters and histograms are updated where things happen; gauges
+// describe current state and are refreshed by collectors right before each scrape.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// name -> { name, help, type, series: Map(labelKey -> { labels, ... }) }
+const metrics = new Map();
+const collectors = [];
+
+function register(type, name, help) {
+  if (metrics.has(name)) {
+    throw new Error(`Metric already registered: ${name}`);
+  }
+  const metric = { name, help, type, series: new Map() };
+  metrics.set(name, metric);
+  return metric;
+}
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series of a metric for one label set, created with init() on first use
+function seriesOf(metric, labels, init) {
+  const key = formatLabels(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+  return metric.series.get(key);
+}
+
+function counter(name, help) {
+  const metric = register('counter', name, help);
+  return {
+    inc(labels = {}, value = 1) {
+      seriesOf(metric, labels, () => ({ value: 0 })).value += value;
+    }
+  };
+}
+
+function gauge(name, help) {
+  const metric = register('gauge', name, help);
+  return {
+    set(labels, value) {
+      seriesOf(metric, labels, () => ({ value: 0 })).value = Number(value);
+    },
+    // Drop all series, so label sets that no longer exist disappear from the output
+    reset() {
+      metric.series.clear();
+    }
+  };
+}
+
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const metric = register('histogram', name, help);
+  metric.buckets = buckets;
+  return {
+    observe(labels, value) {
+      const series = seriesOf(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    },
+    // Observe the seconds between now and the call of the returned function
+    startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
+
+// fn() runs (possibly async) before every scrape to refresh gauges
+function addCollector(fn) {
+  collectors.push(fn);
+}
+
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+  for (const series of metric.series.values()) {
+    if (metric.type !== 'histogram') {
+      lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+      continue;
+    }
+    metric.buckets.forEach((bound, i) => {
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+  }
+  return lines.join('\n');
+}
+
+// All metrics in the Prometheus text format; a failing collector leaves its gauges stale
+async function renderMetrics() {
+  await Promise.all(collectors.map(async fn => {
+    try {
+      await fn();
+    } catch (err) {
+      console.error('[METRICS] Collector failed:', err.message);
+    }
+  }));
+  return [...metrics.values()].map(renderMetric).join('\n') + '\n';
+}
+
+// ============ Shared metrics ============
+
+const httpRequests = counter('tuition_http_requests_total', 'HTTP requests by method, route and status code');
+const httpDuration = histogram('tuition_http_request_duration_seconds', 'HTTP request latency by method and route');
+const storageWrites = histogram('tuition_storage_write_duration_seconds', 'Duration of data store write transactions by driver and action');
+
+const processStart = gauge('tuition_process_start_time_seconds', 'Start time of the process since the Unix epoch');
+const processMemory = gauge('tuition_process_resident_memory_bytes', 'Resident memory of the process');
+processStart.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+addCollector(() => processMemory.set({}, process.memoryUsage().rss));
+
+// Express middleware counting requests and their latency. Routes are labelled by
+// their pattern (/api/payments/:wallet), unmatched requests as "unmatched".
+function httpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  addCollector,
+  renderMetrics,
+  httpMetrics,
+  storageWrites,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
@@ -0,0 +1,846 @@
+const { PAYMENT_STATUSES, PAYMENT_SORT_FIELDS } = require('./data-manager');
+const { INDEXED_EVENTS } = require('./indexer');
+const { version } = require('../package.json');
+
+// OpenAPI 3.0 description of every route in data-server.js, served at /api/docs.
+// The browser client in client/src/api/client.js is generated from it
+// (npm run generate:api-client), so update both when a route changes.
+
+const schema = name => ({ $ref: `#/components/schemas/${name}` });
+const json = s => ({ content: { 'application/json': { schema: s } } });
+const ok = (s, description = 'OK') => ({ description, ...json(s) });
+const body = (properties, required = Object.keys(properties)) => ({
+  required: true,
+  ...json({ type: 'object', required, properties })
+});
+
+const param = (location, name, s, description, required = location === 'path') => ({
+  name,
+  in: location,
+  required,
+  description,
+  schema: s
+});
+const query = (name, s, description) => param('query', name, s, description);
+const walletParam = param('path', 'wallet', schema('Address'), 'Student wallet');
+const studentIdParam = param('path', 'studentId', { type: 'string', pattern: '^[A-Za-z0-9_-]{1,32}$' }, 'Student ID');
+
+// Error responses reused across operations
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, {
+  $ref: `#/components/responses/${ERROR_RESPONSES[status]}`
+}]));
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  413: 'PayloadTooLarge',
+  429: 'TooManyRequests',
+  503: 'NodeUnavailable'
+};
+
+// Admin routes take the bearer token from POST /auth/verify
+const admin = operation => ({
+  ...operation,
+  security: [{ adminSession: [] }],
+  responses: { ...operation.responses, ...errors(401) }
+});
+
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', description, ...extra });
+const boolean = description => ({ type: 'boolean', description });
+const weiString = description => string(description, { pattern: '^[0-9]+$', example: '1000000000000000000' });
+const unixSeconds = description => integer(description, { example: 1735689600 });
+const success = { type: 'object', properties: { success: { type: 'boolean', enum: [true] } } };
+const record = (properties, description) => ({ type: 'object', description, properties, additionalProperties: true });
+
+const schemas = {
+  ErrorResponse: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: string('Human readable message'),
+      code: string('Machine readable error code, e.g. INVALID_ADDRESS'),
+      field: string('Offending field for validation errors'),
+      retryAfter: integer('Seconds to wait after RATE_LIMITED or PENDING_LIMIT_REACHED'),
+      retryAt: string('When a PENDING_LIMIT_REACHED request can be sent again (the oldest pending request expires)', { format: 'date-time' }),
+      details: {
+        type: 'array',
+        description: 'Every validation problem',
+        items: { type: 'object', properties: { field: string('Field'), code: string('Error code'), message: string('Message') } }
+      }
+    }
+  },
+  Address: string('Ethereum address (EIP-55 checksum or all lowercase)', {
+    pattern: '^0x[0-9a-fA-F]{40}$'
+  }),
+  Deployment: {
+    type: 'object',
+    description: 'Contract deployment with its own data store',
+    properties: {
+      chainId: integer('Chain ID'),
+      contract: schema('Address'),
+      default: boolean('Used when a request sends no scope')
+    }
+  },
+  Student: record({
+    wallet: schema('Address'),
+    studentId: string('Student ID'),
+    createdAt: string('ISO date', { format: 'date-time' }),
+    previousWallets: { type: 'array', description: 'Wallets the student was moved away from, oldest first', items: schema('Address') },
+    blockNumber: integer('Block of the StudentRegistered or StudentWalletRotated event'),
+    txHash: string('Transaction of the StudentRegistered or StudentWalletRotated event')
+  }, 'Registered student'),
+  Profile: record({
+    studentId: string('Student ID'),
+    fullName: string('Full name'),
+    email: string('Contact email, also used for reminders', { format: 'email' }),
+    faculty: string('Faculty'),
+    program: string('Study program'),
+    cohort: string('Cohort, e.g. K65'),
+    createdAt: string('Created at', { format: 'date-time' }),
+    updatedAt: string('Last edited at', { format: 'date-time' }),
+    updatedBy: schema('Address')
+  }, 'Off-chain student profile (never stored on chain)'),
+  Scholarship: record({
+    wallet: schema('Address'),
+    percent: integer('Discount percentage', { minimum: 0, maximum: 100 }),
+    history: {
+      type: 'array',
+      description: 'On-chain percent changes, oldest first (kept across node resets)',
+      items: record({
+        percent: integer('Discount percentage', { minimum: 0, maximum: 100 }),
+        refunded: weiString('Scholarship refunds paid out by the change in wei'),
+        timestamp: unixSeconds('Block time of the ScholarshipApplied event')
+      })
+    }
+  }, 'Scholarship of a student'),
+  FeeSchedule: record({
+    semester: string('Semester, e.g. 2024-1'),
+    amount: weiString('Base fee in wei'),
+    deadline: unixSeconds('Payment deadline')
+  }, 'Tuition fee of a semester'),
+  Payment: record({
+    wallet: schema('Address'),
+    studentId: string('Student ID'),
+    semester: string('Semester'),
+    amount: weiString('Amount paid in wei'),
+    amountAfterRefund: weiString('Amount kept after refunds in wei'),
+    refunded: boolean('Fully refunded'),
+    timestamp: unixSeconds('Payment time'),
+    paymentId: integer('On-chain payment ID'),
+    txHash: string('Payment transaction')
+  }, 'Tuition payment'),
+  PaymentRow: {
+    allOf: [schema('Payment'), {
+      type: 'object',
+      properties: {
+        key: string('Row key `${wallet}:${semester}`'),
+        status: string('Refund status', { enum: PAYMENT_STATUSES }),
+        confirmed: boolean('Deeper than the indexer confirmation depth'),
+        refunds: {
+          type: 'array',
+          items: record({
+            id: string('Refund ID'),
+            type: string('Refund type', { enum: ['refund', 'scholarship_refund'] }),
+            amount: weiString('Refunded amount in wei'),
+            timestamp: unixSeconds('Refund time'),
+            txHash: string('Refund transaction')
+          })
+        }
+      }
+    }]
+  },
+  PaymentPage: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: schema('PaymentRow') },
+      nextCursor: { ...string('Cursor of the next page, null on the last page'), nullable: true },
+      totals: record({
+        count: integer('Matching payments'),
+        amount: weiString('Sum paid'),
+        amountAfterRefund: weiString('Sum kept'),
+        refunded: weiString('Sum refunded'),
+        byStatus: { type: 'object', additionalProperties: { type: 'integer' } }
+      }),
+      facets: record({
+        studentIds: { type: 'array', items: { type: 'string' } },
+        semesters: { type: 'array', items: { type: 'string' } },
+        timeRange: {
+          type: 'object',
+          nullable: true,
+          properties: { min: unixSeconds('Oldest payment'), max: unixSeconds('Newest payment') }
+        }
+      })
+    }
+  },
+  RegistrationRequest: record({
+    wallet: schema('Address'),
+    studentId: string('Requested student ID'),
+    status: string('Request status', { enum: ['pending', 'approved', 'rejected', 'expired'] }),
+    createdAt: string('Submitted at', { format: 'date-time' }),
+    expiresAt: string('Expires at while pending', { format: 'date-time' }),
+    decidedBy: schema('Address'),
+    reason: string('Rejection reason'),
+    history: {
+      type: 'array',
+      items: record({
+        status: string('Status entered'),
+        at: string('Transition time', { format: 'date-time' }),
+        by: schema('Address'),
+        reason: string('Rejection reason')
+      })
+    }
+  }, 'Student registration request'),
+  RegistrationStatus: record({
+    wallet: schema('Address'),
+    status: string('Request status', { enum: ['pending', 'approved', 'rejected', 'expired'] }),
+    createdAt: string('Submitted at', { format: 'date-time' }),
+    expiresAt: string('Expires at while pending', { format: 'date-time' }),
+    history: {
+      type: 'array',
+      items: record({
+        status: string('Status entered'),
+        at: string('Transition time', { format: 'date-time' })
+      })
+    }
+  }, 'Public view of a registration request (no student ID, reason or admin)'),
+  Data: record({
+    students: { type: 'array', items: schema('Student') },
+    feeSchedules: { type: 'array', items: schema('FeeSchedule') },
+    scholarships: { type: 'array', items: schema('Scholarship') },
+    payments: { type: 'array', items: schema('Payment') },
+    registrationRequests: { type: 'array', items: schema('RegistrationStatus') },
+    lastUpdated: { ...string('Last change', { format: 'date-time' }), nullable: true }
+  }, 'Data store collections without personal data (profiles, emails, reminders)'),
+  AdminSession: {
+    type: 'object',
+    properties: {
+      token: string('Bearer token for admin routes'),
+      address: schema('Address'),
+      expiresAt: integer('Session expiry (milliseconds since epoch)')
+    }
+  },
+  ImportValidation: {
+    type: 'object',
+    properties: {
+      summary: record({
+        total: integer('Rows in the file'),
+        valid: integer('Rows that can be registered'),
+        invalid: integer('Rows with errors')
+      }),
+      rows: {
+        type: 'array',
+        items: record({
+          line: integer('CSV line number'),
+          studentId: string('Student ID as written in the file'),
+          wallet: string('Wallet as written in the file'),
+          percent: integer('Scholarship percent'),
+          status: string('Row status', { enum: ['valid', 'invalid'] }),
+          code: string('Error code of an invalid row'),
+          error: string('Error message of an invalid row')
+        })
+      }
+    }
+  },
+  ReconciliationReport: {
+    type: 'object',
+    properties: {
+      checkedAt: string('Report time', { format: 'date-time' }),
+      contract: schema('Address'),
+      chain: { type: 'object', additionalProperties: { type: 'integer' } },
+      summary: record({ missing: integer('On chain, not stored'), extra: integer('Stored, not on chain'), mismatched: integer('Differing records') }),
+      issues: {
+        type: 'array',
+        items: record({
+          collection: string('Store collection'),
+          key: string('Record key'),
+          type: string('Issue type', { enum: ['missing', 'extra', 'mismatch'] }),
+          fields: { type: 'array', items: record({ field: string('Field name'), chain: {}, stored: {} }) }
+        })
+      }
+    }
+  },
+  ChainEvent: record({
+    id: string('`${txHash}:${logIndex}`'),
+    name: string('Event name', { enum: INDEXED_EVENTS }),
+    blockNumber: integer('Block number'),
+    blockTimestamp: unixSeconds('Block time'),
+    txHash: string('Transaction hash'),
+    logIndex: integer('Log index'),
+    args: { type: 'object', additionalProperties: true, description: 'Event arguments, uint256 as decimal strings' },
+    confirmed: boolean('Deeper than the confirmation depth')
+  }, 'Indexed contract event'),
+  AuditEntry: record({
+    seq: integer('Position in the log, from 1'),
+    at: string('Time of the change', { format: 'date-time' }),
+    actor: string('Who made the change, e.g. admin:0x..., indexer'),
+    action: string('data-manager function'),
+    changes: {
+      type: 'array',
+      items: record({ collection: string('Collection'), key: string('Record key'), before: { nullable: true }, after: { nullable: true } })
+    },
+    prevHash: string('Hash of the previous entry'),
+    hash: string('SHA-256 of this entry')
+  }, 'Audit log entry'),
+  AuditVerification: record({
+    valid: boolean('Hash chain intact'),
+    entries: integer('Entries checked'),
+    lastHash: string('Hash of the newest entry'),
+    seq: integer('First broken entry'),
+    line: integer('Line of the first broken entry'),
+    error: string('What does not check out')
+  }),
+  SnapshotSummary: record({
+    id: string('Snapshot ID (UTC timestamp)'),
+    createdAt: string('Snapshot time', { format: 'date-time' }),
+    reason: string('Change that triggered it, "manual" or "interval"'),
+    driver: string('Storage driver', { enum: ['json', 'sqlite'] }),
+    counts: { type: 'object', additionalProperties: { type: 'integer' } },
+    lastUpdated: { ...string('Store lastUpdated at snapshot time'), nullable: true },
+    size: integer('File size in bytes')
+  }),
+  SnapshotDiff: record({
+    from: string('Snapshot ID'),
+    to: string('Snapshot ID or "current"'),
+    summary: record({ added: integer('Added records'), removed: integer('Removed records'), changed: integer('Changed records') }),
+    collections: {
+      type: 'object',
+      additionalProperties: record({
+        added: { type: 'array', items: record({ key: string('Record key'), after: {} }) },
+        removed: { type: 'array', items: record({ key: string('Record key'), before: {} }) },
+        changed: { type: 'array', items: record({ key: string('Record key'), before: {}, after: {} }) }
+      })
+    }
+  }),
+  ReminderRun: record({
+    checked: integer('Unpaid students checked'),
+    sent: integer('Emails sent'),
+    alreadySent: integer('Skipped, sent before'),
+    noEmail: integer('Skipped, no email on file'),
+    failed: integer('Emails that could not be sent')
+  })
+};
+
+const paths = {
+  '/deployments': {
+    get: {
+      operationId: 'listDeployments',
+      tags: ['Data'],
+      summary: 'Contract deployments served by this data server, the default one first',
+      responses: { 200: ok({ type: 'array', items: schema('Deployment') }) }
+    }
+  },
+  '/data': {
+    get: {
+      operationId: 'getData',
+      tags: ['Data'],
+      summary: 'Public data store (students, fees, scholarships, payments, requests)',
+      responses: { 200: ok(schema('Data')) }
+    }
+  },
+  '/auth/nonce': {
+    get: {
+      operationId: 'getAuthNonce',
+      tags: ['Auth'],
+      summary: 'Single-use nonce for a Sign-In-With-Ethereum message or a WalletAccess signature',
+      responses: { 200: ok({ type: 'object', properties: { nonce: string('Single-use nonce') } }), ...errors(429) }
+    }
+  },
+  '/auth/verify': {
+    post: {
+      operationId: 'verifyAdminSignIn',
+      tags: ['Auth'],
+      summary: 'Verify a signed SIWE message from the contract owner and open an admin session',
+      requestBody: body({ message: string('Prepared SIWE message'), signature: string('personal_sign signature') }),
+      responses: { 200: ok(schema('AdminSession')), ...errors(400, 401, 403, 503) }
+    }
+  },
+  '/auth/logout': {
+    post: {
+      operationId: 'logout',
+      tags: ['Auth'],
+      summary: 'End the admin session of the bearer token',
+      security: [{ adminSession: [] }, {}],
+      responses: { 200: ok(success) }
+    }
+  },
+  '/students': {
+    post: admin({
+      operationId: 'addStudent',
+      tags: ['Students'],
+      summary: 'Store a student registered on chain',
+      requestBody: body({ wallet: schema('Address'), studentId: string('Student ID') }),
+      responses: { 200: ok({ ...success, properties: { ...success.properties, data: schema('Data') } }), ...errors(400) }
+    })
+  },
+  '/students/import/validate': {
+    post: admin({
+      operationId: 'validateStudentImport',
+      tags: ['Students'],
+      summary: 'Check a student CSV (wallet,studentId[,scholarshipPercent]) before bulk registration',
+      requestBody: {
+        required: true,
+        content: { 'text/csv': { schema: { type: 'string' } } }
+      },
+      responses: { 200: ok(schema('ImportValidation')), ...errors(400, 503) }
+    })
+  },
+  '/profiles': {
+    get: admin({
+      operationId: 'listProfiles',
+      tags: ['Profiles'],
+      summary: 'All student profiles',
+      responses: { 200: ok({ type: 'array', items: schema('Profile') }) }
+    })
+  },
+  '/profiles/me': {
+    post: {
+      operationId: 'getMyProfile',
+      tags: ['Profiles'],
+      summary: 'Profile of the student wallet that signed a WalletAccess message (EIP-712)',
+      requestBody: body({
+        wallet: schema('Address'),
+        nonce: string('Nonce from GET /auth/nonce', { maxLength: 64 }),
+        signature: string('EIP-712 signature of { wallet, purpose: "Read my student profile", nonce }')
+      }),
+      responses: {
+        200: ok({
+          type: 'object',
+          properties: {
+            studentId: string('Student ID of the wallet'),
+            profile: { allOf: [schema('Profile')], nullable: true }
+          }
+        }),
+        ...errors(400, 401, 404)
+      }
+    }
+  },
+  '/profiles/{studentId}': {
+    get: admin({
+      operationId: 'getProfile',
+      tags: ['Profiles'],
+      summary: 'Profile of a student',
+      parameters: [studentIdParam],
+      responses: { 200: ok(schema('Profile')), ...errors(400, 404) }
+    }),
+    put: admin({
+      operationId: 'setProfile',
+      tags: ['Profiles'],
+      summary: 'Replace the profile of a student; omitted fields are cleared',
+      parameters: [studentIdParam],
+      requestBody: body({
+        fullName: string('Full name', { maxLength: 120 }),
+        email: string('Email address', { format: 'email' }),
+        faculty: string('Faculty', { maxLength: 120 }),
+        program: string('Study program', { maxLength: 120 }),
+        cohort: string('Cohort', { maxLength: 20 })
+      }, []),
+      responses: {
+        200: ok({ ...success, properties: { ...success.properties, profile: schema('Profile') } }),
+        ...errors(400)
+      }
+    })
+  },
+  '/scholarships': {
+    post: admin({
+      operationId: 'setScholarship',
+      tags: ['Students'],
+      summary: 'Store a scholarship applied on chain',
+      requestBody: body({ wallet: schema('Address'), percent: integer('Percent', { minimum: 0, maximum: 100 }) }),
+      responses: { 200: ok({ ...success, properties: { ...success.properties, data: schema('Data') } }), ...errors(400) }
+    })
+  },
+  '/fees': {
+    post: admin({
+      operationId: 'addFeeSchedule',
+      tags: ['Fees'],
+      summary: 'Store a fee schedule created on chain',
+      requestBody: body({
+        semester: string('Semester, e.g. 2024-1'),
+        amount: weiString('Base fee in wei'),
+        deadline: unixSeconds('Payment deadline')
+      }),
+      responses: { 200: ok({ ...success, properties: { ...success.properties, data: schema('Data') } }), ...errors(400) }
+    })
+  },
+  '/register-request': {
+    post: {
+      operationId: 'submitRegistrationRequest',
+      tags: ['Registration'],
+      summary: 'Submit a registration request signed by the student wallet (EIP-712); rate limited per IP and wallet',
+      requestBody: body({
+        wallet: schema('Address'),
+        studentId: string('Requested student ID'),
+        issuedAt: unixSeconds('Time the request was signed'),
+        signature: string('EIP-712 signature of { wallet, studentId, issuedAt }')
+      }),
+      responses: {
+        200: ok({ ...success, properties: { ...success.properties, message: string('Confirmation') } }),
+        ...errors(400, 401, 413, 429)
+      }
+    }
+  },
+  '/register-requests': {
+    get: admin({
+      operationId: 'getPendingRequests',
+      tags: ['Registration'],
+      summary: 'Pending registration requests',
+      responses: { 200: ok({ type: 'array', items: schema('RegistrationRequest') }) }
+    })
+  },
+  '/register-requests/{wallet}': {
+    get: {
+      operationId: 'getRegistrationRequest',
+      tags: ['Registration'],
+      summary: 'Registration request status and history of a wallet',
+      parameters: [walletParam],
+      responses: { 200: ok(schema('RegistrationStatus')), ...errors(400, 404) }
+    }
+  },
+  '/register-requests/me': {
+    post: {
+      operationId: 'getMyRegistrationRequest',
+      tags: ['Registration'],
+      summary: 'Full registration request of the wallet that signed a WalletAccess message (EIP-712)',
+      requestBody: body({
+        wallet: schema('Address'),
+        nonce: string('Nonce from GET /auth/nonce', { maxLength: 64 }),
+        signature: string('EIP-712 signature of { wallet, purpose: "Read my registration request", nonce }')
+      }),
+      responses: { 200: ok(schema('RegistrationRequest')), ...errors(400, 401, 404) }
+    }
+  },
+  '/register-approve': {
+    post: admin({
+      operationId: 'approveRegistration',
+      tags: ['Registration'],
+      summary: 'Approve a pending request (after registerStudent on chain)',
+      requestBody: body({ wallet: schema('Address') }),
+      responses: {
+        200: ok({ ...success, properties: { ...success.properties, student: schema('RegistrationRequest') } }),
+        ...errors(400)
+      }
+    })
+  },
+  '/register-reject': {
+    post: admin({
+      operationId: 'rejectRegistration',
+      tags: ['Registration'],
+      summary: 'Reject a pending request with a reason the student can see',
+      requestBody: body({ wallet: schema('Address'), reason: string('Reason', { maxLength: 500 }) }),
+      responses: { 200: ok(success), ...errors(400) }
+    })
+  },
+  '/payments': {
+    get: {
+      operationId: 'queryPayments',
+      tags: ['Payments'],
+      summary: 'Search payments with filters, sorting and cursor pagination',
+      parameters: [
+        query('studentId', { type: 'string' }, 'Exact student ID'),
+        query('wallet', schema('Address'), 'Student wallet'),
+        query('semester', { type: 'string' }, 'Exact semester'),
+        query('status', { type: 'string', enum: PAYMENT_STATUSES }, 'Refund status'),
+        query('from', { type: 'integer' }, 'Paid at or after (unix seconds)'),
+        query('to', { type: 'integer' }, 'Paid at or before (unix seconds)'),
+        query('minAmount', { type: 'string' }, 'Minimum amount in wei'),
+        query('maxAmount', { type: 'string' }, 'Maximum amount in wei'),
+        query('sort', {
+          type: 'string',
+          enum: PAYMENT_SORT_FIELDS.flatMap(field => [field, `-${field}`]),
+          default: '-timestamp'
+        }, 'Sort field, "-" prefix for descending'),
+        query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Page size'),
+        query('cursor', { type: 'string' }, 'nextCursor of the previous page')
+      ],
+      responses: { 200: ok(schema('PaymentPage')), ...errors(400) }
+    }
+  },
+  '/payments/{wallet}': {
+    get: {
+      operationId: 'getStudentPayments',
+      tags: ['Payments'],
+      summary: 'Payments of one student',
+      parameters: [walletParam],
+      responses: { 200: ok({ type: 'array', items: schema('Payment') }), ...errors(400) }
+    }
+  },
+  '/receipts/{paymentId}': {
+    get: {
+      operationId: 'getPaymentReceipt',
+      tags: ['Payments'],
+      summary: 'PDF receipt of a payment with a QR code linking to its verification page',
+      parameters: [param('path', 'paymentId', { type: 'integer', minimum: 1 }, 'On-chain payment ID')],
+      responses: {
+        200: {
+          description: 'File download (Content-Disposition carries the file name)',
+          content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } }
+        },
+        ...errors(400, 404, 503)
+      }
+    }
+  },
+  '/export/ledger': {
+    get: admin({
+      operationId: 'exportLedger',
+      tags: ['Payments'],
+      summary: 'Accounting export of payments, refunds and withdrawals',
+      parameters: [
+        query('format', { type: 'string', enum: ['csv', 'xlsx'], default: 'csv' }, 'File format'),
+        query('semester', { type: 'string' }, 'Only this semester (withdrawals are left out)'),
+        query('from', { type: 'integer' }, 'From (unix seconds)'),
+        query('to', { type: 'integer' }, 'To (unix seconds)')
+      ],
+      responses: {
+        200: {
+          description: 'File download (Content-Disposition carries the file name)',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+              schema: { type: 'string', format: 'binary' }
+            }
+          }
+        },
+        ...errors(400)
+      }
+    })
+  },
+  '/reconcile': {
+    get: admin({
+      operationId: 'getReconciliation',
+      tags: ['Operations'],
+      summary: 'Differences between the data store and the contract',
+      responses: { 200: ok(schema('ReconciliationReport')), ...errors(503) }
+    })
+  },
+  '/reconcile/repair': {
+    post: admin({
+      operationId: 'repairReconciliation',
+      tags: ['Operations'],
+      summary: 'Write chain values into the store; prune also deletes records not on chain',
+      requestBody: body({ prune: boolean('Delete extra records') }, []),
+      responses: {
+        200: ok({
+          type: 'object',
+          properties: {
+            repaired: { type: 'object', additionalProperties: { type: 'integer' } },
+            report: schema('ReconciliationReport')
+          }
+        }),
+        ...errors(400, 503)
+      }
+    })
+  },
+  '/events': {
+    get: {
+      operationId: 'getChainEvents',
+      tags: ['Operations'],
+      summary: 'Indexed contract events',
+      parameters: [query('name', { type: 'string', enum: INDEXED_EVENTS }, 'Only this event')],
+      responses: { 200: ok({ type: 'array', items: schema('ChainEvent') }), ...errors(400) }
+    }
+  },
+  '/audit': {
+    get: admin({
+      operationId: 'getAuditLog',
+      tags: ['Operations'],
+      summary: 'Newest audit log entries and the result of verifying the hash chain',
+      parameters: [query('limit', { type: 'integer', minimum: 1, maximum: 500, default: 50 }, 'Entries to return')],
+      responses: {
+        200: ok({
+          type: 'object',
+          properties: {
+            verification: schema('AuditVerification'),
+            entries: { type: 'array', items: schema('AuditEntry') }
+          }
+        }),
+        ...errors(400)
+      }
+    })
+  },
+  '/snapshots': {
+    get: admin({
+      operationId: 'listSnapshots',
+      tags: ['Operations'],
+      summary: 'Store snapshots, newest first',
+      responses: {
+        200: ok({
+          type: 'object',
+          properties: {
+            mode: string('When snapshots are taken', { enum: ['every-change', 'interval'] }),
+            intervalMs: integer('Interval in interval mode'),
+            keep: integer('Snapshots kept'),
+            snapshots: { type: 'array', items: schema('SnapshotSummary') }
+          }
+        })
+      }
+    }),
+    post: admin({
+      operationId: 'createSnapshot',
+      tags: ['Operations'],
+      summary: 'Snapshot the store now',
+      responses: { 201: ok(schema('SnapshotSummary'), 'Created') }
+    })
+  },
+  '/snapshots/diff': {
+    get: admin({
+      operationId: 'diffSnapshots',
+      tags: ['Operations'],
+      summary: 'Record level differences between two snapshots',
+      parameters: [
+        { ...query('from', { type: 'string' }, 'Snapshot ID'), required: true },
+        query('to', { type: 'string', default: 'current' }, 'Snapshot ID, "current" for the live store')
+      ],
+      responses: { 200: ok(schema('SnapshotDiff')), ...errors(400, 404) }
+    })
+  },
+  '/snapshots/{id}/restore': {
+    post: admin({
+      operationId: 'restoreSnapshot',
+      tags: ['Operations'],
+      summary: 'Replace the store with a snapshot (the current state is snapshotted first)',
+      parameters: [param('path', 'id', { type: 'string' }, 'Snapshot ID')],
+      responses: {
+        200: ok({
+          type: 'object',
+          properties: {
+            restored: string('Restored snapshot'),
+            backup: string('Snapshot of the state before the restore'),
+            counts: { type: 'object', additionalProperties: { type: 'integer' } }
+          }
+        }),
+        ...errors(400, 404)
+      }
+    })
+  },
+  '/reminders': {
+    get: admin({
+      operationId: 'getReminders',
+      tags: ['Reminders'],
+      summary: 'Reminder scheduler status and sent-log',
+      responses: {
+        200: ok(record({
+          enabled: boolean('Scheduler enabled'),
+          running: boolean('Scheduler started'),
+          lastRun: { ...string('Last run', { format: 'date-time' }), nullable: true },
+          lastResult: { ...schema('ReminderRun'), nullable: true },
+          offsets: { type: 'array', items: { type: 'integer' } },
+          sent: { type: 'array', items: record({}) }
+        }))
+      }
+    })
+  },
+  '/reminders/run': {
+    post: admin({
+      operationId: 'runReminders',
+      tags: ['Reminders'],
+      summary: 'Send due reminders now',
+      responses: { 200: ok(schema('ReminderRun')), ...errors(503) }
+    })
+  },
+  '/indexer': {
+    get: {
+      operationId: 'getIndexerStatus',
+      tags: ['Operations'],
+      summary: 'Event indexer progress',
+      responses: {
+        200: ok(record({
+          enabled: boolean('Indexer enabled'),
+          connected: boolean('Node reachable'),
+          head: { ...integer('Chain head'), nullable: true },
+          lastBlock: { ...integer('Last indexed block'), nullable: true },
+          finalizedBlock: { ...integer('Blocks up to here are final'), nullable: true },
+          lastError: { ...string('Last polling error'), nullable: true },
+          streamClients: integer('Connected live update clients')
+        }))
+      }
+    }
+  },
+  '/stream': {
+    get: {
+      operationId: 'openActivityStream',
+      tags: ['Operations'],
+      summary: 'Live contract activity (Server-Sent Events: activity, rollback, reset); EventSource sends the scope as chainId/contract query parameters',
+      responses: {
+        200: {
+          description: 'Event stream',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        }
+      }
+    }
+  },
+  '/docs': {
+    get: {
+      operationId: 'getApiDocs',
+      tags: ['Operations'],
+      summary: 'This OpenAPI document',
+      responses: { 200: ok({ type: 'object' }) }
+    }
+  }
+};
+
+// Every operation runs against one deployment, chosen with these headers (see scope.js)
+const SCOPE_PARAMETERS = {
+  ChainId: param('header', 'X-Chain-Id', { type: 'integer' }, 'Chain ID of the deployment (default: the server\'s CHAIN_ID)', false),
+  ContractAddress: param('header', 'X-Contract-Address', schema('Address'), 'Contract address of the deployment (sent together with X-Chain-Id)', false)
+};
+for (const [route, methods] of Object.entries(paths)) {
+  if (route === '/deployments') continue;
+  for (const op of Object.values(methods)) {
+    op.parameters = [
+      ...(op.parameters || []),
+      ...Object.keys(SCOPE_PARAMETERS).map(name => ({ $ref: `#/components/parameters/${name}` }))
+    ];
+  }
+}
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Tuition Fee Data API',
+    version,
+    description: 'Off-chain data server of the tuition fee portal. Admin routes need a bearer token from POST /auth/verify (Sign-In-With-Ethereum by the contract owner). Errors are { error, code }. Data is kept per contract deployment: send X-Chain-Id and X-Contract-Address (or the chainId and contract query parameters) to pick one of GET /deployments; otherwise the default deployment is used. An incomplete scope answers 400 INVALID_SCOPE, one that is not served 404 UNKNOWN_DEPLOYMENT.'
+  },
+  servers: [{ url: '/api' }],
+  tags: ['Data', 'Auth', 'Students', 'Profiles', 'Fees', 'Registration', 'Payments', 'Reminders', 'Operations']
+    .map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      adminSession: { type: 'http', scheme: 'bearer', description: 'Admin session token (valid for the deployment it was issued for)' }
+    },
+    parameters: SCOPE_PARAMETERS,
+    responses: {
+      BadRequest: { description: 'Invalid input', ...json(schema('ErrorResponse')) },
+      Unauthorized: { description: 'Missing/expired admin session or invalid signature', ...json(schema('ErrorResponse')) },
+      Forbidden: { description: 'Signed in wallet is not the contract owner', ...json(schema('ErrorResponse')) },
+      NotFound: { description: 'Not found', ...json(schema('ErrorResponse')) },
+      PayloadTooLarge: { description: 'Request body too large', ...json(schema('ErrorResponse')) },
+      TooManyRequests: {
+        description: 'Rate limit hit (RATE_LIMITED, see Retry-After), review queue full (PENDING_LIMIT_REACHED, see retryAt) or too many unused nonces (NONCE_LIMIT_REACHED)',
+        headers: { 'Retry-After': { description: 'Seconds until the limit resets', schema: { type: 'integer' } } },
+        ...json(schema('ErrorResponse'))
+      },
+      NodeUnavailable: { description: 'Blockchain node unavailable', ...json(schema('ErrorResponse')) }
+    },
+    schemas
+  }
+};
+
+// "/api/profiles/:studentId" -> "/profiles/{studentId}"
+const toOpenApiPath = route => route.replace(/^\/api/, '').replace(/:(\w+)/g, '{$1}');
+
+// Routes registered on the Express app that the document does not describe
+function undocumentedRoutes(app) {
+  return app.router.stack
+    .filter(layer => layer.route && layer.route.path.startsWith('/api/'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({ method, path: layer.route.path })))
+    .filter(({ method, path }) => !(paths[toOpenApiPath(path)] || {})[method])
+    .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+}
+
+module.exports = {
+  openApiDocument,
+  undocumentedRoutes
+};
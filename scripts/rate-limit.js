@@ -0,0 +1,44 @@
+// In-memory fixed-window rate limiting. Counters live in this process only,
+// which is enough for the single data server instance.
+
+// Express middleware allowing `max` requests per `windowMs` for each key.
+// key(req) returns the bucket (e.g. client IP) or null to skip limiting.
+// Rejected requests get 429 { error, code: 'RATE_LIMITED', retryAfter } and a Retry-After header.
+function createRateLimiter({ windowMs, max, key, message = 'Too many requests', now = Date.now }) {
+  const buckets = new Map();
+
+  // Drop finished windows so the map does not grow with every client ever seen
+  function prune(time) {
+    for (const [name, bucket] of buckets) {
+      if (bucket.resetAt <= time) buckets.delete(name);
+    }
+  }
+
+  return function rateLimit(req, res, next) {
+    const name = key(req);
+    if (name === null || name === undefined) return next();
+
+    const time = now();
+    if (buckets.size > 10000) prune(time);
+
+    let bucket = buckets.get(name);
+    if (!bucket || bucket.resetAt <= time) {
+      bucket = { count: 0, resetAt: time + windowMs };
+      buckets.set(name, bucket);
+    }
+    bucket.count++;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - bucket.count)));
+    if (bucket.count > max) {
+      const retryAfter = Math.ceil((bucket.resetAt - time) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: message, code: 'RATE_LIMITED', retryAfter });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
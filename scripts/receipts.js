@@ -0,0 +1,119 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { ethers } = require('ethers');
+const { PORTAL_URL } = require('./config');
+const { queryLogs } = require('./chain');
+
+// Official receipts for tuition payments as PDF. Every figure is read from the contract,
+// so a receipt always matches the chain; the QR code links to the public verification
+// page of the portal, where anyone can check it without a wallet.
+
+// Verification page of a payment (client route /verify/:paymentId)
+function verificationUrl(scope, paymentId) {
+  const url = new URL(`/verify/${paymentId}`, PORTAL_URL);
+  url.searchParams.set('chainId', scope.chainId);
+  url.searchParams.set('contract', scope.contract);
+  return url.toString();
+}
+
+// Receipt figures for a payment of the scope's contract, or null if it does not exist
+async function buildReceipt(contract, scope, paymentId) {
+  const payment = await contract.getPayment(paymentId);
+  if (!payment.paid) return null;
+
+  const [student, schedule, [log]] = await Promise.all([
+    contract.getStudent(payment.student),
+    contract.getFeeSchedule(payment.semester),
+    queryLogs(contract, contract.filters.PaymentReceived(paymentId), { first: true })
+  ]);
+
+  return {
+    paymentId,
+    studentId: payment.studentId,
+    wallet: payment.student,
+    semester: payment.semester,
+    baseFee: schedule.baseAmount.toString(),
+    // Current scholarship; scholarship refunds already brought the payment in line with it
+    scholarshipPercent: Number(student.scholarshipPercent),
+    amount: payment.amount.toString(),
+    refunded: (payment.amount - payment.amountAfterRefund).toString(),
+    netAmount: payment.amountAfterRefund.toString(),
+    fullyRefunded: payment.refunded,
+    timestamp: Number(payment.timestamp),
+    txHash: log ? log.transactionHash : null,
+    blockNumber: log ? log.blockNumber : null,
+    chainId: scope.chainId,
+    contract: scope.contract,
+    verifyUrl: verificationUrl(scope, paymentId)
+  };
+}
+
+const eth = wei => `${ethers.formatEther(wei)} ETH`;
+const utc = seconds => `${new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+
+// Render a receipt from buildReceipt as a PDF (A4, one page)
+async function receiptPdf(receipt) {
+  const qrCode = await QRCode.toBuffer(receipt.verifyUrl, { margin: 1, width: 300 });
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `Tuition receipt #${receipt.paymentId}`, Author: 'Tuition Portal' }
+  });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Header on the left, QR code in the top right corner
+  const qrSize = 110;
+  doc.image(qrCode, left + width - qrSize, 40, { width: qrSize });
+  doc.font('Helvetica-Bold').fontSize(20).text('Tuition Payment Receipt', left, 50, { width: width - qrSize - 20 });
+  doc.font('Helvetica').fontSize(10).fillColor('#555555')
+    .text(`Receipt no. ${receipt.paymentId}  ·  Chain ${receipt.chainId}`, { width: width - qrSize - 20 })
+    .text(`Contract ${receipt.contract}`, { width: width - qrSize - 20 });
+
+  const discount = BigInt(receipt.baseFee) * BigInt(receipt.scholarshipPercent) / 100n;
+  const rows = [
+    ['Student ID', receipt.studentId],
+    ['Wallet', receipt.wallet],
+    ['Semester', receipt.semester],
+    ['Base fee', eth(receipt.baseFee)],
+    ['Scholarship', receipt.scholarshipPercent > 0 ? `${receipt.scholarshipPercent}% (-${eth(discount)})` : 'None'],
+    ['Amount paid', eth(receipt.amount)],
+    ['Refunds to date', BigInt(receipt.refunded) > 0n ? eth(receipt.refunded) : 'None'],
+    ['Net amount', `${eth(receipt.netAmount)}${receipt.fullyRefunded ? ' (fully refunded)' : ''}`],
+    ['Paid at (block time)', utc(receipt.timestamp)],
+    ['Block', receipt.blockNumber === null ? 'Unknown' : String(receipt.blockNumber)],
+    ['Transaction', receipt.txHash || 'Unknown']
+  ];
+
+  let y = Math.max(doc.y, 40 + qrSize) + 30;
+  for (const [label, value] of rows) {
+    doc.font('Helvetica').fontSize(10).fillColor('#555555').text(label, left, y, { width: 140 });
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#111111').text(value, left + 150, y, { width: width - 150 });
+    y = Math.max(doc.y, y + 16) + 8;
+    doc.moveTo(left, y - 4).lineTo(left + width, y - 4).strokeColor('#e5e7eb').lineWidth(0.5).stroke();
+  }
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(
+    'This receipt was generated from the tuition contract. Scan the QR code or open the link ' +
+    'below to verify the payment on chain.',
+    left, y + 20, { width }
+  );
+  doc.fillColor('#2563eb').text(receipt.verifyUrl, { width, link: receipt.verifyUrl });
+  doc.fillColor('#555555').text(`Generated ${utc(Math.floor(Date.now() / 1000))}`);
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  verificationUrl,
+  buildReceipt,
+  receiptPdf
+};
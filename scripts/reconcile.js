@@ -0,0 +1,44 @@
+const { getContract } = require('./chain');
+const { reconcile } = require('./reconciliation');
+const { repairOffChainRecords } = require('./data-manager');
+const { warnStopDataServer } = require('./storage');
+
+// Usage: node scripts/reconcile.js [--repair] [--prune] [--json]
+//   --repair  write chain values into the data store for missing and mismatched records
+//   --prune   with --repair, also delete stored records that are not on chain
+//   --json    print the full report as JSON
+
+function describe(issue) {
+  const label = `${issue.collection} ${issue.key}`;
+  if (issue.type === 'missing') return `  + missing  ${label} (on chain, not stored)`;
+  if (issue.type === 'extra') return `  - extra    ${label} (stored, not on chain)`;
+  const fields = issue.fields.map(f => `${f.field}: chain=${f.chain} stored=${f.stored}`).join(', ');
+  return `  ~ mismatch ${label} (${fields})`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const contract = getContract();
+
+  let report = await reconcile(contract);
+  if (args.includes('--repair')) {
+    warnStopDataServer('RECONCILE');
+    const repaired = repairOffChainRecords(report.issues, { prune: args.includes('--prune') });
+    console.log(`[RECONCILE] Repaired: ${JSON.stringify(repaired)}`);
+    report = await reconcile(contract);
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`[RECONCILE] Contract ${report.contract}: ${report.chain.students} students, ${report.chain.feeSchedules} fee schedules, ${report.chain.payments} payments`);
+    report.issues.forEach(issue => console.log(describe(issue)));
+    console.log(`[RECONCILE] ${JSON.stringify(report.summary)}`);
+  }
+  if (report.issues.length > 0) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('[RECONCILE] Failed:', err.message);
+  process.exitCode = 1;
+});
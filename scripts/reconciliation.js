@@ -0,0 +1,145 @@
+const { getStorage } = require('./storage');
+const { keyOf } = require('./storage/collections');
+
+// Off-chain vs on-chain reconciliation.
+// Issues are reported from the point of view of the data store:
+//   missing  - on chain but not stored
+//   extra    - stored but not on chain
+//   mismatch - both exist, listed fields differ
+// Each issue carries the chain version of the record in store shape, so repairs
+// (repairOffChainRecords in data-manager.js) can write it back as is.
+
+// Fields compared per collection
+const COMPARED_FIELDS = {
+  students: ['studentId'],
+  scholarships: ['percent'],
+  feeSchedules: ['amount', 'deadline'],
+  payments: ['studentId', 'amount', 'amountAfterRefund', 'refunded', 'paymentId']
+};
+
+// Contract state as store records: students, scholarships, feeSchedules, payments,
+// plus the contract balance in wei
+async function readChainState(contract) {
+  const [wallets, semesters, balance] = await Promise.all([
+    contract.getAllStudents(),
+    contract.getActiveSemesters(),
+    contract.getContractBalance()
+  ]);
+  const state = { students: [], scholarships: [], feeSchedules: [], payments: [], balance: balance.toString() };
+
+  for (const wallet of wallets) {
+    const [student, paymentIds] = await Promise.all([
+      contract.getStudent(wallet),
+      contract.getStudentPaymentIds(wallet)
+    ]);
+    state.students.push({ wallet, studentId: student.studentId });
+    state.scholarships.push({ wallet, percent: Number(student.scholarshipPercent) });
+
+    const payments = await Promise.all(paymentIds.map(id => contract.getPayment(id)));
+    payments.forEach((payment, i) => {
+      state.payments.push({
+        wallet,
+        studentId: payment.studentId,
+        semester: payment.semester,
+        amount: payment.amount.toString(),
+        amountAfterRefund: payment.amountAfterRefund.toString(),
+        refunded: payment.refunded,
+        timestamp: Number(payment.timestamp),
+        paymentId: Number(paymentIds[i])
+      });
+    });
+  }
+
+  for (const semester of semesters) {
+    const fee = await contract.getFeeSchedule(semester);
+    state.feeSchedules.push({
+      semester,
+      amount: fee.baseAmount.toString(),
+      deadline: Number(fee.deadline)
+    });
+  }
+  return state;
+}
+
+// Stored values are normalized the way the indexer writes them before comparing
+const normalize = value => (typeof value === 'bigint' ? value.toString() : value);
+
+function compareCollection(collection, chainRecords, storedRecords) {
+  const issues = [];
+  const chain = new Map(chainRecords.map(r => [keyOf(collection, r), r]));
+  const stored = new Map(storedRecords.map(r => [keyOf(collection, r), r]));
+
+  for (const [key, record] of chain) {
+    const existing = stored.get(key);
+    if (!existing) {
+      issues.push({ collection, key, type: 'missing', chain: record });
+      continue;
+    }
+    const fields = COMPARED_FIELDS[collection]
+      .filter(field => normalize(existing[field] ?? null) !== normalize(record[field] ?? null))
+      .map(field => ({ field, chain: record[field], stored: existing[field] ?? null }));
+    if (fields.length > 0) {
+      issues.push({ collection, key, type: 'mismatch', fields, chain: record, stored: existing });
+    }
+  }
+
+  for (const [key, record] of stored) {
+    if (!chain.has(key)) {
+      issues.push({ collection, key, type: 'extra', stored: record });
+    }
+  }
+  return issues;
+}
+
+// Walk the contract and the store and list every difference
+async function reconcile(contract) {
+  const chainState = await readChainState(contract);
+  const storage = getStorage();
+
+  // No scholarship on chain only needs a record if the store claims one
+  const storedScholarships = new Set(storage.list('scholarships').map(s => keyOf('scholarships', s)));
+  chainState.scholarships = chainState.scholarships.filter(
+    s => s.percent > 0 || storedScholarships.has(keyOf('scholarships', s))
+  );
+
+  const issues = Object.keys(COMPARED_FIELDS).flatMap(collection =>
+    compareCollection(collection, chainState[collection], storage.list(collection))
+  );
+
+  // Approved requests whose registerStudent transaction never made it on chain. Wallets
+  // a student was rotated away from are unregistered on purpose and keep their request.
+  const registered = new Set(chainState.students.map(s => s.wallet.toLowerCase()));
+  const rotatedAway = new Set(storage.list('students').flatMap(
+    s => (s.previousWallets || []).map(wallet => wallet.toLowerCase())
+  ));
+  for (const request of storage.list('registrationRequests')) {
+    const wallet = request.wallet.toLowerCase();
+    if (request.status === 'approved' && !registered.has(wallet) && !rotatedAway.has(wallet)) {
+      issues.push({
+        collection: 'registrationRequests',
+        key: keyOf('registrationRequests', request),
+        type: 'mismatch',
+        fields: [{ field: 'status', chain: 'not registered', stored: 'approved' }],
+        stored: request
+      });
+    }
+  }
+
+  const count = type => issues.filter(i => i.type === type).length;
+  return {
+    checkedAt: new Date().toISOString(),
+    contract: await contract.getAddress(),
+    chain: {
+      students: chainState.students.length,
+      feeSchedules: chainState.feeSchedules.length,
+      payments: chainState.payments.length
+    },
+    summary: { missing: count('missing'), extra: count('extra'), mismatched: count('mismatch') },
+    issues
+  };
+}
+
+module.exports = {
+  readChainState,
+  reconcile
+};
@@ -0,0 +1,201 @@
+const nodemailer = require('nodemailer');
+const { ethers } = require('ethers');
+const { getContract } = require('./chain');
+const { getStorage } = require('./storage');
+const { hasReminderBeenSent, recordReminder } = require('./data-manager');
+const { runWithActor } = require('./audit-log');
+const { currentScope, runInScope } = require('./scope');
+const {
+  REMINDER_INTERVAL_MS,
+  REMINDER_OFFSETS_DAYS,
+  PORTAL_URL,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  MAIL_FROM
+} = require('./config');
+
+const DAY = 24 * 60 * 60;
+
+// {{name}} placeholders are filled from the reminder variables
+const TEMPLATE = {
+  subject: 'Tuition reminder: {{semester}} is due in {{daysLeft}}',
+  text: [
+    'Dear {{name}},',
+    '',
+    'Our records show that your tuition for semester {{semester}} has not been paid yet.',
+    '',
+    '  Amount due: {{amount}} ETH',
+    '  Deadline:   {{deadline}}',
+    '',
+    'Please pay from your registered wallet ({{wallet}}) before the deadline:',
+    '{{portalUrl}}/student',
+    '',
+    'If you have already paid, please ignore this message.',
+    '',
+    'Tuition Portal'
+  ].join('\n')
+};
+
+const render = (template, vars) => template.replace(/\{\{(\w+)\}\}/g, (match, name) => vars[name] ?? match);
+
+function createTransport() {
+  return nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+  });
+}
+
+// Smallest configured offset the deadline is already within, e.g. 2 days left -> 3
+function dueOffset(secondsLeft, offsets) {
+  const within = offsets.filter(days => secondsLeft <= days * DAY);
+  return within.length > 0 ? Math.min(...within) : null;
+}
+
+// Email unpaid students of every active semester as the deadline approaches.
+// When the server was down across several offsets only the most urgent reminder is sent.
+// One scheduler per deployment (options.scope, default: the current scope).
+// Options allow tests to inject contract, transport, offsets and clock.
+function createReminderScheduler(options = {}) {
+  const offsets = options.offsets || REMINDER_OFFSETS_DAYS;
+  const interval = options.interval || REMINDER_INTERVAL_MS;
+  const now = options.now || (() => Math.floor(Date.now() / 1000));
+  const scope = options.scope || currentScope();
+  let transport = options.transport || null;
+
+  const status = { running: false, lastRun: null, lastResult: null, lastError: null };
+  let timer = null;
+  let busy = false;
+
+  function contract() {
+    return options.contract || getContract(scope);
+  }
+
+  async function sendReminder(student, semester, fee, offsetDays, current) {
+    const amount = await contract().calculateFee(student.wallet, semester);
+    const vars = {
+      studentId: student.studentId,
+      name: student.fullName || student.studentId,
+      wallet: student.wallet,
+      semester,
+      amount: ethers.formatEther(amount),
+      deadline: new Date(Number(fee.deadline) * 1000).toUTCString(),
+      daysLeft: `${Math.max(1, Math.ceil((Number(fee.deadline) - current) / DAY))} day(s)`,
+      portalUrl: PORTAL_URL
+    };
+
+    transport = transport || createTransport();
+    const info = await transport.sendMail({
+      from: MAIL_FROM,
+      to: student.email,
+      subject: render(TEMPLATE.subject, vars),
+      text: render(TEMPLATE.text, vars)
+    });
+    recordReminder({
+      wallet: student.wallet,
+      studentId: student.studentId,
+      semester,
+      offsetDays,
+      email: student.email,
+      deadline: Number(fee.deadline),
+      messageId: info.messageId || null
+    });
+  }
+
+  // One pass over all active semesters; returns counts
+  async function run() {
+    const result = { checked: 0, sent: 0, alreadySent: 0, noEmail: 0, failed: 0 };
+    const current = now();
+    // Emails come from the profiles (by studentId); older stores kept them on the student record
+    const storage = getStorage();
+    const profiles = new Map(storage.list('profiles').map(p => [p.studentId, p]));
+    const legacyEmails = new Map(storage.list('students').map(s => [s.wallet.toLowerCase(), s.email]));
+    const wallets = await contract().getAllStudents();
+
+    for (const semester of await contract().getActiveSemesters()) {
+      const fee = await contract().getFeeSchedule(semester);
+      const secondsLeft = Number(fee.deadline) - current;
+      const offsetDays = dueOffset(secondsLeft, offsets);
+      if (!fee.isActive || secondsLeft <= 0 || offsetDays === null) continue;
+
+      for (const wallet of wallets) {
+        if (await contract().hasStudentPaid(wallet, semester)) continue;
+        result.checked++;
+
+        if (hasReminderBeenSent(wallet, semester, offsetDays)) {
+          result.alreadySent++;
+          continue;
+        }
+        const student = await contract().getStudent(wallet);
+        const profile = profiles.get(student.studentId) || {};
+        const email = profile.email || legacyEmails.get(wallet.toLowerCase());
+        if (!email) {
+          result.noEmail++;
+          continue;
+        }
+
+        try {
+          await sendReminder({ wallet, studentId: student.studentId, fullName: profile.fullName, email }, semester, fee, offsetDays, current);
+          result.sent++;
+        } catch (err) {
+          console.warn(`[REMINDER] Failed to email ${email} (${semester}):`, err.message);
+          result.failed++;
+        }
+      }
+    }
+    return result;
+  }
+
+  async function tick() {
+    if (busy) return status.lastResult;
+    busy = true;
+    try {
+      const result = await runInScope(scope, run);
+      if (result.sent > 0) {
+        console.log(`[REMINDER] Sent ${result.sent} reminder(s)`);
+      }
+      status.lastResult = result;
+      status.lastError = null;
+      return result;
+    } catch (err) {
+      if (status.lastError !== err.message) {
+        console.warn('[REMINDER] Run failed:', err.shortMessage || err.message);
+      }
+      status.lastError = err.message;
+      throw err;
+    } finally {
+      status.lastRun = new Date().toISOString();
+      busy = false;
+    }
+  }
+
+  return {
+    start() {
+      if (status.running) return;
+      status.running = true;
+      // Scheduled runs are audited as "reminders", manual runs as the requesting admin
+      const scheduled = () => runWithActor('reminders', tick).catch(() => {});
+      scheduled();
+      timer = setInterval(scheduled, interval);
+    },
+
+    stop() {
+      status.running = false;
+      clearInterval(timer);
+    },
+
+    run: tick,
+
+    getStatus() {
+      return { ...status, offsets, intervalMs: interval };
+    }
+  };
+}
+
+module.exports = {
+  createReminderScheduler
+};
@@ -1,120 +1,93 @@
-const { loadData } = require('./data-manager');
-const { ethers } = require('ethers');
 const fs = require('fs');
-const path = require('path');
+const { loadData } = require('./data-manager');
+const { getContract, getAdminContract } = require('./chain');
+const { currentScope } = require('./scope');
+const { warnStopDataServer } = require('./storage');
+const { planRestore, executeRestore, summarizeRestore } = require('./chain-restore');
+const { readChainState } = require('./reconciliation');
 
-async function main() {
-  const data = loadData();
-  
-  if (!data.students?.length && !data.feeSchedules?.length && !data.scholarships?.length) {
-    console.log('[RESTORE] No saved data to restore');
-    return;
-  }
+// Usage: node scripts/restore-data.js [--dry-run] [--json] [--report <file>]
+//   --dry-run        only print the transactions that would be sent
+//   --json           print the result report as JSON instead of the log lines
+//   --report <file>  also write the JSON report to a file
+// Node, contract and signer come from RPC_URL, CONTRACT_ADDRESS and ADMIN_PRIVATE_KEY
+// (the key is not needed for --dry-run).
+// Records already on chain are skipped, so the restore can be re-run after a partial failure.
 
-  console.log('[RESTORE] Restoring saved data...');
-  
-  // Get deployed contract
-  const contractAddress = process.env.CONTRACT_ADDRESS;
-  if (!contractAddress) {
-    console.error('[RESTORE] CONTRACT_ADDRESS not set');
-    return;
-  }
+const LABELS = {
+  feeSchedule: 'Fee schedule',
+  student: 'Student',
+  scholarship: 'Scholarship',
+  payment: 'Payment',
+  refund: 'Refund',
+  balance: 'Contract'
+};
 
-  // Use pure ethers.js with JSON-RPC provider
-  const provider = new ethers.JsonRpcProvider('http://127.0.0.1:8545');
-  
-  // Hardhat's first account private key (well-known test key)
-  const privateKey = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
-  const signer = new ethers.Wallet(privateKey, provider);
-  
-  // Read ABI from compiled artifact
-  const artifactPath = path.join(__dirname, '..', 'artifacts', 'contracts', 'TuitionFeeContract.sol', 'TuitionFeeContract.json');
-  const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-  
-  // Use getAddress to ensure proper checksum and avoid ENS resolution
-  const contract = new ethers.Contract(ethers.getAddress(contractAddress), artifact.abi, signer);
+const describe = s => `${LABELS[s.type]} ${s.key}`;
+const formatArgs = args => args.map(a => JSON.stringify(a)).join(', ');
 
-  // Get current nonce
-  let nonce = await provider.getTransactionCount(signer.address);
+function printStep(s) {
+  if (s.status === 'done') console.log(`  ✓ ${describe(s)} (${s.txHash})`);
+  if (s.status === 'failed') console.log(`  ✗ ${describe(s)}: ${s.error}`);
+  if (s.status === 'conflict') console.log(`  ✗ ${describe(s)}: ${s.reason}`);
+  if (s.status === 'skipped') console.log(`  = ${describe(s)}: ${s.reason}`);
+  if (s.status === 'planned') console.log(`  > ${describe(s)}: ${s.method}(${formatArgs(s.args)})`);
+}
 
-  // Restore fee schedules first
-  if (data.feeSchedules?.length) {
-    console.log(`[RESTORE] Restoring ${data.feeSchedules.length} fee schedules...`);
-    for (const fee of data.feeSchedules) {
-      try {
-        // Set deadline to 1 year from now if expired
-        let deadline = fee.deadline;
-        const now = Math.floor(Date.now() / 1000);
-        if (deadline <= now) {
-          deadline = now + 365 * 24 * 60 * 60; // 1 year from now
-        }
-        
-        const tx = await contract.setFeeSchedule(fee.semester, BigInt(fee.amount), deadline, { nonce: nonce++ });
-        await tx.wait();
-        console.log(`  ✓ Fee schedule: ${fee.semester}`);
-      } catch (err) {
-        console.log(`  ✗ Fee schedule ${fee.semester}: ${err.reason || err.message}`);
-      }
-    }
-  }
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+  if (!args[index + 1] || args[index + 1].startsWith('--')) throw new Error(`${name} needs a value`);
+  return args[index + 1];
+}
 
-  // Restore students
-  if (data.students?.length) {
-    console.log(`[RESTORE] Restoring ${data.students.length} students...`);
-    for (const student of data.students) {
-      try {
-        // Use getAddress to avoid ENS resolution
-        const walletAddr = ethers.getAddress(student.wallet);
-        const tx = await contract.registerStudent(walletAddr, student.studentId, { nonce: nonce++ });
-        await tx.wait();
-        console.log(`  ✓ Student: ${student.studentId} (${student.wallet.slice(0,10)}...)`);
-      } catch (err) {
-        console.log(`  ✗ Student ${student.studentId}: ${err.reason || err.message}`);
-      }
-    }
-  }
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const json = args.includes('--json');
+  const reportFile = optionValue(args, '--report');
+  const log = json ? () => {} : console.log;
 
-  // Restore scholarships
-  if (data.scholarships?.length) {
-    console.log(`[RESTORE] Restoring ${data.scholarships.length} scholarships...`);
-    for (const scholarship of data.scholarships) {
-      try {
-        // Use getAddress to avoid ENS resolution
-        const walletAddr = ethers.getAddress(scholarship.wallet);
-        const tx = await contract.applyScholarship(walletAddr, scholarship.percent, { nonce: nonce++ });
-        await tx.wait();
-        console.log(`  ✓ Scholarship: ${scholarship.wallet.slice(0,10)}... = ${scholarship.percent}%`);
-      } catch (err) {
-        console.log(`  ✗ Scholarship: ${err.reason || err.message}`);
-      }
-    }
-  }
+  // A dry run only reads the chain, so it needs no admin key
+  const scope = currentScope();
+  const adminContract = dryRun ? null : getAdminContract(scope);
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    dryRun,
+    chainId: scope.chainId,
+    contract: scope.contract,
+    rpcUrl: scope.rpcUrl,
+    signer: adminContract ? await adminContract.runner.getAddress() : null,
+    summary: null,
+    steps: []
+  };
 
-  // Restore payments (after students and scholarships)
-  if (data.payments?.length) {
-    console.log(`[RESTORE] Restoring ${data.payments.length} payments...`);
-    for (const payment of data.payments) {
-      try {
-        const walletAddr = ethers.getAddress(payment.wallet);
-        const tx = await contract.restorePayment(
-          walletAddr,
-          payment.semester,
-          BigInt(payment.amount),
-          payment.timestamp,
-          { nonce: nonce++ }
-        );
-        await tx.wait();
-        console.log(`  ✓ Payment: ${payment.wallet.slice(0,10)}... - HK ${payment.semester}`);
-      } catch (err) {
-        console.log(`  ✗ Payment ${payment.semester}: ${err.reason || err.message}`);
-      }
-    }
+  const data = loadData();
+  log(dryRun
+    ? `[RESTORE] Planning restore of saved data on ${scope.contract} (chain ${scope.chainId})`
+    : `[RESTORE] Restoring saved data on ${scope.contract} (chain ${scope.chainId}) as ${report.signer}`);
+  report.steps = planRestore(data, await readChainState(getContract(scope)));
+
+  if (!dryRun) {
+    warnStopDataServer('RESTORE');
+    report.steps.filter(s => s.status !== 'planned').forEach(s => !json && printStep(s));
+    await executeRestore(report.steps, adminContract, { onStep: s => !json && printStep(s) });
+  } else if (!json) {
+    report.steps.forEach(printStep);
   }
 
-  console.log('[RESTORE] Data restoration complete!');
+  report.summary = summarizeRestore(report.steps);
+  report.finishedAt = new Date().toISOString();
+  log(`[RESTORE] ${dryRun ? 'Dry run' : 'Done'}: ${JSON.stringify(report.summary)}`);
+
+  const output = JSON.stringify(report, null, 2);
+  if (json) console.log(output);
+  if (reportFile) fs.writeFileSync(reportFile, output + '\n');
+  if (report.summary.failed > 0 || report.summary.conflict > 0) process.exitCode = 1;
 }
 
-main().catch((error) => {
-  console.error(error);
+main().catch(err => {
+  console.error('[RESTORE] Failed:', err.shortMessage || err.message);
   process.exitCode = 1;
 });
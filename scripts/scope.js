@@ -0,0 +1,60 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { ethers } = require('ethers');
+const { CHAIN_ID, CONTRACT_ADDRESS, RPC_URL, DEPLOYMENTS } = require('./config');
+
+// A scope is one contract deployment { chainId, contract, rpcUrl }. Stored records,
+// snapshots, chain access and admin sessions all belong to a scope, so redeploying or
+// switching networks never mixes data. Code runs in the scope of the current request
+// (or indexer/scheduler) via runInScope; without one the default deployment applies.
+
+const toScope = ({ chainId, contract, rpcUrl }) => ({
+  chainId: Number(chainId),
+  contract: ethers.getAddress(contract.toLowerCase()),
+  rpcUrl
+});
+
+const DEFAULT_SCOPE = toScope({ chainId: CHAIN_ID, contract: CONTRACT_ADDRESS, rpcUrl: RPC_URL });
+
+// e.g. "31337:0x5fbdb2315678afecb367f032d93f642f64180aa3"
+const scopeKey = scope => `${scope.chainId}:${scope.contract.toLowerCase()}`;
+
+// Directory name of a scope's store and snapshots
+const scopeDirName = scope => `${scope.chainId}-${scope.contract.toLowerCase()}`;
+
+// Configured deployments, default first (duplicates of the default are dropped)
+const SCOPES = [DEFAULT_SCOPE, ...DEPLOYMENTS.map(toScope)]
+  .filter((scope, i, all) => all.findIndex(other => scopeKey(other) === scopeKey(scope)) === i);
+
+const context = new AsyncLocalStorage();
+
+function runInScope(scope, fn) {
+  return context.run(toScope({ rpcUrl: RPC_URL, ...scope }), fn);
+}
+
+function currentScope() {
+  return context.getStore() || DEFAULT_SCOPE;
+}
+
+// Configured deployment for a chain ID and contract address, null if not served
+function findScope(chainId, contract) {
+  const key = `${Number(chainId)}:${String(contract).toLowerCase()}`;
+  return SCOPES.find(scope => scopeKey(scope) === key) || null;
+}
+
+// Scope without connection details, as shown to API clients
+const describeScope = scope => ({
+  chainId: scope.chainId,
+  contract: scope.contract,
+  default: scopeKey(scope) === scopeKey(DEFAULT_SCOPE)
+});
+
+module.exports = {
+  DEFAULT_SCOPE,
+  SCOPES,
+  scopeKey,
+  scopeDirName,
+  runInScope,
+  currentScope,
+  findScope,
+  describeScope
+};
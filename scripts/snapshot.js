@@ -0,0 +1,78 @@
+const { createSnapshot, readSnapshot, listSnapshots, diffSnapshots } = require('./snapshots');
+const { restoreSnapshot } = require('./data-manager');
+const { warnStopDataServer } = require('./storage');
+
+// Usage: node scripts/snapshot.js <command>
+//   list                      list snapshots, newest first
+//   create                    snapshot the store now
+//   diff <from> [to] [--json] differences between two snapshots (to defaults to "current", the live store)
+//   restore <id> [--dry-run]  replace the store with a snapshot (the current state is snapshotted first)
+// Stop the data server before restoring (see warnStopDataServer).
+
+const counts = summary => Object.entries(summary.counts)
+  .filter(([, n]) => n > 0)
+  .map(([name, n]) => `${name}=${n}`)
+  .join(' ');
+
+function load(id) {
+  const snapshot = readSnapshot(id);
+  if (!snapshot) throw new Error(`Snapshot not found: ${id}`);
+  return snapshot;
+}
+
+function printDiff(diff) {
+  console.log(`[SNAPSHOT] ${diff.from} -> ${diff.to}: ${JSON.stringify(diff.summary)}`);
+  for (const [name, changes] of Object.entries(diff.collections)) {
+    changes.added.forEach(c => console.log(`  + ${name} ${c.key}`));
+    changes.removed.forEach(c => console.log(`  - ${name} ${c.key}`));
+    changes.changed.forEach(c => console.log(`  ~ ${name} ${c.key}`));
+  }
+}
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const positional = args.filter(a => !a.startsWith('--'));
+
+  switch (command) {
+    case 'list': {
+      const snapshots = listSnapshots();
+      snapshots.forEach(s => console.log(`${s.id}  ${s.reason.padEnd(28)} ${counts(s)}`));
+      console.log(`[SNAPSHOT] ${snapshots.length} snapshot(s)`);
+      break;
+    }
+    case 'create': {
+      const snapshot = createSnapshot('manual');
+      console.log(`[SNAPSHOT] Created ${snapshot.id} (${counts(snapshot)})`);
+      break;
+    }
+    case 'diff': {
+      if (!positional[0]) throw new Error('Usage: snapshot.js diff <from> [to]');
+      const diff = diffSnapshots(load(positional[0]), load(positional[1] || 'current'));
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(diff, null, 2));
+      } else {
+        printDiff(diff);
+      }
+      break;
+    }
+    case 'restore': {
+      if (!positional[0]) throw new Error('Usage: snapshot.js restore <id> [--dry-run]');
+      const snapshot = load(positional[0]);
+      printDiff(diffSnapshots(readSnapshot('current'), snapshot));
+      if (args.includes('--dry-run')) break;
+      warnStopDataServer('SNAPSHOT');
+      const result = restoreSnapshot(snapshot);
+      console.log(`[SNAPSHOT] Restored ${result.restored}, previous state saved as ${result.backup}`);
+      break;
+    }
+    default:
+      throw new Error('Usage: snapshot.js list | create | diff <from> [to] | restore <id> [--dry-run]');
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('[SNAPSHOT] Failed:', err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { getStorage, moveUnscopedFiles } = require('./storage');
+const { COLLECTION_NAMES, keyOf } = require('./storage/collections');
+const { canonical } = require('./audit-log');
+const { currentScope, scopeDirName } = require('./scope');
+const { SNAPSHOT_DIR, SNAPSHOT_KEEP, SNAPSHOT_INTERVAL_MS } = require('./config');
+
+// Point-in-time copies of the whole store, one JSON file per snapshot in SNAPSHOT_DIR/<scope>:
+// { id, createdAt, reason, driver, counts, collections: { name: [records] }, meta }
+// Snapshots are driver independent, so a JSON snapshot can be restored into SQLite.
+// Only the newest SNAPSHOT_KEEP files are kept.
+
+// Store metadata worth restoring together with the records
+const META_NAMES = ['lastUpdated', 'indexer.checkpoint'];
+
+// Ids are compact UTC timestamps with a zero-padded counter for snapshots taken in the
+// same millisecond, so file names sort chronologically
+const ID_PATTERN = /^\d{4}-\d{2}-\d{2}T[\dTZ-]+$/;
+
+const fileOf = (id, dir) => path.join(dir, `${id}.json`);
+
+// Snapshots of the current deployment (see scope.js)
+function snapshotDir() {
+  moveUnscopedFiles();
+  return path.join(SNAPSHOT_DIR, scopeDirName(currentScope()));
+}
+
+// Counts on from the newest id of the millisecond: rotation may already have removed
+// the first one, and reusing its id would sort the new snapshot before the others
+function newId(dir) {
+  const base = new Date().toISOString().replace(/[:.]/g, '-');
+  const [latest] = listIds(dir).filter(id => id.startsWith(base)).reverse();
+  if (!latest) return base;
+  const n = latest === base ? 2 : Number(latest.slice(base.length + 1)) + 1;
+  return `${base}-${String(n).padStart(3, '0')}`;
+}
+
+// Current store contents in snapshot shape (id "current")
+function captureState(storage = getStorage()) {
+  const collections = {};
+  for (const name of COLLECTION_NAMES) collections[name] = storage.list(name);
+  const meta = {};
+  for (const name of META_NAMES) meta[name] = storage.getMeta(name);
+  return {
+    id: 'current',
+    createdAt: new Date().toISOString(),
+    driver: storage.driver,
+    counts: Object.fromEntries(COLLECTION_NAMES.map(name => [name, collections[name].length])),
+    collections,
+    meta
+  };
+}
+
+const summarize = ({ collections, meta, ...summary }) => ({ ...summary, lastUpdated: meta.lastUpdated });
+
+function listIds(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && ID_PATTERN.test(file.slice(0, -5)))
+    .map(file => file.slice(0, -5))
+    .sort();
+}
+
+// Drop the oldest snapshots beyond the retention limit
+function rotate(dir, keep) {
+  const ids = listIds(dir);
+  for (const id of ids.slice(0, Math.max(0, ids.length - keep))) {
+    fs.rmSync(fileOf(id, dir), { force: true });
+  }
+}
+
+// Write a snapshot of the current store and return its summary
+function createSnapshot(reason = 'manual', { dir = snapshotDir(), keep = SNAPSHOT_KEEP } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const snapshot = { ...captureState(), id: newId(dir), reason };
+
+  const file = fileOf(snapshot.id, dir);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+  fs.renameSync(`${file}.tmp`, file);
+  rotate(dir, keep);
+  return summarize(snapshot);
+}
+
+// Frequent writes the chain or the scheduler repeat on their own (indexer batches and
+// sent reminders); they are captured by the next snapshot of another change or the timer
+const UNSNAPSHOTTED_ACTIONS = ['applyChainEvents', 'rollbackChainEvents', 'recordReminder'];
+
+// Called by data-manager after every committed mutation; interval mode snapshots
+// from the timer instead (see startSnapshotTimer)
+function snapshotAfterChange(action) {
+  if (SNAPSHOT_INTERVAL_MS > 0 || UNSNAPSHOTTED_ACTIONS.includes(action)) return null;
+  return createSnapshot(action);
+}
+
+// Full snapshot by id, null when it does not exist
+function readSnapshot(id, dir = snapshotDir()) {
+  if (id === 'current') return captureState();
+  if (!ID_PATTERN.test(id) || !fs.existsSync(fileOf(id, dir))) return null;
+  return JSON.parse(fs.readFileSync(fileOf(id, dir), 'utf8'));
+}
+
+// Summaries of all snapshots, newest first
+function listSnapshots(dir = snapshotDir()) {
+  return listIds(dir).reverse().map(id => {
+    const file = fileOf(id, dir);
+    return { ...summarize(JSON.parse(fs.readFileSync(file, 'utf8'))), size: fs.statSync(file).size };
+  });
+}
+
+// Snapshot only when the store changed since the newest snapshot
+function snapshotIfChanged(reason, dir = snapshotDir()) {
+  const [latest] = listSnapshots(dir);
+  if (latest && latest.lastUpdated === getStorage().getMeta('lastUpdated')) return null;
+  return createSnapshot(reason, { dir });
+}
+
+// Interval mode: snapshot every SNAPSHOT_INTERVAL_MS if something changed
+function startSnapshotTimer(interval = SNAPSHOT_INTERVAL_MS) {
+  if (interval <= 0) return null;
+  return setInterval(() => {
+    try {
+      snapshotIfChanged('interval');
+    } catch (err) {
+      console.error('[SNAPSHOT] Could not create snapshot:', err.message);
+    }
+  }, interval);
+}
+
+// Record level differences between two snapshots (from -> to), per collection:
+// { added: [{ key, after }], removed: [{ key, before }], changed: [{ key, before, after }] }
+function diffSnapshots(from, to) {
+  const collections = {};
+  const summary = { added: 0, removed: 0, changed: 0 };
+
+  for (const name of COLLECTION_NAMES) {
+    const before = new Map((from.collections[name] || []).map(r => [keyOf(name, r), r]));
+    const after = new Map((to.collections[name] || []).map(r => [keyOf(name, r), r]));
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [key, record] of after) {
+      if (!before.has(key)) {
+        diff.added.push({ key, after: record });
+      } else if (canonical(before.get(key)) !== canonical(record)) {
+        diff.changed.push({ key, before: before.get(key), after: record });
+      }
+    }
+    for (const [key, record] of before) {
+      if (!after.has(key)) diff.removed.push({ key, before: record });
+    }
+
+    if (diff.added.length + diff.removed.length + diff.changed.length > 0) {
+      collections[name] = diff;
+      summary.added += diff.added.length;
+      summary.removed += diff.removed.length;
+      summary.changed += diff.changed.length;
+    }
+  }
+  return { from: from.id, to: to.id, summary, collections };
+}
+
+module.exports = {
+  createSnapshot,
+  snapshotAfterChange,
+  snapshotIfChanged,
+  startSnapshotTimer,
+  readSnapshot,
+  listSnapshots,
+  diffSnapshots,
+  META_NAMES
+};
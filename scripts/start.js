@@ -1,6 +1,8 @@
 const { spawn, exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
+const { DATA_PORT } = require('./config');
 
 console.log('='.repeat(60));
 console.log('  TUITION FEE BLOCKCHAIN - STARTING PROJECT');
@@ -18,19 +20,38 @@ dataServer = spawn('node', ['scripts/data-server.js'], {
   shell: true
 });
 
-dataServer.stdout.on('data', (data) => {
-  const output = data.toString();
-  if (output.includes('[DATA API]')) {
-    console.log('[OK] Data server running on http://localhost:3001');
-    console.log('');
-    startHardhatNode();
-  }
+// Output is not shown, but the pipe has to be drained
+dataServer.stdout.resume();
+
+waitForDataServer(() => {
+  console.log(`[OK] Data server running on http://localhost:${DATA_PORT}`);
+  console.log('');
+  startHardhatNode();
 });
 
 dataServer.stderr.on('data', (data) => {
   console.error('[Data Server Error]', data.toString());
 });
 
+// Poll the data server's liveness endpoint until it answers
+function waitForDataServer(onReady, attempts = 60) {
+  const retry = () => {
+    if (attempts <= 1) {
+      console.error('[ERROR] Data server did not become healthy');
+      process.exit(1);
+    }
+    setTimeout(() => waitForDataServer(onReady, attempts - 1), 500);
+  };
+  http.get(`http://127.0.0.1:${DATA_PORT}/healthz`, (res) => {
+    res.resume();
+    if (res.statusCode === 200) {
+      onReady();
+    } else {
+      retry();
+    }
+  }).on('error', retry);
+}
+
 // Step 1: Start Hardhat node
 function startHardhatNode() {
   console.log('[2/5] Starting Hardhat node...');
@@ -0,0 +1,40 @@
+// Collections known to the store and how each record is keyed
+const byWallet = r => r.wallet.toLowerCase();
+
+const COLLECTIONS = {
+  students: byWallet,
+  feeSchedules: f => f.semester,
+  scholarships: byWallet,
+  payments: p => `${p.wallet.toLowerCase()}:${p.semester}`,
+  registrationRequests: byWallet,
+  // Off-chain student profiles (name, email, faculty, ...)
+  profiles: p => p.studentId,
+  // Indexed contract logs of the current chain, keyed by `${txHash}:${logIndex}`
+  events: e => e.id,
+  // Refund transfers keyed by chain-independent ids (they are replayed after a node
+  // reset), university withdrawals by the `${txHash}:${logIndex}` of their event
+  refunds: r => r.id,
+  withdrawals: w => w.id,
+  // Sent deadline reminders, one per wallet, semester and offset
+  reminders: r => `${r.wallet.toLowerCase()}:${r.semester}:${r.offsetDays}`
+};
+
+function keyOf(collection, record) {
+  const keyFn = COLLECTIONS[collection];
+  if (!keyFn) {
+    throw new Error(`Unknown collection: ${collection}`);
+  }
+  return keyFn(record);
+}
+
+function assertCollection(collection) {
+  if (!COLLECTIONS[collection]) {
+    throw new Error(`Unknown collection: ${collection}`);
+  }
+}
+
+module.exports = {
+  COLLECTION_NAMES: Object.keys(COLLECTIONS),
+  keyOf,
+  assertCollection
+};
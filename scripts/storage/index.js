@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { STORAGE_DRIVER, DATA_DIR, SNAPSHOT_DIR } = require('../config');
+const { DEFAULT_SCOPE, scopeKey, scopeDirName, currentScope } = require('../scope');
+
+// Each contract deployment has its own store: DATA_DIR/<chainId>-<contract>/state.{json,db}
+function storageFiles(scope = currentScope()) {
+  const dir = path.join(DATA_DIR, scopeDirName(scope));
+  return { jsonFile: path.join(dir, 'state.json'), sqliteFile: path.join(dir, 'state.db') };
+}
+
+// Storage interface shared by all drivers:
+//   list(collection), get(collection, key), put(collection, record),
+//   remove(collection, key), clear(collection),
+//   getMeta(name), setMeta(name, value), transaction(fn), dump(), close()
+function createStorage(driver = STORAGE_DRIVER, scope = currentScope()) {
+  const { jsonFile, sqliteFile } = storageFiles(scope);
+  switch (driver) {
+    case 'json':
+      return require('./json-driver').createJsonStorage({ file: jsonFile });
+    case 'sqlite':
+      // Loaded lazily so the native module is only needed when selected
+      return require('./sqlite-driver').createSqliteStorage({ file: sqliteFile, jsonFile });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected "json" or "sqlite")`);
+  }
+}
+
+// Stores written before deployments were scoped lived directly in DATA_DIR and
+// SNAPSHOT_DIR; they belong to the default deployment and are moved there once
+let unscopedFilesMoved = false;
+function moveUnscopedFiles() {
+  if (unscopedFilesMoved) return;
+  unscopedFilesMoved = true;
+  const moves = [
+    [DATA_DIR, path.dirname(storageFiles(DEFAULT_SCOPE).jsonFile), /^state\.(json|db(-wal|-shm)?)$/],
+    [SNAPSHOT_DIR, path.join(SNAPSHOT_DIR, scopeDirName(DEFAULT_SCOPE)), /^\d{4}-\d{2}-\d{2}T[\dTZ-]+\.json$/]
+  ];
+  for (const [from, to, pattern] of moves) {
+    if (!fs.existsSync(from) || fs.existsSync(to)) continue;
+    const files = fs.readdirSync(from).filter(file => pattern.test(file));
+    if (files.length === 0) continue;
+    fs.mkdirSync(to, { recursive: true });
+    for (const file of files) fs.renameSync(path.join(from, file), path.join(to, file));
+    console.log(`[DATA] Moved ${files.length} unscoped file(s) from ${from} to ${to}`);
+  }
+}
+
+// For CLI scripts that change data the data server also writes. With the JSON driver the
+// server works on its own in-memory copy of the store; the driver refuses writes made on
+// top of another process's changes, so one of them would fail.
+function warnStopDataServer(label) {
+  if (STORAGE_DRIVER !== 'json') return;
+  console.warn(`[${label}] Stop the data server first: with STORAGE_DRIVER=json it keeps its own copy of the store, and writes made while both run are refused`);
+}
+
+const stores = new Map();
+
+// Process-wide store of the current scope's deployment, opened on first use
+function getStorage() {
+  const scope = currentScope();
+  const key = scopeKey(scope);
+  if (!stores.has(key)) {
+    moveUnscopedFiles();
+    const storage = createStorage(STORAGE_DRIVER, scope);
+    console.log(`[DATA] Using ${storage.driver} storage at ${storage.location}`);
+    stores.set(key, storage);
+  }
+  return stores.get(key);
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+  storageFiles,
+  moveUnscopedFiles,
+  warnStopDataServer
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTION_NAMES, keyOf, assertCollection } = require('./collections');
+
+function emptyState() {
+  const state = { lastUpdated: null, meta: {} };
+  for (const name of COLLECTION_NAMES) state[name] = [];
+  return state;
+}
+
+function readState(file) {
+  const state = emptyState();
+  try {
+    if (fs.existsSync(file)) {
+      Object.assign(state, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+  } catch (err) {
+    console.error('Error loading data:', err.message);
+  }
+  return state;
+}
+
+// Identifies the file version we last read or wrote (null while there is no file)
+function fileVersion(file) {
+  try {
+    const { mtimeMs, size, ino } = fs.statSync(file);
+    return `${ino}:${mtimeMs}:${size}`;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// JSON file driver: keeps the whole store in memory and rewrites the file
+// atomically after each transaction. Only one process should write to it: a write
+// after another process changed the file is refused (the file is reloaded) instead
+// of overwriting that change.
+function createJsonStorage({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let version = fileVersion(file);
+  let state = readState(file);
+  let depth = 0;
+  let dirty = false;
+
+  function reload() {
+    version = fileVersion(file);
+    state = readState(file);
+    dirty = false;
+  }
+
+  function assertNotChangedElsewhere() {
+    if (fileVersion(file) === version) return;
+    reload();
+    const err = new Error(`${file} was changed by another process; stop the data server before running CLI scripts that write to the store`);
+    err.code = 'STORE_CHANGED_ELSEWHERE';
+    throw err;
+  }
+
+  function flush() {
+    assertNotChangedElsewhere();
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpFile, file);
+    version = fileVersion(file);
+    dirty = false;
+  }
+
+  function changed() {
+    dirty = true;
+    if (depth === 0) flush();
+  }
+
+  function findIndex(collection, key) {
+    return state[collection].findIndex(r => keyOf(collection, r) === key);
+  }
+
+  return {
+    driver: 'json',
+    location: file,
+
+    list(collection) {
+      assertCollection(collection);
+      return state[collection].map(r => ({ ...r }));
+    },
+
+    get(collection, key) {
+      assertCollection(collection);
+      const index = findIndex(collection, key);
+      return index === -1 ? null : { ...state[collection][index] };
+    },
+
+    put(collection, record) {
+      const index = findIndex(collection, keyOf(collection, record));
+      if (index === -1) {
+        state[collection].push({ ...record });
+      } else {
+        state[collection][index] = { ...record };
+      }
+      changed();
+      return record;
+    },
+
+    remove(collection, key) {
+      assertCollection(collection);
+      const index = findIndex(collection, key);
+      if (index !== -1) {
+        state[collection].splice(index, 1);
+        changed();
+      }
+    },
+
+    clear(collection) {
+      assertCollection(collection);
+      state[collection] = [];
+      changed();
+    },
+
+    getMeta(name) {
+      if (name === 'lastUpdated') return state.lastUpdated;
+      return state.meta[name] === undefined ? null : state.meta[name];
+    },
+
+    setMeta(name, value) {
+      if (name === 'lastUpdated') {
+        state.lastUpdated = value;
+      } else {
+        state.meta[name] = value;
+      }
+      changed();
+    },
+
+    // Writes inside fn are flushed once; on error the last saved file is reloaded
+    transaction(fn) {
+      if (depth === 0) assertNotChangedElsewhere();
+      depth++;
+      try {
+        const result = fn();
+        depth--;
+        if (depth === 0 && dirty) flush();
+        return result;
+      } catch (err) {
+        depth--;
+        if (depth === 0) reload();
+        throw err;
+      }
+    },
+
+    dump() {
+      const data = {};
+      for (const name of COLLECTION_NAMES) data[name] = this.list(name);
+      data.lastUpdated = state.lastUpdated;
+      return data;
+    },
+
+    close() {
+      if (dirty) flush();
+    }
+  };
+}
+
+module.exports = { createJsonStorage };
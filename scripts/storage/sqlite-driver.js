@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const MIGRATIONS = require('./sqlite-migrations');
+const { COLLECTION_NAMES, keyOf, assertCollection } = require('./collections');
+
+// Bring the schema up to the latest migration, one transaction per step
+function migrate(db, context) {
+  const current = db.pragma('user_version', { simple: true });
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    db.transaction(() => {
+      migration.up(db, context);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    console.log(`[DATA] Applied migration ${migration.version}: ${migration.name}`);
+  }
+}
+
+// SQLite driver: one row per record, safe for concurrent readers (WAL mode)
+function createSqliteStorage({ file, jsonFile }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  migrate(db, { jsonFile, collectionNames: COLLECTION_NAMES, keyOf });
+
+  const statements = {
+    list: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid'),
+    get: db.prepare('SELECT data FROM records WHERE collection = ? AND key = ?'),
+    upsert: db.prepare(`
+      INSERT INTO records (collection, key, data) VALUES (?, ?, ?)
+      ON CONFLICT (collection, key) DO UPDATE SET data = excluded.data
+    `),
+    remove: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+    clear: db.prepare('DELETE FROM records WHERE collection = ?'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE name = ?'),
+    setMeta: db.prepare(`
+      INSERT INTO meta (name, value) VALUES (?, ?)
+      ON CONFLICT (name) DO UPDATE SET value = excluded.value
+    `)
+  };
+
+  return {
+    driver: 'sqlite',
+    location: file,
+
+    list(collection) {
+      assertCollection(collection);
+      return statements.list.all(collection).map(row => JSON.parse(row.data));
+    },
+
+    get(collection, key) {
+      assertCollection(collection);
+      const row = statements.get.get(collection, key);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    put(collection, record) {
+      statements.upsert.run(collection, keyOf(collection, record), JSON.stringify(record));
+      return record;
+    },
+
+    remove(collection, key) {
+      assertCollection(collection);
+      statements.remove.run(collection, key);
+    },
+
+    clear(collection) {
+      assertCollection(collection);
+      statements.clear.run(collection);
+    },
+
+    getMeta(name) {
+      const row = statements.getMeta.get(name);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    setMeta(name, value) {
+      statements.setMeta.run(name, JSON.stringify(value));
+    },
+
+    // Nested calls become savepoints (better-sqlite3 handles this)
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    dump() {
+      const data = {};
+      for (const name of COLLECTION_NAMES) data[name] = this.list(name);
+      data.lastUpdated = this.getMeta('lastUpdated');
+      return data;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,60 @@
+const fs = require('fs');
+
+// Versioned schema migrations for the SQLite driver.
+// Applied in order; the current version is kept in PRAGMA user_version.
+// Never edit a released migration - append a new one instead.
+module.exports = [
+  {
+    version: 1,
+    name: 'create records and meta tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE records (
+          collection TEXT NOT NULL,
+          key TEXT NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (collection, key)
+        );
+        CREATE TABLE meta (
+          name TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'import existing state.json',
+    up(db, { jsonFile, collectionNames, keyOf }) {
+      if (!fs.existsSync(jsonFile)) return;
+
+      const state = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+      const insert = db.prepare('INSERT OR REPLACE INTO records (collection, key, data) VALUES (?, ?, ?)');
+      for (const name of collectionNames) {
+        for (const record of state[name] || []) {
+          insert.run(name, keyOf(name, record), JSON.stringify(record));
+        }
+      }
+      if (state.lastUpdated) {
+        db.prepare('INSERT OR REPLACE INTO meta (name, value) VALUES (?, ?)')
+          .run('lastUpdated', JSON.stringify(state.lastUpdated));
+      }
+      console.log('[DATA] Imported', jsonFile, 'into SQLite store');
+    }
+  },
+  {
+    version: 3,
+    name: 'import state.json meta values',
+    // Version 2 left out the JSON driver's meta values (e.g. the indexer checkpoint).
+    // Values the SQLite store has set since then are kept.
+    up(db, { jsonFile }) {
+      if (!fs.existsSync(jsonFile)) return;
+
+      const { meta = {} } = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+      const insert = db.prepare('INSERT OR IGNORE INTO meta (name, value) VALUES (?, ?)');
+      for (const [name, value] of Object.entries(meta)) {
+        insert.run(name, JSON.stringify(value));
+      }
+    }
+  }
+];
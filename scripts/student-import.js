@@ -0,0 +1,206 @@
+const { ethers } = require('ethers');
+const { getStorage } = require('./storage');
+const { address, percent, studentId } = require('./validation');
+const { csvCell } = require('./csv');
+
+// Bulk student import shared by scripts/import-students.js and the data server.
+// Every CSV row becomes a result { line, studentId, wallet, percent, status, code, error, txHash }
+// where status is valid | invalid | registered | failed.
+
+const COLUMN_ALIASES = {
+  studentid: 'studentId',
+  id: 'studentId',
+  wallet: 'wallet',
+  walletaddress: 'wallet',
+  address: 'wallet',
+  percent: 'percent',
+  scholarship: 'percent',
+  scholarshippercent: 'percent'
+};
+const DEFAULT_COLUMNS = ['studentId', 'wallet', 'percent'];
+
+// Split one CSV line, honouring double-quoted fields ("" is an escaped quote)
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+const columnName = cell => COLUMN_ALIASES[cell.toLowerCase().replace(/[\s_-]/g, '')];
+
+// Parse CSV text into rows. The header row is optional, without one the
+// columns are studentId, wallet, percent.
+function parseStudentCsv(text) {
+  const rows = [];
+  let columns = null;
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+    const cells = splitCsvLine(raw);
+
+    if (!columns) {
+      if (cells.every(columnName)) {
+        columns = cells.map(columnName);
+        return;
+      }
+      columns = DEFAULT_COLUMNS;
+    }
+
+    const row = { line: index + 1 };
+    columns.forEach((column, i) => {
+      row[column] = cells[i] || '';
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+const invalid = (result, code, error) => Object.assign(result, { status: 'invalid', code, error });
+
+// Format checks and duplicates inside the file
+function checkRowFormat(row, seenIds, seenWallets) {
+  const result = { line: row.line, studentId: row.studentId, wallet: row.wallet, percent: row.percent, status: 'valid' };
+
+  // Registrar exports are often lowercase, accept them and store the checksummed form
+  const wallet = /^0x[0-9a-f]{40}$/.test(row.wallet || '') ? ethers.getAddress(row.wallet) : row.wallet;
+  for (const [field, rule, value] of [
+    ['studentId', studentId, row.studentId],
+    ['wallet', address, wallet],
+    ['percent', percent, row.percent || '0']
+  ]) {
+    const checked = value ? rule(value) : { code: 'MISSING_FIELD', message: 'is required' };
+    if (checked.code) return invalid(result, checked.code, `${field} ${checked.message}`);
+    result[field] = checked.value;
+  }
+
+  if (seenIds.has(result.studentId)) {
+    return invalid(result, 'DUPLICATE_STUDENT_ID', `Student ID also on line ${seenIds.get(result.studentId)}`);
+  }
+  if (seenWallets.has(result.wallet.toLowerCase())) {
+    return invalid(result, 'DUPLICATE_WALLET', `Wallet also on line ${seenWallets.get(result.wallet.toLowerCase())}`);
+  }
+  seenIds.set(result.studentId, row.line);
+  seenWallets.set(result.wallet.toLowerCase(), row.line);
+  return result;
+}
+
+// Conflicts with students already on chain (studentIdToAddress, students) or in the data store
+async function checkRowExisting(result, contract, stored) {
+  if (stored.ids.has(result.studentId)) {
+    return invalid(result, 'STUDENT_ID_TAKEN', 'Student ID is already registered');
+  }
+  if (stored.wallets.has(result.wallet.toLowerCase())) {
+    return invalid(result, 'WALLET_REGISTERED', 'Wallet is already registered');
+  }
+
+  const [owner, student] = await Promise.all([
+    contract.studentIdToAddress(result.studentId),
+    contract.getStudent(result.wallet)
+  ]);
+  if (owner !== ethers.ZeroAddress) {
+    return invalid(result, 'STUDENT_ID_TAKEN', 'Student ID already registered on chain');
+  }
+  if (student.isRegistered) {
+    return invalid(result, 'WALLET_REGISTERED', 'Wallet already registered on chain');
+  }
+  return result;
+}
+
+// Validate parsed rows; contract is only read from
+async function validateImportRows(rows, contract) {
+  const seenIds = new Map();
+  const seenWallets = new Map();
+  const results = rows.map(row => checkRowFormat(row, seenIds, seenWallets));
+
+  const students = getStorage().list('students');
+  const stored = {
+    ids: new Set(students.map(s => s.studentId)),
+    wallets: new Set(students.map(s => s.wallet.toLowerCase()))
+  };
+
+  // Chain lookups in small parallel chunks
+  const candidates = results.filter(r => r.status === 'valid');
+  for (let i = 0; i < candidates.length; i += 25) {
+    await Promise.all(candidates.slice(i, i + 25).map(r => checkRowExisting(r, contract, stored)));
+  }
+  return results;
+}
+
+const txError = err => err.reason || err.shortMessage || err.message;
+
+// Register valid rows with registerStudentsBatch (contract must have the owner as signer).
+// A batch reverts as a whole, so a failed batch is retried row by row to find the bad rows.
+async function registerImportRows(results, contract, { batchSize = 50, onBatch = () => {} } = {}) {
+  const pending = results.filter(r => r.status === 'valid');
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    try {
+      const tx = await contract.registerStudentsBatch(
+        batch.map(r => r.wallet),
+        batch.map(r => r.studentId),
+        batch.map(r => r.percent)
+      );
+      const receipt = await tx.wait();
+      batch.forEach(r => Object.assign(r, { status: 'registered', txHash: receipt.hash }));
+    } catch (err) {
+      for (const row of batch) {
+        try {
+          const tx = await contract.registerStudentsBatch([row.wallet], [row.studentId], [row.percent]);
+          const receipt = await tx.wait();
+          Object.assign(row, { status: 'registered', txHash: receipt.hash });
+        } catch (rowErr) {
+          Object.assign(row, { status: 'failed', code: 'TX_FAILED', error: txError(rowErr) });
+        }
+      }
+    }
+    onBatch(batch, i / batchSize + 1, Math.ceil(pending.length / batchSize));
+  }
+  return results;
+}
+
+function summarizeImport(results) {
+  const summary = { total: results.length, valid: 0, invalid: 0, registered: 0, failed: 0 };
+  for (const r of results) summary[r.status]++;
+  return summary;
+}
+
+const REPORT_COLUMNS = ['line', 'studentId', 'wallet', 'percent', 'status', 'code', 'error', 'txHash'];
+
+// Per-row report as CSV
+function importReportCsv(results) {
+  return [
+    REPORT_COLUMNS.join(','),
+    ...results.map(r => REPORT_COLUMNS.map(column => csvCell(r[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  parseStudentCsv,
+  validateImportRows,
+  registerImportRows,
+  summarizeImport,
+  importReportCsv
+};
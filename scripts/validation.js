@@ -0,0 +1,182 @@
+const { ethers } = require('ethers');
+
+// Request validation for the data API.
+// A rule takes the raw value and returns { value } (normalized) or { code, message }.
+// Error codes are stable identifiers the client translates (client/src/config/errors.js).
+
+const fail = (code, message) => ({ code, message });
+
+// EIP-55 checksummed address, e.g. 0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266
+function address(value) {
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return fail('INVALID_ADDRESS', 'must be an Ethereum address');
+  }
+  if (!ethers.isAddress(value) || ethers.getAddress(value) !== value) {
+    return fail('ADDRESS_NOT_CHECKSUMMED', 'must be a checksummed (EIP-55) address');
+  }
+  return { value };
+}
+
+// Non-negative integer given as a JSON number or a digit string (query parameters)
+function toInteger(value) {
+  if (typeof value === 'number' && Number.isSafeInteger(value)) return value;
+  if (typeof value === 'string' && /^\d{1,15}$/.test(value)) return Number(value);
+  return null;
+}
+
+function percent(value) {
+  const n = toInteger(value);
+  if (n === null || n < 0 || n > 100) {
+    return fail('INVALID_PERCENT', 'must be an integer between 0 and 100');
+  }
+  return { value: n };
+}
+
+function integer(min, max) {
+  return value => {
+    const n = toInteger(value);
+    if (n === null || n < min || n > max) {
+      return fail('INVALID_INTEGER', `must be an integer between ${min} and ${max}`);
+    }
+    return { value: n };
+  };
+}
+
+// Unix time in seconds (millisecond values are rejected)
+function timestamp(value) {
+  const n = toInteger(value);
+  if (n === null || n > 1e11) {
+    return fail('INVALID_TIMESTAMP', 'must be a unix timestamp in seconds');
+  }
+  return { value: n };
+}
+
+// Amounts travel as decimal strings in wei, numbers would lose precision
+function wei(value) {
+  if (typeof value !== 'string' || !/^(0|[1-9]\d{0,77})$/.test(value)) {
+    return fail('INVALID_AMOUNT', 'must be a decimal string in wei');
+  }
+  return { value };
+}
+
+// Semester as <year>-<term>, e.g. 2024-1 (terms 1-3)
+function semester(value) {
+  if (typeof value !== 'string' || !/^\d{4}-[1-3]$/.test(value)) {
+    return fail('INVALID_SEMESTER', 'must look like 2024-1');
+  }
+  return { value };
+}
+
+function studentId(value) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(value)) {
+    return fail('INVALID_STUDENT_ID', 'must be 1-32 letters, digits, "-" or "_"');
+  }
+  return { value };
+}
+
+function email(value) {
+  if (typeof value !== 'string' || value.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    return fail('INVALID_EMAIL', 'must be an email address');
+  }
+  return { value };
+}
+
+// 65-byte ECDSA signature as 0x-prefixed hex
+function signature(value) {
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(value)) {
+    return fail('INVALID_SIGNATURE_FORMAT', 'must be a 65-byte hex signature');
+  }
+  return { value };
+}
+
+function text(maxLength) {
+  return value => {
+    if (typeof value !== 'string' || value.length > maxLength) {
+      return fail('INVALID_TEXT', `must be a string of at most ${maxLength} characters`);
+    }
+    return { value };
+  };
+}
+
+// JSON boolean, or "true"/"false" in query strings
+function boolean(value) {
+  if (value === true || value === 'true') return { value: true };
+  if (value === false || value === 'false') return { value: false };
+  return fail('INVALID_BOOLEAN', 'must be true or false');
+}
+
+function oneOf(values) {
+  return value => {
+    if (!values.includes(value)) {
+      return fail('INVALID_OPTION', `must be one of ${values.join(', ')}`);
+    }
+    return { value };
+  };
+}
+
+// Mark a rule as optional: missing values are left undefined
+function optional(rule) {
+  const wrapped = value => rule(value);
+  wrapped.optional = true;
+  return wrapped;
+}
+
+const isMissing = value => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '');
+
+// Check one request part ({ field: rule }) and collect normalized values
+function check(schema, input = {}) {
+  const values = {};
+  const details = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    if (isMissing(input[field])) {
+      if (!rule.optional) {
+        details.push({ field, code: 'MISSING_FIELD', message: `${field} is required` });
+      }
+      continue;
+    }
+    const result = rule(input[field]);
+    if (result.code) {
+      details.push({ field, code: result.code, message: `${field} ${result.message}` });
+    } else {
+      values[field] = result.value;
+    }
+  }
+  return { values, details };
+}
+
+// Express middleware: validate params, query and body, expose normalized values as req.valid.
+// Failures answer 400 { error, code, field, details } where code/field describe the first problem.
+function validate({ params = {}, query = {}, body = {} }) {
+  return (req, res, next) => {
+    const results = [
+      check(params, req.params),
+      check(query, req.query),
+      check(body, req.body)
+    ];
+    const details = results.flatMap(r => r.details);
+    if (details.length > 0) {
+      const [first] = details;
+      return res.status(400).json({ error: first.message, code: first.code, field: first.field, details });
+    }
+    req.valid = Object.assign({}, ...results.map(r => r.values));
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  optional,
+  address,
+  percent,
+  integer,
+  timestamp,
+  wei,
+  semester,
+  studentId,
+  email,
+  signature,
+  text,
+  boolean,
+  oneOf
+};
@@ -0,0 +1,15 @@
+const { verifyAuditLog } = require('./audit-log');
+const { AUDIT_LOG_FILE } = require('./config');
+
+// Usage: node scripts/verify-audit-log.js [path/to/audit.log]
+// Exits with code 1 when the hash chain is broken.
+const file = process.argv[2] || AUDIT_LOG_FILE;
+const result = verifyAuditLog(file);
+
+if (result.valid) {
+  console.log(`[AUDIT] ${file}: ${result.entries} entries, hash chain intact`);
+  if (result.lastHash) console.log(`[AUDIT] Last hash ${result.lastHash}`);
+} else {
+  console.error(`[AUDIT] ${file}: tampering detected at line ${result.line}${result.seq ? ` (seq ${result.seq})` : ''}: ${result.error}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const ExcelJS = require("exceljs");
+
+const { getLedgerEntries } = require("../scripts/data-manager");
+const { ledgerCsv, ledgerXlsx } = require("../scripts/accounting-export");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+const { startDataServer } = require("./support/server");
+
+describe("Accounting Export", function () {
+  const STUDENT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const UNIVERSITY = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const ETH = 10n ** 18n;
+  const T0 = 1704067200; // 2024-01-01 00:00:00 UTC
+
+  beforeEach(function () {
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+    storage.put("students", { wallet: STUDENT, studentId: "SV001" });
+    storage.put("payments", {
+      wallet: STUDENT, semester: "2024-1", paymentId: 0, amount: (2n * ETH).toString(),
+      timestamp: T0, blockNumber: 10, txHash: "0xpay1"
+    });
+    storage.put("payments", {
+      wallet: STUDENT, semester: "2024-2", paymentId: 1, amount: ETH.toString(),
+      timestamp: T0 + 200, blockNumber: 14, txHash: "0xpay2"
+    });
+    storage.put("refunds", {
+      id: "s1", type: "scholarship_refund", wallet: STUDENT, semester: "2024-1", paymentId: 0,
+      amount: (ETH / 2n).toString(), timestamp: T0 + 100, blockNumber: 12, txHash: "0xref1"
+    });
+    storage.put("withdrawals", {
+      id: "0xwd:0", wallet: UNIVERSITY, amount: ETH.toString(), timestamp: T0 + 100, blockNumber: 11, txHash: "0xwd"
+    });
+  });
+
+  it("Should list money movements in chronological order with filters", function () {
+    const all = getLedgerEntries();
+    expect(all.map(e => [e.type, e.event, e.direction, e.txHash])).to.deep.equal([
+      ["payment", "PaymentReceived", "in", "0xpay1"],
+      ["withdrawal", "UniversityWithdrawal", "out", "0xwd"],
+      ["scholarship_refund", "ScholarshipRefund", "out", "0xref1"],
+      ["payment", "PaymentReceived", "in", "0xpay2"]
+    ]);
+    expect(all[2]).to.include({ studentId: "SV001", paymentId: 0, semester: "2024-1" });
+
+    // Withdrawals have no semester
+    expect(getLedgerEntries({ semester: "2024-1" }).map(e => e.txHash)).to.deep.equal(["0xpay1", "0xref1"]);
+    expect(getLedgerEntries({ from: T0 + 100, to: T0 + 100 }).map(e => e.txHash)).to.deep.equal(["0xwd", "0xref1"]);
+  });
+
+  it("Should export the ledger as CSV with exact and formatted amounts", function () {
+    const lines = ledgerCsv(getLedgerEntries()).trimEnd().split("\n");
+    expect(lines).to.have.length(5);
+    expect(lines[0]).to.equal(
+      "Date (UTC),Block Timestamp,Type,Event,Direction,Student ID,Wallet,Semester,Payment ID,Amount (wei),Amount (ETH),Block,Tx Hash"
+    );
+    expect(lines[1]).to.equal(
+      `2024-01-01 00:00:00,${T0},payment,PaymentReceived,in,SV001,${STUDENT},2024-1,0,2000000000000000000,2.0,10,0xpay1`
+    );
+    expect(lines[2]).to.equal(
+      `2024-01-01 00:01:40,${T0 + 100},withdrawal,UniversityWithdrawal,out,,${UNIVERSITY},,,1000000000000000000,1.0,11,0xwd`
+    );
+  });
+
+  it("Should quote CSV cells holding commas, quotes or line breaks", function () {
+    getStorage().put("students", { wallet: STUDENT, studentId: "SV\"1,\n2" });
+    const [, row] = ledgerCsv(getLedgerEntries({ semester: "2024-2" })).split(/\n(?=\d{4}-)/);
+    expect(row).to.contain(",\"SV\"\"1,\n2\",");
+  });
+
+  it("Should keep spreadsheet formulas in CSV cells from running", function () {
+    const entries = getLedgerEntries({ semester: "2024-2" });
+    const cells = ["=HYPERLINK(\"http://x\")", "+1+1", "-2+3", "@SUM(A1)", "\tcmd", "-5", "-1.5", "SV-001"];
+    const rows = cells.map(studentId => ledgerCsv([{ ...entries[0], studentId }]).split("\n")[1].split(",")[5]);
+    expect(rows).to.deep.equal(["\"'=HYPERLINK(\"\"http://x\"\")\"", "'+1+1", "'-2+3", "'@SUM(A1)", "'\tcmd", "-5", "-1.5", "SV-001"]);
+  });
+
+  it("Should export a workbook with a ledger and a summary sheet", async function () {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await ledgerXlsx(getLedgerEntries(), "All semesters"));
+
+    const ledger = workbook.getWorksheet("Ledger");
+    expect(ledger.rowCount).to.equal(5);
+    expect(ledger.getRow(2).getCell(10).value).to.equal("2000000000000000000");
+    expect(ledger.getRow(2).getCell(11).value).to.equal(2);
+
+    const summary = workbook.getWorksheet("Summary");
+    const rows = summary.getSheetValues().slice(2).map(values => values.slice(1));
+    expect(rows[0]).to.deep.equal(["payment", "PaymentReceived", 2, "3000000000000000000", 3]);
+    expect(rows[1]).to.deep.equal(["withdrawal", "UniversityWithdrawal", 1, "1000000000000000000", 1]);
+    expect(rows[2]).to.deep.equal(["scholarship_refund", "ScholarshipRefund", 1, "500000000000000000", 0.5]);
+    expect(rows[3]).to.deep.equal(["net (in - out)", undefined, undefined, "1500000000000000000", 1.5]);
+    expect(rows[5]).to.deep.equal(["All semesters"]);
+  });
+
+  it("Should only export the ledger to an admin", async function () {
+    const server = await startDataServer();
+    try {
+      const res = await fetch(`${server.url}/api/export/ledger?format=csv`);
+      expect(res.status).to.equal(401);
+      expect((await res.json()).code).to.equal("ADMIN_SESSION_REQUIRED");
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const fs = require("fs");
+
+const { addFeeSchedule, setScholarship } = require("../scripts/data-manager");
+const { runWithActor, readAuditLog, verifyAuditLog } = require("../scripts/audit-log");
+const { AUDIT_LOG_FILE } = require("../scripts/config");
+const { getStorage } = require("../scripts/storage");
+
+describe("Audit Log", function () {
+  const WALLET = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  const rewrite = lines => fs.writeFileSync(AUDIT_LOG_FILE, lines.map(l => `${l}\n`).join(""));
+
+  beforeEach(function () {
+    fs.rmSync(AUDIT_LOG_FILE, { force: true });
+  });
+
+  it("Should chain entries with actor and before/after values", async function () {
+    await runWithActor("admin:0xAdmin", async () => {
+      setScholarship(WALLET, 20);
+      setScholarship(WALLET, 50);
+    });
+    addFeeSchedule("2030-1", "1000", 1900000000);
+
+    const entries = readAuditLog();
+    expect(entries.map(e => e.action)).to.deep.equal(["setScholarship", "setScholarship", "addFeeSchedule"]);
+    expect(entries[0].actor).to.equal("admin:0xAdmin");
+    expect(entries[2].actor).to.match(/^system:/);
+
+    const [change] = entries[1].changes;
+    expect(change.before.percent).to.equal(20);
+    expect(change.after.percent).to.equal(50);
+    expect(entries[1].prevHash).to.equal(entries[0].hash);
+    expect(verifyAuditLog()).to.include({ valid: true, entries: 3 });
+  });
+
+  it("Should detect modified, removed and reordered entries", function () {
+    setScholarship(WALLET, 10);
+    setScholarship(WALLET, 30);
+    setScholarship(WALLET, 40);
+    const lines = fs.readFileSync(AUDIT_LOG_FILE, "utf8").trim().split("\n");
+
+    rewrite([lines[0], lines[1].replace('"percent":30', '"percent":90'), lines[2]]);
+    expect(verifyAuditLog()).to.include({ valid: false, seq: 2 });
+
+    rewrite([lines[0], lines[2]]);
+    expect(verifyAuditLog()).to.include({ valid: false, line: 2 });
+
+    rewrite([lines[1], lines[0], lines[2]]);
+    expect(verifyAuditLog().valid).to.be.false;
+  });
+
+  it("Should not keep a change that could not be audited", function () {
+    setScholarship(WALLET, 10);
+    const appendFileSync = fs.appendFileSync;
+    fs.appendFileSync = () => { throw new Error("disk full"); };
+    try {
+      expect(() => setScholarship(WALLET, 70)).to.throw("disk full");
+    } finally {
+      fs.appendFileSync = appendFileSync;
+    }
+
+    expect(getStorage().get("scholarships", WALLET.toLowerCase()).percent).to.equal(10);
+    expect(readAuditLog()).to.have.length(1);
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SiweMessage } = require("siwe");
+
+const { issueNonce, verifySignIn, requireAdmin, revokeSession } = require("../scripts/auth");
+const { getContract } = require("../scripts/chain");
+const { runInScope } = require("../scripts/scope");
+const { NONCE_TTL_MS, SESSION_TTL_MS, MAX_OUTSTANDING_NONCES, NONCE_RATE_LIMIT_IP } = require("../scripts/config");
+const { startDataServer } = require("./support/server");
+
+describe("Admin Sign-In", function () {
+  // A deployment of its own, so sessions opened here belong to no other test
+  const SCOPE = { chainId: 31337, contract: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0" };
+  const OTHER_SCOPE = { chainId: 31337, contract: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9" };
+  let owner, stranger;
+
+  before(async function () {
+    [owner, stranger] = await ethers.getSigners();
+    // verifySignIn reads the owner over JSON-RPC; there is no node behind this scope
+    runInScope(SCOPE, () => Object.assign(getContract(), { owner: async () => owner.address }));
+  });
+
+  async function signIn(signer, fields = {}, nonce = runInScope(SCOPE, issueNonce)) {
+    const message = new SiweMessage({
+      domain: "localhost:3000",
+      address: signer.address,
+      statement: "Sign in to Tuition Portal as administrator.",
+      uri: "http://localhost:3000",
+      version: "1",
+      chainId: 31337,
+      nonce,
+      issuedAt: new Date().toISOString(),
+      ...fields
+    }).prepareMessage();
+    const signature = await signer.signMessage(message);
+    return runInScope(SCOPE, () => verifySignIn(message, signature));
+  }
+
+  // Run requireAdmin on a fake request; resolves to the response status (200 when next() was called)
+  function authorize(token, scope = SCOPE) {
+    const req = { get: name => (name === "authorization" && token ? `Bearer ${token}` : undefined) };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    runInScope(scope, () => requireAdmin(req, res, () => { passed = true; }));
+    return passed ? { status: 200, admin: req.admin } : { status: res.statusCode, code: res.body.code };
+  }
+
+  // Move the clock forward for the duration of fn
+  async function later(ms, fn) {
+    const now = Date.now;
+    Date.now = () => now() + ms;
+    try {
+      return await fn();
+    } finally {
+      Date.now = now;
+    }
+  }
+
+  it("Should open a session for the contract owner that requireAdmin accepts", async function () {
+    const session = await signIn(owner);
+    expect(session.address).to.equal(owner.address);
+    expect(session.token).to.match(/^[0-9a-f]{64}$/);
+
+    const { status, admin } = authorize(session.token);
+    expect(status).to.equal(200);
+    expect(admin).to.include({ address: owner.address, token: session.token });
+
+    expect(authorize(undefined)).to.deep.equal({ status: 401, code: "ADMIN_SESSION_REQUIRED" });
+    expect(authorize("not-a-session")).to.deep.equal({ status: 401, code: "ADMIN_SESSION_REQUIRED" });
+  });
+
+  it("Should only accept a nonce once and only before it expires", async function () {
+    const nonce = runInScope(SCOPE, issueNonce);
+    expect((await signIn(owner, {}, nonce)).token).to.be.a("string");
+    expect(await signIn(owner, {}, nonce)).to.include({ status: 401, code: "NONCE_EXPIRED" });
+    expect(await signIn(owner, {}, "unknownnonce123")).to.include({ status: 401, code: "NONCE_EXPIRED" });
+
+    const stale = runInScope(SCOPE, issueNonce);
+    expect(await later(NONCE_TTL_MS + 1, () => signIn(owner, {}, stale)))
+      .to.include({ status: 401, code: "NONCE_EXPIRED" });
+  });
+
+  it("Should reject messages for another site or chain, bad signatures and other wallets", async function () {
+    expect(await signIn(owner, { domain: "evil.example" })).to.include({ status: 401, code: "DOMAIN_NOT_ALLOWED" });
+    expect(await signIn(owner, { chainId: 1 })).to.include({ status: 401, code: "WRONG_CHAIN" });
+    expect(await signIn(stranger)).to.include({ status: 403, code: "NOT_OWNER" });
+
+    const message = new SiweMessage({
+      domain: "localhost:3000", address: owner.address, uri: "http://localhost:3000", version: "1",
+      chainId: 31337, nonce: runInScope(SCOPE, issueNonce)
+    }).prepareMessage();
+    const forged = await stranger.signMessage(message);
+    expect(await runInScope(SCOPE, () => verifySignIn(message, forged))).to.include({ status: 401, code: "INVALID_SIGNATURE" });
+    expect(await runInScope(SCOPE, () => verifySignIn("not a siwe message", forged))).to.include({ code: "INVALID_SIWE_MESSAGE" });
+  });
+
+  it("Should bind a session to its deployment, expiry and revocation", async function () {
+    const { token } = await signIn(owner);
+    expect(authorize(token, OTHER_SCOPE).status).to.equal(401);
+    expect(await later(SESSION_TTL_MS + 1, () => authorize(token).status)).to.equal(401);
+    // The expired session is dropped for good
+    expect(authorize(token).status).to.equal(401);
+
+    const other = await signIn(owner);
+    const req = { get: () => `Bearer ${other.token}` };
+    runInScope(SCOPE, () => revokeSession(req));
+    expect(authorize(other.token).status).to.equal(401);
+  });
+
+  it("Should stop issuing nonces while too many are waiting to be used", async function () {
+    let issued = 0;
+    while (issueNonce()) issued++;
+    expect(issued).to.be.at.most(MAX_OUTSTANDING_NONCES);
+    expect(issueNonce()).to.equal(null);
+
+    // Expired nonces free their slots again
+    expect(await later(NONCE_TTL_MS + 1, () => issueNonce())).to.be.a("string");
+  });
+
+  it("Should rate limit nonce requests per client", async function () {
+    const server = await startDataServer();
+    try {
+      for (let i = 0; i < NONCE_RATE_LIMIT_IP; i++) {
+        const res = await fetch(`${server.url}/api/auth/nonce`);
+        expect(res.status).to.equal(200);
+        expect((await res.json()).nonce).to.be.a("string");
+      }
+      const limited = await fetch(`${server.url}/api/auth/nonce`);
+      expect(limited.status).to.equal(429);
+      expect(limited.headers.get("retry-after")).to.match(/^\d+$/);
+      expect((await limited.json()).code).to.equal("RATE_LIMITED");
+    } finally {
+      await server.close();
+    }
+  });
+});
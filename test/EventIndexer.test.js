@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { createIndexer } = require("../scripts/indexer");
+const { loadData } = require("../scripts/data-manager");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+
+describe("Event Indexer", function () {
+  let contract, indexer;
+  let owner, universityWallet, student1;
+  const SEMESTER = "2024-1";
+  const BASE_FEE = ethers.parseEther("1");
+  const CONFIRMATIONS = 3;
+
+  const mine = blocks => network.provider.send("hardhat_mine", [ethers.toQuantity(blocks)]);
+  const payment = () => loadData().payments.find(p => p.semester === SEMESTER);
+
+  beforeEach(async function () {
+    [owner, universityWallet, student1] = await ethers.getSigners();
+
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+    storage.setMeta("indexer.checkpoint", null);
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    const TuitionFeeContract = await ethers.getContractFactory("TuitionFeeContract");
+    contract = await TuitionFeeContract.deploy(universityWallet.address);
+    await contract.waitForDeployment();
+
+    await contract.registerStudent(student1.address, "SV001");
+    const deadline = Math.floor(Date.now() / 1000) + 86400 * 30;
+    await contract.setFeeSchedule(SEMESTER, BASE_FEE, deadline);
+
+    indexer = createIndexer({
+      provider: ethers.provider,
+      contract,
+      startBlock,
+      confirmations: CONFIRMATIONS
+    });
+  });
+
+  it("Should confirm events only after the configured depth", async function () {
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    await indexer.poll();
+
+    const [received] = loadData().events.filter(e => e.name === "PaymentReceived");
+    expect(received.confirmed).to.be.false;
+    expect(payment().amount).to.equal(BASE_FEE.toString());
+
+    await mine(CONFIRMATIONS);
+    await indexer.poll();
+
+    const [confirmed] = loadData().events.filter(e => e.name === "PaymentReceived");
+    expect(confirmed.confirmed).to.be.true;
+    expect(confirmed.undo).to.be.undefined;
+  });
+
+  it("Should roll back a refund that was reorged out", async function () {
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    await indexer.poll();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await contract.processRefund(1, ethers.parseEther("0.4"));
+    await indexer.poll();
+    expect(payment().amountAfterRefund).to.equal(ethers.parseEther("0.6").toString());
+    expect(loadData().refunds).to.have.length(1);
+
+    // Replace the refund block with a different refund on the new branch
+    await network.provider.send("evm_revert", [snapshot]);
+    await contract.processRefund(1, ethers.parseEther("0.1"));
+    await indexer.poll();
+
+    expect(payment().amountAfterRefund).to.equal(ethers.parseEther("0.9").toString());
+    const refunds = loadData().refunds;
+    expect(refunds).to.have.length(1);
+    expect(refunds[0].amount).to.equal(ethers.parseEther("0.1").toString());
+    expect(loadData().events.filter(e => e.name === "RefundProcessed")).to.have.length(1);
+  });
+
+  it("Should move indexed records to a rotated wallet", async function () {
+    const [, , , newWallet] = await ethers.getSigners();
+    await contract.applyScholarship(student1.address, 10);
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    await contract.rotateStudentWallet(student1.address, newWallet.address);
+    await contract.processRefund(1, ethers.parseEther("0.2"));
+    await indexer.poll();
+
+    const data = loadData();
+    expect(data.students).to.have.length(1);
+    expect(data.students[0]).to.include({ wallet: newWallet.address, studentId: "SV001" });
+    expect(data.students[0].previousWallets).to.deep.equal([student1.address]);
+    expect(data.scholarships.map(s => s.wallet)).to.deep.equal([newWallet.address]);
+    expect(payment()).to.include({ wallet: newWallet.address, amountAfterRefund: ethers.parseEther("0.8").toString() });
+    expect(data.refunds[0].wallet).to.equal(newWallet.address);
+  });
+
+  it("Should remove a payment that was reorged out and reapply it", async function () {
+    const snapshot = await network.provider.send("evm_snapshot");
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    await indexer.poll();
+    expect(payment()).to.not.be.undefined;
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await indexer.poll();
+    expect(payment()).to.be.undefined;
+    expect(loadData().events.filter(e => e.name === "PaymentReceived")).to.have.length(0);
+
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    await indexer.poll();
+    expect(payment().paymentId).to.equal(1);
+    expect(payment().amountAfterRefund).to.equal(BASE_FEE.toString());
+  });
+
+  it("Should keep withdrawals of the same amount in one block apart", async function () {
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    const amount = ethers.parseEther("0.1");
+    // A record keyed the way withdrawals were keyed before is replaced on re-indexing
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    getStorage().put("withdrawals", { id: `${timestamp + 1}:${amount}`, amount: amount.toString(), timestamp: timestamp + 1 });
+
+    await network.provider.send("evm_setAutomine", [false]);
+    await network.provider.send("evm_setNextBlockTimestamp", [timestamp + 1]);
+    try {
+      await contract.withdrawToUniversity(amount);
+      await contract.withdrawToUniversity(amount);
+      await mine(1);
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+    await indexer.poll();
+
+    const withdrawals = loadData().withdrawals;
+    expect(withdrawals).to.have.length(2);
+    const events = loadData().events.filter(e => e.name === "UniversityWithdrawal");
+    expect(withdrawals.map(w => w.id).sort()).to.deep.equal(events.map(e => e.id).sort());
+    expect(new Set(withdrawals.map(w => w.txHash)).size).to.equal(2);
+  });
+});
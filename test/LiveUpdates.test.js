@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+
+const { createLiveStream } = require("../scripts/live-updates");
+const { runInScope, DEFAULT_SCOPE } = require("../scripts/scope");
+
+describe("Live Updates", function () {
+  const SEPOLIA = { chainId: 11155111, contract: "0xe7f1725e7734ce288f8367e1bb143e90bb3f0512" };
+  let stream, open;
+
+  // Connect a fake client; messages() parses what was written to it so far
+  function connect(scope = DEFAULT_SCOPE) {
+    const req = new EventEmitter();
+    const res = {
+      chunks: [],
+      writeHead(status, headers) { this.status = status; this.headers = headers; },
+      write(chunk) { this.chunks.push(chunk); }
+    };
+    runInScope(scope, () => stream.handler(req, res));
+    open.push(req);
+
+    const messages = () => res.chunks
+      .filter(chunk => chunk.startsWith("event: "))
+      .map(chunk => {
+        const [, type, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+        return { type, data: JSON.parse(data) };
+      });
+    return { req, res, messages };
+  }
+
+  const event = (id, name) => ({
+    id, name, blockNumber: 7, blockTimestamp: 1700000000, txHash: "0xabc", logIndex: 0,
+    args: { semester: "2024-1" }
+  });
+
+  beforeEach(function () {
+    stream = createLiveStream();
+    open = [];
+  });
+
+  afterEach(function () {
+    // Closing stops the heartbeat timers
+    for (const req of open) req.emit("close");
+  });
+
+  it("Should open an event stream with a reconnect delay", function () {
+    const { res } = connect();
+    expect(res.status).to.equal(200);
+    expect(res.headers).to.include({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+    expect(res.chunks).to.deep.equal(["retry: 3000\n\n"]);
+    expect(stream.clientCount()).to.equal(1);
+  });
+
+  it("Should send activity, rollbacks and resets to every client of the deployment", function () {
+    const first = connect();
+    const second = connect();
+
+    stream.publish({ type: "events", events: [event("0xabc:0", "PaymentReceived")] }, DEFAULT_SCOPE);
+    stream.publish({ type: "rollback", fromBlock: 7, removed: 1, ignored: true }, DEFAULT_SCOPE);
+    stream.publish({ type: "reset" }, DEFAULT_SCOPE);
+    stream.publish({ type: "checkpoint" }, DEFAULT_SCOPE);
+
+    const expected = [
+      {
+        type: "activity",
+        data: [{ id: "0xabc:0", name: "PaymentReceived", blockNumber: 7, blockTimestamp: 1700000000, txHash: "0xabc", args: { semester: "2024-1" } }]
+      },
+      { type: "rollback", data: { fromBlock: 7, removed: 1 } },
+      { type: "reset", data: {} }
+    ];
+    expect(first.messages()).to.deep.equal(expected);
+    expect(second.messages()).to.deep.equal(expected);
+  });
+
+  it("Should only deliver changes of the deployment a client connected for", function () {
+    const local = connect();
+    const sepolia = connect(SEPOLIA);
+
+    stream.publish({ type: "events", events: [event("0x1:0", "StudentRegistered")] }, DEFAULT_SCOPE);
+    runInScope(SEPOLIA, () => stream.publish({ type: "reset" }));
+
+    expect(local.messages().map(m => m.type)).to.deep.equal(["activity"]);
+    expect(sepolia.messages().map(m => m.type)).to.deep.equal(["reset"]);
+  });
+
+  it("Should stop writing to a client once it disconnects", function () {
+    const gone = connect();
+    const staying = connect();
+    gone.req.emit("close");
+    expect(stream.clientCount()).to.equal(1);
+
+    stream.publish({ type: "reset" }, DEFAULT_SCOPE);
+    expect(gone.messages()).to.deep.equal([]);
+    expect(staying.messages()).to.have.length(1);
+  });
+});
@@ -0,0 +1,45 @@
+const { expect } = require("chai");
+const express = require("express");
+
+const { gauge, histogram, addCollector, renderMetrics, httpMetrics } = require("../scripts/metrics");
+const { setScholarship } = require("../scripts/data-manager");
+
+describe("Metrics", function () {
+  const WALLET = "0x90F79bf6EB2c4F870365E785982E1f101E93b906";
+
+  it("Should render histograms and collected gauges in the Prometheus text format", async function () {
+    const latency = histogram("test_latency_seconds", "Test latency", [0.1, 1]);
+    latency.observe({ job: "a" }, 0.05);
+    latency.observe({ job: "a" }, 0.5);
+    const depth = gauge("test_queue_depth", "Test queue depth");
+    addCollector(() => depth.set({ queue: 'say "hi"' }, 7));
+
+    const text = await renderMetrics();
+    expect(text).to.contain("# TYPE test_latency_seconds histogram");
+    expect(text).to.contain('test_latency_seconds_bucket{job="a",le="0.1"} 1');
+    expect(text).to.contain('test_latency_seconds_bucket{job="a",le="1"} 2');
+    expect(text).to.contain('test_latency_seconds_bucket{job="a",le="+Inf"} 2');
+    expect(text).to.contain('test_latency_seconds_count{job="a"} 2');
+    expect(text).to.contain('test_queue_depth{queue="say \\"hi\\""} 7');
+  });
+
+  it("Should label requests by route pattern and time storage writes", async function () {
+    const app = express();
+    app.use(httpMetrics);
+    app.get("/api/payments/:wallet", (req, res) => res.json([]));
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      await fetch(`${base}/api/payments/${WALLET}`);
+      await fetch(`${base}/missing`);
+    } finally {
+      server.close();
+    }
+    setScholarship(WALLET, 25);
+
+    const text = await renderMetrics();
+    expect(text).to.contain('tuition_http_requests_total{method="GET",route="/api/payments/:wallet",status="200"} 1');
+    expect(text).to.contain('tuition_http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(text).to.match(/tuition_storage_write_duration_seconds_count\{driver="json",action="setScholarship"\} [1-9]/);
+  });
+});
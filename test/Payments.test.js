@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+
+const { queryPayments } = require("../scripts/data-manager");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+
+describe("Payments Query", function () {
+  const WALLET_A = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const WALLET_B = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const WALLET_C = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+  const ETH = 10n ** 18n;
+
+  const query = (filters = {}) => queryPayments({ sort: { field: "timestamp", order: "asc" }, limit: 10, ...filters });
+  const semesters = result => result.items.map(p => `${p.studentId}:${p.semester}`);
+
+  // Walk every page of a query and return the rows in order
+  function allPages(filters) {
+    const seen = [];
+    let cursor;
+    do {
+      const page = query({ ...filters, cursor });
+      seen.push(...semesters(page));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return seen;
+  }
+
+  beforeEach(function () {
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+    storage.put("students", { wallet: WALLET_A, studentId: "SV001" });
+    storage.put("students", { wallet: WALLET_B, studentId: "SV002" });
+    storage.put("students", { wallet: WALLET_C, studentId: "SV003" });
+
+    const payment = (wallet, semester, amount, timestamp, amountAfterRefund = amount) => storage.put("payments", {
+      wallet, semester, timestamp,
+      amount: amount.toString(),
+      amountAfterRefund: amountAfterRefund.toString(),
+      refunded: amountAfterRefund === 0n
+    });
+    payment(WALLET_A, "2024-1", 1n * ETH, 1000);
+    payment(WALLET_B, "2024-1", 2n * ETH, 1000, 1n * ETH);
+    payment(WALLET_C, "2024-1", 1n * ETH, 1000, 0n);
+    payment(WALLET_A, "2024-2", 3n * ETH, 2000);
+    payment(WALLET_B, "2024-2", 1n * ETH, 3000);
+    storage.put("refunds", { id: "r1", type: "refund", wallet: WALLET_B, semester: "2024-1", amount: ETH.toString(), timestamp: 1500 });
+  });
+
+  it("Should filter by student, semester, status, time and amount", function () {
+    expect(semesters(query({ studentId: "SV001" }))).to.deep.equal(["SV001:2024-1", "SV001:2024-2"]);
+    expect(semesters(query({ wallet: WALLET_B.toLowerCase(), semester: "2024-2" }))).to.deep.equal(["SV002:2024-2"]);
+    expect(semesters(query({ status: "partially_refunded" }))).to.deep.equal(["SV002:2024-1"]);
+    expect(semesters(query({ status: "refunded" }))).to.deep.equal(["SV003:2024-1"]);
+    expect(semesters(query({ from: 1500, to: 2500 }))).to.deep.equal(["SV001:2024-2"]);
+    expect(semesters(query({ minAmount: 2n * ETH, maxAmount: 2n * ETH }))).to.deep.equal(["SV002:2024-1"]);
+
+    const [partial] = query({ status: "partially_refunded" }).items;
+    expect(partial.refunds).to.deep.equal([{ id: "r1", type: "refund", amount: ETH.toString(), timestamp: 1500, txHash: undefined }]);
+  });
+
+  it("Should total all matches and list facets across all payments", function () {
+    const result = query({ semester: "2024-1", limit: 1 });
+    expect(result.items).to.have.length(1);
+    expect(result.totals).to.deep.equal({
+      count: 3,
+      amount: (4n * ETH).toString(),
+      amountAfterRefund: (2n * ETH).toString(),
+      refunded: (2n * ETH).toString(),
+      byStatus: { paid: 1, partially_refunded: 1, refunded: 1 }
+    });
+    expect(result.facets).to.deep.equal({
+      studentIds: ["SV001", "SV002", "SV003"],
+      semesters: ["2024-1", "2024-2"],
+      timeRange: { min: 1000, max: 3000 }
+    });
+  });
+
+  it("Should page through equal sort values without skipping or repeating rows", function () {
+    const ascending = allPages({ limit: 2 });
+    expect(ascending).to.deep.equal(semesters(query()));
+    expect(ascending).to.have.length(5);
+    expect(ascending.slice(0, 3)).to.have.members(["SV001:2024-1", "SV002:2024-1", "SV003:2024-1"]);
+
+    for (const field of ["amount", "semester", "studentId"]) {
+      for (const order of ["asc", "desc"]) {
+        const sort = { field, order };
+        expect(allPages({ sort, limit: 1 }), `${field} ${order}`).to.deep.equal(semesters(query({ sort })));
+      }
+    }
+    expect(semesters(query({ sort: { field: "amount", order: "desc" } }))[0]).to.equal("SV001:2024-2");
+  });
+
+  it("Should continue after the cursor row even when that row is gone", function () {
+    const first = query({ limit: 2 });
+    getStorage().remove("payments", first.items[1].key);
+    const rest = query({ limit: 10, cursor: first.nextCursor });
+    expect(semesters(rest)).to.deep.equal(allPages({ limit: 10 }).slice(1));
+    expect(rest.nextCursor).to.equal(null);
+  });
+
+  it("Should reject a cursor that cannot be decoded", function () {
+    expect(query({ cursor: "not-a-cursor" })).to.deep.equal({ error: "Invalid cursor", code: "INVALID_CURSOR" });
+  });
+});
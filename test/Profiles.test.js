@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  addStudent,
+  setStudentEmail,
+  setProfile,
+  getProfile,
+  getProfileByWallet,
+  loadPublicData
+} = require("../scripts/data-manager");
+const { issueNonce, verifyWalletAccessSignature } = require("../scripts/auth");
+const { CHAIN_ID, CONTRACT_ADDRESS } = require("../scripts/config");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+
+describe("Student Profiles", function () {
+  const ADMIN = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  let student;
+
+  beforeEach(async function () {
+    [, student] = await ethers.getSigners();
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+    addStudent(student.address, "SV001");
+  });
+
+  it("Should replace profiles and keep personal data out of the public data", function () {
+    setProfile("SV001", { fullName: "Nguyen Van A", faculty: "IT", cohort: "K65" }, ADMIN);
+    setStudentEmail(student.address, "sv001@example.edu");
+    expect(getProfile("SV001")).to.include({ fullName: "Nguyen Van A", email: "sv001@example.edu", cohort: "K65" });
+
+    // PUT semantics: fields left out are cleared
+    setProfile("SV001", { fullName: "Nguyen Van B" }, ADMIN);
+    const profile = getProfile("SV001");
+    expect(profile).to.include({ studentId: "SV001", fullName: "Nguyen Van B", updatedBy: ADMIN });
+    expect(profile).to.not.have.any.keys("email", "faculty", "cohort");
+
+    expect(getProfileByWallet(student.address).profile.fullName).to.equal("Nguyen Van B");
+    expect(getProfileByWallet(ADMIN).code).to.equal("STUDENT_NOT_FOUND");
+
+    const data = loadPublicData();
+    expect(data).to.not.have.any.keys("profiles", "reminders");
+    expect(JSON.stringify(data)).to.not.contain("Nguyen");
+  });
+
+  it("Should only accept profile access signed by the student wallet with a fresh nonce", async function () {
+    const types = {
+      WalletAccess: [{ name: "wallet", type: "address" }, { name: "purpose", type: "string" }, { name: "nonce", type: "string" }]
+    };
+    const domain = { name: "Tuition Portal", version: "1", chainId: CHAIN_ID, verifyingContract: CONTRACT_ADDRESS };
+    const sign = (signer, request, purpose = "Read my student profile") =>
+      signer.signTypedData(domain, types, { ...request, purpose });
+
+    const request = { wallet: student.address, nonce: issueNonce() };
+    const own = await sign(student, request);
+    expect(verifyWalletAccessSignature("profile", request, own)).to.deep.equal({ success: true });
+    // The nonce was consumed, so the same signature cannot be replayed
+    expect(verifyWalletAccessSignature("profile", request, own).code).to.equal("NONCE_EXPIRED");
+
+    const [other] = await ethers.getSigners();
+    const next = { wallet: student.address, nonce: issueNonce() };
+    expect(verifyWalletAccessSignature("profile", next, await sign(other, next)).code).to.equal("SIGNATURE_MISMATCH");
+
+    const unknown = { wallet: student.address, nonce: "notissued1234567" };
+    expect(verifyWalletAccessSignature("profile", unknown, await sign(student, unknown)).code).to.equal("NONCE_EXPIRED");
+
+    // Signed for another purpose
+    const forOther = { wallet: student.address, nonce: issueNonce() };
+    const signed = await sign(student, forOther, "Something else");
+    expect(verifyWalletAccessSignature("profile", forOther, signed).code).to.equal("SIGNATURE_MISMATCH");
+  });
+});
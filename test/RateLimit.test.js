@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const { createRateLimiter } = require("../scripts/rate-limit");
+
+describe("Rate Limiting", function () {
+  let clock;
+  let limiter;
+
+  // Minimal Express req/res pair; resolves to the response status (200 when next() was called)
+  function hit(ip) {
+    const res = {
+      headers: {},
+      statusCode: 200,
+      set(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    limiter({ ip }, res, () => { passed = true; });
+    return passed ? { status: 200, res } : { status: res.statusCode, res };
+  }
+
+  beforeEach(function () {
+    clock = 1_000_000;
+    limiter = createRateLimiter({ windowMs: 60_000, max: 2, key: req => req.ip, now: () => clock });
+  });
+
+  it("Should reject requests over the limit with Retry-After", function () {
+    expect(hit("10.0.0.1").status).to.equal(200);
+    expect(hit("10.0.0.1").status).to.equal(200);
+
+    clock += 15_000;
+    const { status, res } = hit("10.0.0.1");
+    expect(status).to.equal(429);
+    expect(res.body.code).to.equal("RATE_LIMITED");
+    expect(res.body.retryAfter).to.equal(45);
+    expect(res.headers["Retry-After"]).to.equal("45");
+
+    // Other clients have their own budget
+    expect(hit("10.0.0.2").status).to.equal(200);
+  });
+
+  it("Should allow requests again once the window has passed", function () {
+    hit("10.0.0.1");
+    hit("10.0.0.1");
+    expect(hit("10.0.0.1").status).to.equal(429);
+
+    clock += 60_000;
+    expect(hit("10.0.0.1").status).to.equal(200);
+  });
+});
@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { buildReceipt, receiptPdf } = require("../scripts/receipts");
+const { queryLogs } = require("../scripts/chain");
+
+describe("Payment Receipts", function () {
+  const SEMESTER = "2024-1";
+  const BASE_FEE = ethers.parseEther("1");
+  let contract, scope, student1;
+
+  beforeEach(async function () {
+    let universityWallet;
+    [, universityWallet, student1] = await ethers.getSigners();
+    const TuitionFeeContract = await ethers.getContractFactory("TuitionFeeContract");
+    contract = await TuitionFeeContract.deploy(universityWallet.address);
+    await contract.waitForDeployment();
+    scope = { chainId: 31337, contract: await contract.getAddress() };
+
+    await contract.registerStudent(student1.address, "SV001");
+    const deadline = Math.floor(Date.now() / 1000) + 86400 * 30;
+    await contract.setFeeSchedule(SEMESTER, BASE_FEE, deadline);
+  });
+
+  it("Should build a receipt from the on-chain payment with scholarship and refunds", async function () {
+    const tx = await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    const { blockNumber } = await tx.wait();
+    await contract.applyScholarship(student1.address, 30);
+    await contract.processRefund(1, ethers.parseEther("0.1"));
+
+    const receipt = await buildReceipt(contract, scope, 1);
+    expect(receipt).to.include({
+      studentId: "SV001",
+      wallet: student1.address,
+      semester: SEMESTER,
+      scholarshipPercent: 30,
+      amount: BASE_FEE.toString(),
+      refunded: ethers.parseEther("0.4").toString(),
+      netAmount: ethers.parseEther("0.6").toString(),
+      fullyRefunded: false,
+      txHash: tx.hash,
+      blockNumber
+    });
+    expect(receipt.timestamp).to.equal((await ethers.provider.getBlock(blockNumber)).timestamp);
+    expect(receipt.verifyUrl).to.match(new RegExp(`/verify/1\\?chainId=31337&contract=${scope.contract}$`));
+
+    const pdf = await receiptPdf(receipt);
+    expect(pdf.subarray(0, 5).toString()).to.equal("%PDF-");
+  });
+
+  it("Should return null for a payment that does not exist", async function () {
+    expect(await buildReceipt(contract, scope, 7)).to.be.null;
+  });
+
+  it("Should find payment logs in bounded block ranges from the start block", async function () {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    await network.provider.send("hardhat_mine", [ethers.toQuantity(5)]);
+    await contract.processRefund(1, ethers.parseEther("0.1"));
+    await contract.processRefund(1, ethers.parseEther("0.2"));
+
+    const filter = contract.filters.RefundProcessed(1);
+    const all = await contract.queryFilter(filter);
+    const batched = await queryLogs(contract, filter, { fromBlock, batchSize: 2 });
+    expect(batched.map(log => log.transactionHash)).to.deep.equal(all.map(log => log.transactionHash));
+    expect(batched).to.have.length(2);
+
+    const [first] = await queryLogs(contract, filter, { fromBlock, batchSize: 2, first: true });
+    expect(first.transactionHash).to.equal(all[0].transactionHash);
+    expect(await queryLogs(contract, filter, { fromBlock: all[1].blockNumber + 1 })).to.deep.equal([]);
+  });
+});
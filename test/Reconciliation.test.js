@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { reconcile } = require("../scripts/reconciliation");
+const { createIndexer } = require("../scripts/indexer");
+const { loadData, repairOffChainRecords } = require("../scripts/data-manager");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+
+describe("Reconciliation", function () {
+  const SEMESTER = "2024-1";
+  const BASE_FEE = ethers.parseEther("1");
+  let contract, indexer, student1, student2;
+
+  const approvedRequest = (wallet, studentId) => ({
+    wallet,
+    studentId,
+    status: "approved",
+    createdAt: new Date().toISOString(),
+    history: [{ status: "approved", at: new Date().toISOString() }]
+  });
+
+  beforeEach(async function () {
+    let universityWallet;
+    [, universityWallet, student1, student2] = await ethers.getSigners();
+
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+    storage.setMeta("indexer.checkpoint", null);
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    const TuitionFeeContract = await ethers.getContractFactory("TuitionFeeContract");
+    contract = await TuitionFeeContract.deploy(universityWallet.address);
+    await contract.waitForDeployment();
+    await contract.registerStudent(student1.address, "SV001");
+    await contract.setFeeSchedule(SEMESTER, BASE_FEE, Math.floor(Date.now() / 1000) + 86400 * 30);
+
+    indexer = createIndexer({ provider: ethers.provider, contract, startBlock, confirmations: 0 });
+  });
+
+  it("Should keep the approved request of a wallet the student was rotated away from", async function () {
+    getStorage().put("registrationRequests", approvedRequest(student1.address, "SV001"));
+    await contract.rotateStudentWallet(student1.address, student2.address);
+    await indexer.poll();
+
+    const report = await reconcile(contract);
+    expect(report.issues).to.deep.equal([]);
+
+    repairOffChainRecords(report.issues);
+    expect(loadData().registrationRequests[0].status).to.equal("approved");
+  });
+
+  it("Should find nothing to repair once the indexer caught up", async function () {
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    await indexer.poll();
+
+    const report = await reconcile(contract);
+    expect(report.chain).to.deep.equal({ students: 1, feeSchedules: 1, payments: 1 });
+    expect(report.summary).to.deep.equal({ missing: 0, extra: 0, mismatched: 0 });
+  });
+
+  it("Should report missing, extra and mismatched records and repair them", async function () {
+    await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE });
+    await indexer.poll();
+
+    const storage = getStorage();
+    const paymentKey = `${student1.address.toLowerCase()}:${SEMESTER}`;
+    storage.put("payments", { ...storage.get("payments", paymentKey), amountAfterRefund: "0", refunded: true });
+    storage.remove("feeSchedules", SEMESTER);
+    storage.put("students", { wallet: student2.address, studentId: "SV002" });
+    storage.put("registrationRequests", approvedRequest(student2.address, "SV002"));
+
+    const report = await reconcile(contract);
+    expect(report.summary).to.deep.equal({ missing: 1, extra: 1, mismatched: 2 });
+    const byCollection = Object.fromEntries(report.issues.map(i => [i.collection, i]));
+    expect(byCollection.feeSchedules).to.include({ type: "missing", key: SEMESTER });
+    expect(byCollection.students).to.include({ type: "extra", key: student2.address.toLowerCase() });
+    expect(byCollection.payments.fields).to.deep.equal([
+      { field: "amountAfterRefund", chain: BASE_FEE.toString(), stored: "0" },
+      { field: "refunded", chain: false, stored: true }
+    ]);
+    expect(byCollection.registrationRequests.fields).to.deep.equal([
+      { field: "status", chain: "not registered", stored: "approved" }
+    ]);
+
+    // Extra records stay unless pruning is asked for
+    expect(repairOffChainRecords(report.issues)).to.deep.equal({ written: 2, removed: 0, reopened: 1, skipped: 1 });
+    expect(storage.get("payments", paymentKey)).to.include({ amountAfterRefund: BASE_FEE.toString(), refunded: false });
+    expect(storage.get("feeSchedules", SEMESTER)).to.include({ amount: BASE_FEE.toString() });
+    const request = storage.get("registrationRequests", student2.address.toLowerCase());
+    expect(request.status).to.equal("pending");
+    expect(request.history.at(-1)).to.include({ status: "pending", reason: "Student is not registered on chain" });
+
+    const rest = await reconcile(contract);
+    expect(rest.issues.map(i => [i.collection, i.type])).to.deep.equal([["students", "extra"]]);
+    expect(repairOffChainRecords(rest.issues, { prune: true })).to.deep.equal({ written: 0, removed: 1, reopened: 0, skipped: 0 });
+    expect((await reconcile(contract)).issues).to.deep.equal([]);
+  });
+});
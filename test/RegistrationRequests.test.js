@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  addRegistrationRequest,
+  approveRegistration,
+  rejectRegistration,
+  getPendingRequests,
+  getRegistrationRequest,
+  loadPublicData
+} = require("../scripts/data-manager");
+const { verifyRegistrationSignature } = require("../scripts/auth");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+const { DEFAULT_SCOPE } = require("../scripts/scope");
+const { REGISTRATION_SIGNATURE_TTL_MS, MAX_PENDING_REGISTRATION_REQUESTS } = require("../scripts/config");
+const { startDataServer } = require("./support/server");
+
+describe("Registration Requests", function () {
+  const ADMIN = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  const DOMAIN = { name: "Tuition Portal", version: "1", chainId: DEFAULT_SCOPE.chainId, verifyingContract: DEFAULT_SCOPE.contract };
+  const TYPES = {
+    RegistrationRequest: [
+      { name: "wallet", type: "address" },
+      { name: "studentId", type: "string" },
+      { name: "issuedAt", type: "uint256" }
+    ]
+  };
+  let student, other;
+
+  beforeEach(async function () {
+    [, student, other] = await ethers.getSigners();
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+    addRegistrationRequest(student.address, "SV001", "0xsignature");
+    rejectRegistration(student.address, ADMIN, "Student ID does not match our records");
+  });
+
+  it("Should only show status and times of a request publicly", function () {
+    const { request } = getRegistrationRequest(student.address);
+    expect(request).to.include({ wallet: student.address, status: "rejected" });
+    expect(request.history.map(h => h.status)).to.deep.equal(["pending", "rejected"]);
+    expect(request.history[1]).to.have.all.keys("status", "at");
+
+    const [listed] = loadPublicData().registrationRequests;
+    expect(listed).to.deep.equal(request);
+    for (const view of [request, listed]) {
+      const text = JSON.stringify(view);
+      for (const secret of ["SV001", "does not match", ADMIN, "0xsignature"]) {
+        expect(text).to.not.contain(secret);
+      }
+    }
+  });
+
+  it("Should show the full request without signature to the wallet itself", function () {
+    const { request } = getRegistrationRequest(student.address, { full: true });
+    expect(request).to.include({ studentId: "SV001", reason: "Student ID does not match our records", decidedBy: ADMIN });
+    expect(request.history[1]).to.include({ by: ADMIN });
+    expect(request).to.not.have.property("signature");
+  });
+
+  it("Should accept a new request after a rejection and keep its history", function () {
+    expect(addRegistrationRequest(student.address, "SV002", "0xsecond")).to.include({ success: true });
+    const { request } = getRegistrationRequest(student.address, { full: true });
+    expect(request).to.include({ status: "pending", studentId: "SV002" });
+    expect(request.history.map(h => h.status)).to.deep.equal(["pending", "rejected", "pending"]);
+    expect(addRegistrationRequest(student.address, "SV002", "0xthird")).to.include({ code: "REQUEST_EXISTS" });
+  });
+
+  it("Should expire pending requests past their deadline", function () {
+    addRegistrationRequest(student.address, "SV002", "0xsecond");
+    const storage = getStorage();
+    const key = student.address.toLowerCase();
+    const pending = storage.get("registrationRequests", key);
+    storage.put("registrationRequests", { ...pending, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(getPendingRequests()).to.deep.equal([]);
+    const { request } = getRegistrationRequest(student.address);
+    expect(request.status).to.equal("expired");
+    expect(request.history.map(h => h.status)).to.deep.equal(["pending", "rejected", "pending", "expired"]);
+    expect(approveRegistration(student.address, ADMIN)).to.include({ code: "REQUEST_NOT_FOUND" });
+  });
+
+  it("Should record who approved a request and refuse to decide it again", function () {
+    addRegistrationRequest(student.address, "SV002", "0xsecond");
+    expect(approveRegistration(student.address, ADMIN)).to.include({ success: true });
+
+    const { request } = getRegistrationRequest(student.address, { full: true });
+    expect(request).to.include({ status: "approved", decidedBy: ADMIN });
+    expect(request.history[3]).to.include({ status: "approved", by: ADMIN });
+    expect(getStorage().get("students", student.address.toLowerCase())).to.include({ studentId: "SV002" });
+
+    expect(approveRegistration(student.address, ADMIN)).to.include({ code: "REQUEST_NOT_FOUND" });
+    expect(rejectRegistration(student.address, ADMIN, "Too late")).to.include({ code: "REQUEST_NOT_FOUND" });
+    expect(addRegistrationRequest(student.address, "SV003", "0xthird")).to.include({ code: "ALREADY_REGISTERED" });
+  });
+
+  it("Should refuse to decide a rejected request again", function () {
+    expect(rejectRegistration(student.address, ADMIN, "Again")).to.include({ code: "REQUEST_NOT_FOUND" });
+    expect(approveRegistration(student.address, ADMIN)).to.include({ code: "REQUEST_NOT_FOUND" });
+    expect(getRegistrationRequest(student.address, { full: true }).request)
+      .to.include({ status: "rejected", reason: "Student ID does not match our records" });
+  });
+
+  it("Should refuse requests while the review queue is full and say when to retry", async function () {
+    // Fill the queue directly; queued(0) is the oldest and expires first
+    const storage = getStorage();
+    const start = Date.now();
+    const queued = i => ethers.getAddress(`0x${(i + 1).toString(16).padStart(40, "0")}`);
+    const expiresAt = i => new Date(start + 3600000 + i * 1000).toISOString();
+    storage.transaction(() => {
+      for (let i = 0; i < MAX_PENDING_REGISTRATION_REQUESTS; i++) {
+        storage.put("registrationRequests", {
+          wallet: queued(i), studentId: `Q${i}`, signature: "0x", status: "pending",
+          createdAt: new Date(start).toISOString(), expiresAt: expiresAt(i), history: []
+        });
+      }
+    });
+
+    const request = { wallet: other.address, studentId: "SV009", issuedAt: Math.floor(Date.now() / 1000) };
+    const signature = await other.signTypedData(DOMAIN, TYPES, request);
+    const server = await startDataServer();
+    try {
+      const res = await fetch(`${server.url}/api/register-request`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...request, signature })
+      });
+      expect(res.status).to.equal(429);
+      expect(Number(res.headers.get("retry-after"))).to.be.within(3590, 3600);
+      expect(await res.json()).to.include({ code: "PENDING_LIMIT_REACHED", retryAt: expiresAt(0) });
+    } finally {
+      await server.close();
+    }
+
+    // A decision frees a slot
+    expect(rejectRegistration(queued(0), ADMIN, "Unknown student")).to.include({ success: true });
+    expect(addRegistrationRequest(other.address, "SV009", signature)).to.include({ success: true });
+    expect(addRegistrationRequest(student.address, "SV002", "0xsecond")).to.include({ code: "PENDING_LIMIT_REACHED" });
+
+    // So does an expiry
+    const next = storage.get("registrationRequests", queued(1).toLowerCase());
+    storage.put("registrationRequests", { ...next, expiresAt: new Date(start - 1000).toISOString() });
+    expect(addRegistrationRequest(student.address, "SV002", "0xsecond")).to.include({ success: true });
+  });
+
+  describe("Signatures", function () {
+    const now = () => Math.floor(Date.now() / 1000);
+
+    // Sign a registration request for the student's wallet
+    async function sign(signer, { issuedAt = now(), domain = DOMAIN } = {}) {
+      const request = { wallet: student.address, studentId: "SV001", issuedAt };
+      const signature = await signer.signTypedData(domain, TYPES, request);
+      return verifyRegistrationSignature(request, signature);
+    }
+
+    it("Should accept a fresh request signed by the wallet itself", async function () {
+      expect(await sign(student)).to.deep.equal({ success: true });
+    });
+
+    it("Should reject a request signed by another wallet", async function () {
+      expect(await sign(other)).to.include({ code: "SIGNATURE_MISMATCH" });
+    });
+
+    it("Should reject requests issued too long ago or in the future", async function () {
+      const ttl = REGISTRATION_SIGNATURE_TTL_MS / 1000;
+      expect(await sign(student, { issuedAt: now() - ttl - 60 })).to.include({ code: "SIGNATURE_EXPIRED" });
+      expect(await sign(student, { issuedAt: now() + ttl + 60 })).to.include({ code: "SIGNATURE_EXPIRED" });
+    });
+
+    it("Should reject signatures for another deployment and malformed signatures", async function () {
+      // Recovering against our domain yields some other address, which is reported
+      // like a signature by another wallet
+      const otherContract = { ...DOMAIN, verifyingContract: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9" };
+      expect(await sign(student, { domain: otherContract })).to.include({ code: "SIGNATURE_MISMATCH" });
+      expect(await sign(student, { domain: { ...DOMAIN, chainId: 1 } })).to.include({ code: "SIGNATURE_MISMATCH" });
+
+      const request = { wallet: student.address, studentId: "SV001", issuedAt: now() };
+      expect(verifyRegistrationSignature(request, "0x1234")).to.include({ code: "INVALID_SIGNATURE" });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { createReminderScheduler } = require("../scripts/reminders");
+const { addStudent, setStudentEmail, getReminderLog, loadPublicData } = require("../scripts/data-manager");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+
+describe("Deadline Reminders", function () {
+  let contract, sent, clock;
+  let universityWallet, student1, student2;
+  const SEMESTER = "2024-1";
+  const BASE_FEE = ethers.parseEther("1");
+  const DAY = 24 * 60 * 60;
+  let deadline;
+
+  const scheduler = () => createReminderScheduler({
+    contract,
+    offsets: [14, 3, 1],
+    now: () => clock,
+    transport: {
+      sendMail: async mail => {
+        sent.push(mail);
+        return { messageId: `<${sent.length}@test>` };
+      }
+    }
+  });
+
+  beforeEach(async function () {
+    [, universityWallet, student1, student2] = await ethers.getSigners();
+
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+    sent = [];
+
+    const TuitionFeeContract = await ethers.getContractFactory("TuitionFeeContract");
+    contract = await TuitionFeeContract.deploy(universityWallet.address);
+    await contract.waitForDeployment();
+
+    deadline = Math.floor(Date.now() / 1000) + 30 * DAY;
+    await contract.setFeeSchedule(SEMESTER, BASE_FEE, deadline);
+    for (const [student, id] of [[student1, "SV001"], [student2, "SV002"]]) {
+      await contract.registerStudent(student.address, id);
+      addStudent(student.address, id);
+      setStudentEmail(student.address, `${id.toLowerCase()}@example.edu`);
+    }
+  });
+
+  it("Should email unpaid students once per offset", async function () {
+    await contract.connect(student2).payTuition(SEMESTER, { value: BASE_FEE });
+    const reminders = scheduler();
+
+    clock = deadline - 20 * DAY;
+    expect((await reminders.run()).sent).to.equal(0);
+
+    clock = deadline - 10 * DAY;
+    expect((await reminders.run()).sent).to.equal(1);
+    expect(sent[0].to).to.equal("sv001@example.edu");
+    expect(sent[0].text).to.contain("SV001");
+
+    const again = await reminders.run();
+    expect(again.sent).to.equal(0);
+    expect(again.alreadySent).to.equal(1);
+
+    clock = deadline - 2 * DAY;
+    expect((await reminders.run()).sent).to.equal(1);
+    expect(getReminderLog().map(r => r.offsetDays).sort()).to.deep.equal([14, 3]);
+  });
+
+  it("Should only send the most urgent reminder after missed offsets", async function () {
+    clock = deadline - DAY / 2;
+    const result = await scheduler().run();
+
+    expect(result.sent).to.equal(2);
+    expect(getReminderLog().every(r => r.offsetDays === 1)).to.be.true;
+  });
+
+  it("Should keep contact emails and the reminder log out of the public data", async function () {
+    clock = deadline - DAY / 2;
+    await scheduler().run();
+    expect(getReminderLog()).to.have.length(2);
+
+    const data = loadPublicData();
+    expect(data).to.not.have.any.keys("reminders");
+    expect(data.students).to.have.length(2);
+    expect(JSON.stringify(data)).to.not.contain("@example.edu");
+  });
+});
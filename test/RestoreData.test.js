@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { planRestore, executeRestore, summarizeRestore } = require("../scripts/chain-restore");
+const { readChainState } = require("../scripts/reconciliation");
+const { getAdminContract } = require("../scripts/chain");
+const { ADMIN_PRIVATE_KEY } = require("../scripts/config");
+const { createIndexer } = require("../scripts/indexer");
+const { loadData, resetChainIndex } = require("../scripts/data-manager");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+
+describe("Restore Data", function () {
+  const BASE_FEE = ethers.parseEther("1");
+  let contract, student1, student2, data;
+
+  beforeEach(async function () {
+    let universityWallet;
+    [, universityWallet, student1, student2] = await ethers.getSigners();
+    const TuitionFeeContract = await ethers.getContractFactory("TuitionFeeContract");
+    contract = await TuitionFeeContract.deploy(universityWallet.address);
+    await contract.waitForDeployment();
+
+    data = {
+      feeSchedules: [{ semester: "2024-1", amount: BASE_FEE.toString(), deadline: 1 }],
+      students: [
+        { wallet: student1.address, studentId: "SV001" },
+        { wallet: student2.address, studentId: "SV002" }
+      ],
+      scholarships: [{ wallet: student1.address, percent: 50 }],
+      payments: [{ wallet: student1.address, semester: "2024-1", amount: ethers.parseEther("0.5").toString(), timestamp: 1700000000 }]
+    };
+  });
+
+  it("Should restore missing records and skip them on a second run", async function () {
+    // A partial earlier restore: SV001 is already registered
+    await contract.registerStudent(student1.address, "SV001");
+
+    const steps = planRestore(data, await readChainState(contract));
+    expect(steps.map(s => `${s.type}:${s.status}`)).to.deep.equal([
+      "feeSchedule:planned", "student:skipped", "student:planned", "scholarship:planned", "payment:planned", "balance:planned"
+    ]);
+    // Expired deadlines are moved into the future
+    expect(steps[0].args[2]).to.be.greaterThan(Math.floor(Date.now() / 1000));
+
+    await executeRestore(steps, contract);
+    expect(summarizeRestore(steps)).to.deep.equal({ planned: 0, done: 5, skipped: 1, conflict: 0, failed: 0 });
+    expect(steps.find(s => s.type === "payment").txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    const payment = await contract.getPayment(1);
+    expect(payment.studentId).to.equal("SV001");
+    expect(payment.amount).to.equal(ethers.parseEther("0.5"));
+
+    const again = planRestore(data, await readChainState(contract));
+    expect(summarizeRestore(again)).to.deep.equal({ planned: 0, done: 0, skipped: 6, conflict: 0, failed: 0 });
+  });
+
+  it("Should report records that conflict with the chain instead of sending them", async function () {
+    await contract.registerStudent(student1.address, "SV999");
+
+    const steps = planRestore(data, await readChainState(contract));
+    const byKey = Object.fromEntries(steps.map(s => [`${s.type}:${s.key}`, s]));
+    expect(byKey["student:SV001"]).to.include({ status: "conflict", reason: `wallet ${student1.address} is registered as SV999` });
+    expect(byKey[`scholarship:${student1.address}`].status).to.equal("conflict");
+    expect(byKey[`payment:${student1.address.toLowerCase()}:2024-1`].status).to.equal("conflict");
+    expect(byKey["student:SV002"].status).to.equal("planned");
+  });
+
+  it("Should cap payments stored without refund history instead of overstating them", async function () {
+    // Stored before refunds were indexed: SV001 paid the full fee, the 30% scholarship refund is unknown
+    data.scholarships = [{ wallet: student1.address, percent: 30 }];
+    data.payments = [
+      { wallet: student1.address, semester: "2024-1", amount: BASE_FEE.toString(), timestamp: 1700000000 },
+      // Indexed with a refund, but the refund itself is missing from the store
+      { wallet: student2.address, semester: "2024-1", amount: BASE_FEE.toString(), amountAfterRefund: "0", timestamp: 1700000000 }
+    ];
+
+    const steps = planRestore(data, await readChainState(contract));
+    const byKey = Object.fromEntries(steps.map(s => [`${s.type}:${s.key}`, s]));
+    expect(byKey[`payment:${student1.address.toLowerCase()}:2024-1`].args[4]).to.equal(true);
+    expect(byKey[`payment:${student2.address.toLowerCase()}:2024-1`]).to.include({
+      status: "conflict",
+      reason: `payment shows ${BASE_FEE} wei refunded but no refunds are stored`
+    });
+    expect(byKey["balance:balance"].args).to.deep.equal([ethers.parseEther("0.7").toString()]);
+
+    await executeRestore(steps, contract);
+    expect((await contract.getPayment(1)).amountAfterRefund).to.equal(ethers.parseEther("0.7"));
+    expect((await readChainState(contract)).balance).to.equal(ethers.parseEther("0.7").toString());
+
+    // Without the fee schedule the amount after scholarship is unknown
+    const TuitionFeeContract = await ethers.getContractFactory("TuitionFeeContract");
+    const fresh = await TuitionFeeContract.deploy(student2.address);
+    const payment = planRestore({ ...data, feeSchedules: [] }, await readChainState(fresh))
+      .find(s => s.type === "payment" && s.key === `${student1.address.toLowerCase()}:2024-1`);
+    expect(payment.status).to.equal("conflict");
+    expect(payment.reason).to.contain("fee schedule is not stored");
+  });
+
+  it("Should replay refunds, scholarship refunds and withdrawals from the indexed history", async function () {
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+    storage.setMeta("indexer.checkpoint", null);
+
+    // Before the reset: index a contract with the full money history
+    const deadline = Math.floor(Date.now() / 1000) + 86400 * 30;
+    await contract.registerStudent(student1.address, "SV001");
+    await contract.registerStudent(student2.address, "SV002");
+    await contract.setFeeSchedule("2024-1", BASE_FEE, deadline);
+    await contract.connect(student1).payTuition("2024-1", { value: BASE_FEE });
+    await contract.connect(student2).payTuition("2024-1", { value: BASE_FEE });
+    await contract.applyScholarship(student1.address, 30);
+    await contract.processRefund(1, ethers.parseEther("0.2"));
+    await contract.processRefund(2, BASE_FEE);
+    await contract.withdrawToUniversity(ethers.parseEther("0.2"));
+    await createIndexer({ provider: ethers.provider, contract, startBlock: 0, confirmations: 0 }).poll();
+
+    const before = await readChainState(contract);
+    const summary = await contract.getFinancialSummary();
+    const [history] = loadData().scholarships.map(s => s.history);
+    expect(history).to.have.length(1);
+    expect(history[0]).to.include({ percent: 30, refunded: ethers.parseEther("0.3").toString() });
+
+    // After the reset: a fresh contract restored from the store
+    resetChainIndex();
+    const startBlock = await ethers.provider.getBlockNumber();
+    const TuitionFeeContract = await ethers.getContractFactory("TuitionFeeContract");
+    const restored = await TuitionFeeContract.deploy(student2.address);
+    await restored.waitForDeployment();
+
+    const steps = await executeRestore(planRestore(loadData(), await readChainState(restored)), restored);
+    expect(steps.filter(s => s.type === "refund").map(s => s.args[3])).to.deep.equal([true, false, false]);
+    expect(summarizeRestore(steps)).to.include({ conflict: 0, failed: 0 });
+
+    expect(await restored.getFinancialSummary()).to.deep.equal(summary);
+    const after = await readChainState(restored);
+    expect(after.payments).to.deep.equal(before.payments);
+    expect(after.balance).to.equal(ethers.parseEther("0.3").toString());
+
+    // Re-indexing the restored contract recognises the replayed history
+    await createIndexer({ provider: ethers.provider, contract: restored, startBlock, confirmations: 0 }).poll();
+    const data = loadData();
+    expect(data.refunds).to.have.length(3);
+    expect(data.withdrawals).to.have.length(1);
+    expect(data.scholarships[0].history).to.have.length(1);
+    expect(data.payments.find(p => p.wallet === student2.address)).to.include({ amountAfterRefund: "0", refunded: true });
+    expect(summarizeRestore(planRestore(data, after))).to.include({ planned: 0, conflict: 0 });
+  });
+
+  it("Should only sign with the default Hardhat key on a local Hardhat node", async function () {
+    if (ADMIN_PRIVATE_KEY) this.skip();
+    const scope = { chainId: 31337, contract: await contract.getAddress(), rpcUrl: "http://127.0.0.1:8545" };
+    expect(await getAdminContract(scope).runner.getAddress()).to.equal((await ethers.getSigners())[0].address);
+    expect(() => getAdminContract({ ...scope, chainId: 11155111 }))
+      .to.throw("ADMIN_PRIVATE_KEY must be set to send transactions on chain 11155111");
+  });
+});
@@ -0,0 +1,37 @@
+const { expect } = require("chai");
+
+const { addStudent, setScholarship, loadData } = require("../scripts/data-manager");
+const { getStorage } = require("../scripts/storage");
+const { listSnapshots } = require("../scripts/snapshots");
+const { readAuditLog } = require("../scripts/audit-log");
+const { runInScope, currentScope, scopeKey, DEFAULT_SCOPE } = require("../scripts/scope");
+const { getContract } = require("../scripts/chain");
+
+describe("Deployment Scopes", function () {
+  const WALLET = "0x90F79bf6EB2c4F870365E785982E1f101E93b906";
+  const SEPOLIA = { chainId: 11155111, contract: "0xe7f1725e7734ce288f8367e1bb143e90bb3f0512" };
+
+  it("Should keep records, snapshots and contracts of each deployment apart", function () {
+    const before = loadData().students.length;
+    runInScope(SEPOLIA, () => {
+      addStudent(WALLET, "SEP001");
+      expect(loadData().students.map(s => s.studentId)).to.include("SEP001");
+      expect(getStorage().location).to.contain(`11155111-${SEPOLIA.contract}`);
+      expect(listSnapshots()[0].reason).to.equal("addStudent");
+      expect(getContract().target).to.equal("0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512");
+    });
+
+    expect(loadData().students).to.have.length(before);
+    expect(getStorage().location).to.contain(`${DEFAULT_SCOPE.chainId}-`);
+    expect(currentScope()).to.equal(DEFAULT_SCOPE);
+  });
+
+  it("Should record the deployment of every audited change", function () {
+    runInScope(SEPOLIA, () => setScholarship(WALLET, 40));
+    setScholarship(WALLET, 10);
+
+    const [sepolia, local] = readAuditLog().slice(-2);
+    expect(sepolia.scope).to.equal(`11155111:${SEPOLIA.contract}`);
+    expect(local.scope).to.equal(scopeKey(DEFAULT_SCOPE));
+  });
+});
@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  setScholarship,
+  addFeeSchedule,
+  restoreSnapshot,
+  loadData,
+  recordReminder,
+  rollbackChainEvents,
+  getIndexerCheckpoint
+} = require("../scripts/data-manager");
+const { createSnapshot, readSnapshot, listSnapshots, diffSnapshots } = require("../scripts/snapshots");
+const { getStorage } = require("../scripts/storage");
+const { currentScope, scopeDirName } = require("../scripts/scope");
+const { SNAPSHOT_DIR } = require("../scripts/config");
+
+describe("Snapshots", function () {
+  const WALLET = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+  // Other test files share the data dir, start from an empty snapshot store
+  beforeEach(function () {
+    fs.rmSync(path.join(SNAPSHOT_DIR, scopeDirName(currentScope())), { recursive: true, force: true });
+  });
+
+  it("Should snapshot every change and rotate old snapshots", function () {
+    setScholarship(WALLET, 25);
+    const [latest] = listSnapshots();
+    expect(listSnapshots()).to.have.length(1);
+    expect(latest.reason).to.equal("setScholarship");
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tuition-rotate-"));
+    const created = [];
+    for (let i = 0; i < 4; i++) created.push(createSnapshot("manual", { dir, keep: 2 }).id);
+    // The two oldest are gone, newest first
+    expect(listSnapshots(dir).map(s => s.id)).to.deep.equal([created[3], created[2]]);
+  });
+
+  it("Should not snapshot indexer batches and sent reminders", function () {
+    recordReminder({ wallet: WALLET, semester: "2099-1", offsetDays: 3 });
+    getStorage().remove("reminders", `${WALLET.toLowerCase()}:2099-1:3`);
+    rollbackChainEvents(Number.MAX_SAFE_INTEGER, getIndexerCheckpoint());
+    expect(listSnapshots()).to.deep.equal([]);
+
+    // The next other change captures them
+    setScholarship(WALLET, 35);
+    expect(listSnapshots().map(s => s.reason)).to.deep.equal(["setScholarship"]);
+  });
+
+  it("Should diff snapshots and restore a previous state", function () {
+    setScholarship(WALLET, 30);
+    const good = createSnapshot("manual");
+
+    setScholarship(WALLET, 100);
+    addFeeSchedule("2031-1", "5000", 1950000000);
+
+    const diff = diffSnapshots(readSnapshot(good.id), readSnapshot("current"));
+    expect(diff.collections.scholarships.changed[0].after.percent).to.equal(100);
+    expect(diff.collections.feeSchedules.added.map(c => c.key)).to.include("2031-1");
+
+    const result = restoreSnapshot(readSnapshot(good.id));
+    expect(result.restored).to.equal(good.id);
+    const data = loadData();
+    expect(data.scholarships.find(s => s.wallet === WALLET).percent).to.equal(30);
+    expect(data.feeSchedules.find(f => f.semester === "2031-1")).to.be.undefined;
+
+    // The state before the restore can be brought back
+    const undo = diffSnapshots(readSnapshot("current"), readSnapshot(result.backup));
+    expect(undo.summary.added + undo.summary.changed).to.be.greaterThan(0);
+  });
+});
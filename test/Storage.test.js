@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const { createJsonStorage } = require("../scripts/storage/json-driver");
+const { createSqliteStorage } = require("../scripts/storage/sqlite-driver");
+const MIGRATIONS = require("../scripts/storage/sqlite-migrations");
+const { COLLECTION_NAMES, keyOf } = require("../scripts/storage/collections");
+
+describe("Storage Drivers", function () {
+  const WALLET_A = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const WALLET_B = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(process.env.DATA_DIR, "storage-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const openJson = () => createJsonStorage({ file: path.join(dir, "state.json") });
+  const openSqlite = () => createSqliteStorage({ file: path.join(dir, "state.db"), jsonFile: path.join(dir, "state.json") });
+
+  // The same operations against one driver, with everything read back along the way
+  function exercise(storage) {
+    const seen = {};
+    storage.put("students", { wallet: WALLET_A, studentId: "SV001" });
+    storage.put("students", { wallet: WALLET_B, studentId: "SV002" });
+    storage.put("students", { wallet: WALLET_A, studentId: "SV001", email: "sv001@example.edu" });
+    seen.afterUpdate = storage.list("students");
+    seen.byKey = storage.get("students", WALLET_A.toLowerCase());
+    seen.missing = storage.get("students", "0x0000000000000000000000000000000000000000");
+
+    storage.setMeta("lastUpdated", "2024-01-01T00:00:00.000Z");
+    storage.setMeta("indexer.checkpoint", { blockNumber: 12, blockHash: "0xabc" });
+    seen.meta = [storage.getMeta("lastUpdated"), storage.getMeta("indexer.checkpoint"), storage.getMeta("unknown")];
+
+    // A failed transaction leaves nothing behind, nested ones commit with the outer one
+    expect(() => storage.transaction(() => {
+      storage.put("feeSchedules", { semester: "2024-1", amount: "1" });
+      throw new Error("rollback");
+    })).to.throw("rollback");
+    storage.transaction(() => {
+      storage.put("feeSchedules", { semester: "2024-2", amount: "2" });
+      storage.transaction(() => storage.remove("students", WALLET_B.toLowerCase()));
+    });
+    seen.afterTransactions = storage.dump();
+
+    storage.clear("students");
+    seen.afterClear = storage.list("students");
+    expect(() => storage.put("unknown", {})).to.throw("Unknown collection: unknown");
+    return seen;
+  }
+
+  it("Should behave the same with the JSON and SQLite drivers", function () {
+    const json = openJson();
+    const fromJson = exercise(json);
+    json.close();
+    fs.rmSync(path.join(dir, "state.json"));
+
+    const sqlite = openSqlite();
+    const fromSqlite = exercise(sqlite);
+    sqlite.close();
+
+    expect(fromSqlite).to.deep.equal(fromJson);
+    expect(fromJson.afterUpdate.map(s => s.studentId)).to.deep.equal(["SV001", "SV002"]);
+    expect(fromJson.afterTransactions.students).to.have.length(1);
+    expect(fromJson.afterTransactions.feeSchedules).to.deep.equal([{ semester: "2024-2", amount: "2" }]);
+  });
+
+  it("Should import a JSON store with its meta values into a new SQLite store", function () {
+    const json = openJson();
+    json.put("students", { wallet: WALLET_A, studentId: "SV001" });
+    json.setMeta("lastUpdated", "2024-01-01T00:00:00.000Z");
+    json.setMeta("indexer.checkpoint", { blockNumber: 12, blockHash: "0xabc" });
+    const before = json.dump();
+    json.close();
+
+    const sqlite = openSqlite();
+    expect(sqlite.dump()).to.deep.equal(before);
+    expect(sqlite.getMeta("indexer.checkpoint")).to.deep.equal({ blockNumber: 12, blockHash: "0xabc" });
+    sqlite.close();
+  });
+
+  it("Should import the meta values into a store migrated before version 3", function () {
+    const json = openJson();
+    json.setMeta("indexer.checkpoint", { blockNumber: 12, blockHash: "0xabc" });
+    json.setMeta("legacy", true);
+    json.close();
+
+    // A store that ran the first two migrations and has indexed further since
+    const db = new Database(path.join(dir, "state.db"));
+    const context = { jsonFile: path.join(dir, "state.json"), collectionNames: COLLECTION_NAMES, keyOf };
+    for (const migration of MIGRATIONS.filter(m => m.version <= 2)) migration.up(db, context);
+    db.prepare("INSERT INTO meta (name, value) VALUES (?, ?)")
+      .run("indexer.checkpoint", JSON.stringify({ blockNumber: 40, blockHash: "0xdef" }));
+    db.pragma("user_version = 2");
+    db.close();
+
+    const sqlite = openSqlite();
+    expect(sqlite.getMeta("indexer.checkpoint")).to.deep.equal({ blockNumber: 40, blockHash: "0xdef" });
+    expect(sqlite.getMeta("legacy")).to.equal(true);
+    sqlite.close();
+  });
+
+  it("Should refuse JSON writes on top of another process's changes", function () {
+    // Two stores on one file stand for the data server and a CLI script
+    const server = openJson();
+    const script = openJson();
+    server.put("students", { wallet: WALLET_A, studentId: "SV001" });
+
+    expect(() => script.put("students", { wallet: WALLET_B, studentId: "SV002" })).to.throw(/changed by another process/);
+    // The refused store reloaded the file and writes on top of it from now on
+    expect(script.list("students").map(s => s.studentId)).to.deep.equal(["SV001"]);
+    script.transaction(() => script.put("students", { wallet: WALLET_B, studentId: "SV002" }));
+
+    expect(() => server.transaction(() => server.clear("students"))).to.throw(/changed by another process/);
+    expect(server.list("students")).to.have.length(2);
+  });
+});
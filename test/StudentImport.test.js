@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  parseStudentCsv,
+  validateImportRows,
+  registerImportRows,
+  summarizeImport,
+  importReportCsv
+} = require("../scripts/student-import");
+const { getStorage } = require("../scripts/storage");
+const { COLLECTION_NAMES } = require("../scripts/storage/collections");
+
+describe("Student Import", function () {
+  let contract, wallets;
+
+  beforeEach(async function () {
+    let universityWallet;
+    [, universityWallet, ...wallets] = await ethers.getSigners();
+    wallets = wallets.map(w => w.address);
+
+    const storage = getStorage();
+    for (const name of COLLECTION_NAMES) storage.clear(name);
+
+    const TuitionFeeContract = await ethers.getContractFactory("TuitionFeeContract");
+    contract = await TuitionFeeContract.deploy(universityWallet.address);
+    await contract.waitForDeployment();
+  });
+
+  it("Should parse quoted cells, header aliases and files without a header", function () {
+    const withHeader = parseStudentCsv(
+      "\uFEFFStudent ID,Wallet Address,Scholarship\r\n" +
+      `"SV,001",${wallets[0]},"50"\r\n` +
+      "\r\n" +
+      `"SV""002",${wallets[1]},\r\n`
+    );
+    expect(withHeader).to.deep.equal([
+      { line: 2, studentId: "SV,001", wallet: wallets[0], percent: "50" },
+      { line: 4, studentId: "SV\"002", wallet: wallets[1], percent: "" }
+    ]);
+
+    expect(parseStudentCsv(`SV001, ${wallets[0]} ,10\nSV002,${wallets[1]}`)).to.deep.equal([
+      { line: 1, studentId: "SV001", wallet: wallets[0], percent: "10" },
+      { line: 2, studentId: "SV002", wallet: wallets[1], percent: "" }
+    ]);
+  });
+
+  it("Should flag format problems, duplicates and students already registered", async function () {
+    await contract.registerStudent(wallets[5], "SV100");
+    getStorage().put("students", { wallet: wallets[6], studentId: "SV200" });
+
+    const rows = parseStudentCsv([
+      "studentId,wallet,percent",
+      `SV001,${wallets[0].toLowerCase()},`,
+      `SV001,${wallets[1]},0`,
+      `SV003,${wallets[0]},0`,
+      "SV 004,0x1234,0",
+      `SV005,${wallets[2]},101`,
+      `SV100,${wallets[3]},0`,
+      `SV007,${wallets[5]},0`,
+      `SV200,${wallets[4]},0`,
+      `,${wallets[7]},0`
+    ].join("\n"));
+    const results = await validateImportRows(rows, contract);
+
+    expect(results.map(r => [r.line, r.status, r.code])).to.deep.equal([
+      [2, "valid", undefined],
+      [3, "invalid", "DUPLICATE_STUDENT_ID"],
+      [4, "invalid", "DUPLICATE_WALLET"],
+      [5, "invalid", "INVALID_STUDENT_ID"],
+      [6, "invalid", "INVALID_PERCENT"],
+      [7, "invalid", "STUDENT_ID_TAKEN"],
+      [8, "invalid", "WALLET_REGISTERED"],
+      [9, "invalid", "STUDENT_ID_TAKEN"],
+      [10, "invalid", "MISSING_FIELD"]
+    ]);
+    expect(results[0]).to.include({ wallet: wallets[0], percent: 0 });
+    expect(results[1].error).to.equal("Student ID also on line 2");
+  });
+
+  it("Should register rows in batches and retry a failed batch row by row", async function () {
+    const rows = parseStudentCsv(wallets.slice(0, 5).map((w, i) => `SV00${i + 1},${w},${i * 10}`).join("\n"));
+    const results = await validateImportRows(rows, contract);
+    expect(summarizeImport(results)).to.include({ total: 5, valid: 5 });
+
+    // Registered after validation: the batch holding it reverts, the rest still go through
+    await contract.registerStudent(wallets[3], "SV999");
+
+    const batches = [];
+    await registerImportRows(results, contract, {
+      batchSize: 2,
+      onBatch: (batch, number, count) => batches.push([batch.map(r => r.studentId), number, count])
+    });
+
+    expect(batches).to.deep.equal([
+      [["SV001", "SV002"], 1, 3],
+      [["SV003", "SV004"], 2, 3],
+      [["SV005"], 3, 3]
+    ]);
+    expect(results.map(r => r.status)).to.deep.equal(["registered", "registered", "registered", "failed", "registered"]);
+    expect(results[3]).to.include({ code: "TX_FAILED" });
+    expect(results[0].txHash).to.equal(results[1].txHash);
+    expect(results[2].txHash).to.not.equal(results[1].txHash);
+    expect(summarizeImport(results)).to.deep.equal({ total: 5, valid: 0, invalid: 0, registered: 4, failed: 1 });
+
+    expect(await contract.studentIdToAddress("SV003")).to.equal(wallets[2]);
+    expect((await contract.getStudent(wallets[4])).scholarshipPercent).to.equal(40n);
+  });
+
+  it("Should keep spreadsheet formulas in the import report from running", async function () {
+    const results = await validateImportRows(parseStudentCsv(
+      `"=HYPERLINK(""http://evil.example"",""Open"")",${wallets[0]},\n` +
+      `@SUM(A1),${wallets[1]},\n`
+    ), contract);
+    const [, first, second] = importReportCsv(results).trimEnd().split("\n");
+    expect(first).to.match(/^1,"'=HYPERLINK\(""http:\/\/evil\.example"",""Open""\)",/);
+    expect(second).to.match(/^2,'@SUM\(A1\),/);
+  });
+});
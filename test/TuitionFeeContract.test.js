@@ -42,6 +42,29 @@ describe("TuitionFeeContract", function () {
     });
   });
   
+  describe("Bulk Registration", function () {
+    it("Should register a batch of students with scholarships", async function () {
+      await contract.registerStudentsBatch(
+        [student1.address, student2.address],
+        ["SV001", "SV002"],
+        [0, 30]
+      );
+      
+      expect(await contract.getRegisteredStudentsCount()).to.equal(2);
+      expect(await contract.studentIdToAddress("SV002")).to.equal(student2.address);
+      const student = await contract.getStudent(student2.address);
+      expect(student.scholarshipPercent).to.equal(30);
+    });
+    
+    it("Should revert the whole batch on a duplicate", async function () {
+      await contract.registerStudent(student1.address, "SV001");
+      await expect(
+        contract.registerStudentsBatch([student2.address, student1.address], ["SV002", "SV003"], [0, 0])
+      ).to.be.revertedWith("Student already registered");
+      expect(await contract.getRegisteredStudentsCount()).to.equal(1);
+    });
+  });
+  
   describe("Fee Schedule", function () {
     it("Should create fee schedule", async function () {
       const deadline = Math.floor(Date.now() / 1000) + 86400 * 30; // 30 days
@@ -148,6 +171,115 @@ describe("TuitionFeeContract", function () {
     });
   });
   
+  describe("Wallet Rotation", function () {
+    beforeEach(async function () {
+      await contract.registerStudent(student1.address, "SV001");
+      const deadline = Math.floor(Date.now() / 1000) + 86400 * 30;
+      await contract.setFeeSchedule(SEMESTER, BASE_FEE, deadline);
+      await contract.applyScholarship(student1.address, 20);
+      await contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE * 80n / 100n });
+    });
+    
+    it("Should move the student and payment history to the new wallet", async function () {
+      await expect(contract.rotateStudentWallet(student1.address, student2.address))
+        .to.emit(contract, "StudentWalletRotated")
+        .withArgs("SV001", student1.address, student2.address, (await ethers.provider.getBlock("latest")).timestamp + 1);
+      
+      expect(await contract.studentIdToAddress("SV001")).to.equal(student2.address);
+      expect(await contract.getAllStudents()).to.deep.equal([student2.address]);
+      expect((await contract.getStudent(student1.address)).isRegistered).to.be.false;
+      const student = await contract.getStudent(student2.address);
+      expect(student.walletAddress).to.equal(student2.address);
+      expect(student.scholarshipPercent).to.equal(20);
+      
+      expect(await contract.getStudentPaymentIds(student1.address)).to.deep.equal([]);
+      expect(await contract.getStudentPaymentIds(student2.address)).to.deep.equal([1n]);
+      expect(await contract.hasStudentPaid(student1.address, SEMESTER)).to.be.false;
+      expect(await contract.hasStudentPaid(student2.address, SEMESTER)).to.be.true;
+      expect((await contract.getPayment(1)).student).to.equal(student2.address);
+      
+      // Refunds of old payments reach the new wallet
+      await expect(contract.processRefund(1, BASE_FEE / 10n))
+        .to.changeEtherBalance(student2, BASE_FEE / 10n);
+      await expect(
+        contract.connect(student1).payTuition(SEMESTER, { value: BASE_FEE })
+      ).to.be.revertedWith("Student not registered");
+    });
+    
+    it("Should keep the student's place in the student list", async function () {
+      const [, , , , student3, student4] = await ethers.getSigners();
+      await contract.registerStudent(student2.address, "SV002");
+      await contract.rotateStudentWallet(student1.address, student3.address);
+      await contract.rotateStudentWallet(student3.address, student4.address);
+      // The first wallet is free again and can be rotated back to
+      await contract.rotateStudentWallet(student4.address, student1.address);
+      await contract.rotateStudentWallet(student2.address, student3.address);
+
+      expect(await contract.getAllStudents()).to.deep.equal([student1.address, student3.address]);
+      expect(await contract.studentIdToAddress("SV002")).to.equal(student3.address);
+      expect(await contract.getRegisteredStudentsCount()).to.equal(2);
+    });
+    
+    it("Should only rotate to an unregistered wallet as owner", async function () {
+      await contract.registerStudent(student2.address, "SV002");
+      await expect(
+        contract.rotateStudentWallet(student1.address, student2.address)
+      ).to.be.revertedWith("Student already registered");
+      await expect(
+        contract.connect(student1).rotateStudentWallet(student1.address, universityWallet.address)
+      ).to.be.revertedWithCustomError(contract, "OwnableUnauthorizedAccount");
+    });
+  });
+  
+  describe("Restore", function () {
+    beforeEach(async function () {
+      await contract.registerStudent(student1.address, "SV001");
+      const deadline = Math.floor(Date.now() / 1000) + 86400 * 30;
+      await contract.setFeeSchedule(SEMESTER, BASE_FEE, deadline);
+      await contract.restorePayment(student1.address, SEMESTER, BASE_FEE, 1700000000, false);
+    });
+    
+    it("Should restore refunds without moving ETH", async function () {
+      await expect(contract.restoreRefund(student1.address, SEMESTER, BASE_FEE / 4n, true, 1700000100))
+        .to.emit(contract, "ScholarshipRefund")
+        .withArgs(student1.address, 1, BASE_FEE / 4n, 1700000100);
+      const tx = contract.restoreRefund(student1.address, SEMESTER, BASE_FEE / 4n * 3n, false, 1700000200);
+      await expect(tx)
+        .to.emit(contract, "RefundProcessed")
+        .withArgs(1, student1.address, BASE_FEE / 4n * 3n, 1700000200);
+      await expect(tx).to.changeEtherBalance(student1, 0);
+      
+      const payment = await contract.getPayment(1);
+      expect(payment.amountAfterRefund).to.equal(0);
+      expect(payment.refunded).to.be.true;
+      const [balance, collected, refunded] = await contract.getFinancialSummary();
+      expect([balance, collected, refunded]).to.deep.equal([0n, BASE_FEE, BASE_FEE]);
+    });
+    
+    it("Should not restore more than the payment holds", async function () {
+      await expect(
+        contract.restoreRefund(student1.address, SEMESTER, BASE_FEE + 1n, false, 1700000100)
+      ).to.be.revertedWith("Refund amount exceeds available balance");
+      await expect(
+        contract.restoreRefund(student1.address, "2099-1", 1n, false, 1700000100)
+      ).to.be.revertedWith("Payment not found");
+      await expect(
+        contract.connect(student1).restoreRefund(student1.address, SEMESTER, 1n, false, 1700000100)
+      ).to.be.revertedWithCustomError(contract, "OwnableUnauthorizedAccount");
+    });
+    
+    it("Should cap payments without refund history at the fee after scholarship", async function () {
+      await contract.registerStudent(student2.address, "SV002");
+      await contract.applyScholarship(student2.address, 30);
+      await contract.restorePayment(student2.address, SEMESTER, BASE_FEE, 1700000000, true);
+      
+      const payment = await contract.getPayment(2);
+      expect(payment.amount).to.equal(BASE_FEE);
+      expect(payment.amountAfterRefund).to.equal(BASE_FEE * 70n / 100n);
+      expect((await contract.getPayment(1)).amountAfterRefund).to.equal(BASE_FEE);
+    });
+  });
+  
   describe("Audit & Transparency", function () {
     it("Should return payment history", async function () {
       await contract.registerStudent(student1.address, "SV001");
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  validate,
+  optional,
+  address,
+  percent,
+  integer,
+  timestamp,
+  wei,
+  semester,
+  studentId,
+  email,
+  signature,
+  text,
+  boolean,
+  oneOf
+} = require("../scripts/validation");
+
+describe("Request Validation", function () {
+  const WALLET = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  // Minimal Express req/res pair; resolves to the response status and body, or req.valid when next() was called
+  function run(schema, req) {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    const request = { params: {}, query: {}, body: {}, ...req };
+    let passed = false;
+    validate(schema)(request, res, () => { passed = true; });
+    return passed ? { status: 200, valid: request.valid } : { status: res.statusCode, body: res.body };
+  }
+
+  it("Should normalize valid values into req.valid", function () {
+    const { status, valid } = run({
+      params: { wallet: address },
+      query: { limit: integer(1, 100), from: optional(timestamp), confirmed: optional(boolean) },
+      body: { percent, amount: wei, semester, studentId, email, note: optional(text(10)), format: oneOf(["csv", "xlsx"]) }
+    }, {
+      params: { wallet: WALLET },
+      query: { limit: "25", confirmed: "false", from: "" },
+      body: { percent: 50, amount: "1000000000000000000", semester: "2024-3", studentId: "SV_001-a", email: "sv001@example.edu", format: "xlsx" }
+    });
+    expect(status).to.equal(200);
+    expect(valid).to.deep.equal({
+      wallet: WALLET,
+      limit: 25,
+      confirmed: false,
+      percent: 50,
+      amount: "1000000000000000000",
+      semester: "2024-3",
+      studentId: "SV_001-a",
+      email: "sv001@example.edu",
+      format: "xlsx"
+    });
+  });
+
+  it("Should report every problem and describe the first one at the top level", function () {
+    const { status, body } = run({
+      params: { wallet: address },
+      body: { studentId, percent }
+    }, {
+      params: { wallet: WALLET.toLowerCase() },
+      body: { percent: "  " }
+    });
+    expect(status).to.equal(400);
+    expect(body).to.include({ code: "ADDRESS_NOT_CHECKSUMMED", field: "wallet", error: "wallet must be a checksummed (EIP-55) address" });
+    expect(body.details.map(d => [d.field, d.code])).to.deep.equal([
+      ["wallet", "ADDRESS_NOT_CHECKSUMMED"],
+      ["studentId", "MISSING_FIELD"],
+      ["percent", "MISSING_FIELD"]
+    ]);
+  });
+
+  it("Should reject malformed values with their error code", function () {
+    const cases = [
+      [address, "0x1234", "INVALID_ADDRESS"],
+      [percent, 101, "INVALID_PERCENT"],
+      [percent, "1.5", "INVALID_PERCENT"],
+      [integer(1, 100), "0", "INVALID_INTEGER"],
+      [integer(1, 100), -1, "INVALID_INTEGER"],
+      [timestamp, Date.now(), "INVALID_TIMESTAMP"],
+      [wei, 1000, "INVALID_AMOUNT"],
+      [wei, "01", "INVALID_AMOUNT"],
+      [wei, "-1", "INVALID_AMOUNT"],
+      [semester, "2024-4", "INVALID_SEMESTER"],
+      [studentId, "SV 001", "INVALID_STUDENT_ID"],
+      [studentId, "S".repeat(33), "INVALID_STUDENT_ID"],
+      [email, "not-an-email", "INVALID_EMAIL"],
+      [signature, "0x1234", "INVALID_SIGNATURE_FORMAT"],
+      [text(3), "abcd", "INVALID_TEXT"],
+      [text(3), 123, "INVALID_TEXT"],
+      [boolean, "yes", "INVALID_BOOLEAN"],
+      [oneOf(["csv"]), "pdf", "INVALID_OPTION"]
+    ];
+    for (const [rule, value, code] of cases) {
+      expect(rule(value).code, `${JSON.stringify(value)}`).to.equal(code);
+    }
+  });
+
+  it("Should have a client message for every validation error code", function () {
+    const source = fs.readFileSync(path.join(__dirname, "../scripts/validation.js"), "utf8");
+    const messages = fs.readFileSync(path.join(__dirname, "../client/src/config/errors.js"), "utf8");
+    const codes = [...source.matchAll(/'([A-Z_]+)'/g)].map(m => m[1]);
+    expect(codes).to.include.members(["MISSING_FIELD", "INVALID_ADDRESS"]);
+    for (const code of new Set(codes)) {
+      expect(messages, code).to.match(new RegExp(`\\b${code}:`));
+    }
+  });
+});
@@ -0,0 +1,11 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Loaded by hardhat.config.js before any test file. Tests always run against a
+// throwaway data store, audit log and snapshot directory, even when .env points
+// these at real data. scripts/config.js reads them once, so all test files share it.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tuition-test-"));
+process.env.DATA_DIR = dir;
+process.env.AUDIT_LOG_FILE = path.join(dir, "audit.log");
+process.env.SNAPSHOT_DIR = path.join(dir, "snapshots");
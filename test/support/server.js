@@ -0,0 +1,17 @@
+const { once } = require("events");
+const app = require("../../scripts/data-server");
+
+// Serve the data server app on a free local port; close() stops it again
+async function startDataServer() {
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startDataServer };